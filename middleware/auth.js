@@ -1,5 +1,32 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PermissionService = require('../services/PermissionService');
+
+const permissionService = new PermissionService();
+
+// Endpoints reachable by sessions that still have to enroll in 2FA
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/profile', '/api/auth/logout'];
+
+// Only touch lastSeenAt once a minute to avoid a write on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// Load the session an access token was issued for, or null if revoked/expired
+const getActiveSession = async (decoded) => {
+    if (!decoded.sessionId) return null;
+
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isValid() || session.user.toString() !== decoded.userId) {
+        return null;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+        session.lastSeenAt = new Date();
+        await session.save();
+    }
+
+    return session;
+};
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -12,20 +39,39 @@ const authenticateToken = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+        const session = await getActiveSession(decoded);
+        if (!session) {
+            return res.status(401).json({ message: 'Session expired or revoked' });
+        }
+
         const user = await User.findById(decoded.userId);
 
         if (!user || !user.isActive) {
             return res.status(401).json({ message: 'Invalid token or user not found' });
         }
 
+        // Role requires 2FA but the user has not enrolled yet - only allow the setup endpoints
+        if (session.twoFactorSetupRequired && !TWO_FACTOR_SETUP_PATHS.some(p => req.originalUrl.startsWith(p))) {
+            return res.status(403).json({
+                message: 'Two-factor authentication setup required',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
         req.user = user;
+        req.sessionId = session._id;
         next();
     } catch (error) {
+        // Let clients know they should use their refresh token
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+        }
         return res.status(403).json({ message: 'Invalid or expired token' });
     }
 };
 
-// Check if user has required role
+// Check the user's base role; route guards use requirePermission instead
 const requireRole = (roles) => {
     return (req, res, next) => {
         if (!req.user) {
@@ -40,6 +86,47 @@ const requireRole = (roles) => {
     };
 };
 
+// Check that the user holds every listed permission, for their own resources
+// at least; handlers check the resource itself with PermissionService.can()
+const requirePermission = (permissions) => {
+    const required = Array.isArray(permissions) ? permissions : [permissions];
+
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        try {
+            for (const permission of required) {
+                if (!await permissionService.hasAnyScope(req.user, permission)) {
+                    return res.status(403).json({ message: 'Insufficient permissions', permission });
+                }
+            }
+        } catch (error) {
+            console.error('Permission check error:', error);
+            return res.status(500).json({ message: 'Failed to check permissions' });
+        }
+
+        next();
+    };
+};
+
+// Instructors need admin approval before using their course tools; other roles
+// that hold the permission (admins, custom roles) are not affected
+const requireInstructorApproval = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (req.user.role === 'instructor' && (!req.user.isVerified || req.user.instructor.verificationStatus !== 'approved')) {
+        return res.status(403).json({
+            message: 'Instructor verification required. Please wait for admin approval.'
+        });
+    }
+
+    next();
+};
+
 // Check if instructor is verified
 const requireVerifiedInstructor = (req, res, next) => {
     if (!req.user) {
@@ -59,6 +146,26 @@ const requireVerifiedInstructor = (req, res, next) => {
     next();
 };
 
+// Block learners who have not confirmed their email address
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+        return next();
+    }
+
+    if (req.user.role === 'learner' && !req.user.isEmailVerified) {
+        return res.status(403).json({
+            message: 'Please verify your email address to continue',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
+    }
+
+    next();
+};
+
 // Optional authentication (for public routes that can benefit from auth)
 const optionalAuth = async (req, res, next) => {
     try {
@@ -67,9 +174,11 @@ const optionalAuth = async (req, res, next) => {
 
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-            const user = await User.findById(decoded.userId);
+            const session = await getActiveSession(decoded);
+            const user = session && !session.twoFactorSetupRequired ? await User.findById(decoded.userId) : null;
             if (user && user.isActive) {
                 req.user = user;
+                req.sessionId = session._id;
             }
         }
         next();
@@ -82,6 +191,9 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     authenticateToken,
     requireRole,
+    requirePermission,
     requireVerifiedInstructor,
+    requireInstructorApproval,
+    requireVerifiedEmail,
     optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, expiring tokens for email-based flows (password reset, email verification)
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    // SHA-256 hash of the emailed token (the raw token is never stored)
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date,
+    requestedIp: String
+}, {
+    timestamps: true
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new token, invalidating any unused token of the same type for the user
+ * @param {string} userId - User ID
+ * @param {string} type - Token type
+ * @param {number} ttlMinutes - Minutes until expiry
+ * @param {Object} options - { requestedIp }
+ * @returns {string} Raw token to send to the user
+ */
+authTokenSchema.statics.issue = async function(userId, type, ttlMinutes, options = {}) {
+    await this.updateMany(
+        { user: userId, type, usedAt: { $exists: false } },
+        { usedAt: new Date() }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await this.create({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        requestedIp: options.requestedIp
+    });
+
+    return token;
+};
+
+/**
+ * Atomically mark a valid token as used
+ * @param {string} token - Raw token from the user
+ * @param {string} type - Expected token type
+ * @returns {Object|null} Consumed token document, or null if invalid/expired/used
+ */
+authTokenSchema.statics.consume = function(token, type) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            type,
+            usedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
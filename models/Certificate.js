@@ -9,7 +9,14 @@ const certificateSchema = new mongoose.Schema({
     course: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Course',
-        required: true
+        required: function() {
+            return !this.learningPath;
+        }
+    },
+    // Set instead of course for learning path completion certificates
+    learningPath: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningPath'
     },
     certificateId: {
         type: String,
@@ -53,9 +60,26 @@ const certificateSchema = new mongoose.Schema({
         finalScore: Number,
         completionPercentage: Number,
         quizAverageScore: Number
+    },
+
+    // Revoked certificates stay on record but no longer verify
+    isRevoked: {
+        type: Boolean,
+        default: false
+    },
+    revocation: {
+        revokedAt: Date,
+        reason: String,
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 });
 
+certificateSchema.index({ user: 1, course: 1 });
+certificateSchema.index({ user: 1, learningPath: 1 });
+
 // Generate certificate ID
 certificateSchema.pre('save', function(next) {
     if (!this.certificateId) {
@@ -66,4 +90,14 @@ certificateSchema.pre('save', function(next) {
     next();
 });
 
+// Revoke the certificate (e.g. after a refund)
+certificateSchema.methods.revoke = function(reason, revokedBy = null) {
+    this.isRevoked = true;
+    this.revocation = {
+        revokedAt: new Date(),
+        reason,
+        revokedBy
+    };
+};
+
 module.exports = mongoose.model('Certificate', certificateSchema);
\ No newline at end of file
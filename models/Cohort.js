@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A scheduled run of an instructor-led course
+const cohortSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 2000
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    // IANA time zone the schedule is communicated in (dates are stored in UTC)
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    capacity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Seats taken; only changed atomically together with memberships
+    enrolledCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    enrollmentOpensAt: {
+        type: Date,
+        default: Date.now
+    },
+    enrollmentClosesAt: {
+        type: Date,
+        required: true
+    },
+    // closed: manually, or automatically once the enrollment window has ended
+    enrollmentStatus: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    enrollmentClosedAt: Date,
+    status: {
+        type: String,
+        enum: ['active', 'canceled'],
+        default: 'active'
+    },
+    canceledAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+cohortSchema.index({ course: 1, startsAt: 1 });
+cohortSchema.index({ enrollmentStatus: 1, enrollmentClosesAt: 1 });
+
+// Whether learners can join (or be taken off the waitlist) right now
+cohortSchema.methods.isEnrollmentOpen = function(now = new Date()) {
+    return this.status === 'active' &&
+        this.enrollmentStatus === 'open' &&
+        this.enrollmentOpensAt <= now &&
+        this.enrollmentClosesAt > now;
+};
+
+cohortSchema.methods.seatsLeft = function() {
+    return Math.max(this.capacity - this.enrolledCount, 0);
+};
+
+module.exports = mongoose.model('Cohort', cohortSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Message from the instructor to the members of one cohort
+const cohortAnnouncementSchema = new mongoose.Schema({
+    cohort: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cohort',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    body: {
+        type: String,
+        required: true,
+        maxlength: 10000
+    },
+    emailedCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+cohortAnnouncementSchema.index({ cohort: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CohortAnnouncement', cohortAnnouncementSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A learner's seat (or waitlist place) in a cohort
+const cohortMembershipSchema = new mongoose.Schema({
+    cohort: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cohort',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // expired: still waitlisted when enrollment closed
+    status: {
+        type: String,
+        enum: ['enrolled', 'waitlisted', 'left', 'removed', 'expired'],
+        required: true
+    },
+    // Waitlist order
+    waitlistedAt: Date,
+    enrolledAt: Date,
+    endedAt: Date,
+    endedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+cohortMembershipSchema.index({ cohort: 1, user: 1 }, { unique: true });
+cohortMembershipSchema.index({ cohort: 1, status: 1, waitlistedAt: 1 });
+cohortMembershipSchema.index({ user: 1, course: 1, status: 1 });
+
+cohortMembershipSchema.statics.ACTIVE_STATUSES = ['enrolled', 'waitlisted'];
+
+module.exports = mongoose.model('CohortMembership', cohortMembershipSchema);
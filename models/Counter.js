@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences for gap-free numbering (e.g. invoice numbers)
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+/**
+ * Atomically increment a sequence and return the new value
+ * @param {string} name - Sequence name
+ * @param {Object} session - Optional mongoose session (roll back with the caller's transaction)
+ * @returns {number} Next value
+ */
+counterSchema.statics.next = async function(name, session = null) {
+    const counter = await this.findByIdAndUpdate(
+        name,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: true
+    },
+    // Percentage (1-100) or fixed amount in `currency`
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    // Site-wide coupons apply to every course; course coupons only to `courses`
+    scope: {
+        type: String,
+        enum: ['site', 'course'],
+        default: 'course'
+    },
+    courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    // Total redemptions allowed (null = unlimited)
+    maxRedemptions: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdByRole: {
+        type: String,
+        enum: ['instructor', 'admin'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.index({ createdBy: 1 });
+couponSchema.index({ courses: 1 });
+
+// Check date window, active flag and global usage limit
+couponSchema.methods.isRedeemable = function(at = new Date()) {
+    if (!this.isActive) return false;
+    if (this.startsAt && this.startsAt > at) return false;
+    if (this.expiresAt && this.expiresAt <= at) return false;
+    if (this.maxRedemptions !== null && this.maxRedemptions !== undefined && this.redemptionCount >= this.maxRedemptions) {
+        return false;
+    }
+    return true;
+};
+
+// Check whether the coupon covers a given course
+couponSchema.methods.appliesToCourse = function(courseId) {
+    if (this.scope === 'site') return true;
+    return this.courses.some(id => id.toString() === courseId.toString());
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const PermissionService = require('../services/PermissionService');
 
 // Quiz question schema for quiz lectures
 const quizQuestionSchema = new mongoose.Schema({
@@ -29,6 +30,24 @@ const quizQuestionSchema = new mongoose.Schema({
     }
 });
 
+// Drip release rule for a section or lecture; both must be met when a
+// lecture and its section each have one
+const releaseRuleSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['immediate', 'days_after_enrollment', 'fixed_date', 'after_lecture'],
+        default: 'immediate'
+    },
+    days: {
+        type: Number,
+        min: 0,
+        max: 3650
+    },
+    date: Date,
+    // Lecture that has to be completed first (type after_lecture)
+    afterLecture: mongoose.Schema.Types.ObjectId
+}, { _id: false });
+
 // Lecture schema supporting different types (Video, Quiz, Note)
 const lectureSchema = new mongoose.Schema({
     title: {
@@ -46,13 +65,14 @@ const lectureSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['video', 'quiz', 'note'],
+        enum: ['video', 'quiz', 'note', 'scorm'],
         required: true
     },
     isPreview: {
         type: Boolean,
         default: false
     },
+    release: releaseRuleSchema,
     duration: {
         type: Number, // Duration in seconds (for videos) or estimated reading time (for notes)
         default: 0
@@ -141,6 +161,19 @@ const lectureSchema = new mongoose.Schema({
         }]
     },
     
+    // SCORM lecture specific fields
+    scorm: {
+        package: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ScormPackage'
+        },
+        version: {
+            type: String,
+            enum: ['1.2', '2004']
+        },
+        launchPath: String
+    },
+    
     // Common resources for all lecture types
     resources: [{
         name: String,
@@ -168,9 +201,35 @@ const sectionSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    release: releaseRuleSchema,
     lectures: [lectureSchema] // Changed from 'lessons' to 'lectures'
 }, { timestamps: true });
 
+// Co-instructor or teaching assistant who accepted an invitation to the course
+const collaboratorSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['co_instructor', 'ta'],
+        required: true
+    },
+    // Percent of the instructor share of each sale; the owner keeps the rest
+    revenueShare: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const courseSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -192,6 +251,7 @@ const courseSchema = new mongoose.Schema({
             return this.status === 'published'; 
         }
     },
+    collaborators: [collaboratorSchema],
     category: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category',
@@ -223,6 +283,20 @@ const courseSchema = new mongoose.Schema({
         type: String,
         default: 'USD'
     },
+    // Explicit prices in other currencies (otherwise converted from `price`)
+    pricePoints: [{
+        currency: {
+            type: String,
+            required: true,
+            uppercase: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        _id: false
+    }],
     language: {
         type: String,
         default: 'English'
@@ -312,6 +386,27 @@ const courseSchema = new mongoose.Schema({
     requirements: [{
         type: String
     }],
+
+    // Instructor-led: learners join a cohort instead of enrolling at any time
+    cohortBased: {
+        type: Boolean,
+        default: false
+    },
+
+    // Courses that must be completed before enrolling (enforced, unlike requirements)
+    prerequisites: [{
+        _id: false,
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course',
+            required: true
+        },
+        // Lowest certificate grade that satisfies the prerequisite; any completion if unset
+        minimumGrade: {
+            type: String,
+            enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'Pass']
+        }
+    }],
     
     // Tags for search and categorization
     tags: [{
@@ -367,6 +462,16 @@ const courseSchema = new mongoose.Schema({
         default: true
     },
     
+    // Where the course was started from
+    clonedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CourseTemplate'
+    },
+    
     // SEO and metadata
     slug: {
         type: String,
@@ -384,6 +489,7 @@ const courseSchema = new mongoose.Schema({
 courseSchema.index({ title: 'text', description: 'text', tags: 'text' });
 courseSchema.index({ category: 1, level: 1 });
 courseSchema.index({ instructor: 1 });
+courseSchema.index({ 'collaborators.user': 1 });
 courseSchema.index({ isPublished: 1, isActive: 1 });
 courseSchema.index({ 'ratings.average': -1 });
 courseSchema.index({ createdAt: -1 });
@@ -430,12 +536,29 @@ courseSchema.pre('save', function(next) {
 });
 
 // Method to check if user can access the course
-courseSchema.methods.canAccess = function(user) {
+// Whether a user can open the course content. Paid courses need an active
+// enrollment or a subscription whose plan covers the course.
+courseSchema.methods.canAccess = async function(user) {
+    const canView = !!user && await new PermissionService().can(user, 'course.view', this);
+
     if (!this.isPublished || !this.isActive) {
-        // Only instructor and admin can access unpublished courses
-        return user && (user._id.equals(this.instructor) || user.role === 'admin');
+        // Only the instructor (or anyone allowed to view every course) can access unpublished courses
+        return canView;
+    }
+    if (canView || !(this.price > 0)) {
+        return true;
     }
-    return true;
+    if (!user) return false;
+
+    const enrolled = await mongoose.model('Enrollment').exists({
+        user: user._id,
+        course: this._id,
+        isActive: true
+    });
+    if (enrolled) return true;
+
+    const subscription = await mongoose.model('Subscription').findCovering(user._id, this);
+    return !!subscription;
 };
 
 // Method to get course progress for a user
@@ -466,4 +589,22 @@ courseSchema.statics.findWithFilters = function(filters = {}) {
     return this.find(query);
 };
 
+// Filter for the courses a user teaches: owned ones, plus those they collaborate
+// on (only with the given collaborator roles when passed)
+courseSchema.statics.taughtByFilter = function(userId, roles) {
+    const collaborator = roles ? { user: userId, role: { $in: roles } } : { user: userId };
+    return {
+        $or: [
+            { instructor: userId },
+            { collaborators: { $elemMatch: collaborator } }
+        ]
+    };
+};
+
+// Whether another course still plays an api.video video (cloned courses share
+// them), in which case it must not be deleted from api.video
+courseSchema.statics.isVideoShared = function(apiVideoId, courseId) {
+    return this.exists({ _id: { $ne: courseId }, 'sections.lectures.video.apiVideoId': apiVideoId });
+};
+
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
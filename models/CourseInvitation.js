@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Invitation to collaborate on a course, sent by email and accepted or declined
+// through its token
+const courseInvitationSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ['co_instructor', 'ta'],
+        required: true
+    },
+    // Percent of the instructor share the collaborator gets once accepted
+    revenueShare: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // SHA-256 hash of the emailed token (the raw token is never stored)
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'revoked'],
+        default: 'pending'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Who answered the invitation
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: Date
+}, {
+    timestamps: true
+});
+
+// One open invitation per address per course
+courseInvitationSchema.index({ course: 1, email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+courseInvitationSchema.index({ email: 1, status: 1 });
+
+courseInvitationSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Find a pending, unexpired invitation by its raw token
+ * @param {string} token - Raw token from the email
+ * @returns {Object|null} Invitation
+ */
+courseInvitationSchema.statics.findByToken = function(token) {
+    return this.findOne({
+        tokenHash: this.hashToken(token),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+module.exports = mongoose.model('CourseInvitation', courseInvitationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a course's content after one save. Revisions are numbered per
+// course; diffs are worked out between snapshots when asked for.
+const courseRevisionSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    number: {
+        type: Number,
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // The kind of edit that produced it
+    source: {
+        type: String,
+        enum: ['create', 'draft', 'basic_info', 'section', 'lecture', 'release_schedule', 'restore'],
+        required: true
+    },
+    // Paths changed since the previous revision, e.g. title or sections
+    changedFields: [String],
+    restoredFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CourseRevision'
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+courseRevisionSchema.index({ course: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('CourseRevision', courseRevisionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Admin-curated starting point for new courses: an outline of sections and
+// lectures with learning objectives, requirements and certificate settings
+const courseTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 120
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: 2000
+    },
+    // Category the template is meant for (instructors can still pick another)
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    // Course fields copied into new drafts (see CourseCloneService)
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    sourceCourse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+courseTemplateSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('CourseTemplate', courseTemplateSchema);
@@ -37,6 +37,36 @@ const enrollmentSchema = new mongoose.Schema({
             default: 0 // in seconds
         }
     },
+    // How access was granted
+    source: {
+        type: String,
+        enum: ['free', 'purchase', 'admin', 'subscription', 'redemption', 'organization'],
+        default: 'free'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    // Set for subscription enrollments, which lapse when the subscription ends
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription'
+    },
+    // Organization that paid for access: through a course seat, or a plan seat's subscription
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    // Set for course seats, which lapse when the seat is reclaimed
+    seatAssignment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SeatAssignment'
+    },
+    // Cohort the learner has a seat in, for cohort-based courses
+    cohort: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cohort'
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -45,6 +75,8 @@ const enrollmentSchema = new mongoose.Schema({
 
 // Compound index to ensure one enrollment per user per course
 enrollmentSchema.index({ user: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ subscription: 1, isActive: 1 });
+enrollmentSchema.index({ organization: 1, course: 1 });
 
 // Calculate progress percentage based on duration
 enrollmentSchema.methods.calculateProgress = async function() {
@@ -94,4 +126,233 @@ enrollmentSchema.methods.calculateProgress = async function() {
     return this.progress.overallProgress;
 };
 
+/**
+ * Enroll a user in a course (or reactivate a previous enrollment) and keep
+ * Course.enrolledStudents and learner.enrolledCourses in sync
+ * @param {string} userId - User ID
+ * @param {string} courseId - Course ID
+ * @param {Object} options - { source, order, subscription, organization, seatAssignment, session }
+ * @returns {Object} { enrollment, created, reactivated }
+ */
+enrollmentSchema.statics.enrollUser = async function(userId, courseId, options = {}) {
+    const Course = mongoose.model('Course');
+    const User = mongoose.model('User');
+    const { source = 'free', order, subscription, organization, seatAssignment, session = null } = options;
+
+    let enrollment = await this.findOne({ user: userId, course: courseId }).session(session);
+
+    if (enrollment && enrollment.isActive) {
+        // Attach the order if a free/admin enrollment is later paid for
+        if (order && !enrollment.order) {
+            enrollment.order = order;
+            enrollment.source = source;
+            enrollment.subscription = undefined;
+            enrollment.organization = undefined;
+            enrollment.seatAssignment = undefined;
+            await enrollment.save({ session });
+        }
+        return { enrollment, created: false, reactivated: false };
+    }
+
+    const reactivated = !!enrollment;
+
+    if (enrollment) {
+        enrollment.isActive = true;
+        enrollment.enrolledAt = new Date();
+        enrollment.source = source;
+        if (order) enrollment.order = order;
+        enrollment.subscription = subscription;
+        enrollment.organization = organization;
+        enrollment.seatAssignment = seatAssignment;
+    } else {
+        enrollment = new this({
+            user: userId,
+            course: courseId,
+            source,
+            order,
+            subscription,
+            organization,
+            seatAssignment
+        });
+    }
+
+    await enrollment.save({ session });
+
+    // Update course enrolled students count
+    await Course.findByIdAndUpdate(courseId, {
+        $inc: { enrolledStudents: 1 }
+    }, { session });
+
+    // Update user enrolled courses
+    await User.findByIdAndUpdate(userId, {
+        $addToSet: { 'learner.enrolledCourses': courseId }
+    }, { session });
+
+    return { enrollment, created: !reactivated, reactivated };
+};
+
+/**
+ * Revoke a user's access to a course (e.g. after a refund): deactivate the
+ * enrollment and clear how it was paid for, keep counts in sync and revoke
+ * any certificate for the course
+ * @param {string} userId - User ID
+ * @param {string} courseId - Course ID
+ * @param {Object} options - { reason, revokedBy, session }
+ * @returns {Object} { enrollment, revoked, certificatesRevoked, cohort } - cohort: a seat freed in it
+ */
+enrollmentSchema.statics.revokeUser = async function(userId, courseId, options = {}) {
+    const Course = mongoose.model('Course');
+    const User = mongoose.model('User');
+    const Certificate = mongoose.model('Certificate');
+    const { reason = 'refund', revokedBy = null, session = null } = options;
+
+    const enrollment = await this.findOne({ user: userId, course: courseId }).session(session);
+    const revoked = !!(enrollment && enrollment.isActive);
+    let cohort = null;
+
+    if (enrollment) {
+        cohort = await this.releaseCohortSeat(enrollment, { endedBy: revokedBy, session });
+        // Drop the purchase too, even if the learner had already left the
+        // course, so enrolling again goes back through checkout
+        enrollment.isActive = false;
+        enrollment.source = undefined;
+        enrollment.order = undefined;
+        await enrollment.save({ session });
+    }
+
+    if (revoked) {
+        await Course.findByIdAndUpdate(courseId, {
+            $inc: { enrolledStudents: -1 }
+        }, { session });
+    }
+
+    const certificates = await Certificate.find({
+        user: userId,
+        course: courseId,
+        isRevoked: { $ne: true }
+    }).session(session);
+
+    for (const certificate of certificates) {
+        certificate.revoke(reason, revokedBy);
+        await certificate.save({ session });
+    }
+
+    await User.findByIdAndUpdate(userId, {
+        $pull: {
+            'learner.enrolledCourses': courseId,
+            'learner.completedCourses': courseId,
+            'learner.certificates': { $in: certificates.map(c => c._id) }
+        }
+    }, { session });
+
+    return { enrollment, revoked, certificatesRevoked: certificates.length, cohort };
+};
+
+/**
+ * Deactivate the enrollments a subscription granted once it has ended.
+ * Progress and certificates are kept, so resubscribing picks up where the
+ * learner left off.
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} options - { session }
+ * @returns {Object} { lapsed, cohorts } - cohorts: where seats were freed
+ */
+enrollmentSchema.statics.lapseSubscription = async function(subscriptionId, options = {}) {
+    const Course = mongoose.model('Course');
+    const User = mongoose.model('User');
+    const { session = null } = options;
+
+    const enrollments = await this.find({
+        subscription: subscriptionId,
+        source: 'subscription',
+        isActive: true
+    }).session(session);
+
+    const cohorts = [];
+    for (const enrollment of enrollments) {
+        const cohort = await this.releaseCohortSeat(enrollment, { session });
+        if (cohort) cohorts.push(cohort);
+        enrollment.isActive = false;
+        await enrollment.save({ session });
+
+        await Course.findByIdAndUpdate(enrollment.course, {
+            $inc: { enrolledStudents: -1 }
+        }, { session });
+
+        await User.findByIdAndUpdate(enrollment.user, {
+            $pull: { 'learner.enrolledCourses': enrollment.course }
+        }, { session });
+    }
+
+    return { lapsed: enrollments.length, cohorts };
+};
+
+/**
+ * Deactivate the enrollment an organization course seat granted once the
+ * seat is reclaimed. Progress and certificates are kept.
+ * @param {string} seatAssignmentId - SeatAssignment ID
+ * @param {Object} options - { session }
+ * @returns {Object} { lapsed, cohorts } - cohorts: where seats were freed
+ */
+enrollmentSchema.statics.lapseSeat = async function(seatAssignmentId, options = {}) {
+    const Course = mongoose.model('Course');
+    const User = mongoose.model('User');
+    const { session = null } = options;
+
+    const enrollments = await this.find({
+        seatAssignment: seatAssignmentId,
+        source: 'organization',
+        isActive: true
+    }).session(session);
+
+    const cohorts = [];
+    for (const enrollment of enrollments) {
+        const cohort = await this.releaseCohortSeat(enrollment, { session });
+        if (cohort) cohorts.push(cohort);
+        enrollment.isActive = false;
+        await enrollment.save({ session });
+
+        await Course.findByIdAndUpdate(enrollment.course, {
+            $inc: { enrolledStudents: -1 }
+        }, { session });
+
+        await User.findByIdAndUpdate(enrollment.user, {
+            $pull: { 'learner.enrolledCourses': enrollment.course }
+        }, { session });
+    }
+
+    return { lapsed: enrollments.length, cohorts };
+};
+
+/**
+ * Give up the cohort seat an enrollment holds as the enrollment ends. The
+ * enrollment is changed but not saved; once the caller has saved it (and
+ * committed), the cohort's waitlist should be promoted into the free seat.
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} options - { status: 'left'|'removed', endedBy, session }
+ * @returns {string|null} ID of the cohort a seat was freed in
+ */
+enrollmentSchema.statics.releaseCohortSeat = async function(enrollment, options = {}) {
+    const Cohort = mongoose.model('Cohort');
+    const CohortMembership = mongoose.model('CohortMembership');
+    const { status = 'removed', endedBy = null, session = null } = options;
+
+    if (!enrollment.cohort) return null;
+    const cohortId = enrollment.cohort;
+    enrollment.cohort = undefined;
+
+    const membership = await CohortMembership.findOneAndUpdate(
+        { cohort: cohortId, user: enrollment.user, status: 'enrolled' },
+        { $set: { status, endedAt: new Date(), endedBy } },
+        { new: true, session }
+    );
+    if (!membership) return null;
+
+    await Cohort.updateOne(
+        { _id: cohortId, enrolledCount: { $gt: 0 } },
+        { $inc: { enrolledCount: -1 } },
+        { session }
+    );
+    return cohortId;
+};
+
 module.exports = mongoose.model('Enrollment', enrollmentSchema);
\ No newline at end of file
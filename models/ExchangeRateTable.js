@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Exchange rates managed by admins (single document). When empty, the
+// table from EXCHANGE_RATES_FILE / config/exchange-rates.json is used.
+const exchangeRateTableSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    baseCurrency: {
+        type: String,
+        default: 'USD',
+        uppercase: true
+    },
+    // Units of each currency per 1 unit of baseCurrency
+    rates: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    rounding: {
+        // nearest: round to the currency's minor unit; charm: end converted prices in .99
+        mode: {
+            type: String,
+            enum: ['nearest', 'charm'],
+            default: 'nearest'
+        }
+    },
+    source: {
+        type: String,
+        enum: ['admin', 'file'],
+        default: 'admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Get the table document, creating it empty on first use
+exchangeRateTableSchema.statics.getTable = async function() {
+    return this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('ExchangeRateTable', exchangeRateTableSchema);
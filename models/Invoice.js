@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    company: String,
+    email: String,
+    address: String,
+    city: String,
+    postalCode: String,
+    country: String,
+    taxId: String
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    // List price per unit
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    // Promotion + coupon discount on the line
+    discount: {
+        type: Number,
+        default: 0
+    },
+    // Amount charged (tax included)
+    total: {
+        type: Number,
+        required: true
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    // Sequential per year, e.g. INV-2026-000042
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Snapshots, so later profile changes do not alter issued invoices
+    seller: partySchema,
+    buyer: partySchema,
+    lines: [invoiceLineSchema],
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    subtotal: {
+        type: Number,
+        required: true
+    },
+    discountTotal: {
+        type: Number,
+        default: 0
+    },
+    // Prices are tax-inclusive; tax lines show the tax contained in the total
+    taxLines: [{
+        name: String,
+        rate: Number,
+        amount: Number,
+        _id: false
+    }],
+    taxTotal: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    couponCode: String,
+    lastEmailedAt: Date
+}, {
+    timestamps: true
+});
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
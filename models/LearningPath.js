@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const pathCourseSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    // Optional courses don't count towards path completion or block later courses
+    isOptional: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// Ordered set of courses that can be followed as a learning path and,
+// when it has a price, bought together as a bundle
+const learningPathSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 150
+    },
+    description: {
+        type: String,
+        maxlength: 5000
+    },
+    thumbnail: {
+        url: String
+    },
+    // In the order they should be taken
+    courses: {
+        type: [pathCourseSchema],
+        validate: {
+            validator: courses => courses.length >= 2,
+            message: 'A learning path needs at least two courses'
+        }
+    },
+    // Bundle price for all courses together; 0 means courses are bought one by one
+    price: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD',
+        uppercase: true
+    },
+    // Require each course to be completed before the next one can be started
+    enforceSequence: {
+        type: Boolean,
+        default: false
+    },
+    certificate: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        organizationName: String,
+        signedBy: {
+            name: String,
+            title: String
+        }
+    },
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdByRole: {
+        type: String,
+        enum: ['instructor', 'admin'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+learningPathSchema.index({ isPublished: 1, isActive: 1, createdAt: -1 });
+learningPathSchema.index({ 'courses.course': 1 });
+learningPathSchema.index({ createdBy: 1 });
+
+/**
+ * Per-course and overall progress of a user, computed from each course's
+ * Progress record (falling back to the enrollment's progress)
+ * @param {string} userId - User ID
+ * @returns {Object} { courses, completedCount, requiredCount, percentage, completed, completedAt }
+ */
+learningPathSchema.methods.getProgressForUser = async function(userId) {
+    const Progress = mongoose.model('Progress');
+    const Enrollment = mongoose.model('Enrollment');
+    // Courses deleted since the path was built drop out
+    const pathCourses = this.courses.filter(item => item.course);
+    const courseIds = pathCourses.map(item => item.course._id || item.course);
+
+    const [progressRecords, enrollments] = await Promise.all([
+        Progress.find({ user: userId, course: { $in: courseIds } }).select('course completionPercentage completedAt'),
+        Enrollment.find({ user: userId, course: { $in: courseIds } }).select('course isActive completedAt progress.overallProgress')
+    ]);
+
+    let blocked = false;
+    const courses = pathCourses.map(item => {
+        const courseId = (item.course._id || item.course).toString();
+        const progress = progressRecords.find(p => p.course.toString() === courseId);
+        const enrollment = enrollments.find(e => e.course.toString() === courseId);
+
+        const completionPercentage = progress
+            ? progress.completionPercentage
+            : (enrollment?.progress?.overallProgress || 0);
+        const completedAt = progress?.completedAt || enrollment?.completedAt || null;
+        const completed = !!completedAt || completionPercentage >= 100;
+
+        const entry = {
+            course: item.course,
+            isOptional: item.isOptional,
+            isEnrolled: !!enrollment?.isActive,
+            completionPercentage,
+            completed,
+            completedAt,
+            locked: this.enforceSequence && blocked
+        };
+
+        if (!item.isOptional && !completed) blocked = true;
+        return entry;
+    });
+
+    const required = courses.filter(course => !course.isOptional);
+    const completedCount = required.filter(course => course.completed).length;
+    const completed = required.length > 0 && completedCount === required.length;
+    const completionDates = required.map(course => course.completedAt).filter(Boolean);
+
+    return {
+        courses,
+        completedCount,
+        requiredCount: required.length,
+        percentage: required.length > 0
+            ? Math.round(required.reduce((sum, course) => sum + Math.min(course.completionPercentage, 100), 0) / required.length)
+            : 0,
+        completed,
+        completedAt: completed && completionDates.length > 0
+            ? new Date(Math.max(...completionDates.map(date => new Date(date).getTime())))
+            : null
+    };
+};
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
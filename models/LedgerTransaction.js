@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/*
+ * Double-entry ledger. Every transaction holds balanced entries
+ * (total debits === total credits) across these accounts:
+ *   platform_cash       - money held by the platform (asset)
+ *   platform_revenue    - platform's share of sales (revenue)
+ *   instructor_payable  - what the platform owes each instructor (liability)
+ */
+const ACCOUNTS = ['platform_cash', 'platform_revenue', 'instructor_payable'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+    account: {
+        type: String,
+        enum: ACCOUNTS,
+        required: true
+    },
+    // Set on instructor_payable entries
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    orderItem: mongoose.Schema.Types.ObjectId,
+    debit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Instructor share percentage applied (sale/refund entries)
+    sharePercent: Number,
+    // Instructor funds stay pending until this date (refund hold period)
+    availableAt: Date
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['sale', 'refund', 'payout', 'adjustment'],
+        required: true
+    },
+    // Guards against recording the same business event twice (e.g. "sale:<orderId>")
+    idempotencyKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    refund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund'
+    },
+    payout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout'
+    },
+    description: String,
+    entries: {
+        type: [ledgerEntrySchema],
+        validate: {
+            validator: entries => entries.length >= 2,
+            message: 'A ledger transaction needs at least two entries'
+        }
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+ledgerTransactionSchema.index({ 'entries.instructor': 1, occurredAt: -1 });
+ledgerTransactionSchema.index({ order: 1 });
+
+// Reject unbalanced transactions
+ledgerTransactionSchema.pre('validate', function(next) {
+    const debits = this.entries.reduce((sum, entry) => sum + entry.debit, 0);
+    const credits = this.entries.reduce((sum, entry) => sum + entry.credit, 0);
+
+    if (Math.round(debits * 100) !== Math.round(credits * 100)) {
+        return next(new Error(`Unbalanced ledger transaction: debits ${debits} != credits ${credits}`));
+    }
+    next();
+});
+
+ledgerTransactionSchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
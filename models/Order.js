@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const orderItemSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Course list price at the time of purchase
+    originalPrice: {
+        type: Number,
+        min: 0
+    },
+    // Price after any running promotion
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+    },
+    // Set when sold as part of a bundle; price is then this course's share of the bundle price
+    learningPath: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningPath'
+    },
+    couponDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Amount actually charged for this item
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    refund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund'
+    },
+    refundedAt: Date
+}, { _id: true });
+
+const orderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: [orderItemSchema],
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    discountTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        discount: Number,
+        // Holds one of the coupon's redemptions (taken at checkout, given back on cancel/failure)
+        reserved: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // self: the buyer is enrolled; gift/team: the buyer receives redemption codes instead
+    kind: {
+        type: String,
+        enum: ['self', 'gift', 'team'],
+        default: 'self'
+    },
+    gift: {
+        recipientEmail: String,
+        recipientName: String,
+        message: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'failed', 'canceled', 'partially_refunded', 'refunded'],
+        default: 'pending'
+    },
+    payment: {
+        provider: String,
+        providerPaymentId: String,
+        // Data the client needs to complete payment (redirect URL, client secret, ...)
+        clientData: mongoose.Schema.Types.Mixed,
+        paidAt: Date,
+        failureReason: String,
+        // A payment captured after the order was canceled is refunded, not fulfilled
+        autoRefundedAt: Date,
+        autoRefundId: String
+    },
+    // Audit trail of status changes
+    history: [{
+        status: String,
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.providerPaymentId': 1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ 'coupon.couponId': 1, user: 1 });
+
+// Generate order number
+orderSchema.pre('save', function(next) {
+    if (!this.orderNumber) {
+        const timestamp = Date.now();
+        const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+        this.orderNumber = `ORD-${timestamp}-${random}`;
+    }
+    next();
+});
+
+// Change status and record it in the history
+orderSchema.methods.setStatus = function(status, note = '') {
+    this.status = status;
+    this.history.push({ status, note, at: new Date() });
+};
+
+module.exports = mongoose.model('Order', orderSchema);
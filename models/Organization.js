@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A company or school that buys seats for its people
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 150
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z0-9-]+$/
+    },
+    // Email domains whose users join automatically on registration
+    domains: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+    autoJoin: {
+        type: Boolean,
+        default: true
+    },
+    contactEmail: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// A domain belongs to one organization at most
+organizationSchema.index({ domains: 1 }, { unique: true, partialFilterExpression: { 'domains.0': { $exists: true } } });
+
+/**
+ * Active organization that auto-joins users with this email address
+ * @param {string} email - Email address
+ * @returns {Object|null} Organization
+ */
+organizationSchema.statics.findByEmailDomain = function(email) {
+    const domain = String(email || '').split('@')[1]?.toLowerCase();
+    if (!domain) return Promise.resolve(null);
+    return this.findOne({ domains: domain, autoJoin: true, isActive: true });
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
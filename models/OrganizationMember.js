@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const organizationMemberSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // admin: manages members and seats of this organization only
+    role: {
+        type: String,
+        enum: ['member', 'admin'],
+        default: 'member'
+    },
+    // pending: joined by email domain, waiting for the address to be verified
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'removed'],
+        default: 'active'
+    },
+    joinedVia: {
+        type: String,
+        enum: ['domain', 'admin'],
+        default: 'admin'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    },
+    removedAt: Date
+}, {
+    timestamps: true
+});
+
+organizationMemberSchema.index({ organization: 1, user: 1 }, { unique: true });
+organizationMemberSchema.index({ user: 1, status: 1 });
+organizationMemberSchema.index({ organization: 1, status: 1, role: 1 });
+
+module.exports = mongoose.model('OrganizationMember', organizationMemberSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A learner following a learning path. Course access still comes from the
+// per-course enrollments; this records that the path was started or bought.
+const pathEnrollmentSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    learningPath: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningPath',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['free', 'purchase'],
+        default: 'free'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    enrolledAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: Date,
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+pathEnrollmentSchema.index({ user: 1, learningPath: 1 }, { unique: true });
+pathEnrollmentSchema.index({ learningPath: 1, isActive: 1 });
+
+module.exports = mongoose.model('PathEnrollment', pathEnrollmentSchema);
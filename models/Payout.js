@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'paid', 'rejected', 'canceled'],
+        default: 'requested'
+    },
+    // Where the instructor wants to be paid (free-form, e.g. "PayPal: me@example.com")
+    method: {
+        type: String,
+        maxlength: 200
+    },
+    note: {
+        type: String,
+        maxlength: 1000
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedAt: Date,
+    // Bank/transfer reference entered by the admin
+    reference: String,
+    adminNote: String,
+    ledgerTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerTransaction'
+    }
+}, {
+    timestamps: true
+});
+
+payoutSchema.index({ instructor: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Recurring subscription plan granting access to the whole catalog or to
+// selected categories
+const planSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 1000
+    },
+    interval: {
+        type: String,
+        enum: ['month', 'year'],
+        required: true
+    },
+    // Charged every interval; existing subscribers keep the price they signed up at
+    price: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    currency: {
+        type: String,
+        default: 'USD',
+        uppercase: true
+    },
+    trialDays: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 365
+    },
+    access: {
+        allCourses: {
+            type: Boolean,
+            default: false
+        },
+        // Used when allCourses is false
+        categories: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category'
+        }]
+    },
+    features: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+planSchema.index({ isActive: 1, price: 1 });
+
+// Whether the plan grants access to a course
+planSchema.methods.coversCourse = function(course) {
+    if (this.access.allCourses) return true;
+    if (!course.category) return false;
+
+    const categoryId = (course.category._id || course.category).toString();
+    return this.access.categories.some(category => (category._id || category).toString() === categoryId);
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Lets a learner enroll in a course without meeting its prerequisites
+const prerequisiteOverrideSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+prerequisiteOverrideSchema.index({ course: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PrerequisiteOverride', prerequisiteOverrideSchema);
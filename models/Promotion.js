@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Scheduled sale that lowers the effective price of courses for a time window
+const promotionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: true
+    },
+    // Percentage (1-100) or fixed amount off each course
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Site-wide sales (admin only) cover every course; course sales only `courses`
+    scope: {
+        type: String,
+        enum: ['site', 'course'],
+        default: 'course'
+    },
+    courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdByRole: {
+        type: String,
+        enum: ['instructor', 'admin'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+promotionSchema.index({ courses: 1 });
+
+// Promotions running at a given time
+promotionSchema.statics.findRunning = function(at = new Date()) {
+    return this.find({
+        isActive: true,
+        startsAt: { $lte: at },
+        endsAt: { $gt: at }
+    });
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
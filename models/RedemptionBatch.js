@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A set of single-use redemption codes for one course: a gift, a team
+// purchase, or codes handed out by an admin/instructor
+const redemptionBatchSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    kind: {
+        type: String,
+        enum: ['gift', 'team', 'promotional'],
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Set for gift and team batches
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    gift: {
+        recipientEmail: String,
+        recipientName: String,
+        senderName: String,
+        message: String,
+        emailedAt: Date
+    },
+    expiresAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+redemptionBatchSchema.index({ course: 1, createdAt: -1 });
+redemptionBatchSchema.index({ createdBy: 1, createdAt: -1 });
+redemptionBatchSchema.index({ order: 1 });
+
+module.exports = mongoose.model('RedemptionBatch', redemptionBatchSchema);
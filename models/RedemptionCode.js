@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Single-use code that enrolls whoever redeems it in a course
+const redemptionCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RedemptionBatch',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    // The paid order item this code stands for (gift and team codes)
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderItem: mongoose.Schema.Types.ObjectId,
+    status: {
+        type: String,
+        enum: ['active', 'redeemed', 'revoked'],
+        default: 'active'
+    },
+    expiresAt: Date,
+    redeemedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    redeemedAt: Date,
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment'
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+redemptionCodeSchema.index({ batch: 1, status: 1 });
+redemptionCodeSchema.index({ order: 1, orderItem: 1 });
+redemptionCodeSchema.index({ redeemedBy: 1 });
+
+redemptionCodeSchema.methods.isRedeemable = function(at = new Date()) {
+    return this.status === 'active' && (!this.expiresAt || this.expiresAt > at);
+};
+
+module.exports = mongoose.model('RedemptionCode', redemptionCodeSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const refundItemSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    // Order item the refund covers
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Learner progress when the refund was requested
+    completionPercentage: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: [refundItemSchema],
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    reason: {
+        type: String,
+        required: true,
+        maxlength: 1000
+    },
+    // processing: claimed by an approval that is refunding the payment right now
+    status: {
+        type: String,
+        enum: ['requested', 'processing', 'approved', 'denied', 'failed', 'withdrawn'],
+        default: 'requested'
+    },
+    review: {
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        note: String
+    },
+    provider: String,
+    providerRefundId: String,
+    // Audit trail of every step taken on the refund
+    history: [{
+        action: {
+            type: String,
+            enum: ['requested', 'approved', 'denied', 'withdrawn', 'provider_refunded',
+                'provider_failed', 'enrollment_revoked', 'certificate_revoked', 'code_revoked', 'ineligible']
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ order: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+// Append an audit entry
+refundSchema.methods.record = function(action, actor = null, note = '') {
+    this.history.push({ action, actor, note, at: new Date() });
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
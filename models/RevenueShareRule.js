@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Instructor share of sales. The most specific active rule wins:
+// course > instructor > default (falls back to INSTRUCTOR_REVENUE_SHARE).
+const revenueShareRuleSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['default', 'instructor', 'course'],
+        required: true
+    },
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    },
+    // Percentage of the amount paid that goes to the instructor
+    instructorPercent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    note: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+revenueShareRuleSchema.index({ scope: 1, instructor: 1, course: 1, isActive: 1 });
+
+module.exports = mongoose.model('RevenueShareRule', revenueShareRuleSchema);
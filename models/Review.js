@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    title: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    comment: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+
+    // Instructor response to the review
+    instructorReply: {
+        comment: String,
+        repliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        repliedAt: Date
+    },
+
+    // Admin moderation - hidden reviews are excluded from listings and aggregates
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
+    moderation: {
+        reason: String,
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        moderatedAt: Date
+    },
+    editedAt: Date
+}, {
+    timestamps: true
+});
+
+// One review per learner per course
+reviewSchema.index({ user: 1, course: 1 }, { unique: true });
+reviewSchema.index({ course: 1, isHidden: 1, createdAt: -1 });
+
+/**
+ * Get rating summary (average, count and star histogram) for a course
+ * @param {string} courseId - Course ID
+ * @param {Object} session - Optional mongoose session
+ * @returns {Object} Summary with average, count and histogram keyed 1-5
+ */
+reviewSchema.statics.getCourseSummary = async function(courseId, session = null) {
+    const buckets = await this.aggregate([
+        { $match: { course: new mongoose.Types.ObjectId(courseId), isHidden: false } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]).session(session);
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+
+    buckets.forEach(bucket => {
+        histogram[bucket._id] = bucket.count;
+        count += bucket.count;
+        total += bucket._id * bucket.count;
+    });
+
+    return {
+        average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+        count,
+        histogram
+    };
+};
+
+/**
+ * Recalculate Course.ratings and roll the result up into the instructor's rating.
+ * Pass a session to run inside the caller's transaction.
+ * @param {string} courseId - Course ID
+ * @param {Object} session - Optional mongoose session
+ * @returns {Object} Updated course summary
+ */
+reviewSchema.statics.recalculateRatings = async function(courseId, session = null) {
+    const Course = mongoose.model('Course');
+    const User = mongoose.model('User');
+
+    const summary = await this.getCourseSummary(courseId, session);
+
+    const course = await Course.findByIdAndUpdate(
+        courseId,
+        {
+            'ratings.average': summary.average,
+            'ratings.count': summary.count
+        },
+        { new: true, session }
+    );
+
+    if (course && course.instructor) {
+        const instructorRating = await this.getInstructorRating(course.instructor, session);
+        await User.findByIdAndUpdate(
+            course.instructor,
+            { 'instructor.rating': instructorRating },
+            { session }
+        );
+    }
+
+    return summary;
+};
+
+/**
+ * Average of all visible reviews across an instructor's courses
+ * @param {string} instructorId - Instructor user ID
+ * @param {Object} session - Optional mongoose session
+ * @returns {number} Rating rounded to one decimal
+ */
+reviewSchema.statics.getInstructorRating = async function(instructorId, session = null) {
+    const Course = mongoose.model('Course');
+
+    const courses = await Course.find({ instructor: instructorId })
+        .select('_id')
+        .session(session);
+
+    if (courses.length === 0) return 0;
+
+    const result = await this.aggregate([
+        { $match: { course: { $in: courses.map(c => c._id) }, isHidden: false } },
+        { $group: { _id: null, average: { $avg: '$rating' } } }
+    ]).session(session);
+
+    return result[0] ? Math.round(result[0].average * 10) / 10 : 0;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
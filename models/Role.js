@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can hold. Permissions ending in _any extend the
+// matching one from the user's own resources (courses they teach, coupons
+// they created, ...) to every resource.
+const PERMISSIONS = {
+    // Learning
+    'learning.dashboard': 'View own enrolled courses and learning stats',
+    'cart.manage': 'Use the shopping cart',
+    'wishlist.manage': 'Use the wishlist',
+    'order.checkout': 'Check out and buy courses or learning paths',
+    'refund.request': 'Request refunds for own orders',
+    'review.create': 'Review enrolled courses',
+
+    // Teaching
+    'course.create': 'Create courses',
+    'course.update': 'Edit own courses, their content, prices and schedules',
+    'course.update_any': 'Edit any course',
+    'course.publish': 'Publish and unpublish own courses',
+    'course.publish_any': 'Publish and unpublish any course',
+    'course.delete': 'Delete own courses',
+    'course.delete_any': 'Delete any course',
+    'course.view': 'View own courses unpublished, with their enrollments and stats',
+    'course.view_any': 'View any course unpublished, with its enrollments and stats',
+    'course.grade': 'Review quiz attempts and results of own courses',
+    'course.grade_any': 'Review quiz attempts and results of any course',
+    'video.manage': 'Upload and manage own videos',
+    'video.manage_any': 'Manage any video',
+    'cohort.manage': 'Run cohorts of own courses',
+    'cohort.manage_any': 'Run cohorts of any course',
+    'coupon.manage': 'Manage coupons for own courses',
+    'coupon.manage_any': 'Manage any coupon, including site-wide ones',
+    'promotion.manage': 'Manage promotions for own courses',
+    'promotion.manage_any': 'Manage any promotion, including site-wide ones',
+    'redemption_code.manage': 'Manage redemption codes for own courses',
+    'redemption_code.manage_any': 'Manage any redemption code',
+    'learning_path.manage': 'Manage own learning paths',
+    'learning_path.manage_any': 'Manage any learning path',
+    'review.reply': 'Reply to reviews of own courses',
+    'review.reply_any': 'Reply to reviews of any course',
+    'certificate.issue': 'Issue certificates for own courses',
+    'certificate.issue_any': 'Issue certificates for any course',
+    'certificate.view': 'View certificates and stats of own courses',
+    'certificate.view_any': 'View every certificate and certificate stats',
+    'earnings.view': 'View own earnings and statements',
+    'earnings.view_any': 'View any instructor\'s earnings',
+    'payout.request': 'Request and cancel own payouts',
+
+    // Administration
+    'user.view': 'List users and instructor stats',
+    'user.verify': 'Approve or reject instructor applications',
+    'user.manage': 'Activate and deactivate users, manage their sessions and 2FA',
+    'role.manage': 'Manage roles and assign them to users',
+    'security.manage': 'Change security policies such as required 2FA',
+    'category.manage': 'Manage course categories',
+    'course_template.manage': 'Curate the templates new courses can start from',
+    'review.moderate': 'Hide and restore reviews',
+    'prerequisite.override': 'Let learners skip course prerequisites',
+    'order.view_any': 'View every order and its invoice',
+    'order.manage': 'Cancel any pending order',
+    'refund.manage': 'Approve and reject refunds',
+    'payout.manage': 'Process instructor payouts',
+    'revenue_share.manage': 'Manage revenue share rules',
+    'plan.manage': 'Manage subscription plans',
+    'subscription.manage': 'View and cancel any subscription, run renewals',
+    'currency.manage': 'Manage currencies and exchange rates',
+    'organization.manage': 'Manage organizations and their seat pools',
+    'xapi.manage': 'Read and write xAPI statements in the built-in store, retry forwarding to the LRS'
+};
+
+// Built-in roles, matching User.role. Used until an admin saves a role of the same name.
+const SYSTEM_ROLES = {
+    learner: {
+        description: 'Takes courses',
+        permissions: [
+            'learning.dashboard', 'cart.manage', 'wishlist.manage', 'order.checkout',
+            'refund.request', 'review.create'
+        ]
+    },
+    instructor: {
+        description: 'Creates and teaches courses',
+        permissions: [
+            'course.create', 'course.view', 'course.update', 'course.publish', 'course.delete', 'course.grade', 'video.manage',
+            'cohort.manage', 'coupon.manage', 'promotion.manage', 'redemption_code.manage',
+            'learning_path.manage', 'review.reply', 'certificate.issue', 'certificate.view',
+            'earnings.view', 'payout.request'
+        ]
+    },
+    admin: {
+        description: 'Full access',
+        permissions: ['*']
+    }
+};
+
+// What collaborators get on the course they were invited to, on top of their
+// own role. The owner is Course.instructor and holds everything.
+const COLLABORATOR_ROLES = {
+    co_instructor: {
+        description: 'Teaches the course with the owner',
+        permissions: [
+            'course.view', 'course.update', 'course.publish', 'course.grade', 'cohort.manage',
+            'review.reply', 'certificate.issue', 'certificate.view'
+        ]
+    },
+    ta: {
+        description: 'Grades and answers learners',
+        permissions: ['course.view', 'course.grade', 'review.reply']
+    }
+};
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z][a-z0-9_-]*$/
+    },
+    description: {
+        type: String,
+        maxlength: 500
+    },
+    permissions: [{
+        type: String,
+        validate: {
+            validator: (permission) => permission === '*' || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission),
+            message: (props) => `Unknown permission: ${props.value}`
+        }
+    }],
+    // Built-in roles can be edited but not deleted
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.SYSTEM_ROLES = SYSTEM_ROLES;
+roleSchema.statics.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A learner's run-time data for one SCORM lecture. The raw cmi.* values are kept
+// as the SCO wrote them; status, score and time are also stored parsed.
+const scormAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    lecture: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    package: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScormPackage',
+        required: true
+    },
+    version: {
+        type: String,
+        enum: ['1.2', '2004'],
+        required: true
+    },
+    // Values as the SCO set them, e.g. { element: 'cmi.core.lesson_location', value: 'page-3' }
+    // (element names contain dots, so they cannot be object keys)
+    cmi: [{
+        _id: false,
+        element: {
+            type: String,
+            required: true
+        },
+        value: {
+            type: String,
+            default: ''
+        }
+    }],
+    // 1.2 cmi.core.lesson_status
+    lessonStatus: {
+        type: String,
+        enum: ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+        default: 'not attempted'
+    },
+    // 2004 cmi.completion_status / cmi.success_status
+    completionStatus: {
+        type: String,
+        enum: ['completed', 'incomplete', 'not attempted', 'unknown'],
+        default: 'unknown'
+    },
+    successStatus: {
+        type: String,
+        enum: ['passed', 'failed', 'unknown'],
+        default: 'unknown'
+    },
+    score: {
+        raw: Number,
+        min: Number,
+        max: Number,
+        scaled: Number
+    },
+    suspendData: {
+        type: String,
+        default: ''
+    },
+    // Sum of the session times reported so far, in seconds
+    totalTime: {
+        type: Number,
+        default: 0
+    },
+    sessionCount: {
+        type: Number,
+        default: 0
+    },
+    lastCommittedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+scormAttemptSchema.index({ user: 1, course: 1, lecture: 1 }, { unique: true });
+
+// Value of one element, or undefined when the SCO never set it
+scormAttemptSchema.methods.getValue = function(element) {
+    return this.cmi.find(entry => entry.element === element)?.value;
+};
+
+scormAttemptSchema.methods.setValue = function(element, value) {
+    const entry = this.cmi.find(item => item.element === element);
+    if (entry) entry.value = value;
+    else this.cmi.push({ element, value });
+};
+
+scormAttemptSchema.methods.unsetValues = function(...elements) {
+    const before = this.cmi.length;
+    this.cmi = this.cmi.filter(entry => !elements.includes(entry.element));
+    return this.cmi.length !== before;
+};
+
+module.exports = mongoose.model('ScormAttempt', scormAttemptSchema);
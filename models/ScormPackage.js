@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// An uploaded SCORM 1.2 / 2004 zip, extracted under storage/scorm/<id>. Lectures
+// of type scorm point at a package; cloned courses share it.
+const scormPackageSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    version: {
+        type: String,
+        enum: ['1.2', '2004'],
+        required: true
+    },
+    title: {
+        type: String,
+        default: ''
+    },
+    // Manifest identifier
+    identifier: String,
+    // File the player opens, relative to the package folder (may carry a query string)
+    launchPath: {
+        type: String,
+        required: true
+    },
+    // Launchable items of the default organization, in manifest order
+    scos: [{
+        _id: false,
+        identifier: String,
+        title: String,
+        href: String
+    }],
+    // adlcp:masteryscore (1.2) or imsss:minNormalizedMeasure (2004, as a percentage)
+    masteryScore: Number,
+    storagePath: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number, // Extracted size in bytes
+        default: 0
+    },
+    originalName: String
+}, {
+    timestamps: true
+});
+
+scormPackageSchema.index({ course: 1 });
+
+module.exports = mongoose.model('ScormPackage', scormPackageSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One member holding one seat of a pool
+const seatAssignmentSchema = new mongoose.Schema({
+    pool: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SeatPool',
+        required: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'reclaimed'],
+        default: 'active'
+    },
+    // What the seat granted
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enrollment'
+    },
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription'
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reclaimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reclaimedAt: Date
+}, {
+    timestamps: true
+});
+
+// One active seat per member per pool
+seatAssignmentSchema.index({ pool: 1, user: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+seatAssignmentSchema.index({ organization: 1, user: 1, status: 1 });
+
+module.exports = mongoose.model('SeatAssignment', seatAssignmentSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Seats an organization bought for one course or one subscription plan
+const seatPoolSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['course', 'plan'],
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: function() {
+            return this.kind === 'course';
+        }
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan',
+        required: function() {
+            return this.kind === 'plan';
+        }
+    },
+    seats: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Seats in use; only changed atomically together with assignments
+    assignedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Plan seats end here; course seats stop being assignable
+    expiresAt: {
+        type: Date,
+        required: function() {
+            return this.kind === 'plan';
+        }
+    },
+    // Contract, PO or invoice number
+    reference: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+seatPoolSchema.index({ organization: 1, isActive: 1 });
+
+seatPoolSchema.methods.isAssignable = function(now = new Date()) {
+    return this.isActive && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('SeatPool', seatPoolSchema);
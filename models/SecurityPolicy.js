@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Platform-wide security settings managed by admins (single document)
+const securityPolicySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    twoFactor: {
+        // Roles that must enroll in two-factor authentication
+        requiredRoles: [{
+            type: String,
+            enum: ['instructor', 'admin']
+        }]
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Get the policy document, creating it with defaults on first use
+securityPolicySchema.statics.getPolicy = async function() {
+    return this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 hash of the current refresh token secret (the raw token is never stored)
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hashes of refresh tokens already rotated out - presenting one again means the token leaked
+    previousTokenHashes: [String],
+    device: {
+        userAgent: String,
+        name: String
+    },
+    ipAddress: String,
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when the user's role requires 2FA but it is not enabled yet - access is limited to 2FA setup
+    twoFactorSetupRequired: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'user_revoked', 'admin_revoked', 'token_reuse', 'password_changed', 'account_deactivated']
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Check if session can still be used
+sessionSchema.methods.isValid = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Mark session as revoked
+sessionSchema.methods.revoke = function(reason, revokedBy = null) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    if (revokedBy) {
+        this.revokedBy = revokedBy;
+    }
+    return this.save();
+};
+
+// Public representation for session lists
+sessionSchema.methods.toPublic = function(currentSessionId = null) {
+    return {
+        _id: this._id,
+        device: this.device,
+        ipAddress: this.ipAddress,
+        lastSeenAt: this.lastSeenAt,
+        createdAt: this.createdAt,
+        expiresAt: this.expiresAt,
+        isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+    };
+};
+
+// Revoke every active session for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, options = {}) {
+    const filter = { user: userId, revokedAt: { $exists: false } };
+    if (options.exceptSessionId) {
+        filter._id = { $ne: options.exceptSessionId };
+    }
+
+    const update = { revokedAt: new Date(), revokedReason: reason };
+    if (options.revokedBy) {
+        update.revokedBy = options.revokedBy;
+    }
+
+    return this.updateMany(filter, update);
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
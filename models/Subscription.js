@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Statuses that grant access (past_due keeps access while renewal is retried)
+const ACCESS_STATUSES = ['trialing', 'active', 'past_due'];
+// A user has at most one subscription in these; pending holds the place
+// while the first period is being charged
+const LIVE_STATUSES = ['pending', ...ACCESS_STATUSES];
+
+const subscriptionPaymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: String,
+    provider: String,
+    providerPaymentId: String,
+    status: {
+        type: String,
+        enum: ['succeeded', 'failed'],
+        required: true
+    },
+    failureReason: String,
+    periodStart: Date,
+    periodEnd: Date,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const subscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan',
+        required: true
+    },
+    status: {
+        type: String,
+        // failed: the first payment was declined
+        enum: ['pending', 'trialing', 'active', 'past_due', 'canceled', 'failed'],
+        required: true
+    },
+    // Price locked in at signup
+    price: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    interval: {
+        type: String,
+        enum: ['month', 'year'],
+        required: true
+    },
+    provider: String,
+    // Set for subscriptions granted by an organization plan seat; they end with the seat
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    seatAssignment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SeatAssignment'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    trialEndsAt: Date,
+    currentPeriodStart: Date,
+    currentPeriodEnd: Date,
+    // Day of the month billing started on; every period ends on it (or the
+    // month's last day when shorter), so Jan 31 renews Feb 28, then Mar 31
+    billingAnchorDay: {
+        type: Number,
+        min: 1,
+        max: 31
+    },
+    // Cancel when the current period ends instead of renewing
+    cancelAtPeriodEnd: {
+        type: Boolean,
+        default: false
+    },
+    canceledAt: Date,
+    cancelReason: String,
+    endedAt: Date,
+    // Renewal retries while past_due
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+    nextRetryAt: Date,
+    // Set while a renewal run is working on this subscription
+    processingAt: Date,
+    payments: [subscriptionPaymentSchema],
+    // Audit trail of status changes
+    history: [{
+        status: String,
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, status: 1 });
+subscriptionSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: { $in: LIVE_STATUSES } } });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ status: 1, nextRetryAt: 1 });
+
+// Change status and record it in the history
+subscriptionSchema.methods.setStatus = function(status, note = '') {
+    this.status = status;
+    this.history.push({ status, note, at: new Date() });
+};
+
+subscriptionSchema.methods.isManagedByOrganization = function() {
+    return !!this.organization;
+};
+
+subscriptionSchema.methods.hasAccess = function() {
+    return ACCESS_STATUSES.includes(this.status);
+};
+
+// The user's current subscription (if any) with its plan populated
+subscriptionSchema.statics.findCurrent = function(userId) {
+    return this.findOne({ user: userId, status: { $in: ACCESS_STATUSES } })
+        .sort({ createdAt: -1 })
+        .populate('plan');
+};
+
+/**
+ * The user's subscription that grants access to a course, if any
+ * @param {string} userId - User ID
+ * @param {Object} course - Course document (needs category)
+ * @returns {Object|null} Subscription with plan populated
+ */
+subscriptionSchema.statics.findCovering = async function(userId, course) {
+    const subscription = await this.findCurrent(userId);
+    if (!subscription || !subscription.plan || !subscription.plan.coversCourse(course)) {
+        return null;
+    }
+    return subscription;
+};
+
+subscriptionSchema.statics.ACCESS_STATUSES = ACCESS_STATUSES;
+subscriptionSchema.statics.LIVE_STATUSES = LIVE_STATUSES;
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
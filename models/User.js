@@ -24,17 +24,43 @@ const userSchema = new mongoose.Schema({
         enum: ['learner', 'instructor', 'admin'],
         default: 'learner'
     },
+    // Extra roles (e.g. support, content reviewer) whose permissions add to the base role's
+    roles: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
     isVerified: {
         type: Boolean,
         default: function() {
             return this.role === 'learner' || this.role === 'admin';
         }
     },
+    // Email ownership confirmed via verification link (separate from instructor approval above)
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
     profile: {
         bio: String,
         avatar: String,
         phone: String,
         dateOfBirth: Date,
+        country: String,
+        // Preferred display currency for prices
+        currency: {
+            type: String,
+            uppercase: true
+        }
+    },
+    // Printed on invoices (company buyers)
+    billing: {
+        company: String,
+        taxId: String,
+        address: String,
+        city: String,
+        postalCode: String,
         country: String
     },
     instructor: {
@@ -87,6 +113,12 @@ const userSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Course'
         }],
+        // Coupon code applied to the cart, re-validated at checkout
+        cartCoupon: {
+            type: String,
+            uppercase: true,
+            trim: true
+        },
         preferences: {
             categories: [String],
             difficulty: {
@@ -95,6 +127,44 @@ const userSchema = new mongoose.Schema({
             }
         }
     },
+    // TOTP two-factor authentication (secrets are encrypted, see utils/totp.js)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret awaiting confirmation during enrollment
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                codeHash: String,
+                usedAt: Date
+            }],
+            select: false
+        },
+        // Last accepted time step, so a code cannot be replayed
+        lastUsedCounter: {
+            type: Number,
+            select: false
+        },
+        // The open login challenge (only the latest one counts) and the codes tried against it
+        challengeId: {
+            type: String,
+            select: false
+        },
+        challengeAttempts: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -138,6 +208,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
     const userObject = this.toObject();
     delete userObject.password;
+    if (userObject.twoFactor) {
+        userObject.twoFactor = {
+            enabled: userObject.twoFactor.enabled,
+            enabledAt: userObject.twoFactor.enabledAt
+        };
+    }
     return userObject;
 };
 
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// An xAPI statement in the built-in learning record store. Statements the app
+// emits are also the outbox for the external LRS: forward.status tracks their
+// delivery until XapiService.processQueue has sent them.
+const xapiStatementSchema = new mongoose.Schema({
+    statementId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The full statement as stored (with id, timestamp, stored, authority and version)
+    statement: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Fields pulled out of the statement for queries
+    actorKey: String,
+    verb: String,
+    activity: String,
+    registration: String,
+    timestamp: Date,
+    stored: {
+        type: Date,
+        default: Date.now
+    },
+    voided: {
+        type: Boolean,
+        default: false
+    },
+    // emitted by this app, or received on /api/xapi/statements
+    source: {
+        type: String,
+        enum: ['emitted', 'received'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    forward: {
+        status: {
+            type: String,
+            enum: ['pending', 'sent', 'failed', 'skipped'],
+            default: 'skipped'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        nextAttemptAt: Date,
+        processingAt: Date,
+        sentAt: Date,
+        lastError: String
+    }
+});
+
+xapiStatementSchema.index({ stored: -1 });
+xapiStatementSchema.index({ actorKey: 1, stored: -1 });
+xapiStatementSchema.index({ verb: 1, stored: -1 });
+xapiStatementSchema.index({ activity: 1, stored: -1 });
+xapiStatementSchema.index({ 'forward.status': 1, 'forward.nextAttemptAt': 1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
@@ -1,11 +1,58 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
 const { handleValidationErrors } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
+const TokenService = require('../services/TokenService');
+const TwoFactorService = require('../services/TwoFactorService');
+const CurrencyService = require('../services/CurrencyService');
+const OrganizationService = require('../services/OrganizationService');
+const PermissionService = require('../services/PermissionService');
+const emailService = require('../utils/emailService');
 
 const router = express.Router();
+const tokenService = new TokenService();
+const twoFactorService = new TwoFactorService();
+const currencyService = new CurrencyService();
+const organizationService = new OrganizationService();
+const permissionService = new PermissionService();
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+
+// Issue a verification token and email it (failures are logged, not thrown)
+const sendVerification = async (user, req) => {
+    const token = await AuthToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES, {
+        requestedIp: req.ip
+    });
+    await emailService.sendVerificationEmail(user, token);
+};
+
+// Update last login and start a session (shared by password and 2FA login steps)
+const completeLogin = async (user, req) => {
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Roles forced into 2FA get a session limited to the setup endpoints until they enroll
+    const twoFactorSetupRequired = !user.twoFactor?.enabled &&
+        twoFactorService.isEligibleRole(user.role) &&
+        await twoFactorService.isRequiredForRole(user.role);
+
+    const { accessToken, refreshToken, expiresIn } = await tokenService.createSession(user, req, {
+        twoFactorSetupRequired
+    });
+
+    return {
+        message: 'Login successful',
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        twoFactorSetupRequired,
+        user: user.getPublicProfile()
+    };
+};
 
 // Register user
 router.post('/register', [
@@ -34,16 +81,22 @@ router.post('/register', [
 
         await user.save();
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        // Join the organization owning the email domain (active once the email is verified);
+        // registration goes ahead if this fails
+        await organizationService.joinByDomain(user)
+            .catch(error => console.error('Organization auto-join error:', error));
+
+        // Send email verification link
+        await sendVerification(user, req);
+
+        // Start a session and issue tokens
+        const { accessToken, refreshToken, expiresIn } = await tokenService.createSession(user, req);
 
         res.status(201).json({
             message: 'User registered successfully',
-            token,
+            token: accessToken,
+            refreshToken,
+            expiresIn,
             user: user.getPublicProfile()
         });
     } catch (error) {
@@ -86,22 +139,16 @@ router.post('/login', [
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
-
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        // Two-step login: password is correct, now ask for the TOTP code
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: await twoFactorService.createChallenge(user)
+            });
+        }
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: user.getPublicProfile()
-        });
+        res.json(await completeLogin(user, req));
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ message: 'Login failed', error: error.message });
@@ -112,7 +159,8 @@ router.post('/login', [
 router.get('/profile', authenticateToken, async (req, res) => {
     try {
         res.json({
-            user: req.user.getPublicProfile()
+            user: req.user.getPublicProfile(),
+            permissions: [...await permissionService.getPermissions(req.user)]
         });
     } catch (error) {
         console.error('Profile fetch error:', error);
@@ -126,16 +174,28 @@ router.put('/profile', authenticateToken, [
     body('profile.bio').optional().trim().isLength({ max: 500 }).withMessage('Bio must be less than 500 characters'),
     body('profile.phone').optional().trim(),
     body('profile.country').optional().trim(),
+    body('profile.currency').optional().trim().toUpperCase().custom(async (value) => {
+        if (!(await currencyService.isSupported(value))) {
+            throw new Error('Unsupported currency');
+        }
+        return true;
+    }),
+    body('billing.company').optional().trim().isLength({ max: 200 }).withMessage('Company must be less than 200 characters'),
+    body('billing.taxId').optional().trim().isLength({ max: 50 }).withMessage('Tax ID must be less than 50 characters'),
+    body('billing.address').optional().trim().isLength({ max: 300 }).withMessage('Address must be less than 300 characters'),
+    body('billing.city').optional().trim().isLength({ max: 100 }),
+    body('billing.postalCode').optional().trim().isLength({ max: 20 }),
+    body('billing.country').optional().trim().isLength({ max: 100 }),
     handleValidationErrors
 ], async (req, res) => {
     try {
-        const allowedUpdates = ['name', 'profile'];
+        const allowedUpdates = ['name', 'profile', 'billing'];
         const updates = {};
 
         allowedUpdates.forEach(field => {
             if (req.body[field] !== undefined) {
-                if (field === 'profile') {
-                    updates[field] = { ...req.user.profile, ...req.body[field] };
+                if (field === 'profile' || field === 'billing') {
+                    updates[field] = { ...req.user[field], ...req.body[field] };
                 } else {
                     updates[field] = req.body[field];
                 }
@@ -210,6 +270,11 @@ router.put('/change-password', authenticateToken, [
         req.user.password = newPassword;
         await req.user.save();
 
+        // Sign out every other device
+        await Session.revokeAllForUser(req.user._id, 'password_changed', {
+            exceptSessionId: req.sessionId
+        });
+
         res.json({ message: 'Password changed successfully' });
     } catch (error) {
         console.error('Password change error:', error);
@@ -217,4 +282,391 @@ router.put('/change-password', authenticateToken, [
     }
 });
 
+// Request password reset email
+router.post('/forgot-password', [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+
+        // Only send if the account exists, but always answer the same way
+        if (user && user.isActive) {
+            const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES, {
+                requestedIp: req.ip
+            });
+            await emailService.sendPasswordResetEmail(user, token);
+        }
+
+        res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Failed to process password reset request' });
+    }
+});
+
+// Reset password with emailed token
+router.post('/reset-password', [
+    body('token').notEmpty().withMessage('Reset token required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const authToken = await AuthToken.consume(req.body.token, 'password_reset');
+        if (!authToken) {
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        const user = await User.findById(authToken.user);
+        if (!user || !user.isActive) {
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        user.password = req.body.password;
+
+        // Receiving the reset email proves ownership of the address
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+        await organizationService.activatePending(user._id)
+            .catch(error => console.error('Organization membership activation error:', error));
+
+        // Sign out every device that used the old password
+        await Session.revokeAllForUser(user._id, 'password_changed');
+
+        res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Password reset failed' });
+    }
+});
+
+// Verify email address with emailed token
+router.post('/verify-email', [
+    body('token').notEmpty().withMessage('Verification token required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const authToken = await AuthToken.consume(req.body.token, 'email_verification');
+        if (!authToken) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            authToken.user,
+            { isEmailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+        }
+
+        await organizationService.activatePending(user._id)
+            .catch(error => console.error('Organization membership activation error:', error));
+
+        res.json({
+            message: 'Email verified successfully',
+            user: user.getPublicProfile()
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Email verification failed' });
+    }
+});
+
+// Resend verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.isEmailVerified) {
+            return res.status(400).json({ message: 'Email is already verified' });
+        }
+
+        await sendVerification(req.user, req);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Failed to resend verification email' });
+    }
+});
+
+// Complete two-step login with a TOTP or recovery code
+router.post('/2fa/verify-login', [
+    body('challengeToken').notEmpty().withMessage('Challenge token required'),
+    body('code').optional().trim(),
+    body('recoveryCode').optional().trim(),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ message: 'Verification code or recovery code required' });
+        }
+
+        const challenge = twoFactorService.verifyChallenge(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+        }
+
+        // Only a few codes per password check; after that the challenge is dead
+        if (!await twoFactorService.claimChallengeAttempt(challenge)) {
+            return res.status(401).json({ message: 'Too many attempts or the challenge is no longer valid. Please log in again.' });
+        }
+
+        const user = await twoFactorService.findUserWithSecrets(challenge.userId);
+        if (!user || !user.isActive) {
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+
+        const result = await twoFactorService.verify(user, { code, recoveryCode });
+        if (!result.valid) {
+            return res.status(401).json({ message: 'Invalid verification code' });
+        }
+
+        await twoFactorService.completeChallenge(user._id);
+
+        const response = await completeLogin(user, req);
+        if (result.method === 'recovery_code') {
+            response.remainingRecoveryCodes = result.remainingRecoveryCodes;
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ message: 'Login failed', error: error.message });
+    }
+});
+
+// Get two-factor status
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+    try {
+        const user = await twoFactorService.findUserWithSecrets(req.user._id);
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            eligible: twoFactorService.isEligibleRole(user.role),
+            required: twoFactorService.isEligibleRole(user.role) && await twoFactorService.isRequiredForRole(user.role),
+            remainingRecoveryCodes: (user.twoFactor.recoveryCodes || []).filter(rc => !rc.usedAt).length
+        });
+    } catch (error) {
+        console.error('2FA status error:', error);
+        res.status(500).json({ message: 'Failed to fetch two-factor status' });
+    }
+});
+
+// Start 2FA enrollment - returns the otpauth URI for the authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        if (!twoFactorService.isEligibleRole(req.user.role)) {
+            return res.status(403).json({ message: 'Two-factor authentication is available for instructors and admins' });
+        }
+
+        const user = await twoFactorService.findUserWithSecrets(req.user._id);
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const { secret, otpauthUri } = await twoFactorService.startEnrollment(user);
+
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUri
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ message: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirm 2FA enrollment - returns recovery codes once
+router.post('/2fa/enable', authenticateToken, [
+    body('code').notEmpty().withMessage('Verification code required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const user = await twoFactorService.findUserWithSecrets(req.user._id);
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const result = await twoFactorService.confirmEnrollment(user, req.body.code);
+        if (!result.success) {
+            return res.status(400).json({ message: result.error });
+        }
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            recoveryCodes: result.recoveryCodes
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ message: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Disable 2FA (requires password and a current code)
+router.post('/2fa/disable', authenticateToken, [
+    body('password').notEmpty().withMessage('Password required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (await twoFactorService.isRequiredForRole(req.user.role)) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for your role and cannot be disabled' });
+        }
+
+        const user = await twoFactorService.findUserWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Password is incorrect' });
+        }
+
+        const result = await twoFactorService.verify(user, { code, recoveryCode });
+        if (!result.valid) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        await twoFactorService.disable(user);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Regenerate recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, [
+    body('code').notEmpty().withMessage('Verification code required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const user = await twoFactorService.findUserWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        const result = await twoFactorService.verify(user, { code: req.body.code });
+        if (!result.valid) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+        res.json({
+            message: 'Recovery codes regenerated. Previous codes no longer work.',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ message: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+    body('refreshToken').notEmpty().withMessage('Refresh token required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const result = await tokenService.rotateRefreshToken(req.body.refreshToken, req);
+
+        if (!result.success) {
+            return res.status(401).json({ message: result.error });
+        }
+
+        res.json({
+            message: 'Token refreshed successfully',
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Token refresh failed' });
+    }
+});
+
+// Logout current session
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        const session = await Session.findById(req.sessionId);
+        if (session && session.isValid()) {
+            await session.revoke('logout');
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Logout failed' });
+    }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+        res.json({
+            message: 'Logged out from all devices',
+            revokedSessions: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ message: 'Logout from all devices failed' });
+    }
+});
+
+// List current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+
+        res.json({
+            sessions: sessions.map(session => session.toPublic(req.sessionId))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ message: 'Failed to fetch sessions' });
+    }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        if (session.isValid()) {
+            await session.revoke('user_revoked', req.user._id);
+        }
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ message: 'Failed to revoke session' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,64 @@
 const express = require('express');
+const { body } = require('express-validator');
 const User = require('../models/User');
 const Course = require('../models/Course');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const PricingService = require('../services/PricingService');
+const CurrencyService = require('../services/CurrencyService');
 
 const router = express.Router();
+const pricingService = new PricingService();
+const currencyService = new CurrencyService();
+
+// Shape a priced cart for the response, with display strings in the requested locale
+const formatPricing = (pricing, locale) => {
+    const { currency } = pricing;
+    const format = amount => currencyService.format(amount, currency, locale);
+
+    return {
+        currency,
+        items: pricing.items.map(item => {
+            const total = currencyService.roundAmount(item.price - item.couponDiscount, currency);
+            return {
+                course: item.course,
+                listPrice: item.listPrice,
+                price: item.price,
+                promotion: item.promotion,
+                couponDiscount: item.couponDiscount,
+                total,
+                formatted: {
+                    listPrice: format(item.listPrice),
+                    price: format(item.price),
+                    total: format(total)
+                }
+            };
+        }),
+        subtotal: pricing.subtotal,
+        discountTotal: pricing.discountTotal,
+        totalPrice: pricing.total,
+        formatted: {
+            subtotal: format(pricing.subtotal),
+            discountTotal: format(pricing.discountTotal),
+            totalPrice: format(pricing.total)
+        },
+        coupon: pricing.coupon
+    };
+};
+
+// Requested display currency ({ currency }, or { error } when unsupported)
+const resolveCurrency = async (req) => {
+    const currency = currencyService.getRequestedCurrency(req);
+    if (currency && !(await currencyService.isSupported(currency))) {
+        return { error: `Unsupported currency: ${currency}` };
+    }
+    return { currency };
+};
 
 // Get user's cart
 router.get('/',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('cart.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -33,14 +83,21 @@ router.get('/',
                 return res.status(404).json({ message: 'User not found' });
             }
 
-            // Calculate total price
+            const { currency, error } = await resolveCurrency(req);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            // Apply running promotions and the saved (or previewed) coupon
             const cart = user.learner?.cart || [];
-            const totalPrice = cart.reduce((total, course) => total + course.price, 0);
+            const couponCode = req.query.coupon || user.learner?.cartCoupon || null;
+            const pricing = await pricingService.priceCart(userId, cart, couponCode, { currency });
 
             res.json({
                 cart: cart,
                 total: cart.length,
-                totalPrice
+                ...formatPricing(pricing, currencyService.getRequestedLocale(req)),
+                couponError: pricing.couponError
             });
         } catch (error) {
             console.error('Get cart error:', error);
@@ -49,10 +106,74 @@ router.get('/',
     }
 );
 
+// Apply a coupon code to the cart
+router.post('/coupon',
+    authenticateToken,
+    requirePermission('cart.manage'),
+    [
+        body('code').trim().notEmpty().isLength({ max: 50 }).withMessage('Coupon code is required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const userId = req.user._id;
+
+            const user = await User.findById(userId).populate('learner.cart');
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const cart = user.learner?.cart || [];
+            if (cart.length === 0) {
+                return res.status(400).json({ message: 'Cart is empty' });
+            }
+
+            const { currency, error } = await resolveCurrency(req);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            const pricing = await pricingService.priceCart(userId, cart, req.body.code, { currency });
+            if (pricing.couponError) {
+                return res.status(400).json({ message: pricing.couponError });
+            }
+
+            user.learner.cartCoupon = pricing.coupon.code;
+            await user.save();
+
+            res.json({
+                message: 'Coupon applied',
+                ...formatPricing(pricing, currencyService.getRequestedLocale(req))
+            });
+        } catch (error) {
+            console.error('Apply coupon error:', error);
+            res.status(500).json({ message: 'Failed to apply coupon' });
+        }
+    }
+);
+
+// Remove the coupon from the cart
+router.delete('/coupon',
+    authenticateToken,
+    requirePermission('cart.manage'),
+    async (req, res) => {
+        try {
+            await User.findByIdAndUpdate(req.user._id, {
+                $unset: { 'learner.cartCoupon': '' }
+            });
+
+            res.json({ message: 'Coupon removed' });
+        } catch (error) {
+            console.error('Remove coupon error:', error);
+            res.status(500).json({ message: 'Failed to remove coupon' });
+        }
+    }
+);
+
 // Add course to cart
 router.post('/:courseId',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('cart.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -97,7 +218,7 @@ router.post('/:courseId',
 // Remove course from cart
 router.delete('/:courseId',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('cart.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -131,7 +252,7 @@ router.delete('/:courseId',
 // Check if course is in cart
 router.get('/check/:courseId',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('cart.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -159,7 +280,7 @@ router.get('/check/:courseId',
 // Clear entire cart
 router.delete('/',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('cart.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -175,6 +296,7 @@ router.delete('/',
             }
 
             user.learner.cart = [];
+            user.learner.cartCoupon = undefined;
             await user.save();
 
             res.json({ message: 'Cart cleared' });
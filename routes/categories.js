@@ -2,7 +2,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const Category = require('../models/Category');
 const Course = require('../models/Course');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
@@ -27,7 +27,7 @@ router.get('/', async (req, res) => {
 });
 
 // Create category (admin only)
-router.post('/', authenticateToken, requireRole(['admin']), [
+router.post('/', authenticateToken, requirePermission('category.manage'), [
     body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
     body('description').trim().isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
     body('icon').optional().trim(),
@@ -61,7 +61,7 @@ router.post('/', authenticateToken, requireRole(['admin']), [
 });
 
 // Update category (admin only)
-router.put('/:categoryId', authenticateToken, requireRole(['admin']), [
+router.put('/:categoryId', authenticateToken, requirePermission('category.manage'), [
     body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
     body('description').optional().trim().isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
     body('icon').optional().trim(),
@@ -106,7 +106,7 @@ router.put('/:categoryId', authenticateToken, requireRole(['admin']), [
 });
 
 // Delete category (admin only)
-router.delete('/:categoryId', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.delete('/:categoryId', authenticateToken, requirePermission('category.manage'), async (req, res) => {
     try {
         const { categoryId } = req.params;
 
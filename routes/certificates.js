@@ -2,16 +2,27 @@ const express = require('express');
 const Certificate = require('../models/Certificate');
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const CertificateService = require('../services/CertificateService');
+const PermissionService = require('../services/PermissionService');
+const XapiService = require('../services/XapiService');
 
 const router = express.Router();
 const certificateService = new CertificateService();
+const permissionService = new PermissionService();
+const xapiService = new XapiService();
+
+// A certificate means the learner passed the course
+const trackCertificate = (user, course, certificate) => {
+    xapiService.track('passed', user, xapiService.courseActivity(course), {
+        result: xapiService.scoreResult(certificate.metadata?.finalScore ?? 100, { success: true, completion: true })
+    });
+};
 
 // Get user's certificates
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const certificates = await Certificate.find({ user: req.user._id })
+        const certificates = await Certificate.find({ user: req.user._id, isRevoked: { $ne: true } })
             .populate('course', 'title thumbnail instructor category')
             .populate({
                 path: 'course',
@@ -20,6 +31,7 @@ router.get('/', authenticateToken, async (req, res) => {
                     select: 'name profile.avatar'
                 }
             })
+            .populate('learningPath', 'title thumbnail')
             .sort({ issuedAt: -1 });
 
         res.json({
@@ -38,7 +50,7 @@ router.get('/my-certificates', authenticateToken, async (req, res) => {
         const { page = 1, limit = 10 } = req.query;
         const skip = (page - 1) * limit;
 
-        const certificates = await Certificate.find({ user: req.user._id })
+        const certificates = await Certificate.find({ user: req.user._id, isRevoked: { $ne: true } })
             .populate('course', 'title thumbnail instructor category')
             .populate({
                 path: 'course',
@@ -47,11 +59,12 @@ router.get('/my-certificates', authenticateToken, async (req, res) => {
                     select: 'name profile.avatar'
                 }
             })
+            .populate('learningPath', 'title thumbnail')
             .skip(skip)
             .limit(parseInt(limit))
             .sort({ issuedAt: -1 });
 
-        const total = await Certificate.countDocuments({ user: req.user._id });
+        const total = await Certificate.countDocuments({ user: req.user._id, isRevoked: { $ne: true } });
 
         res.json({
             certificates,
@@ -72,23 +85,23 @@ router.get('/:certificateId', authenticateToken, async (req, res) => {
 
         const certificate = await Certificate.findById(certificateId)
             .populate('user', 'name email profile.avatar')
-            .populate('course', 'title description instructor category level totalDuration')
+            .populate('course', 'title description instructor collaborators category level totalDuration')
             .populate({
                 path: 'course',
                 populate: [
                     { path: 'instructor', select: 'name profile.avatar' },
                     { path: 'category', select: 'name' }
                 ]
-            });
+            })
+            .populate('learningPath', 'title description createdBy');
 
         if (!certificate) {
             return res.status(404).json({ message: 'Certificate not found' });
         }
 
-        // Check access permissions
-        if (certificate.user._id.toString() !== req.user._id.toString() && 
-            req.user.role !== 'admin' && 
-            certificate.course.instructor._id.toString() !== req.user._id.toString()) {
+        // Check access permissions (the course instructor, or the author for path certificates)
+        if (certificate.user._id.toString() !== req.user._id.toString() &&
+            !await permissionService.can(req.user, 'certificate.view', certificate.course || certificate.learningPath)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -113,7 +126,8 @@ router.get('/verify/:certificateId', async (req, res) => {
                     { path: 'instructor', select: 'name' },
                     { path: 'category', select: 'name' }
                 ]
-            });
+            })
+            .populate('learningPath', 'title');
 
         if (!certificate) {
             return res.status(404).json({ 
@@ -122,16 +136,25 @@ router.get('/verify/:certificateId', async (req, res) => {
             });
         }
 
+        if (certificate.isRevoked) {
+            return res.json({
+                message: 'Certificate has been revoked',
+                isValid: false,
+                revokedAt: certificate.revocation?.revokedAt
+            });
+        }
+
         res.json({
             message: 'Certificate is valid',
             isValid: true,
             certificate: {
                 certificateId: certificate.certificateId,
                 user: certificate.user.name,
-                course: certificate.course.title,
-                instructor: certificate.course.instructor.name,
-                category: certificate.course.category.name,
-                level: certificate.course.level,
+                course: certificate.course?.title,
+                learningPath: certificate.learningPath?.title,
+                instructor: certificate.course?.instructor?.name,
+                category: certificate.course?.category?.name,
+                level: certificate.course?.level,
                 issuedAt: certificate.issuedAt,
                 completedAt: certificate.completedAt,
                 grade: certificate.grade
@@ -144,7 +167,7 @@ router.get('/verify/:certificateId', async (req, res) => {
 });
 
 // Generate certificate (manual - for admin/instructor)
-router.post('/generate', authenticateToken, requireRole(['admin', 'instructor']), async (req, res) => {
+router.post('/generate', authenticateToken, requirePermission('certificate.issue'), async (req, res) => {
     try {
         const { userId, courseId, grade, skills } = req.body;
 
@@ -161,18 +184,17 @@ router.post('/generate', authenticateToken, requireRole(['admin', 'instructor'])
             });
         }
 
-        // Check if instructor owns the course
-        if (req.user.role === 'instructor') {
-            const course = await Course.findById(courseId);
-            if (!course || course.instructor.toString() !== req.user._id.toString()) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
+        // Check the user may issue certificates for this course
+        const course = await Course.findById(courseId);
+        if (!course || !await permissionService.can(req.user, 'certificate.issue', course)) {
+            return res.status(403).json({ message: 'Access denied' });
         }
 
         // Check if certificate already exists
         const existingCertificate = await Certificate.findOne({
             user: userId,
-            course: courseId
+            course: courseId,
+            isRevoked: { $ne: true }
         });
 
         if (existingCertificate) {
@@ -181,8 +203,6 @@ router.post('/generate', authenticateToken, requireRole(['admin', 'instructor'])
             });
         }
 
-        const course = await Course.findById(courseId);
-        
         const certificate = new Certificate({
             user: userId,
             course: courseId,
@@ -199,6 +219,7 @@ router.post('/generate', authenticateToken, requireRole(['admin', 'instructor'])
         await certificate.save();
         await certificate.populate('course', 'title');
         await certificate.populate('user', 'name email');
+        trackCertificate(certificate.user, course, certificate);
 
         res.status(201).json({
             message: 'Certificate generated successfully',
@@ -218,7 +239,8 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
         // Find certificate for this user and course
         const certificate = await Certificate.findOne({ 
             user: req.user._id, 
-            course: courseId 
+            course: courseId,
+            isRevoked: { $ne: true }
         })
         .populate('course', 'title instructor category')
         .populate('user', 'name email');
@@ -244,18 +266,16 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
 });
 
 // Get all course certificates (instructor/admin only)
-router.get('/course/:courseId/all', authenticateToken, requireRole(['instructor', 'admin']), async (req, res) => {
+router.get('/course/:courseId/all', authenticateToken, requirePermission('certificate.view'), async (req, res) => {
     try {
         const { courseId } = req.params;
         const { page = 1, limit = 10 } = req.query;
         const skip = (page - 1) * limit;
 
-        // Check if instructor owns the course
-        if (req.user.role === 'instructor') {
-            const course = await Course.findById(courseId);
-            if (!course || course.instructor.toString() !== req.user._id.toString()) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
+        // Check the user may see this course's certificates
+        const course = await Course.findById(courseId).select('instructor collaborators');
+        if (!course || !await permissionService.can(req.user, 'certificate.view', course)) {
+            return res.status(403).json({ message: 'Access denied' });
         }
 
         const certificates = await Certificate.find({ course: courseId })
@@ -311,7 +331,8 @@ router.post('/generate/:courseId', authenticateToken, async (req, res) => {
         // Check if certificate already exists
         const existingCertificate = await Certificate.findOne({
             user: userId,
-            course: courseId
+            course: courseId,
+            isRevoked: { $ne: true }
         });
 
         if (existingCertificate) {
@@ -366,6 +387,7 @@ router.post('/generate/:courseId', authenticateToken, async (req, res) => {
         });
 
         await certificate.save();
+        trackCertificate(req.user, course, certificate);
         
         // Populate the certificate with course and user details
         await certificate.populate('course', 'title instructor category');
@@ -390,7 +412,8 @@ router.get('/render/:certificateId', authenticateToken, async (req, res) => {
     try {
         const certificate = await Certificate.findById(req.params.certificateId)
             .populate('user', 'name email')
-            .populate('course', 'title category instructor');
+            .populate('course', 'title category instructor collaborators')
+            .populate('learningPath', 'title createdBy');
 
         if (!certificate) {
             return res.status(404).json({
@@ -399,11 +422,10 @@ router.get('/render/:certificateId', authenticateToken, async (req, res) => {
             });
         }
 
-        // Check access - owner or course instructor
+        // Check access - owner, course instructor or path author
         const isOwner = certificate.user._id.toString() === req.user._id.toString();
-        const isInstructor = certificate.course.instructor.toString() === req.user._id.toString();
 
-        if (!isOwner && !isInstructor && req.user.role !== 'admin') {
+        if (!isOwner && !await permissionService.can(req.user, 'certificate.view', certificate.course || certificate.learningPath)) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied'
@@ -444,15 +466,15 @@ router.get('/verify/:certificateUuid', async (req, res) => {
 });
 
 // Get certificate statistics
-router.get('/stats/overview', authenticateToken, requireRole(['admin', 'instructor']), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('certificate.view'), async (req, res) => {
     try {
         let matchStage = {};
         
-        // If instructor, only show their courses
-        if (req.user.role === 'instructor') {
-            const instructorCourses = await Course.find({ 
-                instructor: req.user._id 
-            }).select('_id');
+        // Without access to every certificate, only show the user's own courses
+        if (!await permissionService.hasPermission(req.user, 'certificate.view_any')) {
+            const instructorCourses = await Course.find(
+                Course.taughtByFilter(req.user._id, permissionService.getCollaboratorRolesGranting('certificate.view'))
+            ).select('_id');
             
             matchStage = { 
                 course: { $in: instructorCourses.map(c => c._id) }
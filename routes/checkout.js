@@ -0,0 +1,249 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { sanitizeText } = require('../utils/helpers');
+const OrderService = require('../services/OrderService');
+const CurrencyService = require('../services/CurrencyService');
+const { getPaymentProvider, hasPaymentProvider } = require('../services/payments');
+
+const router = express.Router();
+const orderService = new OrderService();
+const currencyService = new CurrencyService();
+
+const TEAM_MAX_QUANTITY = parseInt(process.env.TEAM_PURCHASE_MAX_QUANTITY || '100', 10);
+
+const paymentValidation = [
+    body('couponCode').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid coupon code'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code')
+];
+
+// Currency from the body, query, header or profile; { error } if unsupported
+const resolveCurrency = async (req) => {
+    const currency = req.body.currency ? req.body.currency.toUpperCase() : currencyService.getRequestedCurrency(req);
+    if (currency && !(await currencyService.isSupported(currency))) {
+        return { error: `Unsupported currency: ${currency}` };
+    }
+    return { currency };
+};
+
+// Load purchasable courses for a gift/team order; { error } if any is missing or free
+const loadPaidCourses = async (courseIds) => {
+    const uniqueIds = [...new Set(courseIds.map(String))];
+    const courses = await Course.find({ _id: { $in: uniqueIds }, isPublished: true, isActive: true });
+    if (courses.length !== uniqueIds.length) {
+        return { error: 'One or more courses are not available' };
+    }
+
+    const priced = await orderService.pricingService.priceCourses(courses);
+    const free = priced.find(item => item.price <= 0);
+    if (free) {
+        return { error: `"${free.course.title}" is free; share the course link instead` };
+    }
+    return { courses };
+};
+
+const sendOrderResponse = (res, order, pendingMessage, paidMessage) => {
+    res.status(201).json({
+        message: order.status === 'paid' ? paidMessage : pendingMessage,
+        order,
+        payment: order.payment.clientData
+    });
+};
+
+// Turn the cart (or part of it) into an order
+router.post('/',
+    authenticateToken,
+    requirePermission('order.checkout'),
+    requireVerifiedEmail,
+    [
+        body('courseIds').optional().isArray({ min: 1 }).withMessage('courseIds must be a non-empty array'),
+        body('courseIds.*').optional().isMongoId().withMessage('Valid course IDs required'),
+        ...paymentValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const userId = req.user._id;
+            const { currency, error } = await resolveCurrency(req);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            const cart = await orderService.prepareCart(userId, req.body.courseIds);
+
+            if (cart.freeCourses.length === 0 && cart.paidCourses.length === 0) {
+                return res.status(400).json({
+                    message: 'No purchasable courses in cart',
+                    alreadyEnrolled: cart.alreadyEnrolled.map(c => c._id),
+                    unavailable: cart.unavailable,
+                    prerequisitesMissing: cart.prerequisitesMissing
+                });
+            }
+
+            // Priced courses first, so a rejected coupon leaves nothing half done
+            let order = null;
+            if (cart.paidCourses.length > 0) {
+                // Explicit code wins over the one saved on the cart
+                const couponCode = req.body.couponCode || req.user.learner?.cartCoupon || null;
+                order = await orderService.createOrder(userId, cart.paidCourses, { couponCode, currency });
+            }
+
+            // Free courses keep direct enrollment
+            const enrolledFreeCourses = [];
+            for (const course of cart.freeCourses) {
+                await Enrollment.enrollUser(userId, course._id, { source: 'free' });
+                enrolledFreeCourses.push(course._id);
+            }
+
+            // Drop courses that no longer need paying for from the cart
+            const settledIds = [...enrolledFreeCourses, ...cart.alreadyEnrolled.map(c => c._id)];
+            if (settledIds.length > 0) {
+                await User.findByIdAndUpdate(userId, {
+                    $pull: { 'learner.cart': { $in: settledIds } }
+                });
+            }
+
+            res.status(201).json({
+                message: order
+                    ? (order.status === 'paid' ? 'Order paid and courses unlocked' : 'Order created, awaiting payment')
+                    : 'Enrolled in free courses',
+                order,
+                payment: order ? order.payment.clientData : null,
+                enrolledFreeCourses,
+                alreadyEnrolled: cart.alreadyEnrolled.map(c => c._id),
+                unavailable: cart.unavailable,
+                prerequisitesMissing: cart.prerequisitesMissing
+            });
+        } catch (error) {
+            console.error('Checkout error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Checkout failed'
+            });
+        }
+    }
+);
+
+// Buy courses as a gift; the recipient gets an email with a claim link once paid
+router.post('/gift',
+    authenticateToken,
+    requirePermission('order.checkout'),
+    requireVerifiedEmail,
+    [
+        body('courseIds').isArray({ min: 1, max: 10 }).withMessage('courseIds must be an array of 1-10 courses'),
+        body('courseIds.*').isMongoId().withMessage('Valid course IDs required'),
+        body('recipientEmail').isEmail().normalizeEmail().withMessage('Valid recipient email required'),
+        body('recipientName').optional().trim().isLength({ max: 100 }).withMessage('Recipient name must be at most 100 characters'),
+        body('message').optional().isString().isLength({ max: 500 }).withMessage('Message must be at most 500 characters'),
+        ...paymentValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const { currency, error } = await resolveCurrency(req);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            const { courses, error: courseError } = await loadPaidCourses(req.body.courseIds);
+            if (courseError) {
+                return res.status(400).json({ message: courseError });
+            }
+
+            const order = await orderService.createOrder(req.user._id, courses, {
+                couponCode: req.body.couponCode,
+                currency,
+                kind: 'gift',
+                gift: {
+                    recipientEmail: req.body.recipientEmail,
+                    recipientName: req.body.recipientName ? sanitizeText(req.body.recipientName) : undefined,
+                    message: req.body.message ? sanitizeText(req.body.message) : undefined
+                }
+            });
+
+            sendOrderResponse(res, order, 'Gift order created, awaiting payment', 'Gift paid and sent to the recipient');
+        } catch (error) {
+            console.error('Gift checkout error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Gift checkout failed'
+            });
+        }
+    }
+);
+
+// Bulk-buy single-use redemption codes for a team
+router.post('/codes',
+    authenticateToken,
+    requirePermission('order.checkout'),
+    requireVerifiedEmail,
+    [
+        body('courseId').isMongoId().withMessage('Valid course ID required'),
+        body('quantity').isInt({ min: 1, max: TEAM_MAX_QUANTITY }).withMessage(`Quantity must be between 1 and ${TEAM_MAX_QUANTITY}`),
+        ...paymentValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const { currency, error } = await resolveCurrency(req);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            const { courses, error: courseError } = await loadPaidCourses([req.body.courseId]);
+            if (courseError) {
+                return res.status(400).json({ message: courseError });
+            }
+
+            // One order item (and one code) per seat
+            const seats = Array.from({ length: parseInt(req.body.quantity, 10) }, () => courses[0]);
+            const order = await orderService.createOrder(req.user._id, seats, {
+                couponCode: req.body.couponCode,
+                currency,
+                kind: 'team'
+            });
+
+            sendOrderResponse(res, order, 'Order created, awaiting payment', 'Order paid; your codes have been emailed');
+        } catch (error) {
+            console.error('Code checkout error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Checkout failed'
+            });
+        }
+    }
+);
+
+// Payment provider webhook (payment confirmation/failure)
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        const { provider: providerName } = req.params;
+
+        if (!hasPaymentProvider(providerName)) {
+            return res.status(404).json({ message: 'Unknown payment provider' });
+        }
+
+        let event;
+        try {
+            event = getPaymentProvider(providerName).parseWebhook(req);
+        } catch (error) {
+            console.warn(`⚠️ Rejected ${providerName} webhook:`, error.message);
+            return res.status(400).json({ message: error.message });
+        }
+
+        const order = await orderService.handlePaymentEvent(providerName, event);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found for payment' });
+        }
+
+        console.log(`💳 ${providerName} webhook ${event.type} applied to order ${order.orderNumber}`);
+
+        res.json({ received: true, orderStatus: order.status });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({ message: 'Failed to process webhook' });
+    }
+});
+
+module.exports = router;
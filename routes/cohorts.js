@@ -0,0 +1,458 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Cohort = require('../models/Cohort');
+const CohortMembership = require('../models/CohortMembership');
+const CohortAnnouncement = require('../models/CohortAnnouncement');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { sanitizeText } = require('../utils/helpers');
+const CohortService = require('../services/CohortService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const cohortService = new CohortService();
+const permissionService = new PermissionService();
+
+const cohortValidation = [
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('description').optional().isString().isLength({ max: 2000 }),
+    body('startsAt').optional().isISO8601().withMessage('Valid start date required'),
+    body('endsAt').optional().isISO8601().withMessage('Valid end date required'),
+    body('timezone').optional().isString().isLength({ max: 64 }),
+    body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('enrollmentOpensAt').optional().isISO8601().withMessage('Valid enrollment opening date required'),
+    body('enrollmentClosesAt').optional().isISO8601().withMessage('Valid enrollment closing date required')
+];
+
+const EDITABLE_FIELDS = ['name', 'description', 'startsAt', 'endsAt', 'timezone', 'capacity', 'enrollmentOpensAt', 'enrollmentClosesAt'];
+
+// Check dates, capacity and time zone of a cohort
+const checkCohortValues = (cohort) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: cohort.timezone });
+    } catch (error) {
+        return `Unknown time zone: ${cohort.timezone}`;
+    }
+    if (cohort.endsAt <= cohort.startsAt) {
+        return 'End date must be after the start date';
+    }
+    if (cohort.enrollmentClosesAt <= cohort.enrollmentOpensAt) {
+        return 'Enrollment must close after it opens';
+    }
+    if (cohort.enrollmentClosesAt > cohort.endsAt) {
+        return 'Enrollment must close before the cohort ends';
+    }
+    if (cohort.capacity < cohort.enrolledCount) {
+        return `Capacity cannot be lower than the ${cohort.enrolledCount} learners already enrolled`;
+    }
+    return null;
+};
+
+// Load a cohort the current user may manage (course instructor, or anyone managing every cohort)
+const findManageableCohort = async (req, res) => {
+    const cohort = await Cohort.findById(req.params.cohortId).populate('course', 'title instructor collaborators');
+    if (!cohort || !cohort.course) {
+        res.status(404).json({ message: 'Cohort not found' });
+        return null;
+    }
+    if (!await permissionService.can(req.user, 'cohort.manage', cohort.course)) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return cohort;
+};
+
+// Public fields of a cohort with the seats left
+const describeCohort = (cohort) => ({
+    ...cohort.toObject(),
+    seatsLeft: cohort.seatsLeft(),
+    isEnrollmentOpen: cohort.isEnrollmentOpen()
+});
+
+// Cohorts of a course (public; upcoming and running unless all=true)
+router.get('/', async (req, res) => {
+    try {
+        const { course, all } = req.query;
+        if (!course) {
+            return res.status(400).json({ message: 'course query parameter is required' });
+        }
+
+        const filter = { course, status: 'active' };
+        if (all !== 'true') filter.endsAt = { $gt: new Date() };
+
+        const cohorts = await Cohort.find(filter)
+            .select('-createdBy')
+            .sort({ startsAt: 1 });
+
+        res.json({ cohorts: cohorts.map(describeCohort) });
+    } catch (error) {
+        console.error('Get cohorts error:', error);
+        res.status(500).json({ message: 'Failed to fetch cohorts' });
+    }
+});
+
+// Cohorts the current user is in or waiting for
+router.get('/mine', authenticateToken, async (req, res) => {
+    try {
+        const memberships = await CohortMembership.find({
+            user: req.user._id,
+            status: { $in: CohortMembership.ACTIVE_STATUSES }
+        })
+            .populate('cohort')
+            .populate('course', 'title thumbnail')
+            .sort({ createdAt: -1 });
+
+        const result = [];
+        for (const membership of memberships) {
+            result.push({
+                ...membership.toObject(),
+                waitlistPosition: await cohortService.getWaitlistPosition(membership)
+            });
+        }
+
+        res.json({ memberships: result });
+    } catch (error) {
+        console.error('Get my cohorts error:', error);
+        res.status(500).json({ message: 'Failed to fetch cohorts' });
+    }
+});
+
+// Close enrollment for every cohort whose window has ended (admin only; normally done by scripts/close-cohort-enrollment.js)
+router.post('/admin/close-expired', authenticateToken, requirePermission('cohort.manage_any'), async (req, res) => {
+    try {
+        const summary = await cohortService.closeExpiredEnrollment();
+
+        res.json({
+            message: 'Cohort enrollment windows processed',
+            summary
+        });
+    } catch (error) {
+        console.error('Close cohort enrollment error:', error);
+        res.status(500).json({ message: 'Failed to close cohort enrollment' });
+    }
+});
+
+// Schedule a cohort for a course
+router.post('/',
+    authenticateToken,
+    requirePermission('cohort.manage'),
+    [
+        body('courseId').isMongoId().withMessage('Valid course ID required'),
+        body('name').trim().notEmpty().withMessage('Name is required'),
+        body('startsAt').isISO8601().withMessage('Valid start date required'),
+        body('endsAt').isISO8601().withMessage('Valid end date required'),
+        body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+        body('enrollmentClosesAt').isISO8601().withMessage('Valid enrollment closing date required'),
+        ...cohortValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.body.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+            if (!await permissionService.can(req.user, 'cohort.manage', course)) {
+                return res.status(403).json({ message: 'You can only schedule cohorts for your own courses' });
+            }
+            if (!course.cohortBased) {
+                return res.status(400).json({ message: 'Course is not cohort-based' });
+            }
+
+            const cohort = new Cohort({
+                course: course._id,
+                name: req.body.name,
+                description: req.body.description,
+                startsAt: req.body.startsAt,
+                endsAt: req.body.endsAt,
+                timezone: req.body.timezone || 'UTC',
+                capacity: req.body.capacity,
+                enrollmentOpensAt: req.body.enrollmentOpensAt || new Date(),
+                enrollmentClosesAt: req.body.enrollmentClosesAt,
+                createdBy: req.user._id
+            });
+
+            const valueError = checkCohortValues(cohort);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await cohort.save();
+
+            res.status(201).json({
+                message: 'Cohort scheduled successfully',
+                cohort: describeCohort(cohort)
+            });
+        } catch (error) {
+            console.error('Create cohort error:', error);
+            res.status(500).json({ message: 'Failed to create cohort' });
+        }
+    }
+);
+
+// Get cohort details
+router.get('/:cohortId', async (req, res) => {
+    try {
+        const cohort = await Cohort.findById(req.params.cohortId)
+            .populate('course', 'title thumbnail instructor')
+            .select('-createdBy');
+        if (!cohort) {
+            return res.status(404).json({ message: 'Cohort not found' });
+        }
+
+        res.json({ cohort: describeCohort(cohort) });
+    } catch (error) {
+        console.error('Get cohort error:', error);
+        res.status(500).json({ message: 'Failed to fetch cohort' });
+    }
+});
+
+// Update cohort
+router.put('/:cohortId',
+    authenticateToken,
+    requirePermission('cohort.manage'),
+    [
+        ...cohortValidation,
+        body('enrollmentStatus').optional().isIn(['open', 'closed']).withMessage('enrollmentStatus must be open or closed'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const cohort = await findManageableCohort(req, res);
+            if (!cohort) return;
+
+            if (cohort.status === 'canceled') {
+                return res.status(400).json({ message: 'Canceled cohorts cannot be changed' });
+            }
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) cohort[field] = req.body[field];
+            });
+
+            const valueError = checkCohortValues(cohort);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            if (req.body.enrollmentStatus === 'closed' && cohort.enrollmentStatus === 'open') {
+                await cohortService.closeEnrollment(cohort);
+            } else {
+                if (req.body.enrollmentStatus === 'open') {
+                    cohort.enrollmentStatus = 'open';
+                    cohort.enrollmentClosedAt = undefined;
+                }
+                await cohort.save();
+            }
+
+            // More seats (or a reopened window) can take people off the waitlist
+            const promoted = await cohortService.promoteWaitlist(cohort._id);
+
+            res.json({
+                message: 'Cohort updated successfully',
+                cohort: describeCohort(await Cohort.findById(cohort._id)),
+                promotedFromWaitlist: promoted
+            });
+        } catch (error) {
+            console.error('Update cohort error:', error);
+            res.status(500).json({ message: 'Failed to update cohort' });
+        }
+    }
+);
+
+// Cancel a cohort (members keep their course enrollment)
+router.post('/:cohortId/cancel', authenticateToken, requirePermission('cohort.manage'), async (req, res) => {
+    try {
+        const cohort = await findManageableCohort(req, res);
+        if (!cohort) return;
+
+        const released = await cohortService.cancel(cohort, req.user);
+
+        res.json({
+            message: 'Cohort canceled',
+            released
+        });
+    } catch (error) {
+        console.error('Cancel cohort error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to cancel cohort'
+        });
+    }
+});
+
+// Join a cohort (or its waitlist when full)
+router.post('/:cohortId/join', authenticateToken, requireVerifiedEmail, async (req, res) => {
+    try {
+        const cohort = await Cohort.findById(req.params.cohortId);
+        if (!cohort || cohort.status === 'canceled') {
+            return res.status(404).json({ message: 'Cohort not found' });
+        }
+
+        const { membership, waitlisted, position } = await cohortService.join(req.user, cohort);
+
+        res.status(201).json({
+            message: waitlisted ? `Cohort is full; you are number ${position} on the waitlist` : 'Joined cohort',
+            membership,
+            waitlisted,
+            waitlistPosition: position
+        });
+    } catch (error) {
+        console.error('Join cohort error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to join cohort',
+            checkoutRequired: error.checkoutRequired,
+            missing: error.missing
+        });
+    }
+});
+
+// Leave a cohort or its waitlist
+router.post('/:cohortId/leave', authenticateToken, async (req, res) => {
+    try {
+        const cohort = await Cohort.findById(req.params.cohortId);
+        if (!cohort) {
+            return res.status(404).json({ message: 'Cohort not found' });
+        }
+
+        const membership = await cohortService.leave(cohort, req.user._id);
+
+        res.json({
+            message: 'Left cohort',
+            membership
+        });
+    } catch (error) {
+        console.error('Leave cohort error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to leave cohort'
+        });
+    }
+});
+
+// Members and waitlist (course instructor or admin)
+router.get('/:cohortId/members', authenticateToken, requirePermission('cohort.manage'), async (req, res) => {
+    try {
+        const cohort = await findManageableCohort(req, res);
+        if (!cohort) return;
+
+        const filter = { cohort: cohort._id, status: req.query.status || { $in: CohortMembership.ACTIVE_STATUSES } };
+
+        const memberships = await CohortMembership.find(filter)
+            .populate('user', 'name email')
+            .sort({ status: 1, enrolledAt: 1, waitlistedAt: 1 });
+
+        res.json({ memberships });
+    } catch (error) {
+        console.error('Get cohort members error:', error);
+        res.status(500).json({ message: 'Failed to fetch cohort members' });
+    }
+});
+
+// Remove a learner from a cohort or its waitlist (course instructor or admin)
+router.delete('/:cohortId/members/:userId', authenticateToken, requirePermission('cohort.manage'), async (req, res) => {
+    try {
+        const cohort = await findManageableCohort(req, res);
+        if (!cohort) return;
+
+        const membership = await cohortService.leave(cohort, req.params.userId, {
+            status: 'removed',
+            endedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Learner removed from cohort',
+            membership
+        });
+    } catch (error) {
+        console.error('Remove cohort member error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to remove learner'
+        });
+    }
+});
+
+// Progress report for the cohort (course instructor or admin)
+router.get('/:cohortId/progress', authenticateToken, requirePermission('cohort.manage'), async (req, res) => {
+    try {
+        const cohort = await findManageableCohort(req, res);
+        if (!cohort) return;
+
+        const report = await cohortService.getProgressReport(cohort);
+
+        res.json({
+            cohort: { _id: cohort._id, name: cohort.name, course: cohort.course, startsAt: cohort.startsAt, endsAt: cohort.endsAt },
+            ...report
+        });
+    } catch (error) {
+        console.error('Get cohort progress error:', error);
+        res.status(500).json({ message: 'Failed to fetch cohort progress' });
+    }
+});
+
+// Announcements (enrolled members, the course instructor and admins)
+router.get('/:cohortId/announcements', authenticateToken, async (req, res) => {
+    try {
+        const cohort = await Cohort.findById(req.params.cohortId).populate('course', 'instructor collaborators');
+        if (!cohort) {
+            return res.status(404).json({ message: 'Cohort not found' });
+        }
+
+        const canView = await permissionService.can(req.user, 'cohort.manage', cohort.course) ||
+            await CohortMembership.exists({ cohort: cohort._id, user: req.user._id, status: 'enrolled' });
+        if (!canView) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const announcements = await CohortAnnouncement.find({ cohort: cohort._id })
+            .populate('author', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await CohortAnnouncement.countDocuments({ cohort: cohort._id });
+
+        res.json({
+            announcements,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalAnnouncements: total
+        });
+    } catch (error) {
+        console.error('Get cohort announcements error:', error);
+        res.status(500).json({ message: 'Failed to fetch announcements' });
+    }
+});
+
+// Post an announcement to the cohort (course instructor or admin)
+router.post('/:cohortId/announcements',
+    authenticateToken,
+    requirePermission('cohort.manage'),
+    [
+        body('title').trim().notEmpty().isLength({ max: 200 }).withMessage('Title must be 1-200 characters'),
+        body('body').isString().notEmpty().isLength({ max: 10000 }).withMessage('Body must be 1-10000 characters'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const cohort = await findManageableCohort(req, res);
+            if (!cohort) return;
+
+            const announcement = await cohortService.postAnnouncement(cohort, req.user, {
+                title: sanitizeText(req.body.title),
+                body: sanitizeText(req.body.body)
+            });
+
+            res.status(201).json({
+                message: 'Announcement posted',
+                announcement
+            });
+        } catch (error) {
+            console.error('Post cohort announcement error:', error);
+            res.status(500).json({ message: 'Failed to post announcement' });
+        }
+    }
+);
+
+module.exports = router;
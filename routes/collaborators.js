@@ -0,0 +1,184 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Course = require('../models/Course');
+const CourseInvitation = require('../models/CourseInvitation');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const CollaboratorService = require('../services/CollaboratorService');
+const PermissionService = require('../services/PermissionService');
+
+// Mounted at /api/courses/:courseId/collaborators
+const router = express.Router({ mergeParams: true });
+const collaboratorService = new CollaboratorService();
+const permissionService = new PermissionService();
+
+const ROLES = ['co_instructor', 'ta'];
+
+// Only the owner (or anyone editing every course) puts the team together
+const canManageTeam = async (user, course) =>
+    permissionService.isOwner(user, course) || await permissionService.hasPermission(user, 'course.update_any');
+
+// Load the course when the current user may manage its collaborators
+const findManageableCourse = async (req, res) => {
+    const course = await Course.findById(req.params.courseId).select('title instructor collaborators');
+    if (!course) {
+        res.status(404).json({ message: 'Course not found' });
+        return null;
+    }
+    if (!await canManageTeam(req.user, course)) {
+        res.status(403).json({ message: 'Only the course owner can manage collaborators' });
+        return null;
+    }
+    return course;
+};
+
+// Owner, collaborators and, for whoever manages the team, pending invitations
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.courseId)
+            .select('title instructor collaborators')
+            .populate('instructor', 'name email profile.avatar')
+            .populate('collaborators.user', 'name email profile.avatar');
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+        if (!await permissionService.can(req.user, 'course.view', course)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const canManage = await canManageTeam(req.user, course);
+        const invitations = canManage
+            ? await CourseInvitation.find({ course: course._id, status: 'pending' })
+                .populate('invitedBy', 'name')
+                .select('-tokenHash')
+                .sort({ createdAt: -1 })
+            : undefined;
+
+        res.json({
+            owner: course.instructor,
+            collaborators: course.collaborators,
+            invitations,
+            canManage
+        });
+    } catch (error) {
+        console.error('Get collaborators error:', error);
+        res.status(500).json({ message: 'Failed to fetch collaborators' });
+    }
+});
+
+// Invite a co-instructor or teaching assistant by email
+router.post('/invitations',
+    authenticateToken,
+    [
+        body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+        body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+        body('revenueShare').optional().isFloat({ min: 0, max: 100 }).toFloat()
+            .withMessage('Revenue share must be between 0 and 100'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await findManageableCourse(req, res);
+            if (!course) return;
+
+            const invitation = await collaboratorService.invite(course, req.body, req.user);
+            invitation.tokenHash = undefined;
+
+            res.status(201).json({
+                message: 'Invitation sent',
+                invitation
+            });
+        } catch (error) {
+            console.error('Invite collaborator error:', error);
+            res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to send invitation' });
+        }
+    }
+);
+
+// Revoke a pending invitation
+router.delete('/invitations/:invitationId',
+    authenticateToken,
+    [param('invitationId').isMongoId().withMessage('Valid invitation ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const course = await findManageableCourse(req, res);
+            if (!course) return;
+
+            const invitation = await CourseInvitation.findOneAndUpdate(
+                { _id: req.params.invitationId, course: course._id, status: 'pending' },
+                { status: 'revoked', respondedAt: new Date() },
+                { new: true }
+            ).select('-tokenHash');
+            if (!invitation) {
+                return res.status(404).json({ message: 'Invitation not found' });
+            }
+
+            res.json({
+                message: 'Invitation revoked',
+                invitation
+            });
+        } catch (error) {
+            console.error('Revoke invitation error:', error);
+            res.status(500).json({ message: 'Failed to revoke invitation' });
+        }
+    }
+);
+
+// Change a collaborator's role or revenue share
+router.put('/:userId',
+    authenticateToken,
+    [
+        param('userId').isMongoId().withMessage('Valid user ID is required'),
+        body('role').optional().isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+        body('revenueShare').optional().isFloat({ min: 0, max: 100 }).toFloat()
+            .withMessage('Revenue share must be between 0 and 100'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await findManageableCourse(req, res);
+            if (!course) return;
+
+            const collaborator = await collaboratorService.update(course, req.params.userId, {
+                role: req.body.role,
+                revenueShare: req.body.revenueShare
+            });
+
+            res.json({
+                message: 'Collaborator updated successfully',
+                collaborator
+            });
+        } catch (error) {
+            console.error('Update collaborator error:', error);
+            res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to update collaborator' });
+        }
+    }
+);
+
+// Remove a collaborator; collaborators can also leave the course themselves
+router.delete('/:userId',
+    authenticateToken,
+    [param('userId').isMongoId().withMessage('Valid user ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId).select('title instructor collaborators');
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+
+            const isSelf = req.params.userId === req.user._id.toString();
+            if (!isSelf && !await canManageTeam(req.user, course)) {
+                return res.status(403).json({ message: 'Only the course owner can manage collaborators' });
+            }
+
+            await collaboratorService.remove(course, req.params.userId);
+
+            res.json({ message: isSelf ? 'You left the course' : 'Collaborator removed' });
+        } catch (error) {
+            console.error('Remove collaborator error:', error);
+            res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to remove collaborator' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const PricingService = require('../services/PricingService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const pricingService = new PricingService();
+const permissionService = new PermissionService();
+
+const couponValidation = [
+    body('discountType').optional().isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+    body('value').optional().isFloat({ gt: 0 }).withMessage('Value must be greater than 0'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    body('scope').optional().isIn(['site', 'course']).withMessage('Scope must be site or course'),
+    body('courses').optional().isArray().withMessage('Courses must be an array'),
+    body('courses.*').optional().isMongoId().withMessage('Valid course IDs required'),
+    body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max redemptions must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('startsAt').optional().isISO8601().withMessage('Valid start date required'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date required'),
+    body('description').optional().isString().isLength({ max: 500 })
+];
+
+const EDITABLE_FIELDS = ['description', 'discountType', 'value', 'currency', 'scope', 'courses',
+    'maxRedemptions', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'];
+
+// Check the resulting coupon values make sense
+const checkCouponValues = (coupon) => {
+    if (coupon.discountType === 'percent' && coupon.value > 100) {
+        return 'Percentage discount cannot exceed 100';
+    }
+    if (coupon.expiresAt && coupon.startsAt && coupon.expiresAt <= coupon.startsAt) {
+        return 'Expiry date must be after the start date';
+    }
+    return null;
+};
+
+// Load a coupon the current user may manage
+const findManageableCoupon = async (req, res) => {
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+        res.status(404).json({ message: 'Coupon not found' });
+        return null;
+    }
+    if (!await permissionService.can(req.user, 'coupon.manage', coupon)) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return coupon;
+};
+
+// Check a coupon against the given courses (or the current cart) without applying it
+router.post('/validate',
+    authenticateToken,
+    [
+        body('code').trim().notEmpty().withMessage('Coupon code is required'),
+        body('courseIds').optional().isArray({ min: 1 }).withMessage('courseIds must be a non-empty array'),
+        body('courseIds.*').optional().isMongoId().withMessage('Valid course IDs required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const courseIds = req.body.courseIds || (req.user.learner?.cart || []);
+            const courses = await Course.find({ _id: { $in: courseIds }, isPublished: true });
+
+            if (courses.length === 0) {
+                return res.status(400).json({ message: 'No courses to apply the coupon to' });
+            }
+
+            const currency = pricingService.currencyService.getRequestedCurrency(req);
+            if (currency && !(await pricingService.currencyService.isSupported(currency))) {
+                return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+            }
+
+            const pricing = await pricingService.priceCart(req.user._id, courses, req.body.code, { currency });
+
+            if (pricing.couponError) {
+                return res.json({ valid: false, message: pricing.couponError });
+            }
+
+            res.json({
+                valid: true,
+                currency: pricing.currency,
+                coupon: pricing.coupon,
+                subtotal: pricing.subtotal,
+                discountTotal: pricing.discountTotal,
+                total: pricing.total
+            });
+        } catch (error) {
+            console.error('Validate coupon error:', error);
+            res.status(500).json({ message: 'Failed to validate coupon' });
+        }
+    }
+);
+
+// List coupons (instructors see their own, admins see all)
+router.get('/',
+    authenticateToken,
+    requirePermission('coupon.manage'),
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 20, active, course } = req.query;
+            const skip = (page - 1) * limit;
+
+            const filter = {};
+            if (!await permissionService.hasPermission(req.user, 'coupon.manage_any')) filter.createdBy = req.user._id;
+            if (active !== undefined) filter.isActive = active === 'true';
+            if (course) filter.courses = course;
+
+            const coupons = await Coupon.find(filter)
+                .populate('courses', 'title')
+                .populate('createdBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit));
+
+            const total = await Coupon.countDocuments(filter);
+
+            res.json({
+                coupons,
+                totalPages: Math.ceil(total / limit),
+                currentPage: parseInt(page),
+                totalCoupons: total
+            });
+        } catch (error) {
+            console.error('Get coupons error:', error);
+            res.status(500).json({ message: 'Failed to fetch coupons' });
+        }
+    }
+);
+
+// Create coupon
+router.post('/',
+    authenticateToken,
+    requirePermission('coupon.manage'),
+    [
+        body('code').trim().matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+        body('discountType').isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+        body('value').isFloat({ gt: 0 }).withMessage('Value must be greater than 0'),
+        ...couponValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            // Instructor coupons are always limited to their own courses
+            const canManageAny = await permissionService.hasPermission(req.user, 'coupon.manage_any');
+            const scope = canManageAny ? (req.body.scope || 'course') : 'course';
+            const courses = req.body.courses || [];
+
+            const scopeError = await pricingService.checkDiscountScope(req.user, scope, courses, 'coupon.manage');
+            if (scopeError) {
+                return res.status(400).json({ message: scopeError });
+            }
+
+            const code = req.body.code.toUpperCase();
+            if (await Coupon.exists({ code })) {
+                return res.status(400).json({ message: 'Coupon code already exists' });
+            }
+
+            const coupon = new Coupon({
+                code,
+                description: req.body.description,
+                discountType: req.body.discountType,
+                value: req.body.value,
+                currency: req.body.currency ? req.body.currency.toUpperCase() : undefined,
+                scope,
+                courses: scope === 'course' ? courses : [],
+                maxRedemptions: req.body.maxRedemptions ?? null,
+                perUserLimit: req.body.perUserLimit,
+                startsAt: req.body.startsAt,
+                expiresAt: req.body.expiresAt,
+                createdBy: req.user._id,
+                // Made with rights over every coupon: recorded as an admin coupon
+                createdByRole: canManageAny ? 'admin' : 'instructor'
+            });
+
+            const valueError = checkCouponValues(coupon);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await coupon.save();
+
+            res.status(201).json({
+                message: 'Coupon created successfully',
+                coupon
+            });
+        } catch (error) {
+            console.error('Create coupon error:', error);
+            res.status(500).json({ message: 'Failed to create coupon' });
+        }
+    }
+);
+
+// Get coupon details
+router.get('/:couponId',
+    authenticateToken,
+    requirePermission('coupon.manage'),
+    async (req, res) => {
+        try {
+            const coupon = await findManageableCoupon(req, res);
+            if (!coupon) return;
+
+            await coupon.populate('courses', 'title price currency');
+
+            res.json({ coupon });
+        } catch (error) {
+            console.error('Get coupon error:', error);
+            res.status(500).json({ message: 'Failed to fetch coupon' });
+        }
+    }
+);
+
+// Update coupon (the code itself cannot change)
+router.put('/:couponId',
+    authenticateToken,
+    requirePermission('coupon.manage'),
+    [
+        ...couponValidation,
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const coupon = await findManageableCoupon(req, res);
+            if (!coupon) return;
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) coupon[field] = req.body[field];
+            });
+            if (req.body.currency) coupon.currency = req.body.currency.toUpperCase();
+
+            if (req.body.scope !== undefined || req.body.courses !== undefined) {
+                const courseIds = coupon.courses.map(id => id.toString());
+                const scopeError = await pricingService.checkDiscountScope(req.user, coupon.scope, courseIds, 'coupon.manage');
+                if (scopeError) {
+                    return res.status(400).json({ message: scopeError });
+                }
+                if (coupon.scope === 'site') coupon.courses = [];
+            }
+
+            const valueError = checkCouponValues(coupon);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await coupon.save();
+
+            res.json({
+                message: 'Coupon updated successfully',
+                coupon
+            });
+        } catch (error) {
+            console.error('Update coupon error:', error);
+            res.status(500).json({ message: 'Failed to update coupon' });
+        }
+    }
+);
+
+// Deactivate coupon (kept for order history)
+router.delete('/:couponId',
+    authenticateToken,
+    requirePermission('coupon.manage'),
+    async (req, res) => {
+        try {
+            const coupon = await findManageableCoupon(req, res);
+            if (!coupon) return;
+
+            coupon.isActive = false;
+            await coupon.save();
+
+            res.json({ message: 'Coupon deactivated successfully' });
+        } catch (error) {
+            console.error('Delete coupon error:', error);
+            res.status(500).json({ message: 'Failed to deactivate coupon' });
+        }
+    }
+);
+
+module.exports = router;
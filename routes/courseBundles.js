@@ -0,0 +1,158 @@
+const express = require('express');
+const os = require('os');
+const fs = require('fs');
+const multer = require('multer');
+const { body } = require('express-validator');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission, requireInstructorApproval } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const CourseBundleService = require('../services/CourseBundleService');
+const CommonCartridgeService = require('../services/CommonCartridgeService');
+const RevisionService = require('../services/RevisionService');
+const PermissionService = require('../services/PermissionService');
+
+// Mounted at /api/courses, before the course routes
+const router = express.Router();
+const courseBundleService = new CourseBundleService();
+const commonCartridgeService = new CommonCartridgeService();
+const revisionService = new RevisionService();
+const permissionService = new PermissionService();
+
+const bundleUpload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: parseInt(process.env.COURSE_BUNDLE_MAX_MB || '256', 10) * 1024 * 1024
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/zip' || file.mimetype === 'application/x-zip-compressed' ||
+            file.originalname.toLowerCase().endsWith('.zip')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Course bundles are zip files'), false);
+        }
+    }
+});
+
+// Download a course as a portable bundle (course.json, its files from uploads/ and a manifest)
+router.get('/:courseId/export',
+    authenticateToken,
+    requirePermission('course.update'),
+    requireInstructorApproval,
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+            if (!await permissionService.can(req.user, 'course.update', course)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const bundle = await courseBundleService.exportCourse(course, {
+                includeDemoVideo: req.query.includeDemoVideo === 'true'
+            });
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+            res.send(bundle.buffer);
+        } catch (error) {
+            console.error('Export course error:', error);
+            res.status(500).json({ message: 'Failed to export course' });
+        }
+    }
+);
+
+// Download the course as an IMS Common Cartridge 1.3 (.imscc) for other LMSs;
+// report=true returns what would be left out instead of the file
+router.get('/:courseId/export/imscc',
+    authenticateToken,
+    requirePermission('course.update'),
+    requireInstructorApproval,
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+            if (!await permissionService.can(req.user, 'course.update', course)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const cartridge = await commonCartridgeService.exportCourse(course);
+
+            if (req.query.report === 'true') {
+                return res.json({
+                    filename: cartridge.filename,
+                    size: cartridge.buffer.length,
+                    skipped: cartridge.skipped,
+                    missingAssets: cartridge.missingAssets
+                });
+            }
+
+            res.setHeader('Content-Type', 'application/vnd.ims.imsccv1p3');
+            res.setHeader('Content-Disposition', `attachment; filename="${cartridge.filename}"`);
+            res.send(cartridge.buffer);
+        } catch (error) {
+            console.error('Export common cartridge error:', error, error.errors || '');
+            res.status(500).json({ message: 'Failed to export course as a common cartridge' });
+        }
+    }
+);
+
+// Create a draft course from a bundle; dryRun=true only reports the conflicts
+router.post('/import',
+    authenticateToken,
+    requirePermission('course.create'),
+    requireInstructorApproval,
+    bundleUpload.single('bundle'),
+    [
+        body('categoryId').optional().isMongoId().withMessage('Valid category ID is required'),
+        body('keepVideos').optional().isBoolean().toBoolean(),
+        body('dryRun').optional().isBoolean().toBoolean()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ message: 'Bundle file is required' });
+            }
+
+            const result = await courseBundleService.importBundle(req.file.path, req.user, {
+                categoryId: req.body.categoryId,
+                keepVideos: req.body.keepVideos,
+                dryRun: req.body.dryRun
+            });
+
+            const summary = {
+                conflicts: result.conflicts,
+                source: result.manifest.source,
+                schemaVersion: result.manifest.schemaVersion,
+                assetsImported: result.assetsImported,
+                videosCleared: result.videosCleared
+            };
+
+            if (!result.course) {
+                return res.json({ message: 'Bundle checked, nothing was imported', ...summary });
+            }
+
+            revisionService.record(result.course, req.user._id, 'create')
+                .catch(error => console.error('Record course revision error:', error));
+
+            res.status(201).json({
+                message: 'Course imported as a draft',
+                course: { _id: result.course._id, title: result.course.title, slug: result.course.slug },
+                ...summary
+            });
+        } catch (error) {
+            console.error('Import course error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to import course',
+                files: error.files
+            });
+        } finally {
+            if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const CourseInvitation = require('../models/CourseInvitation');
+const { authenticateToken } = require('../middleware/auth');
+const CollaboratorService = require('../services/CollaboratorService');
+
+const router = express.Router();
+const collaboratorService = new CollaboratorService();
+
+// Pending invitations sent to the current user's email
+router.get('/mine', authenticateToken, async (req, res) => {
+    try {
+        const invitations = await CourseInvitation.find({
+            email: req.user.email.toLowerCase(),
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        })
+            .populate('course', 'title thumbnail')
+            .populate('invitedBy', 'name')
+            .select('-tokenHash')
+            .sort({ createdAt: -1 });
+
+        res.json({ invitations });
+    } catch (error) {
+        console.error('Get course invitations error:', error);
+        res.status(500).json({ message: 'Failed to fetch invitations' });
+    }
+});
+
+// Invitation behind an emailed link
+router.get('/:token', authenticateToken, async (req, res) => {
+    try {
+        const invitation = await collaboratorService.findForUser(req.params.token, req.user);
+        await invitation.populate([
+            { path: 'course', select: 'title thumbnail shortDescription' },
+            { path: 'invitedBy', select: 'name' }
+        ]);
+        invitation.tokenHash = undefined;
+
+        res.json({ invitation });
+    } catch (error) {
+        console.error('Get course invitation error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to fetch invitation' });
+    }
+});
+
+router.post('/:token/accept', authenticateToken, async (req, res) => {
+    try {
+        const { course } = await collaboratorService.accept(req.params.token, req.user);
+
+        res.json({
+            message: `You now teach ${course.title}`,
+            course: { _id: course._id, title: course.title }
+        });
+    } catch (error) {
+        console.error('Accept course invitation error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to accept invitation' });
+    }
+});
+
+router.post('/:token/decline', authenticateToken, async (req, res) => {
+    try {
+        await collaboratorService.decline(req.params.token, req.user);
+
+        res.json({ message: 'Invitation declined' });
+    } catch (error) {
+        console.error('Decline course invitation error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to decline invitation' });
+    }
+});
+
+module.exports = router;
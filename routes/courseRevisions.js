@@ -0,0 +1,177 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const { authenticateToken, requirePermission, requireInstructorApproval } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const RevisionService = require('../services/RevisionService');
+const PermissionService = require('../services/PermissionService');
+
+// Mounted at /api/courses/:courseId/revisions
+const router = express.Router({ mergeParams: true });
+const revisionService = new RevisionService();
+const permissionService = new PermissionService();
+
+// Load the course when the current user may work on it with the given permission
+const findCourse = async (req, res, permission) => {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+        res.status(404).json({ message: 'Course not found' });
+        return null;
+    }
+    if (!await permissionService.can(req.user, permission, course)) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return course;
+};
+
+// Revision history, newest first (without the snapshots)
+router.get('/',
+    authenticateToken,
+    requirePermission('course.view'),
+    requireInstructorApproval,
+    async (req, res) => {
+        try {
+            const course = await findCourse(req, res, 'course.view');
+            if (!course) return;
+
+            const { page = 1, limit = 20 } = req.query;
+            const skip = (page - 1) * limit;
+
+            const revisions = await CourseRevision.find({ course: course._id })
+                .select('-snapshot')
+                .populate('author', 'name email')
+                .sort({ number: -1 })
+                .skip(skip)
+                .limit(parseInt(limit));
+
+            const total = await CourseRevision.countDocuments({ course: course._id });
+
+            res.json({
+                revisions,
+                totalPages: Math.ceil(total / limit),
+                currentPage: parseInt(page),
+                totalRevisions: total
+            });
+        } catch (error) {
+            console.error('Get course revisions error:', error);
+            res.status(500).json({ message: 'Failed to fetch revisions' });
+        }
+    }
+);
+
+// One revision with its full snapshot
+router.get('/:revId',
+    authenticateToken,
+    requirePermission('course.view'),
+    requireInstructorApproval,
+    [param('revId').isMongoId().withMessage('Valid revision ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const course = await findCourse(req, res, 'course.view');
+            if (!course) return;
+
+            const revision = await CourseRevision.findOne({ _id: req.params.revId, course: course._id })
+                .populate('author', 'name email');
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+
+            res.json({ revision });
+        } catch (error) {
+            console.error('Get course revision error:', error);
+            res.status(500).json({ message: 'Failed to fetch revision' });
+        }
+    }
+);
+
+// Changes made by a revision, or between it and ?against=<revision ID>
+// (use against=current to compare with the course as it is now)
+router.get('/:revId/diff',
+    authenticateToken,
+    requirePermission('course.view'),
+    requireInstructorApproval,
+    [
+        param('revId').isMongoId().withMessage('Valid revision ID is required'),
+        query('against').optional().custom(value => value === 'current' || /^[a-f\d]{24}$/i.test(value))
+            .withMessage('against must be a revision ID or "current"'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await findCourse(req, res, 'course.view');
+            if (!course) return;
+
+            const revision = await CourseRevision.findOne({ _id: req.params.revId, course: course._id });
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+
+            let base = null;
+            let baseSnapshot;
+            if (req.query.against === 'current') {
+                baseSnapshot = revisionService.snapshot(course);
+            } else if (req.query.against) {
+                base = await CourseRevision.findOne({ _id: req.query.against, course: course._id });
+                if (!base) {
+                    return res.status(404).json({ message: 'Revision to compare against not found' });
+                }
+                baseSnapshot = base.snapshot;
+            } else {
+                base = await CourseRevision.findOne({ course: course._id, number: { $lt: revision.number } })
+                    .sort({ number: -1 });
+                baseSnapshot = base ? base.snapshot : {};
+            }
+
+            // Always older -> newer; the current course counts as newest
+            const revisionIsNewer = req.query.against !== 'current' && (!base || base.number < revision.number);
+            const changes = revisionIsNewer
+                ? revisionService.diff(baseSnapshot, revision.snapshot)
+                : revisionService.diff(revision.snapshot, baseSnapshot);
+
+            res.json({
+                from: revisionIsNewer ? (base ? base.number : null) : revision.number,
+                to: revisionIsNewer ? revision.number : (base ? base.number : 'current'),
+                changes
+            });
+        } catch (error) {
+            console.error('Get course revision diff error:', error);
+            res.status(500).json({ message: 'Failed to compare revisions' });
+        }
+    }
+);
+
+// Roll the course content back to a revision (recorded as a new revision)
+router.post('/:revId/restore',
+    authenticateToken,
+    requirePermission('course.update'),
+    requireInstructorApproval,
+    [param('revId').isMongoId().withMessage('Valid revision ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const course = await findCourse(req, res, 'course.update');
+            if (!course) return;
+
+            const revision = await CourseRevision.findOne({ _id: req.params.revId, course: course._id });
+            if (!revision) {
+                return res.status(404).json({ message: 'Revision not found' });
+            }
+
+            const result = await revisionService.restore(course, revision, req.user._id);
+
+            res.json({
+                message: `Course restored to revision ${revision.number}`,
+                course: result.course,
+                revision: result.revision && { _id: result.revision._id, number: result.revision.number },
+                // Lectures whose video was deleted since and has to be uploaded again
+                videosToUpload: result.videosToUpload
+            });
+        } catch (error) {
+            console.error('Restore course revision error:', error);
+            res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to restore revision' });
+        }
+    }
+);
+
+module.exports = router;
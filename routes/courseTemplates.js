@@ -0,0 +1,180 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const CourseTemplate = require('../models/CourseTemplate');
+const Course = require('../models/Course');
+const Category = require('../models/Category');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const CourseCloneService = require('../services/CourseCloneService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const courseCloneService = new CourseCloneService();
+const permissionService = new PermissionService();
+
+// Section and lecture counts shown when picking a template
+const describeTemplate = (template) => {
+    const sections = template.content?.sections || [];
+    return {
+        ...template.toObject(),
+        content: undefined,
+        sectionCount: sections.length,
+        lectureCount: sections.reduce((sum, section) => sum + (section.lectures || []).length, 0)
+    };
+};
+
+// Check the course and category a template refers to
+const checkTemplateRefs = async (body) => {
+    if (body.courseId && !await Course.exists({ _id: body.courseId })) return 'Course not found';
+    if (body.category && !await Category.exists({ _id: body.category })) return 'Invalid category';
+    return null;
+};
+
+// Templates to start a course from (curators also see inactive ones with ?includeInactive=true)
+router.get('/', authenticateToken, requirePermission('course.create'), async (req, res) => {
+    try {
+        const filter = { isActive: true };
+        if (req.query.includeInactive === 'true' && await permissionService.hasPermission(req.user, 'course_template.manage')) {
+            delete filter.isActive;
+        }
+        if (req.query.category) {
+            filter.category = req.query.category;
+        }
+
+        const templates = await CourseTemplate.find(filter)
+            .populate('category', 'name')
+            .sort({ usageCount: -1, name: 1 });
+
+        res.json({ templates: templates.map(describeTemplate) });
+    } catch (error) {
+        console.error('Get course templates error:', error);
+        res.status(500).json({ message: 'Failed to fetch course templates' });
+    }
+});
+
+// Template with its outline
+router.get('/:templateId',
+    authenticateToken,
+    requirePermission('course.create'),
+    [param('templateId').isMongoId().withMessage('Valid template ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const template = await CourseTemplate.findById(req.params.templateId).populate('category', 'name');
+            if (!template || (!template.isActive && !await permissionService.hasPermission(req.user, 'course_template.manage'))) {
+                return res.status(404).json({ message: 'Template not found' });
+            }
+
+            res.json({ template });
+        } catch (error) {
+            console.error('Get course template error:', error);
+            res.status(500).json({ message: 'Failed to fetch course template' });
+        }
+    }
+);
+
+// Create a template from an existing course (videos are left out)
+router.post('/',
+    authenticateToken,
+    requirePermission('course_template.manage'),
+    [
+        body('name').trim().isLength({ min: 2, max: 120 }).withMessage('Name must be 2-120 characters'),
+        body('description').optional().trim().isLength({ max: 2000 }),
+        body('courseId').isMongoId().withMessage('Valid course ID is required'),
+        body('category').optional().isMongoId().withMessage('Valid category ID is required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const error = await checkTemplateRefs(req.body);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            const course = await Course.findById(req.body.courseId);
+            const template = await CourseTemplate.create({
+                name: req.body.name,
+                description: req.body.description,
+                category: req.body.category || course.category,
+                content: courseCloneService.buildTemplateContent(course),
+                sourceCourse: course._id,
+                createdBy: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Course template created successfully',
+                template: describeTemplate(template)
+            });
+        } catch (error) {
+            console.error('Create course template error:', error);
+            res.status(500).json({ message: 'Failed to create course template' });
+        }
+    }
+);
+
+// Update a template; passing courseId takes the outline from that course again
+router.put('/:templateId',
+    authenticateToken,
+    requirePermission('course_template.manage'),
+    [
+        param('templateId').isMongoId().withMessage('Valid template ID is required'),
+        body('name').optional().trim().isLength({ min: 2, max: 120 }).withMessage('Name must be 2-120 characters'),
+        body('description').optional().trim().isLength({ max: 2000 }),
+        body('courseId').optional().isMongoId().withMessage('Valid course ID is required'),
+        body('category').optional().isMongoId().withMessage('Valid category ID is required'),
+        body('isActive').optional().isBoolean().toBoolean(),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const template = await CourseTemplate.findById(req.params.templateId);
+            if (!template) {
+                return res.status(404).json({ message: 'Template not found' });
+            }
+
+            const error = await checkTemplateRefs(req.body);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            ['name', 'description', 'category', 'isActive'].forEach(field => {
+                if (req.body[field] !== undefined) template[field] = req.body[field];
+            });
+            if (req.body.courseId) {
+                const course = await Course.findById(req.body.courseId);
+                template.content = courseCloneService.buildTemplateContent(course);
+                template.sourceCourse = course._id;
+            }
+            await template.save();
+
+            res.json({
+                message: 'Course template updated successfully',
+                template: describeTemplate(template)
+            });
+        } catch (error) {
+            console.error('Update course template error:', error);
+            res.status(500).json({ message: 'Failed to update course template' });
+        }
+    }
+);
+
+// Delete a template (courses created from it are not affected)
+router.delete('/:templateId',
+    authenticateToken,
+    requirePermission('course_template.manage'),
+    [param('templateId').isMongoId().withMessage('Valid template ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const template = await CourseTemplate.findByIdAndDelete(req.params.templateId);
+            if (!template) {
+                return res.status(404).json({ message: 'Template not found' });
+            }
+
+            res.json({ message: 'Course template deleted successfully' });
+        } catch (error) {
+            console.error('Delete course template error:', error);
+            res.status(500).json({ message: 'Failed to delete course template' });
+        }
+    }
+);
+
+module.exports = router;
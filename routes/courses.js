@@ -7,10 +7,43 @@ const Course = require('../models/Course');
 const Category = require('../models/Category');
 const User = require('../models/User');
 const Enrollment = require('../models/Enrollment');
-const { authenticateToken, requireVerifiedInstructor, optionalAuth, requireRole } = require('../middleware/auth');
+const CourseRevision = require('../models/CourseRevision');
+const CourseTemplate = require('../models/CourseTemplate');
+const ScormPackage = require('../models/ScormPackage');
+const { authenticateToken, requireInstructorApproval, optionalAuth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const PricingService = require('../services/PricingService');
+const CurrencyService = require('../services/CurrencyService');
+const DripService = require('../services/DripService');
+const PermissionService = require('../services/PermissionService');
+const RevisionService = require('../services/RevisionService');
+const CourseCloneService = require('../services/CourseCloneService');
+const ScormService = require('../services/ScormService');
 
 const router = express.Router();
+const pricingService = new PricingService();
+const currencyService = new CurrencyService();
+const dripService = new DripService();
+const permissionService = new PermissionService();
+const revisionService = new RevisionService();
+const courseCloneService = new CourseCloneService();
+const scormService = new ScormService();
+
+// Price fields in the display currency (sale price while a promotion runs)
+const describePrice = (pricing, locale) => ({
+    displayCurrency: pricing.currency,
+    listPrice: pricing.listPrice,
+    salePrice: pricing.price,
+    promotion: pricing.promotion,
+    formattedListPrice: currencyService.format(pricing.listPrice, pricing.currency, locale),
+    formattedPrice: currencyService.format(pricing.price, pricing.currency, locale)
+});
+
+// Keep a revision of the saved content; a failure here must not fail the edit
+const recordRevision = (course, req, source) => {
+    revisionService.record(course, req.user._id, source)
+        .catch(error => console.error('Record course revision error:', error));
+};
 
 // Environment-based CORS for courses: Only in development (production uses Nginx)
 if (process.env.NODE_ENV === 'development') {
@@ -83,19 +116,20 @@ const upload = multer({
 // Get instructor dashboard stats
 router.get('/instructor/dashboard-stats',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.view'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const instructorId = req.user._id;
 
             // Get courses statistics
             const publishedCourses = await Course.find({ 
-                instructor: instructorId, 
+                ...Course.taughtByFilter(instructorId), 
                 status: 'published' 
             }).populate('category', 'name');
 
             const draftCourses = await Course.find({ 
-                instructor: instructorId, 
+                ...Course.taughtByFilter(instructorId), 
                 status: 'draft' 
             }).populate('category', 'name');
 
@@ -111,7 +145,10 @@ router.get('/instructor/dashboard-stats',
                 },
                 {
                     $match: {
-                        'courseData.0.instructor': instructorId
+                        $or: [
+                            { 'courseData.0.instructor': instructorId },
+                            { 'courseData.0.collaborators.user': instructorId }
+                        ]
                     }
                 },
                 {
@@ -169,6 +206,12 @@ router.get('/', async (req, res) => {
             sortOrder = 'desc' 
         } = req.query;
 
+        // Prices in the requested currency, otherwise each course's own
+        const currency = currencyService.getRequestedCurrency(req);
+        if (currency && !(await currencyService.isSupported(currency))) {
+            return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+        }
+
         // Build filter for published courses only
         const filter = { 
             status: 'published',
@@ -208,12 +251,19 @@ router.get('/', async (req, res) => {
             .sort(sortOptions)
             .skip(skip)
             .limit(parseInt(limit))
-            .select('title description thumbnail banner price enrolledStudents totalLectures totalDuration ratings createdAt instructor category');
+            .select('title description thumbnail banner price currency pricePoints enrolledStudents totalLectures totalDuration ratings createdAt instructor category');
 
         const totalCourses = await Course.countDocuments(filter);
 
+        // Expose the effective price while a sale is running
+        const pricing = await pricingService.priceCourses(courses, { currency });
+        const locale = currencyService.getRequestedLocale(req);
+
         res.json({
-            courses,
+            courses: courses.map((course, index) => ({
+                ...course.toObject(),
+                ...describePrice(pricing[index], locale)
+            })),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -230,13 +280,15 @@ router.get('/', async (req, res) => {
 // Get instructor's courses (instructor-specific)
 router.get('/instructor/my-courses',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.view'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const instructorId = req.user._id;
             const { status, page = 1, limit = 10 } = req.query;
 
-            const filter = { instructor: instructorId };
+            // Owned courses and the ones the user collaborates on
+            const filter = Course.taughtByFilter(instructorId);
             if (status && ['draft', 'published'].includes(status)) {
                 filter.status = status;
             }
@@ -248,7 +300,7 @@ router.get('/instructor/my-courses',
                 .sort('-createdAt')
                 .skip(skip)
                 .limit(parseInt(limit))
-                .select('title description thumbnail banner status createdAt updatedAt price enrolledStudents totalLectures totalDuration ratings');
+                .select('title description thumbnail banner status createdAt updatedAt price enrolledStudents totalLectures totalDuration ratings instructor collaborators');
 
             const totalCourses = await Course.countDocuments(filter);
 
@@ -271,7 +323,8 @@ router.get('/instructor/my-courses',
 // Create draft course (Step 1: Basic Info)
 router.post('/draft',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.create'),
+    requireInstructorApproval,
     upload.fields([
         { name: 'thumbnail', maxCount: 1 },
         { name: 'banner', maxCount: 1 },
@@ -282,7 +335,9 @@ router.post('/draft',
         body('description').notEmpty().withMessage('Description is required'),
         body('category').notEmpty().withMessage('Category is required'),
         body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-        body('whatYouWillLearn').custom((value) => {
+        body('templateId').optional().isMongoId().withMessage('Valid template ID is required'),
+        // A template brings its own learning objectives
+        body('whatYouWillLearn').if((value, { req }) => !req.body.templateId || value !== undefined).custom((value) => {
             const parsed = JSON.parse(value);
             if (!Array.isArray(parsed) || parsed.length === 0) {
                 throw new Error('At least one learning objective is required');
@@ -308,18 +363,31 @@ router.post('/draft',
                 return res.status(400).json({ message: 'Invalid category' });
             }
 
+            // Start from a template: its outline, objectives and certificate
+            // settings, unless the request brings its own
+            let template = null;
+            if (req.body.templateId) {
+                template = await CourseTemplate.findOne({ _id: req.body.templateId, isActive: true });
+                if (!template) {
+                    return res.status(400).json({ message: 'Invalid template' });
+                }
+            }
+            const templateContent = template ? courseCloneService.templateContent(template) : {};
+
             // Prepare course data
             const courseData = {
+                ...templateContent,
                 title,
                 description,
                 shortDescription: description.length > 200 ? description.substring(0, 200) + '...' : description,
                 instructor: req.user._id,
                 category,
-                level: req.body.level || 'beginner',
+                level: req.body.level || templateContent.level || 'beginner',
                 price: parseFloat(price),
                 originalPrice: parseFloat(price),
-                whatYouWillLearn: JSON.parse(whatYouWillLearn),
-                requirements: requirements ? JSON.parse(requirements) : [],
+                whatYouWillLearn: whatYouWillLearn ? JSON.parse(whatYouWillLearn) : templateContent.whatYouWillLearn,
+                requirements: requirements ? JSON.parse(requirements) : (templateContent.requirements || []),
+                template: template?._id,
                 status: 'draft',
                 isPublished: false
             };
@@ -418,6 +486,10 @@ router.post('/draft',
 
             const course = new Course(courseData);
             await course.save();
+            recordRevision(course, req, 'create');
+            if (template) {
+                await CourseTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+            }
 
             // Populate the course with category details before returning
             await course.populate('category', 'name');
@@ -477,7 +549,8 @@ router.post('/draft',
 // Update draft course (handles full course updates)
 router.put('/:courseId/draft',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.update'),
+    requireInstructorApproval,
     upload.fields([
         { name: 'thumbnail', maxCount: 1 },
         { name: 'banner', maxCount: 1 },
@@ -516,7 +589,7 @@ router.put('/:courseId/draft',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -647,6 +720,7 @@ router.put('/:courseId/draft',
             }
 
             await course.save();
+            recordRevision(course, req, 'draft');
 
             // Populate the course with category details before returning
             await course.populate('category', 'name');
@@ -703,10 +777,54 @@ router.put('/:courseId/draft',
     }
 );
 
+// Copy a course into a new draft: sections, lectures, quizzes, notes and resources
+router.post('/:courseId/clone',
+    authenticateToken,
+    requirePermission(['course.create', 'course.update']),
+    requireInstructorApproval,
+    [
+        body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+        body('includeVideos').optional().isBoolean().toBoolean(),
+        body('resetStats').optional().isBoolean().toBoolean(),
+        body('regenerateSlug').optional().isBoolean().toBoolean()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const source = await Course.findById(req.params.courseId);
+            if (!source) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+
+            // Only courses the user could edit themselves
+            if (!await permissionService.can(req.user, 'course.update', source)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const course = await courseCloneService.cloneCourse(source, req.user, {
+                title: req.body.title,
+                includeVideos: req.body.includeVideos,
+                resetStats: req.body.resetStats,
+                regenerateSlug: req.body.regenerateSlug
+            });
+            recordRevision(course, req, 'create');
+
+            res.status(201).json({
+                message: 'Course cloned successfully',
+                course
+            });
+        } catch (error) {
+            console.error('Clone course error:', error);
+            res.status(500).json({ message: 'Failed to clone course' });
+        }
+    }
+);
+
 // Update course basic info
 router.put('/:courseId/basic-info',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.update'),
+    requireInstructorApproval,
     upload.fields([
         { name: 'thumbnail', maxCount: 1 },
         { name: 'banner', maxCount: 1 },
@@ -722,7 +840,7 @@ router.put('/:courseId/basic-info',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -756,6 +874,11 @@ router.put('/:courseId/basic-info',
                 console.log('📝 Updated publish status:', { isPublished, status: course.status, publishedAt: course.publishedAt });
             }
 
+            // Cohort-based courses are joined through a cohort (multipart sends booleans as strings)
+            if (req.body.cohortBased !== undefined) {
+                course.cohortBased = req.body.cohortBased === 'true' || req.body.cohortBased === true;
+            }
+
             // Update basic fields
             const allowedFields = ['title', 'description', 'category', 'price', 'whatYouWillLearn', 'requirements', 'level', 'sections'];
             allowedFields.forEach(field => {
@@ -859,6 +982,7 @@ router.put('/:courseId/basic-info',
             }
 
             await course.save();
+            recordRevision(course, req, 'basic_info');
 
             // Transform quiz data from backend format to frontend format
             if (course.sections && course.sections.length > 0) {
@@ -912,7 +1036,8 @@ router.put('/:courseId/basic-info',
 // Add section to course
 router.post('/:courseId/sections',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.update'),
+    requireInstructorApproval,
     [
         body('title').notEmpty().withMessage('Section title is required')
     ],
@@ -928,7 +1053,7 @@ router.post('/:courseId/sections',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -941,6 +1066,7 @@ router.post('/:courseId/sections',
 
             course.sections.push(newSection);
             await course.save();
+            recordRevision(course, req, 'section');
 
             res.status(201).json({
                 message: 'Section added successfully',
@@ -990,7 +1116,7 @@ router.post('/:courseId/sections/:sectionId/lectures/:lectureId/upload-video',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -1107,6 +1233,7 @@ router.post('/:courseId/sections/:sectionId/lectures/:lectureId/upload-video',
             }
 
             await course.save();
+            recordRevision(course, req, 'lecture');
 
             res.json({
                 message: 'Video uploaded successfully',
@@ -1139,7 +1266,8 @@ router.post('/:courseId/sections/:sectionId/lectures/:lectureId/upload-video',
 // Add lecture to section
 router.post('/:courseId/sections/:sectionId/lectures',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.update'),
+    requireInstructorApproval,
     [
         body('title').notEmpty().withMessage('Lecture title is required'),
         body('type').isIn(['video', 'quiz', 'note']).withMessage('Valid lecture type is required'),
@@ -1157,7 +1285,7 @@ router.post('/:courseId/sections/:sectionId/lectures',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -1201,6 +1329,7 @@ router.post('/:courseId/sections/:sectionId/lectures',
 
             section.lectures.push(newLecture);
             await course.save();
+            recordRevision(course, req, 'lecture');
 
             res.status(201).json({
                 message: 'Lecture added successfully',
@@ -1216,7 +1345,8 @@ router.post('/:courseId/sections/:sectionId/lectures',
 // Update lecture content
 router.put('/:courseId/sections/:sectionId/lectures/:lectureId',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.update'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const { courseId, sectionId, lectureId } = req.params;
@@ -1227,7 +1357,7 @@ router.put('/:courseId/sections/:sectionId/lectures/:lectureId',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -1268,6 +1398,7 @@ router.put('/:courseId/sections/:sectionId/lectures/:lectureId',
             });
 
             await course.save();
+            recordRevision(course, req, 'lecture');
 
             res.json({
                 message: 'Lecture updated successfully',
@@ -1280,10 +1411,108 @@ router.put('/:courseId/sections/:sectionId/lectures/:lectureId',
     }
 );
 
+// Get the course price in every supported currency (explicit or converted)
+router.get('/:courseId/prices',
+    authenticateToken,
+    requirePermission('course.update'),
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId).select('instructor collaborators price currency pricePoints');
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+
+            if (!await permissionService.can(req.user, 'course.update', course)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const currencies = await currencyService.getSupportedCurrencies();
+            const prices = [];
+            for (const currency of currencies) {
+                const { amount, source } = await currencyService.getCoursePrice(course, currency);
+                prices.push({ currency, amount, source });
+            }
+
+            res.json({
+                baseCurrency: course.currency,
+                basePrice: course.price,
+                pricePoints: course.pricePoints,
+                prices
+            });
+        } catch (error) {
+            console.error('Get course prices error:', error);
+            res.status(500).json({ message: 'Failed to fetch course prices' });
+        }
+    }
+);
+
+// Set explicit per-currency price points (replaces the existing list)
+router.put('/:courseId/price-points',
+    authenticateToken,
+    requirePermission('course.update'),
+    requireInstructorApproval,
+    [
+        body('pricePoints').isArray().withMessage('pricePoints must be an array'),
+        body('pricePoints.*.currency').isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+        body('pricePoints.*.amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+
+            if (!await permissionService.can(req.user, 'course.update', course)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const pricePoints = [];
+            for (const point of req.body.pricePoints) {
+                const currency = point.currency.toUpperCase();
+
+                if (!(await currencyService.isSupported(currency))) {
+                    return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+                }
+                if (currency === course.currency) {
+                    return res.status(400).json({ message: `${currency} is the course currency; update the course price instead` });
+                }
+                if (pricePoints.some(p => p.currency === currency)) {
+                    return res.status(400).json({ message: `Duplicate price point for ${currency}` });
+                }
+                // Free/paid must not differ between currencies
+                if (((course.price || 0) > 0) !== (parseFloat(point.amount) > 0)) {
+                    return res.status(400).json({
+                        message: course.price > 0 ? 'Price points of a paid course must be above 0' : 'Free courses cannot have paid price points'
+                    });
+                }
+
+                pricePoints.push({
+                    currency,
+                    amount: currencyService.roundAmount(parseFloat(point.amount), currency)
+                });
+            }
+
+            course.pricePoints = pricePoints;
+            await course.save();
+
+            res.json({
+                message: 'Price points updated successfully',
+                pricePoints: course.pricePoints
+            });
+        } catch (error) {
+            console.error('Update price points error:', error);
+            res.status(500).json({ message: 'Failed to update price points' });
+        }
+    }
+);
+
 // Publish/Unpublish course
 router.patch('/:courseId/publish',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.publish'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const { courseId } = req.params;
@@ -1295,7 +1524,7 @@ router.patch('/:courseId/publish',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.publish', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -1352,9 +1581,10 @@ router.get('/:courseId',
             }
 
             // Check if user can access this course
-            const canAccess = course.instructor._id.toString() === req.user._id.toString() || 
-                           req.user.role === 'admin' || 
-                           course.isPublished;
+            const canManage = await permissionService.can(req.user, 'course.update', course) ||
+                await permissionService.can(req.user, 'course.view', course);
+            // Paid content needs an enrollment or a covering subscription
+            const canAccess = canManage || await course.canAccess(req.user);
 
             if (!canAccess) {
                 return res.status(403).json({ message: 'Access denied' });
@@ -1402,7 +1632,22 @@ router.get('/:courseId',
                 });
             }
 
-            res.json({ course });
+            // Learners only get the content of lectures already released to them
+            let courseData = course;
+            if (!canManage) {
+                const enrollment = await Enrollment.findOne({ user: req.user._id, course: course._id, isActive: true })
+                    .select('enrolledAt progress.completedLessons');
+                courseData = dripService.applyToCourse(course.toJSON(), dripService.getSchedule(course, enrollment));
+            }
+
+            const requestedCurrency = currencyService.getRequestedCurrency(req);
+            const currency = requestedCurrency && await currencyService.isSupported(requestedCurrency) ? requestedCurrency : null;
+            const [pricing] = await pricingService.priceCourses([course], { currency });
+
+            res.json({
+                course: courseData,
+                ...describePrice(pricing, currencyService.getRequestedLocale(req))
+            });
         } catch (error) {
             console.error('Get course error:', error);
             res.status(500).json({ message: 'Failed to fetch course' });
@@ -1426,7 +1671,8 @@ const deleteCourseLimit = rateLimit({
 
 router.delete('/:courseId',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.delete'),
+    requireInstructorApproval,
     deleteCourseLimit,
     async (req, res) => {
         try {
@@ -1440,7 +1686,7 @@ router.delete('/:courseId',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            if (!await permissionService.can(req.user, 'course.delete', course)) {
                 console.log(`❌ Access denied for user ${req.user._id} to delete course ${courseId}`);
                 return res.status(403).json({ message: 'Access denied' });
             }
@@ -1473,8 +1719,9 @@ router.delete('/:courseId',
                 for (const section of course.sections) {
                     if (section.lectures && section.lectures.length > 0) {
                         for (const lecture of section.lectures) {
-                            // Delete videos from api.video
-                            if (lecture.type === 'video' && lecture.video?.apiVideoId) {
+                            // Delete videos from api.video (unless a cloned course still uses them)
+                            if (lecture.type === 'video' && lecture.video?.apiVideoId &&
+                                !await Course.isVideoShared(lecture.video.apiVideoId, courseId)) {
                                 console.log(`🎥 DELETING video ${lecture.video.apiVideoId} from api.video...`);
                                 
                                 try {
@@ -1520,6 +1767,14 @@ router.delete('/:courseId',
 
             console.log(`✅ Deleting course ${courseId}... (${deletedVideosCount} videos and ${deletedQuizAttemptsCount} quiz attempts cleaned up)`);
             await Course.findByIdAndDelete(courseId);
+            await CourseRevision.deleteMany({ course: courseId });
+
+            // SCORM packages uploaded to or used by the course, unless a clone still uses them
+            const scormPackageIds = course.sections.flatMap(section => section.lectures
+                .filter(lecture => lecture.type === 'scorm' && lecture.scorm?.package)
+                .map(lecture => lecture.scorm.package));
+            const uploadedPackages = await ScormPackage.find({ course: courseId }).distinct('_id');
+            await scormService.removeUnused([...scormPackageIds, ...uploadedPackages]);
             console.log(`✅ Course ${courseId} deleted successfully`);
 
             res.json({ 
@@ -1537,7 +1792,8 @@ router.delete('/:courseId',
 // Test api.video connection
 router.get('/test-apivideo',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('video.manage'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const VideoService = require('../services/VideoService');
@@ -1708,7 +1964,7 @@ router.post('/upload-video',
                         global.uploadProgress = global.uploadProgress || {};
                         global.uploadProgress[`${courseId}-${sectionIndex}-${lectureIndex}`] = progress;
                     },
-                    true // Delete old video
+                    !await Course.isVideoShared(existingVideoId, courseId) // Delete old video unless a cloned course uses it
                 );
                 
                 console.log('📹 Video file replaced successfully:', uploadResult);
@@ -2052,7 +2308,8 @@ router.get('/progress-status/:progressKey',
 // Delete lecture (and clean up video from api.video)
 router.delete('/:courseId/sections/:sectionId/lectures/:lectureId',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('course.update'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const { courseId, sectionId, lectureId } = req.params;
@@ -2063,7 +2320,7 @@ router.delete('/:courseId/sections/:sectionId/lectures/:lectureId',
             }
 
             // Check ownership
-            if (course.instructor.toString() !== req.user._id.toString()) {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
 
@@ -2081,7 +2338,8 @@ router.delete('/:courseId/sections/:sectionId/lectures/:lectureId',
             let videoDeleted = false;
             let videoDeleteError = null;
             
-            if (lecture.type === 'video' && lecture.video?.apiVideoId) {
+            if (lecture.type === 'video' && lecture.video?.apiVideoId &&
+                !await Course.isVideoShared(lecture.video.apiVideoId, courseId)) {
                 console.log(`🎥 DELETING video ${lecture.video.apiVideoId} from api.video FIRST...`);
                 
                 try {
@@ -2104,8 +2362,16 @@ router.delete('/:courseId/sections/:sectionId/lectures/:lectureId',
 
             // STEP 2: Remove lecture from MongoDB (after video deletion attempt)
             console.log(`📝 Removing lecture ${lectureId} from MongoDB...`);
+            const scormPackageId = lecture.type === 'scorm' ? lecture.scorm?.package : null;
             lecture.deleteOne();
             await course.save();
+            recordRevision(course, req, 'lecture');
+
+            // Package files stay while a revision or cloned course still refers to them
+            if (scormPackageId) {
+                scormService.removeUnused([scormPackageId])
+                    .catch(error => console.error('Remove SCORM package error:', error));
+            }
 
             res.json({
                 message: 'Lecture deleted successfully',
@@ -0,0 +1,111 @@
+const express = require('express');
+const { body } = require('express-validator');
+const ExchangeRateTable = require('../models/ExchangeRateTable');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const CurrencyService = require('../services/CurrencyService');
+
+const router = express.Router();
+const currencyService = new CurrencyService();
+
+// Save a normalized table as the admin-managed one
+const saveTable = async (table, source, userId) => {
+    const stored = await ExchangeRateTable.getTable();
+    stored.baseCurrency = table.baseCurrency;
+    stored.rates = table.rates;
+    stored.rounding = table.rounding;
+    stored.source = source;
+    stored.updatedBy = userId;
+    await stored.save();
+
+    currencyService.clearCache();
+    return currencyService.getTable();
+};
+
+// Supported display currencies (public)
+router.get('/', async (req, res) => {
+    try {
+        const table = await currencyService.getTable();
+        const locale = currencyService.getRequestedLocale(req);
+
+        res.json({
+            baseCurrency: table.baseCurrency,
+            currencies: Object.keys(table.rates).sort().map(code => ({
+                code,
+                decimals: currencyService.getMinorUnits(code),
+                example: currencyService.format(1234.5, code, locale)
+            }))
+        });
+    } catch (error) {
+        console.error('Get currencies error:', error);
+        res.status(500).json({ message: 'Failed to fetch currencies' });
+    }
+});
+
+// Current exchange-rate table (public)
+router.get('/rates', async (req, res) => {
+    try {
+        const table = await currencyService.getTable();
+        const stored = await ExchangeRateTable.findOne({ key: 'default' }).select('updatedAt');
+
+        res.json({
+            ...table,
+            updatedAt: stored?.updatedAt
+        });
+    } catch (error) {
+        console.error('Get exchange rates error:', error);
+        res.status(500).json({ message: 'Failed to fetch exchange rates' });
+    }
+});
+
+// Replace the exchange-rate table (admin only)
+router.put('/rates',
+    authenticateToken,
+    requirePermission('currency.manage'),
+    [
+        body('baseCurrency').isString().isLength({ min: 3, max: 3 }).withMessage('Base currency must be a 3-letter code'),
+        body('rates').isObject().withMessage('Rates must be an object of currency code to rate'),
+        body('rounding.mode').optional().isIn(['nearest', 'charm']).withMessage('Rounding mode must be nearest or charm'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const table = currencyService.normalizeTable(req.body, 'admin');
+            const saved = await saveTable(table, 'admin', req.user._id);
+
+            res.json({
+                message: 'Exchange rates updated successfully',
+                table: saved
+            });
+        } catch (error) {
+            console.error('Update exchange rates error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to update exchange rates'
+            });
+        }
+    }
+);
+
+// Load the exchange-rate table from the local file (admin only)
+router.post('/rates/reload', authenticateToken, requirePermission('currency.manage'), async (req, res) => {
+    try {
+        let table;
+        try {
+            table = currencyService.loadFileTable();
+        } catch (error) {
+            return res.status(400).json({ message: `Could not read exchange-rate file: ${error.message}` });
+        }
+
+        const saved = await saveTable(table, 'file', req.user._id);
+
+        res.json({
+            message: 'Exchange rates loaded from file',
+            table: saved
+        });
+    } catch (error) {
+        console.error('Reload exchange rates error:', error);
+        res.status(500).json({ message: 'Failed to reload exchange rates' });
+    }
+});
+
+module.exports = router;
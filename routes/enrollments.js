@@ -4,13 +4,28 @@ const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
 const User = require('../models/User');
 const Certificate = require('../models/Certificate');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const Cohort = require('../models/Cohort');
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const PricingService = require('../services/PricingService');
+const CurrencyService = require('../services/CurrencyService');
+const SubscriptionService = require('../services/SubscriptionService');
+const RedemptionService = require('../services/RedemptionService');
+const PrerequisiteService = require('../services/PrerequisiteService');
+const PermissionService = require('../services/PermissionService');
+const CohortService = require('../services/CohortService');
 
 const router = express.Router();
+const pricingService = new PricingService();
+const currencyService = new CurrencyService();
+const subscriptionService = new SubscriptionService();
+const redemptionService = new RedemptionService();
+const prerequisiteService = new PrerequisiteService();
+const permissionService = new PermissionService();
+const cohortService = new CohortService();
 
 // Enroll in course
-router.post('/enroll/:courseId', authenticateToken, async (req, res) => {
+router.post('/enroll/:courseId', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
         const { courseId } = req.params;
 
@@ -26,40 +41,89 @@ router.post('/enroll/:courseId', authenticateToken, async (req, res) => {
             course: courseId
         });
 
-        if (existingEnrollment) {
-            if (existingEnrollment.isActive) {
-                return res.status(400).json({ message: 'Already enrolled in this course' });
-            } else {
-                // Reactivate enrollment
-                existingEnrollment.isActive = true;
-                existingEnrollment.enrolledAt = new Date();
-                await existingEnrollment.save();
-                
-                return res.json({
-                    message: 'Course enrollment reactivated',
-                    enrollment: existingEnrollment
-                });
-            }
+        if (existingEnrollment && existingEnrollment.isActive) {
+            return res.status(400).json({ message: 'Already enrolled in this course' });
         }
 
-        // Create new enrollment
-        const enrollment = new Enrollment({
-            user: req.user._id,
-            course: courseId
-        });
+        // Instructor-led courses are joined through one of their cohorts
+        if (course.cohortBased) {
+            const cohorts = await Cohort.find({
+                course: course._id,
+                status: 'active',
+                enrollmentStatus: 'open',
+                enrollmentOpensAt: { $lte: new Date() },
+                enrollmentClosesAt: { $gt: new Date() }
+            }).select('name startsAt endsAt timezone capacity enrolledCount enrollmentClosesAt').sort({ startsAt: 1 });
+
+            return res.status(400).json({
+                message: cohorts.length > 0
+                    ? 'This course runs in cohorts. Join a cohort to enroll.'
+                    : 'This course runs in cohorts and none is open for enrollment right now.',
+                cohortRequired: true,
+                cohorts
+            });
+        }
 
-        await enrollment.save();
+        const prerequisites = await prerequisiteService.check(req.user._id, course);
+        if (!prerequisites.met) {
+            return res.status(403).json({
+                message: 'Complete the prerequisite courses before enrolling',
+                prerequisitesRequired: true,
+                missing: prerequisites.missing
+            });
+        }
 
-        // Update course enrolled students count
-        await Course.findByIdAndUpdate(courseId, {
-            $inc: { enrolledStudents: 1 }
-        });
+        // Priced courses go through checkout; a previous purchase (or redeemed code) can be reactivated
+        const hasPurchased = existingEnrollment && ['purchase', 'redemption'].includes(existingEnrollment.source);
+        const requestedCurrency = currencyService.getRequestedCurrency(req);
+        const currency = requestedCurrency && await currencyService.isSupported(requestedCurrency) ? requestedCurrency : null;
+        const [pricing] = await pricingService.priceCourses([course], { currency });
+
+        // A subscription covering the course stands in for a purchase
+        const subscription = pricing.price > 0 && !hasPurchased
+            ? await subscriptionService.getCoveringSubscription(req.user._id, course)
+            : null;
+
+        if (subscription) {
+            const { enrollment, reactivated } = await Enrollment.enrollUser(req.user._id, courseId, {
+                source: 'subscription',
+                subscription: subscription._id,
+                organization: subscription.organization
+            });
 
-        // Update user enrolled courses
-        await User.findByIdAndUpdate(req.user._id, {
-            $addToSet: { 'learner.enrolledCourses': courseId }
+            return res.status(reactivated ? 200 : 201).json({
+                message: reactivated ? 'Course enrollment reactivated' : 'Successfully enrolled in course',
+                enrollment,
+                subscription: {
+                    _id: subscription._id,
+                    plan: subscription.plan.name,
+                    status: subscription.status,
+                    currentPeriodEnd: subscription.currentPeriodEnd
+                }
+            });
+        }
+
+        if (pricing.price > 0 && !hasPurchased) {
+            return res.status(402).json({
+                message: 'Payment required. Add this course to your cart and check out to enroll.',
+                checkoutRequired: true,
+                price: pricing.price,
+                listPrice: pricing.listPrice,
+                currency: pricing.currency
+            });
+        }
+
+        const { enrollment, reactivated } = await Enrollment.enrollUser(req.user._id, courseId, {
+            source: hasPurchased ? existingEnrollment.source : 'free'
         });
 
+        if (reactivated) {
+            return res.json({
+                message: 'Course enrollment reactivated',
+                enrollment
+            });
+        }
+
         await enrollment.populate('course', 'title thumbnail instructor');
 
         res.status(201).json({
@@ -72,6 +136,52 @@ router.post('/enroll/:courseId', authenticateToken, async (req, res) => {
     }
 });
 
+// Look up a redemption code (claim link landing page)
+router.get('/redeem/:code', authenticateToken, async (req, res) => {
+    try {
+        const details = await redemptionService.preview(req.params.code);
+        const enrolled = details.course && await Enrollment.exists({
+            user: req.user._id,
+            course: details.course._id,
+            isActive: true
+        });
+
+        res.json({ ...details, alreadyEnrolled: !!enrolled });
+    } catch (error) {
+        console.error('Preview redemption code error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to look up code'
+        });
+    }
+});
+
+// Redeem a gift or team code
+router.post('/redeem',
+    authenticateToken,
+    requireVerifiedEmail,
+    [
+        body('code').trim().notEmpty().isLength({ max: 50 }).withMessage('Redemption code is required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const { enrollment, reactivated } = await redemptionService.redeem(req.user, req.body.code);
+            await enrollment.populate('course', 'title thumbnail instructor');
+
+            res.status(reactivated ? 200 : 201).json({
+                message: 'Code redeemed, you are now enrolled',
+                enrollment
+            });
+        } catch (error) {
+            console.error('Redeem code error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to redeem code',
+                missing: error.missing
+            });
+        }
+    }
+);
+
 // Get user's enrollments
 router.get('/my-enrollments', authenticateToken, async (req, res) => {
     try {
@@ -114,7 +224,7 @@ router.get('/my-enrollments', authenticateToken, async (req, res) => {
 });
 
 // Get student's enrolled courses with detailed progress (for dashboard)
-router.get('/my-courses', authenticateToken, requireRole(['learner']), async (req, res) => {
+router.get('/my-courses', authenticateToken, requirePermission('learning.dashboard'), async (req, res) => {
     try {
         const { status = 'all', page = 1, limit = 12 } = req.query;
         const skip = (page - 1) * limit;
@@ -212,9 +322,8 @@ router.get('/:enrollmentId', authenticateToken, async (req, res) => {
         }
 
         // Check access permissions
-        if (enrollment.user._id.toString() !== req.user._id.toString() && 
-            req.user.role !== 'admin' && 
-            enrollment.course.instructor.toString() !== req.user._id.toString()) {
+        if (enrollment.user._id.toString() !== req.user._id.toString() &&
+            !await permissionService.can(req.user, 'course.view', enrollment.course)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -226,7 +335,7 @@ router.get('/:enrollmentId', authenticateToken, async (req, res) => {
 });
 
 // Get learner's enrollment status for a specific course
-router.get('/my-enrollment/:courseId', authenticateToken, requireRole('learner'), async (req, res) => {
+router.get('/my-enrollment/:courseId', authenticateToken, requirePermission('learning.dashboard'), async (req, res) => {
     try {
         const { courseId } = req.params;
         const userId = req.user._id;
@@ -258,9 +367,12 @@ router.get('/my-enrollment/:courseId', authenticateToken, requireRole('learner')
         });
 
         if (!enrollment) {
+            // Lets the client offer "start learning" instead of "buy"
+            const subscription = await subscriptionService.getCoveringSubscription(userId, course);
             return res.json({ 
                 isEnrolled: false,
-                enrollment: null
+                enrollment: null,
+                coveredBySubscription: !!subscription
             });
         }
 
@@ -287,7 +399,7 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'Course not found' });
         }
 
-        if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (!await permissionService.can(req.user, 'course.view', course)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -332,6 +444,8 @@ router.delete('/:enrollmentId', authenticateToken, async (req, res) => {
             return res.status(403).json({ message: 'Access denied' });
         }
 
+        // Leaving the course gives up the cohort seat too
+        const freedCohort = await Enrollment.releaseCohortSeat(enrollment, { status: 'left', endedBy: req.user._id });
         enrollment.isActive = false;
         await enrollment.save();
 
@@ -345,6 +459,8 @@ router.delete('/:enrollmentId', authenticateToken, async (req, res) => {
             $pull: { 'learner.enrolledCourses': enrollment.course }
         });
 
+        await cohortService.promoteFreedSeats([freedCohort]);
+
         res.json({ message: 'Successfully unenrolled from course' });
     } catch (error) {
         console.error('Unenroll error:', error);
@@ -353,15 +469,13 @@ router.delete('/:enrollmentId', authenticateToken, async (req, res) => {
 });
 
 // Get enrollment statistics (instructor/admin)
-router.get('/stats/overview', authenticateToken, requireRole(['instructor', 'admin']), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('course.view'), async (req, res) => {
     try {
         let matchStage = {};
         
-        // If instructor, only show their courses
-        if (req.user.role === 'instructor') {
-            const instructorCourses = await Course.find({ 
-                instructor: req.user._id 
-            }).select('_id');
+        // Without access to every course, only show the user's own
+        if (!await permissionService.hasPermission(req.user, 'course.view_any')) {
+            const instructorCourses = await Course.find(Course.taughtByFilter(req.user._id)).select('_id');
             
             matchStage = { 
                 course: { $in: instructorCourses.map(c => c._id) },
@@ -0,0 +1,383 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param } = require('express-validator');
+const Payout = require('../models/Payout');
+const RevenueShareRule = require('../models/RevenueShareRule');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const LedgerService = require('../services/LedgerService');
+const CurrencyService = require('../services/CurrencyService');
+
+const router = express.Router();
+const ledgerService = new LedgerService();
+const currencyService = new CurrencyService();
+
+const PAYOUT_MINIMUM = parseFloat(process.env.INSTRUCTOR_PAYOUT_MINIMUM || '10');
+
+// Earnings overview: balances, pending vs available funds and recent activity
+router.get('/earnings', authenticateToken, requirePermission('earnings.view'), async (req, res) => {
+    try {
+        const balances = await ledgerService.getInstructorBalances(req.user._id);
+        const statements = await ledgerService.getMonthlyStatements(req.user._id);
+
+        res.json({
+            balances,
+            recentMonths: statements.slice(-6).reverse(),
+            holdDays: ledgerService.holdDays,
+            payoutMinimum: PAYOUT_MINIMUM
+        });
+    } catch (error) {
+        console.error('Get earnings error:', error);
+        res.status(500).json({ message: 'Failed to fetch earnings' });
+    }
+});
+
+// Monthly statements
+router.get('/earnings/statements', authenticateToken, requirePermission('earnings.view'), async (req, res) => {
+    try {
+        const statements = await ledgerService.getMonthlyStatements(req.user._id, { year: req.query.year });
+
+        res.json({ statements });
+    } catch (error) {
+        console.error('Get statements error:', error);
+        res.status(500).json({ message: 'Failed to fetch statements' });
+    }
+});
+
+// Line items for one month
+router.get('/earnings/statements/:month',
+    authenticateToken,
+    requirePermission('earnings.view'),
+    [
+        param('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be YYYY-MM'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const { month } = req.params;
+            const statement = (await ledgerService.getMonthlyStatements(req.user._id))
+                .filter(s => s.month === month);
+            const lines = await ledgerService.getStatementLines(req.user._id, month);
+
+            res.json({ month, summary: statement, lines });
+        } catch (error) {
+            console.error('Get statement error:', error);
+            res.status(500).json({ message: 'Failed to fetch statement' });
+        }
+    }
+);
+
+// Get instructor's payouts
+router.get('/payouts', authenticateToken, requirePermission('earnings.view'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { instructor: req.user._id };
+        if (status) filter.status = status;
+
+        const payouts = await Payout.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Payout.countDocuments(filter);
+
+        res.json({
+            payouts,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalPayouts: total
+        });
+    } catch (error) {
+        console.error('Get payouts error:', error);
+        res.status(500).json({ message: 'Failed to fetch payouts' });
+    }
+});
+
+// Request a payout of available funds
+router.post('/payouts',
+    authenticateToken,
+    requirePermission('payout.request'),
+    [
+        body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+        body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+        body('method').trim().isLength({ min: 1, max: 200 }).withMessage('Payout method is required'),
+        body('note').optional().trim().isLength({ max: 1000 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const currency = (req.body.currency || 'USD').toUpperCase();
+            const balances = await ledgerService.getInstructorBalances(req.user._id);
+            const balance = balances.find(b => b.currency === currency);
+            const withdrawable = balance ? balance.withdrawable : 0;
+            const amount = req.body.amount ? currencyService.roundAmount(req.body.amount, currency) : withdrawable;
+
+            if (amount > withdrawable) {
+                return res.status(400).json({
+                    message: `Only ${withdrawable} ${currency} is available for payout`,
+                    balance
+                });
+            }
+
+            if (amount < PAYOUT_MINIMUM) {
+                return res.status(400).json({
+                    message: `Minimum payout is ${PAYOUT_MINIMUM} ${currency}`,
+                    balance
+                });
+            }
+
+            const payout = new Payout({
+                instructor: req.user._id,
+                amount,
+                currency,
+                method: req.body.method,
+                note: req.body.note
+            });
+            await payout.save();
+
+            res.status(201).json({
+                message: 'Payout requested successfully',
+                payout
+            });
+        } catch (error) {
+            console.error('Request payout error:', error);
+            res.status(500).json({ message: 'Failed to request payout' });
+        }
+    }
+);
+
+// Cancel a pending payout request
+router.post('/payouts/:payoutId/cancel', authenticateToken, requirePermission('payout.request'), async (req, res) => {
+    try {
+        const payout = await Payout.findOne({ _id: req.params.payoutId, instructor: req.user._id });
+
+        if (!payout) {
+            return res.status(404).json({ message: 'Payout not found' });
+        }
+
+        if (payout.status !== 'requested') {
+            return res.status(400).json({ message: `Cannot cancel a ${payout.status} payout` });
+        }
+
+        payout.status = 'canceled';
+        await payout.save();
+
+        res.json({
+            message: 'Payout request canceled',
+            payout
+        });
+    } catch (error) {
+        console.error('Cancel payout error:', error);
+        res.status(500).json({ message: 'Failed to cancel payout' });
+    }
+});
+
+// Get all payout requests (admin only)
+router.get('/admin/payouts', authenticateToken, requirePermission('payout.manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const payouts = await Payout.find(filter)
+            .populate('instructor', 'name email')
+            .populate('processedBy', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Payout.countDocuments(filter);
+
+        res.json({
+            payouts,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalPayouts: total
+        });
+    } catch (error) {
+        console.error('Get all payouts error:', error);
+        res.status(500).json({ message: 'Failed to fetch payouts' });
+    }
+});
+
+// Mark a payout paid or reject it (admin only)
+router.patch('/admin/payouts/:payoutId',
+    authenticateToken,
+    requirePermission('payout.manage'),
+    [
+        body('status').isIn(['paid', 'rejected']).withMessage('Status must be paid or rejected'),
+        body('reference').optional().trim().isLength({ max: 200 }),
+        body('note').optional().trim().isLength({ max: 1000 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        const session = await mongoose.startSession();
+        try {
+            let payout;
+            let errorResponse = null;
+
+            await session.withTransaction(async () => {
+                payout = await Payout.findById(req.params.payoutId).session(session);
+
+                if (!payout) {
+                    errorResponse = { status: 404, message: 'Payout not found' };
+                    return;
+                }
+                if (payout.status !== 'requested') {
+                    errorResponse = { status: 400, message: `Payout is already ${payout.status}` };
+                    return;
+                }
+
+                if (req.body.status === 'paid') {
+                    // Refunds after the request may have eaten into the available funds
+                    const balances = await ledgerService.getInstructorBalances(payout.instructor, session);
+                    const balance = balances.find(b => b.currency === payout.currency);
+                    if (!balance || balance.available < payout.amount) {
+                        errorResponse = {
+                            status: 400,
+                            message: `Instructor only has ${balance ? balance.available : 0} ${payout.currency} available`
+                        };
+                        return;
+                    }
+
+                    payout.reference = req.body.reference;
+                    const transaction = await ledgerService.recordPayout(payout, session);
+                    payout.ledgerTransaction = transaction._id;
+                }
+
+                payout.status = req.body.status;
+                payout.processedBy = req.user._id;
+                payout.processedAt = new Date();
+                payout.adminNote = req.body.note;
+                await payout.save({ session });
+            });
+
+            if (errorResponse) {
+                return res.status(errorResponse.status).json({ message: errorResponse.message });
+            }
+
+            res.json({
+                message: req.body.status === 'paid' ? 'Payout marked as paid' : 'Payout rejected',
+                payout
+            });
+        } catch (error) {
+            console.error('Process payout error:', error);
+            res.status(500).json({ message: 'Failed to process payout' });
+        } finally {
+            await session.endSession();
+        }
+    }
+);
+
+// Earnings of any instructor (admin only)
+router.get('/admin/earnings/:instructorId', authenticateToken, requirePermission('earnings.view_any'), async (req, res) => {
+    try {
+        const instructor = await User.findOne({ _id: req.params.instructorId, role: 'instructor' }).select('name email');
+        if (!instructor) {
+            return res.status(404).json({ message: 'Instructor not found' });
+        }
+
+        const balances = await ledgerService.getInstructorBalances(instructor._id);
+        const statements = await ledgerService.getMonthlyStatements(instructor._id, { year: req.query.year });
+
+        res.json({ instructor, balances, statements });
+    } catch (error) {
+        console.error('Get instructor earnings error:', error);
+        res.status(500).json({ message: 'Failed to fetch instructor earnings' });
+    }
+});
+
+// Get revenue share rules (admin only)
+router.get('/admin/revenue-share-rules', authenticateToken, requirePermission('revenue_share.manage'), async (req, res) => {
+    try {
+        const rules = await RevenueShareRule.find({ isActive: true })
+            .populate('instructor', 'name email')
+            .populate('course', 'title')
+            .sort({ scope: 1, updatedAt: -1 });
+
+        res.json({
+            rules,
+            fallbackInstructorPercent: ledgerService.defaultShare
+        });
+    } catch (error) {
+        console.error('Get revenue share rules error:', error);
+        res.status(500).json({ message: 'Failed to fetch revenue share rules' });
+    }
+});
+
+// Create or replace a revenue share rule (admin only)
+router.post('/admin/revenue-share-rules',
+    authenticateToken,
+    requirePermission('revenue_share.manage'),
+    [
+        body('scope').isIn(['default', 'instructor', 'course']).withMessage('Scope must be default, instructor or course'),
+        body('instructorPercent').isFloat({ min: 0, max: 100 }).withMessage('Instructor percent must be between 0 and 100'),
+        body('instructor').if(body('scope').equals('instructor')).isMongoId().withMessage('Valid instructor ID required'),
+        body('course').if(body('scope').equals('course')).isMongoId().withMessage('Valid course ID required'),
+        body('note').optional().trim().isLength({ max: 500 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const { scope, instructorPercent, note } = req.body;
+            const target = { scope };
+
+            if (scope === 'instructor') {
+                const instructor = await User.exists({ _id: req.body.instructor, role: 'instructor' });
+                if (!instructor) {
+                    return res.status(404).json({ message: 'Instructor not found' });
+                }
+                target.instructor = req.body.instructor;
+            } else if (scope === 'course') {
+                const course = await Course.exists({ _id: req.body.course });
+                if (!course) {
+                    return res.status(404).json({ message: 'Course not found' });
+                }
+                target.course = req.body.course;
+            }
+
+            // Only one active rule per target; older ones are kept for history
+            await RevenueShareRule.updateMany({ ...target, isActive: true }, { isActive: false });
+
+            const rule = new RevenueShareRule({
+                ...target,
+                instructorPercent,
+                note,
+                createdBy: req.user._id
+            });
+            await rule.save();
+
+            res.status(201).json({
+                message: 'Revenue share rule saved',
+                rule
+            });
+        } catch (error) {
+            console.error('Create revenue share rule error:', error);
+            res.status(500).json({ message: 'Failed to save revenue share rule' });
+        }
+    }
+);
+
+// Deactivate a revenue share rule (admin only)
+router.delete('/admin/revenue-share-rules/:ruleId', authenticateToken, requirePermission('revenue_share.manage'), async (req, res) => {
+    try {
+        const rule = await RevenueShareRule.findByIdAndUpdate(req.params.ruleId, { isActive: false }, { new: true });
+
+        if (!rule) {
+            return res.status(404).json({ message: 'Revenue share rule not found' });
+        }
+
+        res.json({ message: 'Revenue share rule removed' });
+    } catch (error) {
+        console.error('Delete revenue share rule error:', error);
+        res.status(500).json({ message: 'Failed to remove revenue share rule' });
+    }
+});
+
+module.exports = router;
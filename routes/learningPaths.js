@@ -0,0 +1,451 @@
+const express = require('express');
+const { body } = require('express-validator');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const LearningPathService = require('../services/LearningPathService');
+const CertificateService = require('../services/CertificateService');
+const OrderService = require('../services/OrderService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const learningPathService = new LearningPathService();
+const certificateService = new CertificateService();
+const orderService = new OrderService();
+const permissionService = new PermissionService();
+const currencyService = orderService.pricingService.currencyService;
+
+const COURSE_FIELDS = 'title thumbnail price currency pricePoints level totalDuration instructor';
+
+const pathValidation = [
+    body('title').optional().trim().notEmpty().isLength({ max: 150 }).withMessage('Title must be 1-150 characters'),
+    body('description').optional().isString().isLength({ max: 5000 }),
+    body('courses').optional().isArray({ min: 2 }).withMessage('A learning path needs at least two courses'),
+    body('courses.*.course').optional().isMongoId().withMessage('Valid course IDs required'),
+    body('courses.*.isOptional').optional().isBoolean().withMessage('isOptional must be a boolean'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be 0 or more'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    body('enforceSequence').optional().isBoolean().withMessage('enforceSequence must be a boolean'),
+    body('certificate.enabled').optional().isBoolean().withMessage('certificate.enabled must be a boolean'),
+    body('certificate.organizationName').optional().isString().isLength({ max: 100 }),
+    body('certificate.signedBy.name').optional().isString().isLength({ max: 100 }),
+    body('certificate.signedBy.title').optional().isString().isLength({ max: 100 }),
+    body('thumbnail.url').optional().isURL().withMessage('Valid thumbnail URL required')
+];
+
+const EDITABLE_FIELDS = ['title', 'description', 'thumbnail', 'price', 'enforceSequence', 'certificate', 'isPublished', 'isActive'];
+
+// Check the courses exist (and belong to the instructor) and the currency is known
+const checkPathValues = async (user, learningPath) => {
+    const courseIds = learningPath.courses.map(item => item.course.toString());
+    if (new Set(courseIds).size !== courseIds.length) {
+        return 'A course can only appear once on a learning path';
+    }
+
+    const canManageAny = await permissionService.hasPermission(user, 'learning_path.manage_any');
+    const filter = { _id: { $in: courseIds }, isActive: true };
+    if (!canManageAny) filter.instructor = user._id;
+    const found = await Course.countDocuments(filter);
+    if (found !== courseIds.length) {
+        return canManageAny
+            ? 'One or more courses were not found'
+            : 'Learning paths can only include your own courses';
+    }
+
+    if (!(await currencyService.isSupported(learningPath.currency))) {
+        return `Unsupported currency: ${learningPath.currency}`;
+    }
+    return null;
+};
+
+// Load a learning path the current user may manage
+const findManageablePath = async (req, res) => {
+    const learningPath = await LearningPath.findById(req.params.pathId);
+    if (!learningPath) {
+        res.status(404).json({ message: 'Learning path not found' });
+        return null;
+    }
+    if (!await permissionService.can(req.user, 'learning_path.manage', learningPath)) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return learningPath;
+};
+
+// Load a published learning path (whoever may manage it also sees it unpublished)
+const findVisiblePath = async (req, res) => {
+    const learningPath = await LearningPath.findById(req.params.pathId)
+        .populate('courses.course', COURSE_FIELDS)
+        .populate('createdBy', 'name');
+    const canManage = !!learningPath && await permissionService.can(req.user, 'learning_path.manage', learningPath);
+
+    if (!learningPath || (!canManage && (!learningPath.isPublished || !learningPath.isActive))) {
+        res.status(404).json({ message: 'Learning path not found' });
+        return null;
+    }
+    return learningPath;
+};
+
+// Published learning paths (public)
+router.get('/', async (req, res) => {
+    try {
+        const { page = 1, limit = 12, course } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { isPublished: true, isActive: true };
+        if (course) filter['courses.course'] = course;
+
+        const learningPaths = await LearningPath.find(filter)
+            .populate('courses.course', 'title thumbnail')
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await LearningPath.countDocuments(filter);
+
+        res.json({
+            learningPaths,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalLearningPaths: total
+        });
+    } catch (error) {
+        console.error('Get learning paths error:', error);
+        res.status(500).json({ message: 'Failed to fetch learning paths' });
+    }
+});
+
+// List managed learning paths (instructors see their own, admins see all)
+router.get('/manage',
+    authenticateToken,
+    requirePermission('learning_path.manage'),
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+            const skip = (page - 1) * limit;
+
+            const filter = {};
+            if (!await permissionService.hasPermission(req.user, 'learning_path.manage_any')) filter.createdBy = req.user._id;
+
+            const learningPaths = await LearningPath.find(filter)
+                .populate('courses.course', 'title')
+                .populate('createdBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit));
+
+            const total = await LearningPath.countDocuments(filter);
+
+            res.json({
+                learningPaths,
+                totalPages: Math.ceil(total / limit),
+                currentPage: parseInt(page),
+                totalLearningPaths: total
+            });
+        } catch (error) {
+            console.error('Get managed learning paths error:', error);
+            res.status(500).json({ message: 'Failed to fetch learning paths' });
+        }
+    }
+);
+
+// Learning paths the current user follows, with progress
+router.get('/my', authenticateToken, async (req, res) => {
+    try {
+        const pathEnrollments = await PathEnrollment.find({ user: req.user._id, isActive: true })
+            .populate({
+                path: 'learningPath',
+                populate: { path: 'courses.course', select: 'title thumbnail' }
+            })
+            .sort({ enrolledAt: -1 });
+
+        const learningPaths = [];
+        for (const pathEnrollment of pathEnrollments) {
+            if (!pathEnrollment.learningPath) continue;
+            learningPaths.push({
+                enrollment: pathEnrollment,
+                progress: await pathEnrollment.learningPath.getProgressForUser(req.user._id)
+            });
+        }
+
+        res.json({ learningPaths });
+    } catch (error) {
+        console.error('Get my learning paths error:', error);
+        res.status(500).json({ message: 'Failed to fetch learning paths' });
+    }
+});
+
+// Learning path details with bundle pricing, and progress for enrolled users
+router.get('/:pathId', optionalAuth, async (req, res) => {
+    try {
+        const learningPath = await findVisiblePath(req, res);
+        if (!learningPath) return;
+
+        const currency = currencyService.getRequestedCurrency(req);
+        const pricing = learningPath.price > 0 && learningPath.courses.every(item => item.course)
+            ? await orderService.pricingService.priceLearningPath(learningPath, {
+                currency: currency && await currencyService.isSupported(currency) ? currency : undefined
+            })
+            : null;
+
+        let enrollment = null;
+        let progress = null;
+        if (req.user) {
+            enrollment = await PathEnrollment.findOne({ user: req.user._id, learningPath: learningPath._id, isActive: true });
+            if (enrollment) {
+                progress = await learningPath.getProgressForUser(req.user._id);
+            }
+        }
+
+        res.json({
+            learningPath,
+            pricing: pricing ? {
+                currency: pricing.currency,
+                subtotal: pricing.subtotal,
+                discountTotal: pricing.discountTotal,
+                total: pricing.total
+            } : null,
+            enrollment,
+            progress
+        });
+    } catch (error) {
+        console.error('Get learning path error:', error);
+        res.status(500).json({ message: 'Failed to fetch learning path' });
+    }
+});
+
+// Create learning path
+router.post('/',
+    authenticateToken,
+    requirePermission('learning_path.manage'),
+    [
+        body('title').trim().notEmpty().withMessage('Title is required'),
+        body('courses').isArray({ min: 2 }).withMessage('A learning path needs at least two courses'),
+        ...pathValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const learningPath = new LearningPath({
+                title: req.body.title,
+                description: req.body.description,
+                thumbnail: req.body.thumbnail,
+                courses: req.body.courses.map(item => ({ course: item.course, isOptional: item.isOptional === true })),
+                price: req.body.price || 0,
+                currency: req.body.currency,
+                enforceSequence: req.body.enforceSequence === true,
+                certificate: req.body.certificate,
+                createdBy: req.user._id,
+                // Made with rights over every path: recorded as an admin path
+                createdByRole: await permissionService.hasPermission(req.user, 'learning_path.manage_any') ? 'admin' : 'instructor'
+            });
+
+            const valueError = await checkPathValues(req.user, learningPath);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await learningPath.save();
+
+            res.status(201).json({
+                message: 'Learning path created successfully',
+                learningPath
+            });
+        } catch (error) {
+            console.error('Create learning path error:', error);
+            res.status(500).json({ message: 'Failed to create learning path' });
+        }
+    }
+);
+
+// Update learning path
+router.put('/:pathId',
+    authenticateToken,
+    requirePermission('learning_path.manage'),
+    [
+        ...pathValidation,
+        body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean'),
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const learningPath = await findManageablePath(req, res);
+            if (!learningPath) return;
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) learningPath[field] = req.body[field];
+            });
+            if (req.body.courses !== undefined) {
+                learningPath.courses = req.body.courses.map(item => ({ course: item.course, isOptional: item.isOptional === true }));
+            }
+            if (req.body.currency !== undefined) {
+                learningPath.currency = req.body.currency;
+            }
+
+            const valueError = await checkPathValues(req.user, learningPath);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await learningPath.save();
+
+            res.json({
+                message: 'Learning path updated successfully',
+                learningPath
+            });
+        } catch (error) {
+            console.error('Update learning path error:', error);
+            res.status(500).json({ message: 'Failed to update learning path' });
+        }
+    }
+);
+
+// Retire a learning path (kept for enrollments, orders and certificates)
+router.delete('/:pathId',
+    authenticateToken,
+    requirePermission('learning_path.manage'),
+    async (req, res) => {
+        try {
+            const learningPath = await findManageablePath(req, res);
+            if (!learningPath) return;
+
+            learningPath.isActive = false;
+            learningPath.isPublished = false;
+            await learningPath.save();
+
+            res.json({ message: 'Learning path retired successfully' });
+        } catch (error) {
+            console.error('Delete learning path error:', error);
+            res.status(500).json({ message: 'Failed to retire learning path' });
+        }
+    }
+);
+
+// Start following a learning path
+router.post('/:pathId/enroll', authenticateToken, async (req, res) => {
+    try {
+        const learningPath = await findVisiblePath(req, res);
+        if (!learningPath) return;
+
+        const { pathEnrollment, reactivated } = await learningPathService.enroll(req.user, learningPath);
+
+        res.status(201).json({
+            message: reactivated ? 'Learning path re-joined' : 'Enrolled in learning path',
+            enrollment: pathEnrollment,
+            progress: await learningPath.getProgressForUser(req.user._id)
+        });
+    } catch (error) {
+        console.error('Enroll learning path error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to enroll in learning path'
+        });
+    }
+});
+
+// Buy every course on the path at the bundle price
+router.post('/:pathId/purchase',
+    authenticateToken,
+    requirePermission('order.checkout'),
+    requireVerifiedEmail,
+    [
+        body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const learningPath = await findVisiblePath(req, res);
+            if (!learningPath) return;
+
+            if (!learningPath.isPublished || !learningPath.isActive) {
+                return res.status(400).json({ message: 'Learning path is not available' });
+            }
+            if (learningPath.price <= 0) {
+                return res.status(400).json({ message: 'This learning path has no bundle price; enroll and buy its courses individually' });
+            }
+            if (learningPath.courses.some(item => !item.course)) {
+                return res.status(400).json({ message: 'One or more courses on this learning path are no longer available' });
+            }
+
+            const bought = await PathEnrollment.exists({
+                user: req.user._id,
+                learningPath: learningPath._id,
+                source: 'purchase',
+                isActive: true
+            });
+            if (bought) {
+                return res.status(400).json({ message: 'You already own this learning path' });
+            }
+
+            const currency = req.body.currency ? req.body.currency.toUpperCase() : currencyService.getRequestedCurrency(req);
+            if (currency && !(await currencyService.isSupported(currency))) {
+                return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+            }
+
+            const order = await orderService.createBundleOrder(req.user._id, learningPath, { currency });
+
+            res.status(201).json({
+                message: order.status === 'paid' ? 'Order paid and learning path unlocked' : 'Order created, awaiting payment',
+                order,
+                payment: order.payment.clientData
+            });
+        } catch (error) {
+            console.error('Learning path checkout error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Checkout failed'
+            });
+        }
+    }
+);
+
+// Progress through a learning path
+router.get('/:pathId/progress', authenticateToken, async (req, res) => {
+    try {
+        const learningPath = await findVisiblePath(req, res);
+        if (!learningPath) return;
+
+        const enrollment = await PathEnrollment.findOne({ user: req.user._id, learningPath: learningPath._id, isActive: true });
+        if (!enrollment) {
+            return res.status(404).json({ message: 'Not enrolled in this learning path' });
+        }
+
+        res.json({
+            enrollment,
+            progress: await learningPath.getProgressForUser(req.user._id)
+        });
+    } catch (error) {
+        console.error('Get learning path progress error:', error);
+        res.status(500).json({ message: 'Failed to fetch learning path progress' });
+    }
+});
+
+// Claim the path completion certificate
+router.post('/:pathId/certificate', authenticateToken, async (req, res) => {
+    try {
+        const eligibility = await certificateService.checkPathEligibility(req.user._id, req.params.pathId);
+        if (!eligibility.eligible) {
+            if (eligibility.certificate) {
+                return res.json({ message: 'Certificate already issued', certificate: eligibility.certificate });
+            }
+            return res.status(400).json({ message: eligibility.reason });
+        }
+
+        const result = await certificateService.generatePathCertificate(req.user._id, req.params.pathId);
+        if (!result.success) {
+            return res.status(400).json({ message: result.error });
+        }
+
+        res.status(201).json({
+            message: 'Certificate issued',
+            certificate: result.certificate
+        });
+    } catch (error) {
+        console.error('Learning path certificate error:', error);
+        res.status(500).json({ message: 'Failed to issue certificate' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const Order = require('../models/Order');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const InvoiceService = require('../services/InvoiceService');
+const PermissionService = require('../services/PermissionService');
+const OrderService = require('../services/OrderService');
+
+const router = express.Router();
+const invoiceService = new InvoiceService();
+const permissionService = new PermissionService();
+const orderService = new OrderService();
+
+// Get current user's orders
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user._id };
+        if (status) filter.status = status;
+
+        const orders = await Order.find(filter)
+            .populate('items.course', 'title thumbnail')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Order.countDocuments(filter);
+
+        res.json({
+            orders,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalOrders: total
+        });
+    } catch (error) {
+        console.error('Get orders error:', error);
+        res.status(500).json({ message: 'Failed to fetch orders' });
+    }
+});
+
+// Get all orders (admin only)
+router.get('/admin/all', authenticateToken, requirePermission('order.view_any'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const orders = await Order.find(filter)
+            .populate('user', 'name email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Order.countDocuments(filter);
+
+        res.json({
+            orders,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalOrders: total
+        });
+    } catch (error) {
+        console.error('Get all orders error:', error);
+        res.status(500).json({ message: 'Failed to fetch orders' });
+    }
+});
+
+// Get order by ID
+router.get('/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId)
+            .populate('items.course', 'title thumbnail instructor');
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        if (order.user.toString() !== req.user._id.toString() &&
+            !await permissionService.hasPermission(req.user, 'order.view_any')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        res.json({ order });
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({ message: 'Failed to fetch order' });
+    }
+});
+
+// Download the invoice for a paid order as PDF (?format=json for the invoice data)
+router.get('/:orderId/invoice', authenticateToken, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId).select('user');
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        if (order.user.toString() !== req.user._id.toString() &&
+            !await permissionService.hasPermission(req.user, 'order.view_any')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const invoice = await invoiceService.issueForOrder(order._id);
+
+        if (req.query.format === 'json') {
+            return res.json({ invoice });
+        }
+
+        const pdf = await invoiceService.renderPdf(invoice);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to generate invoice'
+        });
+    }
+});
+
+// Email the invoice to the buyer
+router.post('/:orderId/invoice/email', authenticateToken, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId).select('user');
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        if (order.user.toString() !== req.user._id.toString() &&
+            !await permissionService.hasPermission(req.user, 'order.view_any')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const invoice = await invoiceService.issueForOrder(order._id);
+        const sent = await invoiceService.sendInvoice(invoice);
+
+        if (!sent) {
+            return res.status(502).json({ message: 'Failed to send invoice email' });
+        }
+
+        res.json({ message: `Invoice ${invoice.invoiceNumber} sent to ${invoice.buyer.email}` });
+    } catch (error) {
+        console.error('Email invoice error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to email invoice'
+        });
+    }
+});
+
+// Cancel a pending order
+router.post('/:orderId/cancel', authenticateToken, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const isBuyer = order.user.toString() === req.user._id.toString();
+        if (!isBuyer && !await permissionService.hasPermission(req.user, 'order.manage')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        if (order.status !== 'pending') {
+            return res.status(400).json({ message: `Cannot cancel a ${order.status} order` });
+        }
+
+        order.setStatus('canceled', `Canceled by ${isBuyer ? 'customer' : 'admin'}`);
+        await order.save();
+        await orderService.releaseCoupon(order);
+
+        res.json({
+            message: 'Order canceled successfully',
+            order
+        });
+    } catch (error) {
+        console.error('Cancel order error:', error);
+        res.status(500).json({ message: 'Failed to cancel order' });
+    }
+});
+
+module.exports = router;
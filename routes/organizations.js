@@ -0,0 +1,527 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const SeatPool = require('../models/SeatPool');
+const SeatAssignment = require('../models/SeatAssignment');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { isValidObjectId } = require('../utils/helpers');
+const OrganizationService = require('../services/OrganizationService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const organizationService = new OrganizationService();
+const permissionService = new PermissionService();
+
+const organizationValidation = [
+    body('name').optional().trim().notEmpty().isLength({ max: 150 }).withMessage('Name must be 1-150 characters'),
+    body('slug').optional().trim().matches(/^[a-z0-9-]+$/).withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+    body('domains').optional().isArray().withMessage('domains must be an array'),
+    body('domains.*').isFQDN().withMessage('Domains must be valid domain names'),
+    body('autoJoin').optional().isBoolean(),
+    body('contactEmail').optional().isEmail().withMessage('Valid contact email required'),
+    body('isActive').optional().isBoolean()
+];
+
+const EDITABLE_FIELDS = ['name', 'slug', 'domains', 'autoJoin', 'contactEmail', 'isActive'];
+const POOL_EDITABLE_FIELDS = ['seats', 'expiresAt', 'reference', 'isActive'];
+
+// Load an organization the current user may manage (one of its admins, or anyone managing every organization)
+const findManageableOrganization = async (req, res) => {
+    const organization = await Organization.findById(req.params.organizationId);
+    if (!organization) {
+        res.status(404).json({ message: 'Organization not found' });
+        return null;
+    }
+    const canManage = await permissionService.hasPermission(req.user, 'organization.manage') ||
+        await organizationService.isOrganizationAdmin(organization._id, req.user._id);
+    if (!canManage) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return organization;
+};
+
+// Load a seat pool of an organization the current user may manage
+const findManageablePool = async (req, res) => {
+    const organization = await findManageableOrganization(req, res);
+    if (!organization) return null;
+
+    const pool = await SeatPool.findOne({ _id: req.params.poolId, organization: organization._id });
+    if (!pool) {
+        res.status(404).json({ message: 'Seat pool not found' });
+        return null;
+    }
+    return pool;
+};
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// Organizations the current user belongs to
+router.get('/mine', authenticateToken, async (req, res) => {
+    try {
+        const memberships = await OrganizationMember.find({ user: req.user._id, status: { $in: ['pending', 'active'] } })
+            .populate('organization', 'name slug isActive')
+            .sort({ joinedAt: -1 });
+
+        res.json({ memberships: memberships.filter(m => m.organization) });
+    } catch (error) {
+        console.error('Get my organizations error:', error);
+        res.status(500).json({ message: 'Failed to fetch organizations' });
+    }
+});
+
+// All organizations (admin only)
+router.get('/admin/all', authenticateToken, requirePermission('organization.manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (search) {
+            filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        }
+
+        const organizations = await Organization.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Organization.countDocuments(filter);
+
+        res.json({
+            organizations,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalOrganizations: total
+        });
+    } catch (error) {
+        console.error('Get organizations error:', error);
+        res.status(500).json({ message: 'Failed to fetch organizations' });
+    }
+});
+
+// Create an organization, optionally with its first admin (admin only)
+router.post('/',
+    authenticateToken,
+    requirePermission('organization.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Name is required'),
+        body('slug').trim().notEmpty().withMessage('Slug is required'),
+        ...organizationValidation,
+        body('adminEmail').optional().isEmail().normalizeEmail().withMessage('Valid admin email required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            let adminUser = null;
+            if (req.body.adminEmail) {
+                adminUser = await User.findOne({ email: req.body.adminEmail });
+                if (!adminUser) {
+                    return res.status(404).json({ message: 'No user with that email' });
+                }
+            }
+
+            const organization = new Organization({ createdBy: req.user._id });
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) organization[field] = req.body[field];
+            });
+            await organization.save();
+
+            if (adminUser) {
+                await organizationService.addMember(organization, adminUser, 'admin');
+            }
+
+            res.status(201).json({
+                message: 'Organization created successfully',
+                organization
+            });
+        } catch (error) {
+            if (isDuplicateKey(error)) {
+                return res.status(400).json({ message: 'Slug or domain is already used by another organization' });
+            }
+            console.error('Create organization error:', error);
+            res.status(500).json({ message: 'Failed to create organization' });
+        }
+    }
+);
+
+// Organization details with its seat pools (organization admins)
+router.get('/:organizationId', authenticateToken, async (req, res) => {
+    try {
+        const organization = await findManageableOrganization(req, res);
+        if (!organization) return;
+
+        const [pools, members] = await Promise.all([
+            SeatPool.find({ organization: organization._id })
+                .populate('course', 'title')
+                .populate('plan', 'name')
+                .sort({ createdAt: -1 }),
+            OrganizationMember.countDocuments({ organization: organization._id, status: 'active' })
+        ]);
+
+        res.json({ organization, members, pools });
+    } catch (error) {
+        console.error('Get organization error:', error);
+        res.status(500).json({ message: 'Failed to fetch organization' });
+    }
+});
+
+// Update an organization, including its auto-join domains (admin only)
+router.put('/:organizationId',
+    authenticateToken,
+    requirePermission('organization.manage'),
+    organizationValidation.concat(handleValidationErrors),
+    async (req, res) => {
+        try {
+            const organization = await Organization.findById(req.params.organizationId);
+            if (!organization) {
+                return res.status(404).json({ message: 'Organization not found' });
+            }
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) organization[field] = req.body[field];
+            });
+            await organization.save();
+
+            res.json({
+                message: 'Organization updated successfully',
+                organization
+            });
+        } catch (error) {
+            if (isDuplicateKey(error)) {
+                return res.status(400).json({ message: 'Slug or domain is already used by another organization' });
+            }
+            console.error('Update organization error:', error);
+            res.status(500).json({ message: 'Failed to update organization' });
+        }
+    }
+);
+
+// Members (organization admins)
+router.get('/:organizationId/members', authenticateToken, async (req, res) => {
+    try {
+        const organization = await findManageableOrganization(req, res);
+        if (!organization) return;
+
+        const { page = 1, limit = 50, status = 'active', role } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { organization: organization._id, status };
+        if (role) filter.role = role;
+
+        const members = await OrganizationMember.find(filter)
+            .populate('user', 'name email lastLogin')
+            .sort({ joinedAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await OrganizationMember.countDocuments(filter);
+
+        res.json({
+            members,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalMembers: total
+        });
+    } catch (error) {
+        console.error('Get organization members error:', error);
+        res.status(500).json({ message: 'Failed to fetch members' });
+    }
+});
+
+// Add a registered user as a member or organization admin (organization admins)
+router.post('/:organizationId/members',
+    authenticateToken,
+    [
+        body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+        body('role').optional().isIn(['member', 'admin']).withMessage('Role must be member or admin'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const organization = await findManageableOrganization(req, res);
+            if (!organization) return;
+
+            const user = await User.findOne({ email: req.body.email });
+            if (!user) {
+                return res.status(404).json({ message: 'No user with that email' });
+            }
+
+            const membership = await organizationService.addMember(organization, user, req.body.role || 'member');
+
+            res.status(201).json({
+                message: 'Member added',
+                membership
+            });
+        } catch (error) {
+            console.error('Add organization member error:', error);
+            res.status(500).json({ message: 'Failed to add member' });
+        }
+    }
+);
+
+// Change a member's role (organization admins)
+router.put('/:organizationId/members/:userId',
+    authenticateToken,
+    [
+        body('role').isIn(['member', 'admin']).withMessage('Role must be member or admin'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const organization = await findManageableOrganization(req, res);
+            if (!organization) return;
+
+            const membership = await OrganizationMember.findOneAndUpdate(
+                { organization: organization._id, user: req.params.userId, status: 'active' },
+                { $set: { role: req.body.role } },
+                { new: true }
+            );
+            if (!membership) {
+                return res.status(404).json({ message: 'Member not found' });
+            }
+
+            res.json({
+                message: 'Member updated',
+                membership
+            });
+        } catch (error) {
+            console.error('Update organization member error:', error);
+            res.status(500).json({ message: 'Failed to update member' });
+        }
+    }
+);
+
+// Remove a member; their seats are reclaimed (organization admins)
+router.delete('/:organizationId/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const organization = await findManageableOrganization(req, res);
+        if (!organization) return;
+
+        const { membership, seatsReclaimed } = await organizationService.removeMember(organization, req.params.userId, req.user._id);
+
+        res.json({
+            message: 'Member removed',
+            membership,
+            seatsReclaimed
+        });
+    } catch (error) {
+        console.error('Remove organization member error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to remove member' });
+    }
+});
+
+// Record purchased seats for a course or a plan (admin only)
+router.post('/:organizationId/seat-pools',
+    authenticateToken,
+    requirePermission('organization.manage'),
+    [
+        body('kind').isIn(['course', 'plan']).withMessage('Kind must be course or plan'),
+        body('course').if(body('kind').equals('course')).isMongoId().withMessage('Valid course ID required'),
+        body('plan').if(body('kind').equals('plan')).isMongoId().withMessage('Valid plan ID required'),
+        body('seats').isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+        body('expiresAt').if(body('kind').equals('plan')).isISO8601().withMessage('Plan seats need an expiry date'),
+        body('expiresAt').optional().isISO8601().withMessage('Valid expiry date required'),
+        body('reference').optional().isString().isLength({ max: 200 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const organization = await Organization.findById(req.params.organizationId);
+            if (!organization) {
+                return res.status(404).json({ message: 'Organization not found' });
+            }
+
+            const pool = new SeatPool({
+                organization: organization._id,
+                kind: req.body.kind,
+                course: req.body.kind === 'course' ? req.body.course : undefined,
+                plan: req.body.kind === 'plan' ? req.body.plan : undefined,
+                seats: req.body.seats,
+                expiresAt: req.body.expiresAt,
+                reference: req.body.reference,
+                createdBy: req.user._id
+            });
+
+            const poolError = await organizationService.checkPool(pool);
+            if (poolError) {
+                return res.status(400).json({ message: poolError });
+            }
+
+            await pool.save();
+
+            res.status(201).json({
+                message: 'Seat pool created successfully',
+                pool
+            });
+        } catch (error) {
+            console.error('Create seat pool error:', error);
+            res.status(500).json({ message: 'Failed to create seat pool' });
+        }
+    }
+);
+
+// Change seat count, expiry or status of a pool (admin only)
+router.put('/:organizationId/seat-pools/:poolId',
+    authenticateToken,
+    requirePermission('organization.manage'),
+    [
+        body('seats').optional().isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+        body('expiresAt').optional().isISO8601().withMessage('Valid expiry date required'),
+        body('reference').optional().isString().isLength({ max: 200 }),
+        body('isActive').optional().isBoolean(),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const pool = await findManageablePool(req, res);
+            if (!pool) return;
+
+            POOL_EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) pool[field] = req.body[field];
+            });
+
+            const poolError = await organizationService.checkPool(pool);
+            if (poolError) {
+                return res.status(400).json({ message: poolError });
+            }
+
+            await organizationService.updatePool(pool);
+
+            res.json({
+                message: 'Seat pool updated successfully',
+                pool
+            });
+        } catch (error) {
+            console.error('Update seat pool error:', error);
+            res.status(500).json({ message: 'Failed to update seat pool' });
+        }
+    }
+);
+
+// Seats of a pool and who holds them (organization admins)
+router.get('/:organizationId/seat-pools/:poolId/assignments', authenticateToken, async (req, res) => {
+    try {
+        const pool = await findManageablePool(req, res);
+        if (!pool) return;
+
+        const { status = 'active' } = req.query;
+        const assignments = await SeatAssignment.find({ pool: pool._id, status })
+            .populate('user', 'name email')
+            .populate('assignedBy', 'name')
+            .populate('reclaimedBy', 'name')
+            .sort({ assignedAt: -1 });
+
+        res.json({
+            pool,
+            seatsLeft: Math.max(0, pool.seats - pool.assignedCount),
+            assignments
+        });
+    } catch (error) {
+        console.error('Get seat assignments error:', error);
+        res.status(500).json({ message: 'Failed to fetch seat assignments' });
+    }
+});
+
+// Assign a seat to a member (organization admins)
+router.post('/:organizationId/seat-pools/:poolId/assignments',
+    authenticateToken,
+    [
+        body('userId').isMongoId().withMessage('Valid user ID required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const pool = await findManageablePool(req, res);
+            if (!pool) return;
+
+            const assignment = await organizationService.assignSeat(pool, req.body.userId, req.user._id);
+
+            res.status(201).json({
+                message: 'Seat assigned',
+                assignment,
+                seatsLeft: Math.max(0, pool.seats - pool.assignedCount)
+            });
+        } catch (error) {
+            if (!error.statusCode) console.error('Assign seat error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to assign seat',
+                missing: error.missing
+            });
+        }
+    }
+);
+
+// Reclaim a member's seat; the access it granted ends (organization admins)
+router.delete('/:organizationId/seat-pools/:poolId/assignments/:userId', authenticateToken, async (req, res) => {
+    try {
+        const pool = await findManageablePool(req, res);
+        if (!pool) return;
+
+        const assignment = await SeatAssignment.findOne({ pool: pool._id, user: req.params.userId, status: 'active' });
+        if (!assignment) {
+            return res.status(404).json({ message: 'Seat assignment not found' });
+        }
+
+        const reclaimed = await organizationService.reclaimSeat(assignment, req.user._id);
+
+        res.json({
+            message: 'Seat reclaimed',
+            assignment: reclaimed
+        });
+    } catch (error) {
+        console.error('Reclaim seat error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Failed to reclaim seat' });
+    }
+});
+
+// Course progress of members, for access the organization provided (organization admins)
+router.get('/:organizationId/reports/progress', authenticateToken, async (req, res) => {
+    try {
+        const organization = await findManageableOrganization(req, res);
+        if (!organization) return;
+
+        const { course, page = 1, limit = 50 } = req.query;
+        if (course && !isValidObjectId(course)) {
+            return res.status(400).json({ message: 'Invalid course ID' });
+        }
+
+        const report = await organizationService.getProgressReport(organization, { course, page, limit });
+
+        res.json({
+            organization: { _id: organization._id, name: organization.name },
+            ...report
+        });
+    } catch (error) {
+        console.error('Get organization progress report error:', error);
+        res.status(500).json({ message: 'Failed to fetch progress report' });
+    }
+});
+
+// Certificates members earned in courses the organization provided (organization admins)
+router.get('/:organizationId/reports/certificates', authenticateToken, async (req, res) => {
+    try {
+        const organization = await findManageableOrganization(req, res);
+        if (!organization) return;
+
+        const { course, page = 1, limit = 50 } = req.query;
+        if (course && !isValidObjectId(course)) {
+            return res.status(400).json({ message: 'Invalid course ID' });
+        }
+
+        const report = await organizationService.getCertificateReport(organization, { course, page, limit });
+
+        res.json({
+            organization: { _id: organization._id, name: organization.name },
+            ...report
+        });
+    } catch (error) {
+        console.error('Get organization certificate report error:', error);
+        res.status(500).json({ message: 'Failed to fetch certificate report' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Plan = require('../models/Plan');
+const Category = require('../models/Category');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const CurrencyService = require('../services/CurrencyService');
+
+const router = express.Router();
+const currencyService = new CurrencyService();
+
+const planValidation = [
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('description').optional().isString().isLength({ max: 1000 }),
+    body('interval').optional().isIn(['month', 'year']).withMessage('Interval must be month or year'),
+    body('price').optional().isFloat({ gt: 0 }).withMessage('Price must be greater than 0'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    body('trialDays').optional().isInt({ min: 0, max: 365 }).withMessage('Trial days must be between 0 and 365'),
+    body('access.allCourses').optional().isBoolean().withMessage('access.allCourses must be a boolean'),
+    body('access.categories').optional().isArray().withMessage('access.categories must be an array'),
+    body('access.categories.*').optional().isMongoId().withMessage('Valid category IDs required'),
+    body('features').optional().isArray().withMessage('Features must be an array'),
+    body('features.*').optional().isString().isLength({ max: 200 })
+];
+
+const EDITABLE_FIELDS = ['name', 'description', 'interval', 'price', 'trialDays', 'features', 'isActive'];
+
+// Check the plan grants access to something and uses a known currency
+const checkPlanValues = async (plan) => {
+    if (!plan.access.allCourses && plan.access.categories.length === 0) {
+        return 'A plan must cover all courses or at least one category';
+    }
+    if (plan.access.categories.length > 0) {
+        const found = await Category.countDocuments({ _id: { $in: plan.access.categories } });
+        if (found !== plan.access.categories.length) {
+            return 'One or more categories were not found';
+        }
+    }
+    if (!(await currencyService.isSupported(plan.currency))) {
+        return `Unsupported currency: ${plan.currency}`;
+    }
+    return null;
+};
+
+// Plans on sale (public)
+router.get('/', async (req, res) => {
+    try {
+        const plans = await Plan.find({ isActive: true })
+            .populate('access.categories', 'name')
+            .select('-createdBy')
+            .sort({ price: 1 });
+
+        res.json({ plans });
+    } catch (error) {
+        console.error('Get plans error:', error);
+        res.status(500).json({ message: 'Failed to fetch plans' });
+    }
+});
+
+// All plans including retired ones (admin only)
+router.get('/admin/all', authenticateToken, requirePermission('plan.manage'), async (req, res) => {
+    try {
+        const plans = await Plan.find()
+            .populate('access.categories', 'name')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.json({ plans });
+    } catch (error) {
+        console.error('Get all plans error:', error);
+        res.status(500).json({ message: 'Failed to fetch plans' });
+    }
+});
+
+// Get plan details (public)
+router.get('/:planId', async (req, res) => {
+    try {
+        const plan = await Plan.findById(req.params.planId)
+            .populate('access.categories', 'name description')
+            .select('-createdBy');
+
+        if (!plan || !plan.isActive) {
+            return res.status(404).json({ message: 'Plan not found' });
+        }
+
+        res.json({ plan });
+    } catch (error) {
+        console.error('Get plan error:', error);
+        res.status(500).json({ message: 'Failed to fetch plan' });
+    }
+});
+
+// Create plan (admin only)
+router.post('/',
+    authenticateToken,
+    requirePermission('plan.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Name is required'),
+        body('interval').isIn(['month', 'year']).withMessage('Interval must be month or year'),
+        body('price').isFloat({ gt: 0 }).withMessage('Price must be greater than 0'),
+        ...planValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const plan = new Plan({
+                name: req.body.name,
+                description: req.body.description,
+                interval: req.body.interval,
+                price: req.body.price,
+                currency: req.body.currency ? req.body.currency.toUpperCase() : undefined,
+                trialDays: req.body.trialDays,
+                access: {
+                    allCourses: req.body.access?.allCourses === true,
+                    categories: req.body.access?.categories || []
+                },
+                features: req.body.features,
+                createdBy: req.user._id
+            });
+
+            const valueError = await checkPlanValues(plan);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await plan.save();
+
+            res.status(201).json({
+                message: 'Plan created successfully',
+                plan
+            });
+        } catch (error) {
+            console.error('Create plan error:', error);
+            res.status(500).json({ message: 'Failed to create plan' });
+        }
+    }
+);
+
+// Update plan (admin only). Price changes apply to new subscribers only.
+router.put('/:planId',
+    authenticateToken,
+    requirePermission('plan.manage'),
+    [
+        ...planValidation,
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const plan = await Plan.findById(req.params.planId);
+            if (!plan) {
+                return res.status(404).json({ message: 'Plan not found' });
+            }
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) plan[field] = req.body[field];
+            });
+            if (req.body.currency) plan.currency = req.body.currency.toUpperCase();
+            if (req.body.access?.allCourses !== undefined) plan.access.allCourses = req.body.access.allCourses;
+            if (req.body.access?.categories !== undefined) plan.access.categories = req.body.access.categories;
+
+            const valueError = await checkPlanValues(plan);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await plan.save();
+
+            res.json({
+                message: 'Plan updated successfully',
+                plan
+            });
+        } catch (error) {
+            console.error('Update plan error:', error);
+            res.status(500).json({ message: 'Failed to update plan' });
+        }
+    }
+);
+
+// Retire plan (admin only). Existing subscriptions keep renewing.
+router.delete('/:planId', authenticateToken, requirePermission('plan.manage'), async (req, res) => {
+    try {
+        const plan = await Plan.findById(req.params.planId);
+        if (!plan) {
+            return res.status(404).json({ message: 'Plan not found' });
+        }
+
+        plan.isActive = false;
+        await plan.save();
+
+        res.json({ message: 'Plan retired successfully' });
+    } catch (error) {
+        console.error('Delete plan error:', error);
+        res.status(500).json({ message: 'Failed to retire plan' });
+    }
+});
+
+module.exports = router;
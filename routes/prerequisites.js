@@ -0,0 +1,153 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const PrerequisiteService = require('../services/PrerequisiteService');
+const PermissionService = require('../services/PermissionService');
+
+// Mounted at /api/courses/:courseId/prerequisites
+const router = express.Router({ mergeParams: true });
+const prerequisiteService = new PrerequisiteService();
+const permissionService = new PermissionService();
+
+// Prerequisites of a course, and whether the current user meets them (public)
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.courseId).select('title prerequisites');
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        const status = req.user ? await prerequisiteService.check(req.user._id, course) : null;
+        await course.populate('prerequisites.course', 'title thumbnail level');
+
+        res.json({
+            prerequisites: course.prerequisites,
+            status
+        });
+    } catch (error) {
+        console.error('Get prerequisites error:', error);
+        res.status(500).json({ message: 'Failed to fetch prerequisites' });
+    }
+});
+
+// Replace the prerequisite list (course instructor or admin)
+router.put('/',
+    authenticateToken,
+    requirePermission('course.update'),
+    [
+        body('prerequisites').isArray().withMessage('prerequisites must be an array'),
+        body('prerequisites.*.course').isMongoId().withMessage('Valid course IDs required'),
+        body('prerequisites.*.minimumGrade').optional({ values: 'null' }).isIn(PrerequisiteService.GRADES)
+            .withMessage(`Minimum grade must be one of ${PrerequisiteService.GRADES.join(', ')}`),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+
+            if (!await permissionService.can(req.user, 'course.update', course)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const prerequisites = req.body.prerequisites.map(item => ({
+                course: item.course,
+                minimumGrade: item.minimumGrade || undefined
+            }));
+
+            const validationError = await prerequisiteService.validate(course, prerequisites);
+            if (validationError) {
+                return res.status(400).json({ message: validationError });
+            }
+
+            course.prerequisites = prerequisites;
+            await course.save();
+            await course.populate('prerequisites.course', 'title');
+
+            res.json({
+                message: 'Prerequisites updated successfully',
+                prerequisites: course.prerequisites
+            });
+        } catch (error) {
+            console.error('Update prerequisites error:', error);
+            res.status(500).json({ message: 'Failed to update prerequisites' });
+        }
+    }
+);
+
+// Learners allowed to skip the prerequisites (admin only)
+router.get('/overrides', authenticateToken, requirePermission('prerequisite.override'), async (req, res) => {
+    try {
+        const overrides = await PrerequisiteOverride.find({ course: req.params.courseId })
+            .populate('user', 'name email')
+            .populate('grantedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.json({ overrides });
+    } catch (error) {
+        console.error('Get prerequisite overrides error:', error);
+        res.status(500).json({ message: 'Failed to fetch overrides' });
+    }
+});
+
+// Let a learner enroll without meeting the prerequisites (admin only)
+router.post('/overrides',
+    authenticateToken,
+    requirePermission('prerequisite.override'),
+    [
+        body('userId').isMongoId().withMessage('Valid user ID required'),
+        body('reason').optional().isString().isLength({ max: 500 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const [course, user] = await Promise.all([
+                Course.findById(req.params.courseId).select('_id'),
+                User.findById(req.body.userId).select('_id')
+            ]);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const override = await PrerequisiteOverride.findOneAndUpdate(
+                { course: course._id, user: user._id },
+                { $set: { reason: req.body.reason, grantedBy: req.user._id } },
+                { upsert: true, new: true, runValidators: true }
+            );
+
+            res.status(201).json({
+                message: 'Prerequisite override granted',
+                override
+            });
+        } catch (error) {
+            console.error('Grant prerequisite override error:', error);
+            res.status(500).json({ message: 'Failed to grant override' });
+        }
+    }
+);
+
+// Withdraw an override (existing enrollments are kept)
+router.delete('/overrides/:userId', authenticateToken, requirePermission('prerequisite.override'), async (req, res) => {
+    try {
+        const result = await PrerequisiteOverride.deleteOne({ course: req.params.courseId, user: req.params.userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ message: 'Override not found' });
+        }
+
+        res.json({ message: 'Prerequisite override removed' });
+    } catch (error) {
+        console.error('Remove prerequisite override error:', error);
+        res.status(500).json({ message: 'Failed to remove override' });
+    }
+});
+
+module.exports = router;
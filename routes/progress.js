@@ -6,8 +6,46 @@ const User = require('../models/User');
 const Certificate = require('../models/Certificate');
 const { authenticateToken } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const LearningPathService = require('../services/LearningPathService');
+const DripService = require('../services/DripService');
+const CertificateService = require('../services/CertificateService');
+const XapiService = require('../services/XapiService');
 
 const router = express.Router();
+const learningPathService = new LearningPathService();
+const dripService = new DripService();
+const certificateService = new CertificateService();
+const xapiService = new XapiService();
+
+// Respond 403 if the lecture hasn't been released to the learner yet
+const rejectIfUnreleased = (res, course, enrollment, sectionIndex, lessonIndex) => {
+    const lock = dripService.getLectureLock(course, enrollment, sectionIndex, lessonIndex);
+    if (!lock.locked) return false;
+
+    res.status(403).json({
+        message: lock.unlockAt
+            ? `This lecture unlocks on ${lock.unlockAt.toISOString()}`
+            : (lock.waitingFor ? `Complete "${lock.waitingFor.title}" to unlock this lecture` : 'This lecture is not available yet'),
+        locked: true,
+        unlockAt: lock.unlockAt,
+        lockReason: lock.lockReason,
+        waitingFor: lock.waitingFor
+    });
+    return true;
+};
+
+// Respond 403 if a sequenced learning path still locks the course
+const rejectIfLocked = async (req, res, courseId) => {
+    const lock = await learningPathService.checkSequence(req.user._id, courseId);
+    if (!lock) return false;
+
+    res.status(403).json({
+        message: `Complete "${lock.blockingCourse.title}" first to continue the "${lock.learningPath.title}" learning path`,
+        learningPath: lock.learningPath,
+        blockingCourse: lock.blockingCourse
+    });
+    return true;
+};
 
 // Mark lesson as completed
 router.post('/lesson-complete', authenticateToken, [
@@ -33,6 +71,8 @@ router.post('/lesson-complete', authenticateToken, [
             return res.status(404).json({ message: 'Enrollment not found' });
         }
 
+        if (await rejectIfLocked(req, res, courseId)) return;
+
         // Determine sectionIndex and lessonIndex
         let sectionIndex = providedSectionIndex;
         let lessonIndex = providedLessonIndex;
@@ -66,6 +106,8 @@ router.post('/lesson-complete', authenticateToken, [
             return res.status(400).json({ message: 'Could not determine section and lesson indices' });
         }
 
+        if (rejectIfUnreleased(res, enrollment.course, enrollment, sectionIndex, lessonIndex)) return;
+
         // Check if lesson already completed
         const existingCompletion = enrollment.progress.completedLessons.find(
             lesson => lesson.sectionIndex === sectionIndex && lesson.lessonIndex === lessonIndex
@@ -94,38 +136,25 @@ router.post('/lesson-complete', authenticateToken, [
         await enrollment.calculateProgress();
         await enrollment.save();
 
-        // Check if course is completed and generate certificate
-        if (enrollment.progress.overallProgress === 100 && enrollment.completedAt) {
-            // Check if certificate already exists
-            let certificate = await Certificate.findOne({
-                user: req.user._id,
-                course: courseId
-            });
-
-            if (!certificate) {
-                const course = await Course.findById(courseId);
-                
-                certificate = new Certificate({
-                    user: req.user._id,
-                    course: courseId,
-                    completedAt: enrollment.completedAt,
-                    metadata: {
-                        totalDuration: course.totalDuration,
-                        completionTime: Math.ceil((enrollment.completedAt - enrollment.enrolledAt) / (1000 * 60 * 60 * 24)),
-                        finalScore: 100 // Can be enhanced with quiz scores
-                    }
+        if (!existingCompletion) {
+            const course = enrollment.course;
+            const lecture = course.sections[sectionIndex]?.lectures[lessonIndex];
+            if (lecture) {
+                xapiService.track('completed', req.user, xapiService.lectureActivity(course, lecture), {
+                    course,
+                    result: { completion: true }
                 });
+            }
+            xapiService.track(enrollment.progress.overallProgress === 100 ? 'completed' : 'progressed', req.user,
+                xapiService.courseActivity(course), { result: xapiService.progressResult(enrollment.progress.overallProgress) });
+        }
 
-                await certificate.save();
+        // Check if course is completed and generate certificate
+        if (enrollment.progress.overallProgress === 100 && enrollment.completedAt) {
+            await certificateService.issueForCompletedEnrollment(enrollment);
 
-                // Update user's completed courses
-                await User.findByIdAndUpdate(req.user._id, {
-                    $addToSet: { 
-                        'learner.completedCourses': courseId,
-                        'learner.certificates': certificate._id
-                    }
-                });
-            }
+            // May complete a learning path; runs in the background
+            learningPathService.handleCourseCompleted(req.user._id, courseId);
         }
 
         res.json({
@@ -162,6 +191,8 @@ router.post('/lesson-uncomplete', authenticateToken, [
             return res.status(404).json({ message: 'Enrollment not found' });
         }
 
+        if (await rejectIfLocked(req, res, courseId)) return;
+
         // Determine sectionIndex and lessonIndex
         let sectionIndex = providedSectionIndex;
         let lessonIndex = providedLessonIndex;
@@ -247,7 +278,9 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
             totalLessons: course.totalLessons,
             totalTimeSpent: enrollment.progress.totalTimeSpent,
             lastAccessedLesson: enrollment.progress.lastAccessedLesson,
-            sectionProgress: []
+            sectionProgress: [],
+            // Drip release state of every section and lecture
+            releaseSchedule: dripService.getSchedule(course, enrollment)
         };
 
         // Calculate progress per section
@@ -306,7 +339,7 @@ router.get('/overview', authenticateToken, async (req, res) => {
         }, 0);
         
         // Get certificates
-        const certificates = await Certificate.find({ user: req.user._id })
+        const certificates = await Certificate.find({ user: req.user._id, isRevoked: { $ne: true } })
             .populate('course', 'title thumbnail')
             .sort({ issuedAt: -1 });
             
@@ -357,6 +390,15 @@ router.put('/lesson-access', authenticateToken, [
             return res.status(404).json({ message: 'Enrollment not found' });
         }
 
+        if (await rejectIfLocked(req, res, courseId)) return;
+
+        const course = await Course.findById(courseId).select('title sections');
+        if (course && rejectIfUnreleased(res, course, enrollment, sectionIndex, lessonIndex)) return;
+
+        // Opening another lecture counts as a launch; repeated updates for the same one don't
+        const previous = enrollment.progress.lastAccessedLesson;
+        const switched = Number(previous?.sectionIndex) !== Number(sectionIndex) || Number(previous?.lessonIndex) !== Number(lessonIndex);
+
         // Update last accessed lesson
         enrollment.progress.lastAccessedLesson = {
             sectionIndex,
@@ -370,6 +412,11 @@ router.put('/lesson-access', authenticateToken, [
 
         await enrollment.save();
 
+        const lecture = course?.sections[sectionIndex]?.lectures[lessonIndex];
+        if (switched && lecture) {
+            xapiService.track('launched', req.user, xapiService.lectureActivity(course, lecture), { course });
+        }
+
         res.json({
             message: 'Lesson access updated',
             lastAccessedLesson: enrollment.progress.lastAccessedLesson,
@@ -0,0 +1,233 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Promotion = require('../models/Promotion');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const PricingService = require('../services/PricingService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const pricingService = new PricingService();
+const permissionService = new PermissionService();
+
+const promotionValidation = [
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('discountType').optional().isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+    body('value').optional().isFloat({ gt: 0 }).withMessage('Value must be greater than 0'),
+    body('scope').optional().isIn(['site', 'course']).withMessage('Scope must be site or course'),
+    body('courses').optional().isArray().withMessage('Courses must be an array'),
+    body('courses.*').optional().isMongoId().withMessage('Valid course IDs required'),
+    body('startsAt').optional().isISO8601().withMessage('Valid start date required'),
+    body('endsAt').optional().isISO8601().withMessage('Valid end date required')
+];
+
+const EDITABLE_FIELDS = ['name', 'discountType', 'value', 'scope', 'courses', 'startsAt', 'endsAt', 'isActive'];
+
+// Check the resulting promotion values make sense
+const checkPromotionValues = (promotion) => {
+    if (promotion.discountType === 'percent' && promotion.value > 100) {
+        return 'Percentage discount cannot exceed 100';
+    }
+    if (promotion.endsAt <= promotion.startsAt) {
+        return 'End date must be after the start date';
+    }
+    return null;
+};
+
+// Load a promotion the current user may manage
+const findManageablePromotion = async (req, res) => {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+        res.status(404).json({ message: 'Promotion not found' });
+        return null;
+    }
+    if (!await permissionService.can(req.user, 'promotion.manage', promotion)) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return promotion;
+};
+
+// Currently running sales (public)
+router.get('/active', async (req, res) => {
+    try {
+        const { course } = req.query;
+
+        let promotions = await Promotion.findRunning()
+            .select('name discountType value scope courses startsAt endsAt')
+            .sort({ endsAt: 1 });
+
+        if (course) {
+            promotions = promotions.filter(promo =>
+                promo.scope === 'site' || promo.courses.some(id => id.toString() === course));
+        }
+
+        res.json({ promotions });
+    } catch (error) {
+        console.error('Get active promotions error:', error);
+        res.status(500).json({ message: 'Failed to fetch promotions' });
+    }
+});
+
+// List promotions (instructors see their own, admins see all)
+router.get('/',
+    authenticateToken,
+    requirePermission('promotion.manage'),
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 20, status } = req.query;
+            const skip = (page - 1) * limit;
+            const now = new Date();
+
+            const filter = {};
+            if (!await permissionService.hasPermission(req.user, 'promotion.manage_any')) filter.createdBy = req.user._id;
+            if (status === 'running') {
+                Object.assign(filter, { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } });
+            } else if (status === 'scheduled') {
+                Object.assign(filter, { isActive: true, startsAt: { $gt: now } });
+            } else if (status === 'ended') {
+                filter.endsAt = { $lte: now };
+            }
+
+            const promotions = await Promotion.find(filter)
+                .populate('courses', 'title')
+                .populate('createdBy', 'name email')
+                .sort({ startsAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit));
+
+            const total = await Promotion.countDocuments(filter);
+
+            res.json({
+                promotions,
+                totalPages: Math.ceil(total / limit),
+                currentPage: parseInt(page),
+                totalPromotions: total
+            });
+        } catch (error) {
+            console.error('Get promotions error:', error);
+            res.status(500).json({ message: 'Failed to fetch promotions' });
+        }
+    }
+);
+
+// Schedule a sale
+router.post('/',
+    authenticateToken,
+    requirePermission('promotion.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Name is required'),
+        body('discountType').isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+        body('value').isFloat({ gt: 0 }).withMessage('Value must be greater than 0'),
+        body('startsAt').isISO8601().withMessage('Valid start date required'),
+        body('endsAt').isISO8601().withMessage('Valid end date required'),
+        ...promotionValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const scope = req.body.scope || 'course';
+            const courses = req.body.courses || [];
+
+            const scopeError = await pricingService.checkDiscountScope(req.user, scope, courses, 'promotion.manage');
+            if (scopeError) {
+                return res.status(400).json({ message: scopeError });
+            }
+
+            const promotion = new Promotion({
+                name: req.body.name,
+                discountType: req.body.discountType,
+                value: req.body.value,
+                scope,
+                courses: scope === 'course' ? courses : [],
+                startsAt: req.body.startsAt,
+                endsAt: req.body.endsAt,
+                createdBy: req.user._id,
+                // Made with rights over every promotion: recorded as an admin promotion
+                createdByRole: await permissionService.hasPermission(req.user, 'promotion.manage_any') ? 'admin' : 'instructor'
+            });
+
+            const valueError = checkPromotionValues(promotion);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await promotion.save();
+
+            res.status(201).json({
+                message: 'Promotion scheduled successfully',
+                promotion
+            });
+        } catch (error) {
+            console.error('Create promotion error:', error);
+            res.status(500).json({ message: 'Failed to create promotion' });
+        }
+    }
+);
+
+// Update promotion
+router.put('/:promotionId',
+    authenticateToken,
+    requirePermission('promotion.manage'),
+    [
+        ...promotionValidation,
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const promotion = await findManageablePromotion(req, res);
+            if (!promotion) return;
+
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) promotion[field] = req.body[field];
+            });
+
+            if (req.body.scope !== undefined || req.body.courses !== undefined) {
+                const courseIds = promotion.courses.map(id => id.toString());
+                const scopeError = await pricingService.checkDiscountScope(req.user, promotion.scope, courseIds, 'promotion.manage');
+                if (scopeError) {
+                    return res.status(400).json({ message: scopeError });
+                }
+                if (promotion.scope === 'site') promotion.courses = [];
+            }
+
+            const valueError = checkPromotionValues(promotion);
+            if (valueError) {
+                return res.status(400).json({ message: valueError });
+            }
+
+            await promotion.save();
+
+            res.json({
+                message: 'Promotion updated successfully',
+                promotion
+            });
+        } catch (error) {
+            console.error('Update promotion error:', error);
+            res.status(500).json({ message: 'Failed to update promotion' });
+        }
+    }
+);
+
+// Cancel a promotion (stops it immediately, kept for order history)
+router.delete('/:promotionId',
+    authenticateToken,
+    requirePermission('promotion.manage'),
+    async (req, res) => {
+        try {
+            const promotion = await findManageablePromotion(req, res);
+            if (!promotion) return;
+
+            promotion.isActive = false;
+            await promotion.save();
+
+            res.json({ message: 'Promotion canceled successfully' });
+        } catch (error) {
+            console.error('Delete promotion error:', error);
+            res.status(500).json({ message: 'Failed to cancel promotion' });
+        }
+    }
+);
+
+module.exports = router;
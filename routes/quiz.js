@@ -1,9 +1,18 @@
 const express = require('express');
 const QuizAttempt = require('../models/QuizAttempt');
 const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
 const { authenticateToken } = require('../middleware/auth');
+const PermissionService = require('../services/PermissionService');
+const XapiService = require('../services/XapiService');
+const DripService = require('../services/DripService');
+const LearningPathService = require('../services/LearningPathService');
 
 const router = express.Router();
+const permissionService = new PermissionService();
+const xapiService = new XapiService();
+const dripService = new DripService();
+const learningPathService = new LearningPathService();
 
 // Submit quiz attempt
 router.post('/attempt', authenticateToken, async (req, res) => {
@@ -20,12 +29,16 @@ router.post('/attempt', authenticateToken, async (req, res) => {
         // Find the quiz lecture
         let quizLecture = null;
         let lectureTitle = '';
+        let sectionIndex = -1;
+        let lectureIndex = -1;
         
-        for (const section of course.sections) {
+        for (const [index, section] of course.sections.entries()) {
             const lecture = section.lectures.id(lectureId);
             if (lecture && lecture.type === 'quiz') {
                 quizLecture = lecture;
                 lectureTitle = lecture.title;
+                sectionIndex = index;
+                lectureIndex = section.lectures.indexOf(lecture);
                 break;
             }
         }
@@ -34,6 +47,32 @@ router.post('/attempt', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'Quiz not found' });
         }
 
+        // Only enrolled learners can take a quiz, once it has been released
+        const enrollment = await Enrollment.findOne({ user: userId, course: courseId, isActive: true });
+        if (!enrollment) {
+            return res.status(403).json({ message: 'Enroll in this course to take the quiz' });
+        }
+
+        const lock = await learningPathService.checkSequence(userId, course._id);
+        if (lock) {
+            return res.status(403).json({
+                message: `Complete "${lock.blockingCourse.title}" first to continue the "${lock.learningPath.title}" learning path`,
+                learningPath: lock.learningPath,
+                blockingCourse: lock.blockingCourse
+            });
+        }
+
+        const release = dripService.getLectureLock(course, enrollment, sectionIndex, lectureIndex);
+        if (release.locked) {
+            return res.status(403).json({
+                message: 'This lecture is not available yet',
+                locked: true,
+                unlockAt: release.unlockAt,
+                lockReason: release.lockReason,
+                waitingFor: release.waitingFor
+            });
+        }
+
         const quiz = quizLecture.quiz;
         const questions = quiz.questions;
 
@@ -87,6 +126,16 @@ router.post('/attempt', authenticateToken, async (req, res) => {
 
         await quizAttempt.save();
 
+        const activity = xapiService.lectureActivity(course, quizLecture);
+        const duration = Number(timeTaken) > 0 ? { duration: `PT${Math.round(Number(timeTaken))}S` } : {};
+        xapiService.track('scored', req.user, activity, { course, result: xapiService.scoreResult(score, duration) });
+        if (quiz.isGraded) {
+            xapiService.track(passed ? 'passed' : 'failed', req.user, activity, {
+                course,
+                result: xapiService.scoreResult(score, { success: passed, completion: true, ...duration })
+            });
+        }
+
         res.status(201).json({
             message: 'Quiz submitted successfully',
             attempt: quizAttempt,
@@ -134,14 +183,14 @@ router.get('/attempts/:courseId/:lectureId', authenticateToken, async (req, res)
     }
 });
 
-// Get quiz statistics for instructors
+// Get quiz statistics for instructors and teaching assistants
 router.get('/stats/:courseId/:lectureId', authenticateToken, async (req, res) => {
     try {
         const { courseId, lectureId } = req.params;
 
-        // Verify user is instructor of the course
-        const course = await Course.findById(courseId);
-        if (!course || course.instructor.toString() !== req.user._id.toString()) {
+        // Verify user grades the course
+        const course = await Course.findById(courseId).select('instructor collaborators');
+        if (!course || !await permissionService.can(req.user, 'course.grade', course)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body } = require('express-validator');
+const RedemptionBatch = require('../models/RedemptionBatch');
+const RedemptionCode = require('../models/RedemptionCode');
+const Course = require('../models/Course');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const RedemptionService = require('../services/RedemptionService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const redemptionService = new RedemptionService();
+const permissionService = new PermissionService();
+
+// Attach per-status code counts to batches
+const withUsage = async (batches) => {
+    const usage = await redemptionService.getUsage(batches.map(batch => batch._id));
+    return batches.map(batch => ({
+        ...batch.toObject(),
+        usage: usage[batch._id.toString()] || { active: 0, redeemed: 0, revoked: 0, expired: 0 }
+    }));
+};
+
+// Load a batch the current user may view: the buyer, or whoever manages codes for the course
+const findViewableBatch = async (req, res) => {
+    const batch = await RedemptionBatch.findById(req.params.batchId).populate('course', 'title instructor');
+    if (!batch) {
+        res.status(404).json({ message: 'Batch not found' });
+        return null;
+    }
+
+    const allowed = batch.createdBy.toString() === req.user._id.toString() ||
+        (!!batch.course && await permissionService.can(req.user, 'redemption_code.manage', batch.course));
+    if (!allowed) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return batch;
+};
+
+// Codes bought by the current user (gifts and team purchases)
+router.get('/purchased', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { createdBy: req.user._id, kind: { $in: ['gift', 'team'] } };
+
+        const batches = await RedemptionBatch.find(filter)
+            .populate('course', 'title thumbnail')
+            .populate('order', 'orderNumber status')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await RedemptionBatch.countDocuments(filter);
+
+        res.json({
+            batches: await withUsage(batches),
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalBatches: total
+        });
+    } catch (error) {
+        console.error('Get purchased codes error:', error);
+        res.status(500).json({ message: 'Failed to fetch purchased codes' });
+    }
+});
+
+// List batches (instructors see batches for their courses, admins see all)
+router.get('/batches',
+    authenticateToken,
+    requirePermission('redemption_code.manage'),
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 20, course, kind } = req.query;
+            const skip = (page - 1) * limit;
+
+            const filter = {};
+            if (kind) filter.kind = kind;
+            if (!await permissionService.hasPermission(req.user, 'redemption_code.manage_any')) {
+                const ownCourses = await Course.find({ instructor: req.user._id }).select('_id');
+                const ownIds = ownCourses.map(c => c._id.toString());
+                if (course && !ownIds.includes(course)) {
+                    return res.status(403).json({ message: 'Access denied' });
+                }
+                filter.course = course || { $in: ownIds };
+            } else if (course) {
+                filter.course = course;
+            }
+
+            const batches = await RedemptionBatch.find(filter)
+                .populate('course', 'title')
+                .populate('createdBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit));
+
+            const total = await RedemptionBatch.countDocuments(filter);
+
+            res.json({
+                batches: await withUsage(batches),
+                totalPages: Math.ceil(total / limit),
+                currentPage: parseInt(page),
+                totalBatches: total
+            });
+        } catch (error) {
+            console.error('Get code batches error:', error);
+            res.status(500).json({ message: 'Failed to fetch code batches' });
+        }
+    }
+);
+
+// Generate free codes for a course (instructors for their own courses)
+router.post('/batches',
+    authenticateToken,
+    requirePermission('redemption_code.manage'),
+    [
+        body('courseId').isMongoId().withMessage('Valid course ID required'),
+        body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+        body('expiresAt').optional().isISO8601().withMessage('Valid expiry date required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.body.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+            if (!await permissionService.can(req.user, 'redemption_code.manage', course)) {
+                return res.status(403).json({ message: 'You can only create codes for your own courses' });
+            }
+
+            const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+            if (expiresAt && expiresAt <= new Date()) {
+                return res.status(400).json({ message: 'Expiry date must be in the future' });
+            }
+
+            const { batch, codes } = await redemptionService.createBatch({
+                kind: 'promotional',
+                name: req.body.name,
+                course: course._id,
+                quantity: parseInt(req.body.quantity, 10),
+                expiresAt,
+                createdBy: req.user._id
+            });
+
+            res.status(201).json({
+                message: `${codes.length} codes created`,
+                batch,
+                codes: codes.map(code => code.code)
+            });
+        } catch (error) {
+            console.error('Create code batch error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to create codes'
+            });
+        }
+    }
+);
+
+// Batch details with every code and who redeemed it
+router.get('/batches/:batchId', authenticateToken, async (req, res) => {
+    try {
+        const batch = await findViewableBatch(req, res);
+        if (!batch) return;
+
+        const filter = { batch: batch._id };
+        if (req.query.status) filter.status = req.query.status;
+
+        const codes = await RedemptionCode.find(filter)
+            .populate('redeemedBy', 'name email')
+            .select('code status expiresAt redeemedBy redeemedAt revokedAt revokedReason')
+            .sort({ createdAt: 1 });
+
+        const [batchWithUsage] = await withUsage([batch]);
+
+        // Instructors see who redeemed a buyer's codes, but not the unused codes themselves
+        const canSeeCodes = batch.kind === 'promotional' ||
+            await permissionService.hasPermission(req.user, 'redemption_code.manage_any') ||
+            batch.createdBy.toString() === req.user._id.toString();
+        const visibleCodes = canSeeCodes ? codes : codes.map(code => ({
+            ...code.toObject(),
+            code: `****-****-${code.code.slice(-4)}`
+        }));
+
+        res.json({ batch: batchWithUsage, codes: visibleCodes });
+    } catch (error) {
+        console.error('Get code batch error:', error);
+        res.status(500).json({ message: 'Failed to fetch code batch' });
+    }
+});
+
+// Revoke the unused codes of a batch (purchased codes are revoked through refunds)
+router.post('/batches/:batchId/revoke',
+    authenticateToken,
+    requirePermission('redemption_code.manage'),
+    [
+        body('reason').optional().isString().isLength({ max: 500 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const batch = await findViewableBatch(req, res);
+            if (!batch) return;
+
+            if (batch.kind !== 'promotional') {
+                return res.status(400).json({ message: 'Purchased codes can only be revoked through a refund' });
+            }
+
+            const revoked = await redemptionService.revokeCodes({ batch: batch._id }, req.body.reason || 'Revoked');
+
+            res.json({
+                message: `${revoked} unused codes revoked`,
+                revoked
+            });
+        } catch (error) {
+            console.error('Revoke code batch error:', error);
+            res.status(500).json({ message: 'Failed to revoke codes' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const RefundService = require('../services/RefundService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const refundService = new RefundService();
+const permissionService = new PermissionService();
+
+// Send service errors with their status code
+const sendError = (res, error, fallback) => {
+    res.status(error.statusCode || 500).json({
+        message: error.statusCode ? error.message : fallback
+    });
+};
+
+// Check whether an order can be refunded
+router.get('/eligibility/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+
+        if (!order || (order.user.toString() !== req.user._id.toString() &&
+            !await permissionService.hasPermission(req.user, 'refund.manage'))) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const courseIds = req.query.courseIds ? req.query.courseIds.split(',') : null;
+        const eligibility = await refundService.checkEligibility(order, courseIds);
+
+        res.json({
+            ...eligibility,
+            windowDays: refundService.windowDays,
+            maxProgress: refundService.maxProgress
+        });
+    } catch (error) {
+        console.error('Refund eligibility error:', error);
+        res.status(500).json({ message: 'Failed to check refund eligibility' });
+    }
+});
+
+// Request a refund
+router.post('/',
+    authenticateToken,
+    requirePermission('refund.request'),
+    [
+        body('orderId').isMongoId().withMessage('Valid order ID required'),
+        body('courseIds').optional().isArray({ min: 1 }).withMessage('courseIds must be a non-empty array'),
+        body('courseIds.*').optional().isMongoId().withMessage('Valid course IDs required'),
+        body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Reason is required (max 1000 characters)'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const refund = await refundService.requestRefund(req.user, req.body.orderId, {
+                courseIds: req.body.courseIds,
+                reason: req.body.reason
+            });
+
+            res.status(201).json({
+                message: 'Refund requested successfully',
+                refund
+            });
+        } catch (error) {
+            console.error('Request refund error:', error);
+            sendError(res, error, 'Failed to request refund');
+        }
+    }
+);
+
+// Get current user's refund requests
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user._id };
+        if (status) filter.status = status;
+
+        const refunds = await Refund.find(filter)
+            .populate('order', 'orderNumber total currency')
+            .populate('items.course', 'title thumbnail')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Refund.countDocuments(filter);
+
+        res.json({
+            refunds,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalRefunds: total
+        });
+    } catch (error) {
+        console.error('Get refunds error:', error);
+        res.status(500).json({ message: 'Failed to fetch refunds' });
+    }
+});
+
+// Get all refund requests (admin only)
+router.get('/admin/all', authenticateToken, requirePermission('refund.manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const refunds = await Refund.find(filter)
+            .populate('user', 'name email')
+            .populate('order', 'orderNumber total currency')
+            .populate('items.course', 'title')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Refund.countDocuments(filter);
+
+        res.json({
+            refunds,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalRefunds: total
+        });
+    } catch (error) {
+        console.error('Get all refunds error:', error);
+        res.status(500).json({ message: 'Failed to fetch refunds' });
+    }
+});
+
+// Get refund by ID (includes the audit trail)
+router.get('/:refundId', authenticateToken, async (req, res) => {
+    try {
+        const refund = await Refund.findById(req.params.refundId)
+            .populate('order', 'orderNumber total currency status')
+            .populate('items.course', 'title thumbnail')
+            .populate('history.actor', 'name role');
+
+        if (!refund) {
+            return res.status(404).json({ message: 'Refund request not found' });
+        }
+
+        if (refund.user.toString() !== req.user._id.toString() &&
+            !await permissionService.hasPermission(req.user, 'refund.manage')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        res.json({ refund });
+    } catch (error) {
+        console.error('Get refund error:', error);
+        res.status(500).json({ message: 'Failed to fetch refund' });
+    }
+});
+
+// Withdraw a pending request
+router.post('/:refundId/withdraw', authenticateToken, async (req, res) => {
+    try {
+        const refund = await refundService.withdraw(req.params.refundId, req.user);
+
+        res.json({
+            message: 'Refund request withdrawn',
+            refund
+        });
+    } catch (error) {
+        console.error('Withdraw refund error:', error);
+        sendError(res, error, 'Failed to withdraw refund request');
+    }
+});
+
+// Approve a refund (admin only)
+router.post('/:refundId/approve',
+    authenticateToken,
+    requirePermission('refund.manage'),
+    [
+        body('note').optional().trim().isLength({ max: 1000 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const refund = await refundService.approve(req.params.refundId, req.user, req.body.note);
+
+            res.json({
+                message: 'Refund approved and course access revoked',
+                refund
+            });
+        } catch (error) {
+            console.error('Approve refund error:', error);
+            sendError(res, error, 'Failed to approve refund');
+        }
+    }
+);
+
+// Deny a refund (admin only)
+router.post('/:refundId/deny',
+    authenticateToken,
+    requirePermission('refund.manage'),
+    [
+        body('note').trim().isLength({ min: 1, max: 1000 }).withMessage('A reason for the denial is required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const refund = await refundService.deny(req.params.refundId, req.user, req.body.note);
+
+            res.json({
+                message: 'Refund denied',
+                refund
+            });
+        } catch (error) {
+            console.error('Deny refund error:', error);
+            sendError(res, error, 'Failed to deny refund');
+        }
+    }
+);
+
+module.exports = router;
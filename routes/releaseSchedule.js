@@ -0,0 +1,135 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const DripService = require('../services/DripService');
+const PermissionService = require('../services/PermissionService');
+const RevisionService = require('../services/RevisionService');
+
+// Mounted at /api/courses/:courseId/release-schedule
+const router = express.Router({ mergeParams: true });
+const dripService = new DripService();
+const permissionService = new PermissionService();
+const revisionService = new RevisionService();
+
+const RULE_TYPES = ['immediate', 'days_after_enrollment', 'fixed_date', 'after_lecture'];
+
+const toRule = (release) => release ? {
+    type: release.type,
+    days: release.type === 'days_after_enrollment' ? parseInt(release.days, 10) : undefined,
+    date: release.type === 'fixed_date' ? new Date(release.date) : undefined,
+    afterLecture: release.type === 'after_lecture' ? release.afterLecture : undefined
+} : undefined;
+
+// Release rules of every section and lecture, plus the current user's schedule when enrolled
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.courseId)
+            .select('title instructor collaborators isPublished sections._id sections.title sections.release sections.lectures._id sections.lectures.title sections.lectures.isPreview sections.lectures.release');
+        const canManage = !!course && await permissionService.can(req.user, 'course.update', course);
+        if (!course || (!course.isPublished && !canManage)) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        const enrollment = await Enrollment.findOne({ user: req.user._id, course: course._id, isActive: true })
+            .select('enrolledAt progress.completedLessons');
+
+        res.json({
+            rules: course.sections.map(section => ({
+                sectionId: section._id,
+                title: section.title,
+                release: section.release || { type: 'immediate' },
+                lectures: section.lectures.map(lecture => ({
+                    lectureId: lecture._id,
+                    title: lecture.title,
+                    isPreview: lecture.isPreview,
+                    release: lecture.release || { type: 'immediate' }
+                }))
+            })),
+            schedule: enrollment ? dripService.getSchedule(course, enrollment) : null
+        });
+    } catch (error) {
+        console.error('Get release schedule error:', error);
+        res.status(500).json({ message: 'Failed to fetch release schedule' });
+    }
+});
+
+// Set release rules; sections and lectures left out keep their current rule
+router.put('/',
+    authenticateToken,
+    requirePermission('course.update'),
+    [
+        body('sections').isArray().withMessage('sections must be an array'),
+        body('sections.*.sectionId').isMongoId().withMessage('Valid section IDs required'),
+        body('sections.*.release.type').optional().isIn(RULE_TYPES).withMessage(`Release type must be one of ${RULE_TYPES.join(', ')}`),
+        body('sections.*.lectures').optional().isArray().withMessage('lectures must be an array'),
+        body('sections.*.lectures.*.lectureId').optional().isMongoId().withMessage('Valid lecture IDs required'),
+        body('sections.*.lectures.*.release.type').optional().isIn(RULE_TYPES).withMessage(`Release type must be one of ${RULE_TYPES.join(', ')}`),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.params.courseId);
+            if (!course) {
+                return res.status(404).json({ message: 'Course not found' });
+            }
+
+            if (!await permissionService.can(req.user, 'course.update', course)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            for (const sectionUpdate of req.body.sections) {
+                const sectionIndex = course.sections.findIndex(s => s._id.toString() === sectionUpdate.sectionId);
+                if (sectionIndex === -1) {
+                    return res.status(400).json({ message: `Section ${sectionUpdate.sectionId} not found in this course` });
+                }
+                const section = course.sections[sectionIndex];
+
+                if (sectionUpdate.release !== undefined) {
+                    const error = dripService.validateRule(course, sectionUpdate.release, { sectionIndex });
+                    if (error) {
+                        return res.status(400).json({ message: `Section "${section.title}": ${error}` });
+                    }
+                    section.release = toRule(sectionUpdate.release);
+                }
+
+                for (const lectureUpdate of sectionUpdate.lectures || []) {
+                    const lessonIndex = section.lectures.findIndex(l => l._id.toString() === lectureUpdate.lectureId);
+                    if (lessonIndex === -1) {
+                        return res.status(400).json({ message: `Lecture ${lectureUpdate.lectureId} not found in section "${section.title}"` });
+                    }
+                    const lecture = section.lectures[lessonIndex];
+
+                    const error = dripService.validateRule(course, lectureUpdate.release, { sectionIndex, lessonIndex });
+                    if (error) {
+                        return res.status(400).json({ message: `Lecture "${lecture.title}": ${error}` });
+                    }
+                    lecture.release = toRule(lectureUpdate.release);
+                }
+            }
+
+            await course.save();
+            revisionService.record(course, req.user._id, 'release_schedule')
+                .catch(error => console.error('Record course revision error:', error));
+
+            res.json({
+                message: 'Release schedule updated successfully',
+                sections: course.sections.map(section => ({
+                    sectionId: section._id,
+                    release: section.release || { type: 'immediate' },
+                    lectures: section.lectures.map(lecture => ({
+                        lectureId: lecture._id,
+                        release: lecture.release || { type: 'immediate' }
+                    }))
+                }))
+            });
+        } catch (error) {
+            console.error('Update release schedule error:', error);
+            res.status(500).json({ message: 'Failed to update release schedule' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Review = require('../models/Review');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { authenticateToken, requirePermission, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const PermissionService = require('../services/PermissionService');
+
+// Mounted at /api/courses/:courseId/reviews
+const router = express.Router({ mergeParams: true });
+const permissionService = new PermissionService();
+
+// Run a review write and the rating recalculation in a single transaction
+const withRatingUpdate = async (courseId, work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+            await Review.recalculateRatings(courseId, session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Get reviews for a course (public)
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { page = 1, limit = 10, rating, sortBy = 'recent' } = req.query;
+        const skip = (page - 1) * limit;
+
+        const course = await Course.findById(courseId).select('_id');
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        const filter = { course: courseId };
+
+        // Moderators can see hidden reviews
+        if (!(req.query.includeHidden === 'true' && await permissionService.hasPermission(req.user, 'review.moderate'))) {
+            filter.isHidden = false;
+        }
+
+        if (rating) {
+            filter.rating = parseInt(rating);
+        }
+
+        let sortOptions = { createdAt: -1 };
+        if (sortBy === 'highest') {
+            sortOptions = { rating: -1, createdAt: -1 };
+        } else if (sortBy === 'lowest') {
+            sortOptions = { rating: 1, createdAt: -1 };
+        }
+
+        const reviews = await Review.find(filter)
+            .populate('user', 'name profile.avatar')
+            .populate('instructorReply.repliedBy', 'name')
+            .sort(sortOptions)
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Review.countDocuments(filter);
+        const summary = await Review.getCourseSummary(courseId);
+
+        res.json({
+            reviews,
+            summary,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ message: 'Failed to fetch reviews' });
+    }
+});
+
+// Get current user's review for a course
+router.get('/mine', authenticateToken, async (req, res) => {
+    try {
+        const review = await Review.findOne({
+            user: req.user._id,
+            course: req.params.courseId
+        });
+
+        res.json({ review });
+    } catch (error) {
+        console.error('Get my review error:', error);
+        res.status(500).json({ message: 'Failed to fetch review' });
+    }
+});
+
+// Create review (enrolled learners only)
+router.post('/', authenticateToken, requirePermission('review.create'), requireVerifiedEmail, [
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('title').optional().trim().isLength({ max: 100 }).withMessage('Title must be less than 100 characters'),
+    body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { rating, title, comment } = req.body;
+
+        const course = await Course.findById(courseId);
+        if (!course || !course.isPublished) {
+            return res.status(404).json({ message: 'Course not found or not published' });
+        }
+
+        const enrollment = await Enrollment.findOne({
+            user: req.user._id,
+            course: courseId,
+            isActive: true
+        });
+
+        if (!enrollment) {
+            return res.status(403).json({ message: 'You must be enrolled in this course to review it' });
+        }
+
+        const existingReview = await Review.findOne({ user: req.user._id, course: courseId });
+        if (existingReview) {
+            return res.status(400).json({ message: 'You have already reviewed this course' });
+        }
+
+        const review = await withRatingUpdate(courseId, async (session) => {
+            const newReview = new Review({
+                user: req.user._id,
+                course: courseId,
+                rating: parseInt(rating),
+                title: title || '',
+                comment: comment || ''
+            });
+            await newReview.save({ session });
+            return newReview;
+        });
+
+        await review.populate('user', 'name profile.avatar');
+
+        res.status(201).json({
+            message: 'Review submitted successfully',
+            review
+        });
+    } catch (error) {
+        console.error('Create review error:', error);
+        res.status(500).json({ message: 'Failed to submit review' });
+    }
+});
+
+// Update own review
+router.put('/:reviewId', authenticateToken, [
+    body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('title').optional().trim().isLength({ max: 100 }).withMessage('Title must be less than 100 characters'),
+    body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment must be less than 2000 characters'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { courseId, reviewId } = req.params;
+
+        const review = await Review.findOne({ _id: reviewId, course: courseId });
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        // Check ownership
+        if (review.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        ['rating', 'title', 'comment'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                review[field] = field === 'rating' ? parseInt(req.body[field]) : req.body[field];
+            }
+        });
+        review.editedAt = new Date();
+
+        await withRatingUpdate(courseId, session => review.save({ session }));
+
+        res.json({
+            message: 'Review updated successfully',
+            review
+        });
+    } catch (error) {
+        console.error('Update review error:', error);
+        res.status(500).json({ message: 'Failed to update review' });
+    }
+});
+
+// Delete review (owner or admin)
+router.delete('/:reviewId', authenticateToken, async (req, res) => {
+    try {
+        const { courseId, reviewId } = req.params;
+
+        const review = await Review.findOne({ _id: reviewId, course: courseId });
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.user.toString() !== req.user._id.toString() &&
+            !await permissionService.hasPermission(req.user, 'review.moderate')) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        await withRatingUpdate(courseId, session => review.deleteOne({ session }));
+
+        res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({ message: 'Failed to delete review' });
+    }
+});
+
+// Reply to a review (course instructor only)
+router.put('/:reviewId/reply', authenticateToken, requirePermission('review.reply'), [
+    body('comment').trim().isLength({ min: 1, max: 2000 }).withMessage('Reply must be 1-2000 characters'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { courseId, reviewId } = req.params;
+
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        if (!await permissionService.can(req.user, 'review.reply', course)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const review = await Review.findOne({ _id: reviewId, course: courseId });
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        review.instructorReply = {
+            comment: req.body.comment,
+            repliedBy: req.user._id,
+            repliedAt: new Date()
+        };
+        await review.save();
+
+        res.json({
+            message: 'Reply saved successfully',
+            review
+        });
+    } catch (error) {
+        console.error('Reply to review error:', error);
+        res.status(500).json({ message: 'Failed to save reply' });
+    }
+});
+
+// Remove instructor reply
+router.delete('/:reviewId/reply', authenticateToken, requirePermission('review.reply'), async (req, res) => {
+    try {
+        const { courseId, reviewId } = req.params;
+
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({ message: 'Course not found' });
+        }
+
+        if (!await permissionService.can(req.user, 'review.reply', course)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const review = await Review.findOne({ _id: reviewId, course: courseId });
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        review.instructorReply = undefined;
+        await review.save();
+
+        res.json({ message: 'Reply removed successfully' });
+    } catch (error) {
+        console.error('Remove review reply error:', error);
+        res.status(500).json({ message: 'Failed to remove reply' });
+    }
+});
+
+// Hide/unhide review (admin moderation)
+router.patch('/:reviewId/moderation', authenticateToken, requirePermission('review.moderate'), [
+    body('isHidden').isBoolean().withMessage('isHidden must be a boolean'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { courseId, reviewId } = req.params;
+        const { reason } = req.body;
+        const isHidden = req.body.isHidden === true || req.body.isHidden === 'true';
+
+        const review = await Review.findOne({ _id: reviewId, course: courseId });
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        review.isHidden = isHidden;
+        review.moderation = {
+            reason: reason || '',
+            moderatedBy: req.user._id,
+            moderatedAt: new Date()
+        };
+
+        await withRatingUpdate(courseId, session => review.save({ session }));
+
+        res.json({
+            message: `Review ${isHidden ? 'hidden' : 'restored'} successfully`,
+            review
+        });
+    } catch (error) {
+        console.error('Moderate review error:', error);
+        res.status(500).json({ message: 'Failed to moderate review' });
+    }
+});
+
+module.exports = router;
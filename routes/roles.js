@@ -0,0 +1,154 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const permissionService = new PermissionService();
+
+const roleValidation = [
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('permissions').isArray().withMessage('permissions must be an array'),
+    body('permissions.*').custom(permission => {
+        if (permission !== '*' && !Object.prototype.hasOwnProperty.call(Role.PERMISSIONS, permission)) {
+            throw new Error(`Unknown permission: ${permission}`);
+        }
+        return true;
+    })
+];
+
+// Saved roles plus the built-in ones that still use their defaults
+const listRoles = async () => {
+    const saved = await Role.find().populate('createdBy', 'name').sort({ isSystem: -1, name: 1 });
+    const defaults = Object.entries(Role.SYSTEM_ROLES)
+        .filter(([name]) => !saved.some(role => role.name === name))
+        .map(([name, role]) => ({ name, ...role, isSystem: true, isDefault: true }));
+    return [...defaults, ...saved];
+};
+
+// Every permission with its description
+router.get('/permissions', authenticateToken, requirePermission('role.manage'), (req, res) => {
+    res.json({
+        permissions: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+});
+
+// Built-in and custom roles
+router.get('/', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+    try {
+        res.json({ roles: await listRoles() });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({ message: 'Failed to fetch roles' });
+    }
+});
+
+// Create a custom role, e.g. support or content reviewer
+router.post('/',
+    authenticateToken,
+    requirePermission('role.manage'),
+    [
+        body('name').trim().toLowerCase().matches(/^[a-z][a-z0-9_-]*$/)
+            .withMessage('Name must start with a letter and contain only letters, numbers, dashes and underscores'),
+        ...roleValidation,
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            if (Role.SYSTEM_ROLES[req.body.name]) {
+                return res.status(400).json({ message: 'Built-in roles are edited, not created' });
+            }
+            if (await Role.exists({ name: req.body.name })) {
+                return res.status(400).json({ message: 'A role with this name already exists' });
+            }
+
+            const role = await Role.create({
+                name: req.body.name,
+                description: req.body.description,
+                permissions: [...new Set(req.body.permissions)],
+                createdBy: req.user._id
+            });
+            permissionService.invalidate(role.name);
+
+            res.status(201).json({
+                message: 'Role created successfully',
+                role
+            });
+        } catch (error) {
+            console.error('Create role error:', error);
+            res.status(500).json({ message: 'Failed to create role' });
+        }
+    }
+);
+
+// Change the permissions of a role; editing a built-in role saves it over the defaults
+router.put('/:name',
+    authenticateToken,
+    requirePermission('role.manage'),
+    [...roleValidation, handleValidationErrors],
+    async (req, res) => {
+        try {
+            const name = req.params.name.toLowerCase();
+            const isSystem = !!Role.SYSTEM_ROLES[name];
+
+            // Keeps someone able to manage roles
+            if (name === 'admin') {
+                return res.status(400).json({ message: 'The admin role always has full access' });
+            }
+
+            let role = await Role.findOne({ name });
+            if (!role && !isSystem) {
+                return res.status(404).json({ message: 'Role not found' });
+            }
+            if (!role) {
+                role = new Role({ name, isSystem: true, createdBy: req.user._id });
+            }
+
+            if (req.body.description !== undefined) role.description = req.body.description;
+            role.permissions = [...new Set(req.body.permissions)];
+            await role.save();
+            permissionService.invalidate(name);
+
+            res.json({
+                message: 'Role updated successfully',
+                role
+            });
+        } catch (error) {
+            console.error('Update role error:', error);
+            res.status(500).json({ message: 'Failed to update role' });
+        }
+    }
+);
+
+// Delete a custom role and take it away from its users; built-in roles go back to their defaults
+router.delete('/:name', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+    try {
+        const name = req.params.name.toLowerCase();
+        const role = await Role.findOne({ name });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        await role.deleteOne();
+        permissionService.invalidate(name);
+
+        if (role.isSystem) {
+            return res.json({ message: 'Role reset to its default permissions' });
+        }
+
+        const result = await User.updateMany({ roles: name }, { $pull: { roles: name } });
+
+        res.json({
+            message: 'Role deleted successfully',
+            usersUpdated: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({ message: 'Failed to delete role' });
+    }
+});
+
+module.exports = router;
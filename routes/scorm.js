@@ -0,0 +1,186 @@
+const express = require('express');
+const path = require('path');
+const { body, param } = require('express-validator');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const ScormPackage = require('../models/ScormPackage');
+const ScormAttempt = require('../models/ScormAttempt');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const ScormService = require('../services/ScormService');
+const PermissionService = require('../services/PermissionService');
+const LearningPathService = require('../services/LearningPathService');
+const DripService = require('../services/DripService');
+
+const router = express.Router();
+const scormService = new ScormService();
+const permissionService = new PermissionService();
+const learningPathService = new LearningPathService();
+const dripService = new DripService();
+
+// Open a SCORM lecture. Enrolled learners get a tracked attempt; course editors
+// get an untracked preview (browse mode). The SCO runs in a frame loading
+// launchUrl and talks to the API adapter through the attempt endpoints below.
+router.post('/launch',
+    authenticateToken,
+    [
+        body('courseId').isMongoId().withMessage('Valid course ID is required'),
+        body('lectureId').isMongoId().withMessage('Valid lecture ID is required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const course = await Course.findById(req.body.courseId);
+            const found = course && scormService.findLecture(course, req.body.lectureId);
+            if (!found) {
+                return res.status(404).json({ message: 'SCORM lecture not found' });
+            }
+
+            const scormPackage = await ScormPackage.findById(found.lecture.scorm.package);
+            if (!scormPackage) {
+                return res.status(404).json({ message: 'SCORM package not found' });
+            }
+
+            const enrollment = await Enrollment.findOne({ user: req.user._id, course: course._id, isActive: true });
+            let attempt = null;
+            let values;
+
+            if (enrollment) {
+                const lock = await learningPathService.checkSequence(req.user._id, course._id);
+                if (lock) {
+                    return res.status(403).json({
+                        message: `Complete "${lock.blockingCourse.title}" first to continue the "${lock.learningPath.title}" learning path`,
+                        learningPath: lock.learningPath,
+                        blockingCourse: lock.blockingCourse
+                    });
+                }
+
+                const release = dripService.getLectureLock(course, enrollment, found.sectionIndex, found.lectureIndex);
+                if (release.locked) {
+                    return res.status(403).json({
+                        message: 'This lecture is not available yet',
+                        locked: true,
+                        unlockAt: release.unlockAt,
+                        lockReason: release.lockReason,
+                        waitingFor: release.waitingFor
+                    });
+                }
+
+                ({ attempt, values } = await scormService.startSession(req.user, course, found.lecture, scormPackage));
+            } else if (await permissionService.can(req.user, 'course.update', course)) {
+                values = scormService.initialValues(null, scormPackage, req.user);
+            } else {
+                return res.status(403).json({ message: 'Enroll in this course to open the lecture' });
+            }
+
+            const token = scormService.signLaunchToken(scormPackage);
+            res.json({
+                version: scormPackage.version,
+                launchUrl: `/api/scorm/content/${token}/${scormPackage.launchPath}`,
+                attemptId: attempt?._id || null,
+                preview: !attempt,
+                cmi: values
+            });
+        } catch (error) {
+            console.error('Launch SCORM lecture error:', error);
+            res.status(500).json({ message: 'Failed to launch SCORM lecture' });
+        }
+    }
+);
+
+// Learner's stored run-time data
+router.get('/attempts/:attemptId',
+    authenticateToken,
+    [param('attemptId').isMongoId().withMessage('Valid attempt ID is required'), handleValidationErrors],
+    async (req, res) => {
+        try {
+            const attempt = await ScormAttempt.findOne({ _id: req.params.attemptId, user: req.user._id });
+            if (!attempt) {
+                return res.status(404).json({ message: 'Attempt not found' });
+            }
+
+            res.json({ attempt });
+        } catch (error) {
+            console.error('Get SCORM attempt error:', error);
+            res.status(500).json({ message: 'Failed to fetch attempt' });
+        }
+    }
+);
+
+// Commit values set by the SCO; finish=true ends the session (LMSFinish / Terminate)
+router.put('/attempts/:attemptId',
+    authenticateToken,
+    [
+        param('attemptId').isMongoId().withMessage('Valid attempt ID is required'),
+        body('values').optional().isObject().withMessage('Values must be an object'),
+        body('finish').optional().isBoolean().toBoolean(),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const attempt = await ScormAttempt.findOne({ _id: req.params.attemptId, user: req.user._id });
+            if (!attempt) {
+                return res.status(404).json({ message: 'Attempt not found' });
+            }
+
+            // Tracking stops when access does (refund, lapsed subscription, unenrolling)
+            const enrollment = await Enrollment.exists({ user: req.user._id, course: attempt.course, isActive: true });
+            if (!enrollment) {
+                return res.status(403).json({ message: 'Enroll in this course to save your progress' });
+            }
+
+            const result = await scormService.commit(attempt, req.body.values || {}, { finish: req.body.finish });
+
+            res.json({
+                message: req.body.finish ? 'Session finished' : 'Values saved',
+                completed: result.completed,
+                attempt: {
+                    _id: attempt._id,
+                    lessonStatus: attempt.lessonStatus,
+                    completionStatus: attempt.completionStatus,
+                    successStatus: attempt.successStatus,
+                    score: attempt.score,
+                    totalTime: attempt.totalTime,
+                    completedAt: attempt.completedAt
+                }
+            });
+        } catch (error) {
+            console.error('Commit SCORM values error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to save SCORM data',
+                elements: error.elements
+            });
+        }
+    }
+);
+
+// Package files for the player frame. The launch token is part of the path so
+// the SCO's relative links resolve under it.
+router.get('/content/:token/*', async (req, res) => {
+    try {
+        const packageId = scormService.verifyLaunchToken(req.params.token);
+        if (!packageId) {
+            return res.status(403).json({ message: 'Launch link expired, open the lecture again' });
+        }
+
+        const scormPackage = await ScormPackage.findById(packageId).select('storagePath');
+        if (!scormPackage) {
+            return res.status(404).json({ message: 'SCORM package not found' });
+        }
+
+        // The SCO is framed by the course player and often relies on inline scripts
+        res.removeHeader('X-Frame-Options');
+        res.setHeader('Content-Security-Policy', `frame-ancestors 'self' ${process.env.FRONTEND_URL || ''}`.trim());
+
+        res.sendFile(req.params[0], { root: path.resolve(scormPackage.storagePath), dotfiles: 'deny' }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(error.statusCode || 404).json({ message: 'File not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Serve SCORM content error:', error);
+        res.status(500).json({ message: 'Failed to load SCORM content' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const os = require('os');
+const fs = require('fs');
+const multer = require('multer');
+const { body } = require('express-validator');
+const Course = require('../models/Course');
+const ScormPackage = require('../models/ScormPackage');
+const { authenticateToken, requirePermission, requireInstructorApproval } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const ScormService = require('../services/ScormService');
+const RevisionService = require('../services/RevisionService');
+const PermissionService = require('../services/PermissionService');
+
+// Mounted at /api/courses/:courseId/scorm-packages
+const router = express.Router({ mergeParams: true });
+const scormService = new ScormService();
+const revisionService = new RevisionService();
+const permissionService = new PermissionService();
+
+const packageUpload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: parseInt(process.env.SCORM_PACKAGE_MAX_MB || '512', 10) * 1024 * 1024
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/zip' || file.mimetype === 'application/x-zip-compressed' ||
+            file.originalname.toLowerCase().endsWith('.zip')) {
+            cb(null, true);
+        } else {
+            cb(new Error('SCORM packages are zip files'), false);
+        }
+    }
+});
+
+// Load the course when the current user may edit it
+const findCourse = async (req, res) => {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+        res.status(404).json({ message: 'Course not found' });
+        return null;
+    }
+    if (!await permissionService.can(req.user, 'course.update', course)) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return course;
+};
+
+// Packages uploaded to the course
+router.get('/',
+    authenticateToken,
+    requirePermission('course.update'),
+    requireInstructorApproval,
+    async (req, res) => {
+        try {
+            const course = await findCourse(req, res);
+            if (!course) return;
+
+            const packages = await ScormPackage.find({ course: course._id })
+                .populate('uploadedBy', 'name')
+                .sort({ createdAt: -1 });
+
+            res.json({ packages });
+        } catch (error) {
+            console.error('Get SCORM packages error:', error);
+            res.status(500).json({ message: 'Failed to fetch SCORM packages' });
+        }
+    }
+);
+
+// Upload a SCORM 1.2 / 2004 zip and add it to a section as a scorm lecture
+router.post('/',
+    authenticateToken,
+    requirePermission('course.update'),
+    requireInstructorApproval,
+    packageUpload.single('package'),
+    [
+        body('sectionId').isMongoId().withMessage('Valid section ID is required'),
+        body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+        body('description').optional().trim(),
+        body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a positive number').toInt()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ message: 'SCORM package file is required' });
+            }
+
+            const course = await findCourse(req, res);
+            if (!course) return;
+
+            const section = course.sections.id(req.body.sectionId);
+            if (!section) {
+                return res.status(404).json({ message: 'Section not found' });
+            }
+
+            const scormPackage = await scormService.extractPackage(req.file.path, course, req.user, req.file.originalname);
+
+            section.lectures.push({
+                title: req.body.title || scormPackage.title || req.file.originalname,
+                description: req.body.description || '',
+                type: 'scorm',
+                duration: req.body.duration || 0,
+                order: section.lectures.length + 1,
+                scorm: {
+                    package: scormPackage._id,
+                    version: scormPackage.version,
+                    launchPath: scormPackage.launchPath
+                }
+            });
+            try {
+                await course.save();
+            } catch (error) {
+                await scormService.removeUnused([scormPackage._id]);
+                throw error;
+            }
+
+            revisionService.record(course, req.user._id, 'lecture')
+                .catch(error => console.error('Record course revision error:', error));
+
+            res.status(201).json({
+                message: 'SCORM package uploaded successfully',
+                package: scormPackage,
+                lecture: section.lectures[section.lectures.length - 1]
+            });
+        } catch (error) {
+            console.error('Upload SCORM package error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to upload SCORM package'
+            });
+        } finally {
+            if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const { authenticateToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const SubscriptionService = require('../services/SubscriptionService');
+const PermissionService = require('../services/PermissionService');
+
+const router = express.Router();
+const subscriptionService = new SubscriptionService();
+const permissionService = new PermissionService();
+
+// Load a subscription owned by the current user
+const findOwnSubscription = async (req, res) => {
+    const subscription = await Subscription.findById(req.params.subscriptionId);
+    if (!subscription) {
+        res.status(404).json({ message: 'Subscription not found' });
+        return null;
+    }
+    if (subscription.user.toString() !== req.user._id.toString() &&
+        !await permissionService.hasPermission(req.user, 'subscription.manage')) {
+        res.status(403).json({ message: 'Access denied' });
+        return null;
+    }
+    return subscription;
+};
+
+// Current user's active subscription
+router.get('/current', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await Subscription.findCurrent(req.user._id);
+        if (subscription?.plan) {
+            await subscription.plan.populate('access.categories', 'name');
+        }
+
+        res.json({ subscription });
+    } catch (error) {
+        console.error('Get current subscription error:', error);
+        res.status(500).json({ message: 'Failed to fetch subscription' });
+    }
+});
+
+// Current user's subscriptions, past and present
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user._id };
+
+        const subscriptions = await Subscription.find(filter)
+            .populate('plan', 'name interval')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Subscription.countDocuments(filter);
+
+        res.json({
+            subscriptions,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalSubscriptions: total
+        });
+    } catch (error) {
+        console.error('Get subscriptions error:', error);
+        res.status(500).json({ message: 'Failed to fetch subscriptions' });
+    }
+});
+
+// Get all subscriptions (admin only)
+router.get('/admin/all', authenticateToken, requirePermission('subscription.manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, plan } = req.query;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (plan) filter.plan = plan;
+
+        const subscriptions = await Subscription.find(filter)
+            .populate('user', 'name email')
+            .populate('plan', 'name interval')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Subscription.countDocuments(filter);
+
+        res.json({
+            subscriptions,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalSubscriptions: total
+        });
+    } catch (error) {
+        console.error('Get all subscriptions error:', error);
+        res.status(500).json({ message: 'Failed to fetch subscriptions' });
+    }
+});
+
+// Run due renewals now (admin only; normally done by scripts/process-subscription-renewals.js)
+router.post('/admin/process-renewals', authenticateToken, requirePermission('subscription.manage'), async (req, res) => {
+    try {
+        const summary = await subscriptionService.processDueRenewals();
+
+        res.json({
+            message: 'Renewals processed',
+            summary
+        });
+    } catch (error) {
+        console.error('Process renewals error:', error);
+        res.status(500).json({ message: 'Failed to process renewals' });
+    }
+});
+
+// Subscribe to a plan
+router.post('/',
+    authenticateToken,
+    requireVerifiedEmail,
+    [
+        body('planId').isMongoId().withMessage('Valid plan ID required'),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const subscription = await subscriptionService.subscribe(req.user, req.body.planId);
+            await subscription.populate('plan', 'name interval access');
+
+            res.status(201).json({
+                message: subscription.status === 'trialing' ? 'Trial started' : 'Subscription started',
+                subscription
+            });
+        } catch (error) {
+            console.error('Subscribe error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to start subscription'
+            });
+        }
+    }
+);
+
+// Get subscription details
+router.get('/:subscriptionId', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req, res);
+        if (!subscription) return;
+
+        await subscription.populate('plan');
+
+        res.json({ subscription });
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        res.status(500).json({ message: 'Failed to fetch subscription' });
+    }
+});
+
+// Cancel at period end (or right away with immediately: true)
+router.post('/:subscriptionId/cancel',
+    authenticateToken,
+    [
+        body('immediately').optional().isBoolean().withMessage('immediately must be a boolean'),
+        body('reason').optional().isString().isLength({ max: 500 }),
+        handleValidationErrors
+    ],
+    async (req, res) => {
+        try {
+            const subscription = await findOwnSubscription(req, res);
+            if (!subscription) return;
+
+            await subscriptionService.cancel(subscription, {
+                immediately: req.body.immediately === true,
+                reason: req.body.reason
+            });
+
+            res.json({
+                message: subscription.status === 'canceled'
+                    ? 'Subscription canceled'
+                    : 'Subscription will cancel at the end of the current period',
+                subscription
+            });
+        } catch (error) {
+            console.error('Cancel subscription error:', error);
+            res.status(error.statusCode || 500).json({
+                message: error.statusCode ? error.message : 'Failed to cancel subscription'
+            });
+        }
+    }
+);
+
+// Keep a subscription that was set to cancel at period end
+router.post('/:subscriptionId/resume', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req, res);
+        if (!subscription) return;
+
+        await subscriptionService.resume(subscription);
+
+        res.json({
+            message: 'Subscription will renew',
+            subscription
+        });
+    } catch (error) {
+        console.error('Resume subscription error:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Failed to resume subscription'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,20 @@
 const express = require('express');
 const { body } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const Role = require('../models/Role');
+const TwoFactorService = require('../services/TwoFactorService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
+const PermissionService = require('../services/PermissionService');
 
 const router = express.Router();
+const twoFactorService = new TwoFactorService();
+const permissionService = new PermissionService();
 
 // Get all users (admin only)
-router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('user.view'), async (req, res) => {
     try {
         const { page = 1, limit = 10, role, status } = req.query;
         const skip = (page - 1) * limit;
@@ -42,7 +49,7 @@ router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
 });
 
 // Get pending instructor verifications
-router.get('/pending-instructors', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/pending-instructors', authenticateToken, requirePermission('user.verify'), async (req, res) => {
     try {
         const pendingInstructors = await User.find({
             role: 'instructor',
@@ -60,7 +67,7 @@ router.get('/pending-instructors', authenticateToken, requireRole(['admin']), as
 });
 
 // Verify/reject instructor
-router.put('/verify-instructor/:userId', authenticateToken, requireRole(['admin']), [
+router.put('/verify-instructor/:userId', authenticateToken, requirePermission('user.verify'), [
     body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
     body('reason').optional().trim(),
     handleValidationErrors
@@ -100,13 +107,51 @@ router.put('/verify-instructor/:userId', authenticateToken, requireRole(['admin'
     }
 });
 
+// Get two-factor enforcement policy (admin only)
+router.get('/security/two-factor-policy', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+    try {
+        const policy = await SecurityPolicy.getPolicy();
+
+        res.json({
+            requiredRoles: policy.twoFactor?.requiredRoles || [],
+            updatedAt: policy.updatedAt,
+            updatedBy: policy.updatedBy
+        });
+    } catch (error) {
+        console.error('Get two-factor policy error:', error);
+        res.status(500).json({ message: 'Failed to fetch two-factor policy' });
+    }
+});
+
+// Update which roles must use two-factor authentication (admin only)
+router.put('/security/two-factor-policy', authenticateToken, requirePermission('security.manage'), [
+    body('requiredRoles').isArray().withMessage('requiredRoles must be an array'),
+    body('requiredRoles.*').isIn(['instructor', 'admin']).withMessage('Only instructor and admin roles can require 2FA'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const policy = await SecurityPolicy.getPolicy();
+        policy.twoFactor = { requiredRoles: [...new Set(req.body.requiredRoles)] };
+        policy.updatedBy = req.user._id;
+        await policy.save();
+
+        res.json({
+            message: 'Two-factor policy updated successfully',
+            requiredRoles: policy.twoFactor.requiredRoles
+        });
+    } catch (error) {
+        console.error('Update two-factor policy error:', error);
+        res.status(500).json({ message: 'Failed to update two-factor policy' });
+    }
+});
+
 // Get user by ID
 router.get('/:userId', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.params;
 
-        // Allow users to view their own profile or admins to view any profile
-        if (req.user._id.toString() !== userId && req.user.role !== 'admin') {
+        // Allow users to view their own profile, or anyone allowed to view users
+        if (req.user._id.toString() !== userId && !await permissionService.hasPermission(req.user, 'user.view')) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -123,7 +168,7 @@ router.get('/:userId', authenticateToken, async (req, res) => {
 });
 
 // Update user status (admin only)
-router.put('/:userId/status', authenticateToken, requireRole(['admin']), [
+router.put('/:userId/status', authenticateToken, requirePermission('user.manage'), [
     body('isActive').isBoolean().withMessage('isActive must be a boolean'),
     handleValidationErrors
 ], async (req, res) => {
@@ -141,6 +186,11 @@ router.put('/:userId/status', authenticateToken, requireRole(['admin']), [
             return res.status(404).json({ message: 'User not found' });
         }
 
+        // Cut off every session of a deactivated account
+        if (!isActive) {
+            await Session.revokeAllForUser(userId, 'account_deactivated', { revokedBy: req.user._id });
+        }
+
         res.json({
             message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
             user
@@ -151,8 +201,136 @@ router.put('/:userId/status', authenticateToken, requireRole(['admin']), [
     }
 });
 
+// Set a user's extra roles, on top of their base role
+router.put('/:userId/roles', authenticateToken, requirePermission('role.manage'), [
+    body('roles').isArray().withMessage('roles must be an array'),
+    body('roles.*').isString().trim().toLowerCase(),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const roles = [...new Set(req.body.roles)];
+
+        // Built-in roles are given through the base role instead
+        const found = await Role.countDocuments({ name: { $in: roles }, isSystem: false });
+        if (found !== roles.length) {
+            return res.status(400).json({ message: 'One or more roles were not found' });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.userId,
+            { roles },
+            { new: true }
+        ).select('-password');
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.json({
+            message: 'User roles updated successfully',
+            user,
+            permissions: [...await permissionService.getPermissions(user)]
+        });
+    } catch (error) {
+        console.error('Update user roles error:', error);
+        res.status(500).json({ message: 'Failed to update user roles' });
+    }
+});
+
+// Get user's sessions (admin only)
+router.get('/:userId/sessions', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { includeRevoked = 'false' } = req.query;
+
+        const filter = { user: userId };
+        if (includeRevoked !== 'true') {
+            filter.revokedAt = { $exists: false };
+            filter.expiresAt = { $gt: new Date() };
+        }
+
+        const sessions = await Session.find(filter)
+            .select('-refreshTokenHash -previousTokenHashes')
+            .sort({ lastSeenAt: -1 });
+
+        res.json({ sessions });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({ message: 'Failed to fetch user sessions' });
+    }
+});
+
+// Revoke all of a user's sessions (admin only)
+router.delete('/:userId/sessions', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const result = await Session.revokeAllForUser(req.params.userId, 'admin_revoked', {
+            revokedBy: req.user._id
+        });
+
+        res.json({
+            message: 'All user sessions revoked',
+            revokedSessions: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({ message: 'Failed to revoke user sessions' });
+    }
+});
+
+// Revoke a single user session (admin only)
+router.delete('/:userId/sessions/:sessionId', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const { userId, sessionId } = req.params;
+
+        const session = await Session.findOne({ _id: sessionId, user: userId });
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        if (session.isValid()) {
+            await session.revoke('admin_revoked', req.user._id);
+        }
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        res.status(500).json({ message: 'Failed to revoke session' });
+    }
+});
+
+// Reset a user's two-factor authentication, e.g. after a lost device (admin only)
+router.delete('/:userId/two-factor', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await twoFactorService.findUserWithSecrets(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.twoFactor.enabled && !user.twoFactor.pendingSecret) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+        }
+
+        await twoFactorService.disable(user);
+
+        // Force the user to log in again (and re-enroll if their role requires it)
+        await Session.revokeAllForUser(userId, 'admin_revoked', { revokedBy: req.user._id });
+
+        console.log(`🔐 Two-factor reset for user ${userId} by admin ${req.user._id}`);
+
+        res.json({
+            message: 'Two-factor authentication reset successfully',
+            user: user.getPublicProfile()
+        });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ message: 'Failed to reset two-factor authentication' });
+    }
+});
+
 // Get instructor statistics
-router.get('/instructors/stats', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/instructors/stats', authenticateToken, requirePermission('user.view'), async (req, res) => {
     try {
         const stats = await User.aggregate([
             { $match: { role: 'instructor' } },
@@ -182,7 +360,7 @@ router.get('/instructors/stats', authenticateToken, requireRole(['admin']), asyn
 });
 
 // Get student dashboard stats
-router.get('/student/dashboard-stats', authenticateToken, requireRole(['learner']), async (req, res) => {
+router.get('/student/dashboard-stats', authenticateToken, requirePermission('learning.dashboard'), async (req, res) => {
     try {
         const userId = req.user._id;
         const Enrollment = require('../models/Enrollment');
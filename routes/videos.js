@@ -4,14 +4,16 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireVerifiedInstructor, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireInstructorApproval } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 const VideoService = require('../services/VideoService');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const PermissionService = require('../services/PermissionService');
 
 // Initialize video service
 const videoService = new VideoService();
+const permissionService = new PermissionService();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -59,7 +61,8 @@ const upload = multer({
 // @access  Private (Verified Instructor)
 router.post('/create',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('video.manage'),
+    requireInstructorApproval,
     [
         body('title').notEmpty().withMessage('Title is required'),
         body('description').optional().isString(),
@@ -108,7 +111,8 @@ router.post('/create',
 // @access  Private (Verified Instructor)
 router.post('/upload-token',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('video.manage'),
+    requireInstructorApproval,
     [
         body('title').notEmpty().withMessage('Title is required'),
         body('description').optional().isString(),
@@ -156,7 +160,8 @@ router.post('/upload-token',
 // @access  Private (Verified Instructor)
 router.post('/:videoId/upload-file',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('video.manage'),
+    requireInstructorApproval,
     upload.single('video'),
     async (req, res) => {
         try {
@@ -214,6 +219,7 @@ router.post('/:videoId/upload-file',
 // @access  Private (Video Owner/Admin)
 router.post('/:videoId/thumbnail',
     authenticateToken,
+    requirePermission('video.manage'),
     upload.single('thumbnail'),
     async (req, res) => {
         try {
@@ -272,6 +278,7 @@ router.post('/:videoId/thumbnail',
 // @access  Private (Video Owner/Admin)
 router.patch('/:videoId/thumbnail-timecode',
     authenticateToken,
+    requirePermission('video.manage'),
     [
         body('timecode').notEmpty().withMessage('Timecode is required')
             .matches(/^\d{2}:\d{2}:\d{2}\.\d{3}$/).withMessage('Timecode must be in format HH:MM:SS.mmm')
@@ -354,6 +361,7 @@ router.get('/:videoId',
 // @access  Private (Video Owner/Admin)
 router.put('/:videoId',
     authenticateToken,
+    requirePermission('video.manage'),
     [
         body('title').optional().notEmpty().withMessage('Title cannot be empty'),
         body('description').optional().isString(),
@@ -394,6 +402,7 @@ router.put('/:videoId',
 // @access  Private (Video Owner/Admin)
 router.delete('/:videoId',
     authenticateToken,
+    requirePermission('video.manage'),
     async (req, res) => {
         try {
             const { videoId } = req.params;
@@ -403,7 +412,7 @@ router.delete('/:videoId',
                 'sections.lectures.video.apiVideoId': videoId
             });
 
-            if (coursesUsingVideo.length > 0 && req.user.role !== 'admin') {
+            if (coursesUsingVideo.length > 0 && !await permissionService.hasPermission(req.user, 'video.manage_any')) {
                 return res.status(400).json({
                     message: 'Cannot delete video that is used in courses',
                     coursesCount: coursesUsingVideo.length
@@ -457,7 +466,8 @@ router.delete('/:videoId',
 // @access  Private (Verified Instructor)
 router.get('/instructor/my-videos',
     authenticateToken,
-    requireVerifiedInstructor,
+    requirePermission('video.manage'),
+    requireInstructorApproval,
     async (req, res) => {
         try {
             const { page = 1, limit = 12 } = req.query;
@@ -520,6 +530,7 @@ router.get('/instructor/my-videos',
 // @access  Private (Course Owner)
 router.post('/add-to-lecture',
     authenticateToken,
+    requirePermission('video.manage'),
     [
         body('courseId').notEmpty().withMessage('Course ID is required'),
         body('sectionIndex').isNumeric().withMessage('Section index is required'),
@@ -540,7 +551,7 @@ router.post('/add-to-lecture',
             }
 
             // Check ownership
-            if (!course.instructor.equals(req.user.userId) && req.user.role !== 'admin') {
+            if (!await permissionService.can(req.user, 'course.update', course)) {
                 return res.status(403).json({
                     message: 'Not authorized to modify this course'
                 });
@@ -1,14 +1,14 @@
 const express = require('express');
 const User = require('../models/User');
 const Course = require('../models/Course');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Get user's wishlist
 router.get('/',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('wishlist.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -52,7 +52,7 @@ router.get('/',
 // Add course to wishlist
 router.post('/:courseId',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('wishlist.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -97,7 +97,7 @@ router.post('/:courseId',
 // Remove course from wishlist
 router.delete('/:courseId',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('wishlist.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -131,7 +131,7 @@ router.delete('/:courseId',
 // Check if course is in wishlist
 router.get('/check/:courseId',
     authenticateToken,
-    requireRole('learner'),
+    requirePermission('wishlist.manage'),
     async (req, res) => {
         try {
             const userId = req.user._id;
@@ -0,0 +1,140 @@
+const express = require('express');
+const crypto = require('crypto');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const XapiService = require('../services/XapiService');
+
+// Minimal learning record store (statements resource only) plus the forwarding queue
+const router = express.Router();
+const xapiService = new XapiService();
+
+const STORE_KEY = process.env.XAPI_STORE_KEY || '';
+const STORE_SECRET = process.env.XAPI_STORE_SECRET || '';
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// LRS clients use HTTP Basic with XAPI_STORE_KEY / XAPI_STORE_SECRET;
+// signed-in users need xapi.manage
+const authenticateLrsClient = (req, res, next) => {
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic') {
+        const [key, ...secret] = Buffer.from(credentials || '', 'base64').toString('utf8').split(':');
+        if (!STORE_KEY || !safeEqual(key, STORE_KEY) || !safeEqual(secret.join(':'), STORE_SECRET)) {
+            return res.status(401).json({ message: 'Invalid LRS credentials' });
+        }
+        req.lrsAuthority = {
+            objectType: 'Agent',
+            name: key,
+            account: { homePage: xapiService.baseUrl, name: key }
+        };
+        return next();
+    }
+
+    authenticateToken(req, res, () => requirePermission('xapi.manage')(req, res, () => {
+        req.lrsAuthority = xapiService.actor(req.user);
+        next();
+    }));
+};
+
+// Every LRS response carries the version; requests must name a 1.0.x version
+const requireXapiVersion = (req, res, next) => {
+    res.setHeader('X-Experience-API-Version', XapiService.VERSION);
+    if (!/^1\.0(\.\d+)?$/.test(req.headers['x-experience-api-version'] || '')) {
+        return res.status(400).json({ message: 'X-Experience-API-Version header must be 1.0.x' });
+    }
+    next();
+};
+
+const sendError = (res, error, fallback) => {
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : fallback });
+};
+
+// Versions this store speaks
+router.get('/about', (req, res) => {
+    res.setHeader('X-Experience-API-Version', XapiService.VERSION);
+    res.json({ version: [XapiService.VERSION] });
+});
+
+// Single statement (statementId / voidedStatementId) or a filtered list
+router.get('/statements', requireXapiVersion, authenticateLrsClient, async (req, res) => {
+    try {
+        const result = await xapiService.query(req.query);
+        res.setHeader('X-Experience-API-Consistent-Through', new Date().toISOString());
+        res.json(result.statement || { statements: result.statements, more: result.more });
+    } catch (error) {
+        console.error('Get xAPI statements error:', error);
+        sendError(res, error, 'Failed to fetch statements');
+    }
+});
+
+// Store one statement or a batch; responds with their IDs
+router.post('/statements', requireXapiVersion, authenticateLrsClient, async (req, res) => {
+    try {
+        const statements = Array.isArray(req.body) ? req.body : [req.body];
+        if (!statements.length) {
+            return res.status(400).json({ message: 'No statements to store' });
+        }
+
+        const ids = await xapiService.storeStatements(statements, req.lrsAuthority);
+        res.json(ids);
+    } catch (error) {
+        console.error('Store xAPI statements error:', error);
+        sendError(res, error, 'Failed to store statements');
+    }
+});
+
+// Store a statement under the given ID
+router.put('/statements', requireXapiVersion, authenticateLrsClient, async (req, res) => {
+    try {
+        const { statementId } = req.query;
+        if (!statementId) {
+            return res.status(400).json({ message: 'statementId is required' });
+        }
+        if (req.body?.id && req.body.id !== statementId) {
+            return res.status(400).json({ message: 'statementId does not match the statement id' });
+        }
+
+        await xapiService.storeStatements([{ ...req.body, id: statementId }], req.lrsAuthority);
+        res.status(204).send();
+    } catch (error) {
+        console.error('Store xAPI statement error:', error);
+        sendError(res, error, 'Failed to store statement');
+    }
+});
+
+// Forwarding queue per status
+router.get('/queue', authenticateToken, requirePermission('xapi.manage'), async (req, res) => {
+    try {
+        res.json({
+            forwarding: xapiService.isForwarding(),
+            counts: await xapiService.queueStats()
+        });
+    } catch (error) {
+        console.error('Get xAPI queue error:', error);
+        res.status(500).json({ message: 'Failed to fetch the xAPI queue' });
+    }
+});
+
+// Forward due statements now (normally done by scripts/forward-xapi-statements.js);
+// retryFailed=true also retries statements that ran out of attempts
+router.post('/queue/process', authenticateToken, requirePermission('xapi.manage'), async (req, res) => {
+    try {
+        if (!xapiService.isForwarding()) {
+            return res.status(400).json({ message: 'No LRS endpoint is configured (XAPI_LRS_ENDPOINT)' });
+        }
+
+        const summary = await xapiService.processQueue({ retryFailed: req.body.retryFailed === true });
+        res.json({
+            message: 'xAPI queue processed',
+            summary
+        });
+    } catch (error) {
+        console.error('Process xAPI queue error:', error);
+        res.status(500).json({ message: 'Failed to process the xAPI queue' });
+    }
+});
+
+module.exports = router;
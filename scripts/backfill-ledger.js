@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const LedgerService = require('../services/LedgerService');
+require('dotenv').config();
+
+// Record ledger entries for orders paid (and refunds approved) before the
+// ledger existed. Safe to re-run: already recorded events are skipped.
+async function backfillLedger() {
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_URL);
+
+        const ledgerService = new LedgerService();
+
+        const orders = await Order.find({
+            status: { $in: ['paid', 'partially_refunded', 'refunded'] },
+            total: { $gt: 0 }
+        }).sort({ 'payment.paidAt': 1 });
+
+        console.log(`Recording ${orders.length} paid orders...`);
+        for (const order of orders) {
+            await ledgerService.recordSale(order);
+        }
+
+        const refunds = await Refund.find({ status: 'approved' }).sort({ createdAt: 1 });
+
+        console.log(`Recording ${refunds.length} approved refunds...`);
+        for (const refund of refunds) {
+            const order = orders.find(o => o._id.toString() === refund.order.toString());
+            if (order) {
+                await ledgerService.recordRefund(refund, order);
+            }
+        }
+
+        console.log('\n✅ Ledger backfill complete');
+    } catch (error) {
+        console.error('❌ Error backfilling ledger:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit();
+    }
+}
+
+backfillLedger();
+
+//node scripts/backfill-ledger.js
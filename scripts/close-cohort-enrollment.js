@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const CohortService = require('../services/CohortService');
+require('dotenv').config();
+
+// Close enrollment for cohorts whose enrollment window has ended and drop
+// their waitlists. Run it from cron (e.g. every 15 minutes).
+async function closeCohortEnrollment() {
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_URL);
+
+        const cohortService = new CohortService();
+        const summary = await cohortService.closeExpiredEnrollment();
+
+        console.log(`Closed enrollment for ${summary.closed} cohorts`);
+        console.log(`  waitlist places expired: ${summary.waitlistExpired}`);
+
+        console.log('\n✅ Cohort enrollment windows processed');
+    } catch (error) {
+        console.error('❌ Error closing cohort enrollment:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit();
+    }
+}
+
+closeCohortEnrollment();
+
+//node scripts/close-cohort-enrollment.js
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const XapiService = require('../services/XapiService');
+require('dotenv').config();
+
+// Send queued xAPI statements to the LRS at XAPI_LRS_ENDPOINT, retrying
+// earlier failures with backoff. Run it from cron (e.g. every few minutes).
+async function forwardStatements() {
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_URL);
+
+        const xapiService = new XapiService();
+        if (!xapiService.isForwarding()) {
+            console.log('XAPI_LRS_ENDPOINT is not set, nothing to forward');
+            return;
+        }
+
+        const summary = await xapiService.processQueue({ retryFailed: process.argv.includes('--retry-failed') });
+
+        console.log(`Processed ${summary.processed} statements`);
+        console.log(`  sent:    ${summary.sent}`);
+        console.log(`  pending: ${summary.pending}`);
+        console.log(`  failed:  ${summary.failed}`);
+
+        console.log('\n✅ xAPI forwarding complete');
+    } catch (error) {
+        console.error('❌ Error forwarding xAPI statements:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit();
+    }
+}
+
+forwardStatements();
+
+//node scripts/forward-xapi-statements.js [--retry-failed]
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Accounts created before email verification existed never received a link,
+// so treat them as verified instead of locking them out of enrollment.
+async function markExistingEmailsVerified() {
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_URL);
+
+        const cutoff = process.argv[2] ? new Date(process.argv[2]) : new Date();
+        console.log(`Marking users created before ${cutoff.toISOString()} as email-verified...`);
+
+        const result = await User.updateMany(
+            {
+                createdAt: { $lt: cutoff },
+                isEmailVerified: { $ne: true }
+            },
+            {
+                $set: { isEmailVerified: true, emailVerifiedAt: new Date() }
+            }
+        );
+
+        console.log(`\n✅ Updated ${result.modifiedCount} users`);
+    } catch (error) {
+        console.error('❌ Error marking emails verified:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit();
+    }
+}
+
+markExistingEmailsVerified();
+
+//node scripts/mark-existing-emails-verified.js [cutoff-date]
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const SubscriptionService = require('../services/SubscriptionService');
+require('dotenv').config();
+
+// Renew, retry or end subscriptions whose period has ended. Run it from
+// cron (e.g. hourly); overlapping runs don't charge a subscription twice.
+async function processRenewals() {
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_URL);
+
+        const subscriptionService = new SubscriptionService();
+        const summary = await subscriptionService.processDueRenewals();
+
+        console.log(`Processed ${summary.processed} subscriptions`);
+        console.log(`  renewed:  ${summary.renewed}`);
+        console.log(`  past due: ${summary.past_due}`);
+        console.log(`  canceled: ${summary.canceled}`);
+        console.log(`  errors:   ${summary.errors}`);
+
+        console.log('\n✅ Subscription renewals complete');
+    } catch (error) {
+        console.error('❌ Error processing subscription renewals:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit();
+    }
+}
+
+processRenewals();
+
+//node scripts/process-subscription-renewals.js
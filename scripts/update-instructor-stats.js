@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
+const Review = require('../models/Review');
 require('dotenv').config();
 
 async function updateInstructorStats() {
@@ -33,25 +34,17 @@ async function updateInstructorStats() {
                 isActive: true
             });
             
-            // Calculate average rating (placeholder for now)
-            const publishedCourses = await Course.find({ 
-                instructor: instructor._id,
-                status: 'published'
-            });
-            
-            let averageRating = 0;
-            if (publishedCourses.length > 0) {
-                const totalRating = publishedCourses.reduce((sum, course) => {
-                    return sum + (course.ratings?.average || 0);
-                }, 0);
-                averageRating = totalRating / publishedCourses.length;
+            // Recalculate course ratings from reviews, then the instructor roll-up
+            for (const courseId of courseIds) {
+                await Review.recalculateRatings(courseId);
             }
+            const averageRating = await Review.getInstructorRating(instructor._id);
             
             // Update instructor stats
             await User.findByIdAndUpdate(instructor._id, {
                 'instructor.totalCourses': courseCount,
                 'instructor.totalStudents': studentCount,
-                'instructor.rating': parseFloat(averageRating.toFixed(1))
+                'instructor.rating': averageRating
             });
             
             console.log(`  - Total Courses: ${courseCount}`);
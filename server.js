@@ -13,6 +13,12 @@ if (process.env.NODE_ENV === 'production') {
     app.set('trust proxy', 1);
 }
 
+// Paid checkout needs a real payment provider in production (the fake one is
+// development-only); without one it answers 503 and free courses keep working
+if (process.env.NODE_ENV === 'production' && !process.env.PAYMENT_PROVIDER) {
+    console.warn('⚠️ PAYMENT_PROVIDER is not set: paid checkout is unavailable');
+}
+
 // Security middleware
 app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
 app.use(compression());
@@ -135,7 +141,15 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parsing middleware  
-app.use(express.json({ limit: '5gb' }));
+app.use(express.json({
+    limit: '5gb',
+    // Keep the raw body for payment webhook signature checks
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/checkout/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '5gb' }));
 
 // Serve static files from uploads directory with CORS headers
@@ -183,7 +197,17 @@ app.get('/api/cors-test', (req, res) => {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/courses/:courseId/reviews', require('./routes/reviews'));
+app.use('/api/courses/:courseId/prerequisites', require('./routes/prerequisites'));
+app.use('/api/courses/:courseId/release-schedule', require('./routes/releaseSchedule'));
+app.use('/api/courses/:courseId/collaborators', require('./routes/collaborators'));
+app.use('/api/courses/:courseId/revisions', require('./routes/courseRevisions'));
+app.use('/api/courses/:courseId/scorm-packages', require('./routes/scormPackages'));
+app.use('/api/courses', require('./routes/courseBundles'));
 app.use('/api/courses', require('./routes/courses'));
+app.use('/api/course-invitations', require('./routes/courseInvitations'));
+app.use('/api/course-templates', require('./routes/courseTemplates'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/enrollments', require('./routes/enrollments'));
 app.use('/api/progress', require('./routes/progress'));
@@ -192,6 +216,21 @@ app.use('/api/videos', require('./routes/videos'));
 app.use('/api/cart', require('./routes/cart'));
 app.use('/api/wishlist', require('./routes/wishlist'));
 app.use('/api/quiz', require('./routes/quiz'));
+app.use('/api/scorm', require('./routes/scorm'));
+app.use('/api/checkout', require('./routes/checkout'));
+app.use('/api/orders', require('./routes/orders'));
+app.use('/api/refunds', require('./routes/refunds'));
+app.use('/api/instructor', require('./routes/instructor'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/currencies', require('./routes/currencies'));
+app.use('/api/plans', require('./routes/plans'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
+app.use('/api/redemption-codes', require('./routes/redemptionCodes'));
+app.use('/api/learning-paths', require('./routes/learningPaths'));
+app.use('/api/cohorts', require('./routes/cohorts'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/xapi', require('./routes/xapi'));
 
 // Health check endpoints (excluded from rate limiting)
 app.get('/health', (req, res) => {
@@ -2,6 +2,8 @@ const Certificate = require('../models/Certificate');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
 const Progress = require('../models/Progress');
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
 
 class CertificateService {
     /**
@@ -38,7 +40,8 @@ class CertificateService {
             // Check if already has certificate
             const existingCertificate = await Certificate.findOne({
                 user: userId,
-                course: courseId
+                course: courseId,
+                isRevoked: { $ne: true }
             });
 
             if (existingCertificate) {
@@ -191,6 +194,179 @@ class CertificateService {
         }
     }
 
+    /**
+     * Issue the completion certificate for an enrollment that reached 100%
+     * (lessons marked complete or SCORM lectures reporting completion)
+     * @param {Object} enrollment - Completed enrollment
+     * @returns {Object} Existing or new certificate
+     */
+    async issueForCompletedEnrollment(enrollment) {
+        const userId = enrollment.user._id || enrollment.user;
+        const courseId = enrollment.course._id || enrollment.course;
+
+        let certificate = await Certificate.findOne({
+            user: userId,
+            course: courseId,
+            isRevoked: { $ne: true }
+        });
+        if (certificate) return certificate;
+
+        const course = await Course.findById(courseId);
+
+        certificate = new Certificate({
+            user: userId,
+            course: courseId,
+            completedAt: enrollment.completedAt,
+            metadata: {
+                totalDuration: course.totalDuration,
+                completionTime: Math.ceil((enrollment.completedAt - enrollment.enrolledAt) / (1000 * 60 * 60 * 24)),
+                finalScore: 100 // Can be enhanced with quiz scores
+            }
+        });
+
+        await certificate.save();
+
+        // Update user's completed courses
+        const User = require('../models/User');
+        await User.findByIdAndUpdate(userId, {
+            $addToSet: {
+                'learner.completedCourses': courseId,
+                'learner.certificates': certificate._id
+            }
+        });
+
+        return certificate;
+    }
+
+    /**
+     * Check if user is eligible for a learning path certificate
+     * @param {string} userId - User ID
+     * @param {string} learningPathId - Learning path ID
+     * @returns {Object} Eligibility result
+     */
+    async checkPathEligibility(userId, learningPathId) {
+        const learningPath = await LearningPath.findById(learningPathId);
+        if (!learningPath || !learningPath.isActive || !learningPath.certificate.enabled) {
+            return {
+                eligible: false,
+                reason: 'Certificate not enabled for this learning path'
+            };
+        }
+
+        const pathEnrollment = await PathEnrollment.findOne({
+            user: userId,
+            learningPath: learningPathId,
+            isActive: true
+        });
+
+        if (!pathEnrollment) {
+            return {
+                eligible: false,
+                reason: 'User not enrolled in this learning path'
+            };
+        }
+
+        const existingCertificate = await Certificate.findOne({
+            user: userId,
+            learningPath: learningPathId,
+            isRevoked: { $ne: true }
+        });
+
+        if (existingCertificate) {
+            return {
+                eligible: false,
+                reason: 'Certificate already issued',
+                certificate: existingCertificate
+            };
+        }
+
+        const progress = await learningPath.getProgressForUser(userId);
+        if (!progress.completed) {
+            return {
+                eligible: false,
+                reason: `All required courses must be completed. Completed: ${progress.completedCount}/${progress.requiredCount}`
+            };
+        }
+
+        return {
+            eligible: true,
+            data: {
+                completionPercentage: progress.percentage,
+                completedAt: progress.completedAt || new Date(),
+                pathEnrollment
+            }
+        };
+    }
+
+    /**
+     * Generate a learning path completion certificate
+     * @param {string} userId - User ID
+     * @param {string} learningPathId - Learning path ID
+     * @returns {Object} Generated certificate
+     */
+    async generatePathCertificate(userId, learningPathId) {
+        try {
+            const eligibilityResult = await this.checkPathEligibility(userId, learningPathId);
+
+            if (!eligibilityResult.eligible) {
+                throw new Error(eligibilityResult.reason);
+            }
+
+            const learningPath = await LearningPath.findById(learningPathId)
+                .populate('createdBy', 'name')
+                .populate('courses.course', 'tags totalDuration');
+            const { pathEnrollment } = eligibilityResult.data;
+
+            // Skills and duration of every course on the path
+            const skills = [...new Set(learningPath.courses.flatMap(item => item.course?.tags || []))];
+            const totalDuration = learningPath.courses.reduce((sum, item) => sum + (item.course?.totalDuration || 0), 0);
+
+            const certificate = new Certificate({
+                user: userId,
+                learningPath: learningPathId,
+                completedAt: eligibilityResult.data.completedAt,
+                grade: this.calculateGrade(eligibilityResult.data.completionPercentage, 100),
+                skills,
+                certificateData: {
+                    organizationName: learningPath.certificate.organizationName || 'Online Learning Platform',
+                    signedBy: {
+                        name: learningPath.certificate.signedBy?.name || learningPath.createdBy?.name,
+                        title: learningPath.certificate.signedBy?.title || 'Learning Path Author'
+                    }
+                },
+                metadata: {
+                    totalDuration,
+                    completionTime: Math.ceil((eligibilityResult.data.completedAt - pathEnrollment.enrolledAt) / (1000 * 60 * 60 * 24)),
+                    completionPercentage: eligibilityResult.data.completionPercentage
+                }
+            });
+
+            await certificate.save();
+
+            pathEnrollment.completedAt = pathEnrollment.completedAt || eligibilityResult.data.completedAt;
+            pathEnrollment.certificate = certificate._id;
+            await pathEnrollment.save();
+
+            const User = require('../models/User');
+            await User.findByIdAndUpdate(userId, {
+                $addToSet: { 'learner.certificates': certificate._id }
+            });
+
+            return {
+                success: true,
+                certificate: await Certificate.findById(certificate._id)
+                    .populate('user', 'name email')
+                    .populate('learningPath', 'title')
+            };
+        } catch (error) {
+            console.error('Generate path certificate error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Calculate grade based on completion and quiz performance
      * @param {number} completionPercentage 
@@ -218,7 +394,8 @@ class CertificateService {
         try {
             const certificate = await Certificate.findOne({ certificateId })
                 .populate('user', 'name email')
-                .populate('course', 'title instructor category');
+                .populate('course', 'title instructor category')
+                .populate('learningPath', 'title');
 
             if (!certificate) {
                 return {
@@ -227,12 +404,20 @@ class CertificateService {
                 };
             }
 
+            if (certificate.isRevoked) {
+                return {
+                    valid: false,
+                    message: 'Certificate has been revoked'
+                };
+            }
+
             return {
                 valid: true,
                 certificate: {
                     id: certificate.certificateId,
                     student: certificate.user.name,
-                    course: certificate.course.title,
+                    course: certificate.course?.title,
+                    learningPath: certificate.learningPath?.title,
                     issuedAt: certificate.issuedAt,
                     completedAt: certificate.completedAt,
                     grade: certificate.grade,
@@ -292,8 +477,8 @@ class CertificateService {
                 <div class="title">Certificate of Completion</div>
                 <div class="subtitle">This is to certify that</div>
                 <div class="student-name">${certificate.user.name}</div>
-                <div class="subtitle">has successfully completed the course</div>
-                <div class="course-name">"${certificate.course.title}"</div>
+                <div class="subtitle">has successfully completed the ${certificate.learningPath ? 'learning path' : 'course'}</div>
+                <div class="course-name">"${certificate.learningPath ? certificate.learningPath.title : certificate.course.title}"</div>
                 <div class="completion-date">
                     Completed on ${new Date(certificate.completedAt).toLocaleDateString('en-US', { 
                         year: 'numeric', 
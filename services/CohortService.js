@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const Cohort = require('../models/Cohort');
+const CohortMembership = require('../models/CohortMembership');
+const CohortAnnouncement = require('../models/CohortAnnouncement');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const PricingService = require('./PricingService');
+const SubscriptionService = require('./SubscriptionService');
+const PrerequisiteService = require('./PrerequisiteService');
+
+class CohortService {
+    constructor() {
+        this.pricingService = new PricingService();
+        this.subscriptionService = new SubscriptionService();
+        this.prerequisiteService = new PrerequisiteService();
+    }
+
+    /**
+     * Join a cohort, or its waitlist when it is full
+     * @param {Object} user - Joining user
+     * @param {Object} cohort - Cohort document
+     * @returns {Object} { membership, waitlisted, position }
+     */
+    async join(user, cohort) {
+        if (!cohort.isEnrollmentOpen()) {
+            throw Object.assign(new Error('Enrollment for this cohort is closed'), { statusCode: 400 });
+        }
+
+        const course = await Course.findById(cohort.course);
+        if (!course || !course.isPublished || !course.isActive) {
+            throw Object.assign(new Error('Course not found or not published'), { statusCode: 404 });
+        }
+
+        const current = await CohortMembership.findOne({
+            user: user._id,
+            course: course._id,
+            status: { $in: CohortMembership.ACTIVE_STATUSES }
+        }).populate('cohort', 'name');
+        if (current) {
+            const message = current.cohort._id.equals(cohort._id)
+                ? `You are already ${current.status} in this cohort`
+                : `You already have a place in "${current.cohort.name}"; leave it before joining another cohort`;
+            throw Object.assign(new Error(message), { statusCode: 400 });
+        }
+
+        const prerequisites = await this.prerequisiteService.check(user._id, course);
+        if (!prerequisites.met) {
+            throw Object.assign(new Error('Complete the prerequisite courses before joining'), {
+                statusCode: 403,
+                missing: prerequisites.missing
+            });
+        }
+
+        // Checked before the seat, so the waitlist only holds people who can take the course
+        const access = await this.resolveAccess(user._id, course);
+        if (!access) {
+            throw Object.assign(new Error('Payment required. Buy the course, then join a cohort.'), {
+                statusCode: 402,
+                checkoutRequired: true
+            });
+        }
+
+        const seated = await this.takeSeat(cohort, user._id, access);
+        if (seated) {
+            return { membership: seated, waitlisted: false, position: null };
+        }
+
+        const membership = await CohortMembership.findOneAndUpdate(
+            { cohort: cohort._id, user: user._id },
+            {
+                $set: { course: course._id, status: 'waitlisted', waitlistedAt: new Date() },
+                $unset: { enrolledAt: '', endedAt: '', endedBy: '' }
+            },
+            { upsert: true, new: true }
+        );
+
+        return { membership, waitlisted: true, position: await this.getWaitlistPosition(membership) };
+    }
+
+    /**
+     * How the user would get access to the course: an existing enrollment,
+     * an earlier purchase or redemption, a free course or a covering subscription
+     * @param {string} userId - User ID
+     * @param {Object} course - Course document
+     * @returns {Object|null} { source, subscription, organization, seatAssignment } or null when the course has to be bought
+     */
+    async resolveAccess(userId, course) {
+        const enrollment = await Enrollment.findOne({ user: userId, course: course._id });
+        if (enrollment && enrollment.isActive) {
+            return {
+                source: enrollment.source,
+                subscription: enrollment.subscription,
+                organization: enrollment.organization,
+                seatAssignment: enrollment.seatAssignment
+            };
+        }
+
+        // A learner who left a course they paid for (or redeemed) can come back,
+        // as the enroll route allows; the enrollment keeps its order
+        if (enrollment && ['purchase', 'redemption'].includes(enrollment.source)) {
+            return { source: enrollment.source };
+        }
+
+        const [pricing] = await this.pricingService.priceCourses([course]);
+        if (pricing.price <= 0) {
+            return { source: 'free' };
+        }
+
+        const subscription = await this.subscriptionService.getCoveringSubscription(userId, course);
+        return subscription
+            ? { source: 'subscription', subscription: subscription._id, organization: subscription.organization }
+            : null;
+    }
+
+    /**
+     * Claim a free seat and enroll the user in the course (one transaction)
+     * @param {Object} cohort - Cohort document
+     * @param {string} userId - User ID
+     * @param {Object} access - Output of resolveAccess
+     * @returns {Object|null} Membership, or null when the cohort is full
+     */
+    async takeSeat(cohort, userId, access) {
+        const session = await mongoose.startSession();
+        let membership = null;
+        try {
+            await session.withTransaction(async () => {
+                membership = null;
+                const claimed = await Cohort.findOneAndUpdate(
+                    { _id: cohort._id, status: 'active', $expr: { $lt: ['$enrolledCount', '$capacity'] } },
+                    { $inc: { enrolledCount: 1 } },
+                    { new: true, session }
+                );
+                if (!claimed) return;
+
+                const { enrollment } = await Enrollment.enrollUser(userId, cohort.course, {
+                    source: access.source,
+                    subscription: access.subscription,
+                    organization: access.organization,
+                    seatAssignment: access.seatAssignment,
+                    session
+                });
+                enrollment.cohort = cohort._id;
+                await enrollment.save({ session });
+
+                membership = await CohortMembership.findOneAndUpdate(
+                    { cohort: cohort._id, user: userId },
+                    {
+                        $set: { course: cohort.course, status: 'enrolled', enrolledAt: new Date() },
+                        $unset: { endedAt: '', endedBy: '' }
+                    },
+                    { upsert: true, new: true, session }
+                );
+                cohort.enrolledCount = claimed.enrolledCount;
+            });
+        } finally {
+            await session.endSession();
+        }
+        return membership;
+    }
+
+    /**
+     * Give up a seat or waitlist place; a freed seat goes to the waitlist.
+     * The course enrollment itself is kept.
+     * @param {Object} cohort - Cohort document
+     * @param {string} userId - User ID
+     * @param {Object} options - { status: 'left'|'removed', endedBy }
+     * @returns {Object} Updated membership
+     */
+    async leave(cohort, userId, options = {}) {
+        const { status = 'left', endedBy = userId } = options;
+
+        const session = await mongoose.startSession();
+        let membership;
+        let freedSeat = false;
+        try {
+            await session.withTransaction(async () => {
+                membership = await CohortMembership.findOne({
+                    cohort: cohort._id,
+                    user: userId,
+                    status: { $in: CohortMembership.ACTIVE_STATUSES }
+                }).session(session);
+                if (!membership) {
+                    throw Object.assign(new Error('Not a member of this cohort'), { statusCode: 404 });
+                }
+
+                freedSeat = membership.status === 'enrolled';
+                membership.status = status;
+                membership.endedAt = new Date();
+                membership.endedBy = endedBy;
+                await membership.save({ session });
+
+                if (freedSeat) {
+                    await Cohort.updateOne({ _id: cohort._id }, { $inc: { enrolledCount: -1 } }, { session });
+                    await Enrollment.updateOne(
+                        { user: userId, course: cohort.course, cohort: cohort._id },
+                        { $unset: { cohort: '' } },
+                        { session }
+                    );
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (freedSeat) {
+            await this.promoteWaitlist(cohort._id);
+        }
+        return membership;
+    }
+
+    /**
+     * Move waitlisted learners into free seats, oldest first (while enrollment is open)
+     * @param {string} cohortId - Cohort ID
+     * @returns {number} Number of learners promoted
+     */
+    async promoteWaitlist(cohortId) {
+        let promoted = 0;
+        const cohort = await Cohort.findById(cohortId);
+        if (!cohort || !cohort.isEnrollmentOpen()) return promoted;
+
+        const course = await Course.findById(cohort.course);
+        const waitlist = await CohortMembership.find({ cohort: cohortId, status: 'waitlisted' })
+            .sort({ waitlistedAt: 1 });
+
+        for (const entry of waitlist) {
+            if (cohort.seatsLeft() <= 0) break;
+
+            // Access may have lapsed while waiting (e.g. the subscription ended)
+            const access = await this.resolveAccess(entry.user, course);
+            if (!access) continue;
+
+            const membership = await this.takeSeat(cohort, entry.user, access);
+            if (!membership) break;
+            promoted++;
+
+            const user = await User.findById(entry.user).select('name email');
+            if (user) {
+                emailService.sendCohortSeatEmail(user, cohort, course);
+            }
+        }
+        return promoted;
+    }
+
+    /**
+     * Fill seats freed by enrollments that ended (refunds, lapsed
+     * subscriptions or organization seats, unenrolling). The enrollment has
+     * already ended, so a failure here is logged rather than thrown.
+     * @param {string[]} cohortIds - Cohorts a seat was freed in
+     * @returns {number} Number of learners promoted
+     */
+    async promoteFreedSeats(cohortIds) {
+        let promoted = 0;
+        const unique = [...new Set(cohortIds.filter(Boolean).map(id => id.toString()))];
+        for (const cohortId of unique) {
+            try {
+                promoted += await this.promoteWaitlist(cohortId);
+            } catch (error) {
+                console.error(`Promote waitlist error (cohort ${cohortId}):`, error);
+            }
+        }
+        return promoted;
+    }
+
+    /**
+     * Stop enrollment for a cohort; anyone still waitlisted drops off
+     * @param {Object} cohort - Cohort document
+     * @param {Date} now - Closing time
+     * @returns {number} Number of waitlist places expired
+     */
+    async closeEnrollment(cohort, now = new Date()) {
+        cohort.enrollmentStatus = 'closed';
+        cohort.enrollmentClosedAt = now;
+        await cohort.save();
+
+        const result = await CohortMembership.updateMany(
+            { cohort: cohort._id, status: 'waitlisted' },
+            { $set: { status: 'expired', endedAt: now } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Close enrollment of every cohort whose enrollment window has ended
+     * (run on a schedule by scripts/close-cohort-enrollment.js)
+     * @param {Date} now - Point in time to close at
+     * @returns {Object} { closed, waitlistExpired }
+     */
+    async closeExpiredEnrollment(now = new Date()) {
+        const summary = { closed: 0, waitlistExpired: 0 };
+        const cohorts = await Cohort.find({ enrollmentStatus: 'open', enrollmentClosesAt: { $lte: now } });
+
+        for (const cohort of cohorts) {
+            try {
+                summary.waitlistExpired += await this.closeEnrollment(cohort, now);
+                summary.closed++;
+            } catch (error) {
+                console.error(`Close cohort ${cohort._id} enrollment error:`, error);
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Cancel a cohort and release every member (course enrollments are kept)
+     * @param {Object} cohort - Cohort document
+     * @param {Object} user - User canceling
+     * @returns {number} Number of memberships ended
+     */
+    async cancel(cohort, user) {
+        if (cohort.status === 'canceled') {
+            throw Object.assign(new Error('Cohort is already canceled'), { statusCode: 400 });
+        }
+
+        const session = await mongoose.startSession();
+        let ended = 0;
+        try {
+            await session.withTransaction(async () => {
+                const now = new Date();
+                cohort.status = 'canceled';
+                cohort.canceledAt = now;
+                cohort.enrollmentStatus = 'closed';
+                cohort.enrollmentClosedAt = cohort.enrollmentClosedAt || now;
+                cohort.enrolledCount = 0;
+                await cohort.save({ session });
+
+                const result = await CohortMembership.updateMany(
+                    { cohort: cohort._id, status: { $in: CohortMembership.ACTIVE_STATUSES } },
+                    { $set: { status: 'removed', endedAt: now, endedBy: user._id } },
+                    { session }
+                );
+                ended = result.modifiedCount;
+
+                await Enrollment.updateMany({ cohort: cohort._id }, { $unset: { cohort: '' } }, { session });
+            });
+        } finally {
+            await session.endSession();
+        }
+        return ended;
+    }
+
+    /**
+     * Progress of every enrolled member of a cohort
+     * @param {Object} cohort - Cohort document
+     * @returns {Object} { summary, members }
+     */
+    async getProgressReport(cohort) {
+        const memberships = await CohortMembership.find({ cohort: cohort._id, status: 'enrolled' })
+            .populate('user', 'name email');
+        const enrollments = await Enrollment.find({
+            course: cohort.course,
+            user: { $in: memberships.map(m => m.user?._id).filter(Boolean) }
+        }).select('user progress.overallProgress progress.completedLessons progress.lastAccessedLesson progress.totalTimeSpent completedAt isActive');
+
+        const members = memberships.filter(m => m.user).map(membership => {
+            const enrollment = enrollments.find(e => e.user.toString() === membership.user._id.toString());
+            return {
+                user: membership.user,
+                enrolledAt: membership.enrolledAt,
+                isActive: !!enrollment?.isActive,
+                overallProgress: enrollment?.progress?.overallProgress || 0,
+                completedLessons: enrollment?.progress?.completedLessons?.length || 0,
+                lastAccessedLesson: enrollment?.progress?.lastAccessedLesson || null,
+                totalTimeSpent: enrollment?.progress?.totalTimeSpent || 0,
+                completedAt: enrollment?.completedAt || null
+            };
+        });
+
+        const completed = members.filter(m => m.completedAt).length;
+        return {
+            summary: {
+                members: members.length,
+                completed,
+                completionRate: members.length > 0 ? Math.round(completed / members.length * 100) : 0,
+                averageProgress: members.length > 0
+                    ? Math.round(members.reduce((sum, m) => sum + m.overallProgress, 0) / members.length)
+                    : 0,
+                waitlisted: await CohortMembership.countDocuments({ cohort: cohort._id, status: 'waitlisted' })
+            },
+            members
+        };
+    }
+
+    /**
+     * Post an announcement to a cohort and email its members in the background
+     * @param {Object} cohort - Cohort document
+     * @param {Object} author - Posting user
+     * @param {Object} data - { title, body }
+     * @returns {Object} Saved announcement
+     */
+    async postAnnouncement(cohort, author, data) {
+        const announcement = await CohortAnnouncement.create({
+            cohort: cohort._id,
+            author: author._id,
+            title: data.title,
+            body: data.body
+        });
+
+        this.sendAnnouncement(cohort, announcement);
+        return announcement;
+    }
+
+    /**
+     * Email an announcement to the enrolled members (errors are logged, not thrown)
+     * @param {Object} cohort - Cohort document
+     * @param {Object} announcement - Announcement document
+     */
+    async sendAnnouncement(cohort, announcement) {
+        try {
+            const course = await Course.findById(cohort.course).select('title');
+            const memberships = await CohortMembership.find({ cohort: cohort._id, status: 'enrolled' })
+                .populate('user', 'name email');
+
+            let sent = 0;
+            for (const membership of memberships) {
+                if (!membership.user) continue;
+                if (await emailService.sendCohortAnnouncementEmail(membership.user, cohort, course, announcement)) {
+                    sent++;
+                }
+            }
+
+            announcement.emailedCount = sent;
+            await announcement.save();
+        } catch (error) {
+            console.error('Send cohort announcement error:', error);
+        }
+    }
+
+    async getWaitlistPosition(membership) {
+        if (membership.status !== 'waitlisted') return null;
+        const ahead = await CohortMembership.countDocuments({
+            cohort: membership.cohort,
+            status: 'waitlisted',
+            waitlistedAt: { $lt: membership.waitlistedAt }
+        });
+        return ahead + 1;
+    }
+}
+
+module.exports = CohortService;
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const CourseInvitation = require('../models/CourseInvitation');
+const User = require('../models/User');
+const PermissionService = require('./PermissionService');
+const emailService = require('../utils/emailService');
+
+class CollaboratorService {
+    constructor() {
+        this.permissionService = new PermissionService();
+        this.invitationDays = parseInt(process.env.COURSE_INVITATION_DAYS || '14', 10);
+    }
+
+    /**
+     * Check that revenue shares of a course stay within the instructor share.
+     * Pending invitations count, so accepting one never goes over.
+     * @param {Object} course - Course document
+     * @param {number} revenueShare - Share being given
+     * @param {Object} except - { userId, invitationId } whose current share is replaced
+     * @returns {string|null} Error message
+     */
+    async checkRevenueShare(course, revenueShare, except = {}) {
+        const collaboratorShares = course.collaborators
+            .filter(c => c.user.toString() !== except.userId?.toString())
+            .reduce((sum, c) => sum + c.revenueShare, 0);
+
+        const pending = await CourseInvitation.find({
+            course: course._id,
+            status: 'pending',
+            expiresAt: { $gt: new Date() },
+            ...(except.invitationId && { _id: { $ne: except.invitationId } })
+        }).select('revenueShare');
+        const pendingShares = pending.reduce((sum, invitation) => sum + invitation.revenueShare, 0);
+
+        const total = collaboratorShares + pendingShares + revenueShare;
+        if (total > 100) {
+            return `Revenue shares would add up to ${total}% of the instructor share (at most 100%)`;
+        }
+        return null;
+    }
+
+    /**
+     * Invite someone by email; inviting the same address again updates and resends
+     * the pending invitation
+     * @param {Object} course - Course document
+     * @param {Object} data - { email, role, revenueShare }
+     * @param {Object} inviter - Acting user
+     * @returns {Object} Invitation
+     */
+    async invite(course, data, inviter) {
+        const email = data.email.toLowerCase();
+        const revenueShare = data.revenueShare || 0;
+
+        const invitee = await User.findOne({ email }).select('_id');
+        if (invitee && invitee._id.toString() === course.instructor?.toString()) {
+            throw Object.assign(new Error('The course owner cannot be invited'), { statusCode: 400 });
+        }
+        if (invitee && course.collaborators.some(c => c.user.toString() === invitee._id.toString())) {
+            throw Object.assign(new Error('This user already collaborates on the course'), { statusCode: 400 });
+        }
+
+        let invitation = await CourseInvitation.findOne({ course: course._id, email, status: 'pending' });
+
+        const shareError = await this.checkRevenueShare(course, revenueShare, { invitationId: invitation?._id });
+        if (shareError) {
+            throw Object.assign(new Error(shareError), { statusCode: 400 });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        if (!invitation) {
+            invitation = new CourseInvitation({ course: course._id, email });
+        }
+        invitation.set({
+            role: data.role,
+            revenueShare,
+            tokenHash: CourseInvitation.hashToken(token),
+            invitedBy: inviter._id,
+            expiresAt: new Date(Date.now() + this.invitationDays * 24 * 60 * 60 * 1000)
+        });
+        await invitation.save();
+
+        emailService.sendCourseInvitationEmail(invitation, course, inviter, token);
+
+        return invitation;
+    }
+
+    /**
+     * Load a pending invitation by token for the signed-in user it was sent to
+     * @param {string} token - Raw token from the email
+     * @param {Object} user - Signed-in user
+     * @returns {Object} Invitation
+     */
+    async findForUser(token, user) {
+        const invitation = await CourseInvitation.findByToken(token);
+        if (!invitation) {
+            throw Object.assign(new Error('Invitation not found or expired'), { statusCode: 404 });
+        }
+        if (invitation.email !== user.email.toLowerCase()) {
+            throw Object.assign(new Error('This invitation was sent to a different email address'), { statusCode: 403 });
+        }
+        return invitation;
+    }
+
+    /**
+     * Accept an invitation and join the course
+     * @param {string} token - Raw token from the email
+     * @param {Object} user - Signed-in user
+     * @returns {Object} { invitation, course }
+     */
+    async accept(token, user) {
+        const invitation = await this.findForUser(token, user);
+
+        // Earnings are paid out like the owner's, so they need an account that can request payouts
+        if (invitation.revenueShare > 0 && !await this.permissionService.hasPermission(user, 'payout.request')) {
+            throw Object.assign(new Error('A revenue share needs an instructor account'), { statusCode: 400 });
+        }
+
+        const course = await Course.findOneAndUpdate(
+            {
+                _id: invitation.course,
+                instructor: { $ne: user._id },
+                'collaborators.user': { $ne: user._id }
+            },
+            {
+                $push: {
+                    collaborators: {
+                        user: user._id,
+                        role: invitation.role,
+                        revenueShare: invitation.revenueShare,
+                        addedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        ).select('title collaborators');
+        if (!course) {
+            throw Object.assign(new Error('You already teach this course'), { statusCode: 400 });
+        }
+
+        invitation.status = 'accepted';
+        invitation.user = user._id;
+        invitation.respondedAt = new Date();
+        await invitation.save();
+
+        return { invitation, course };
+    }
+
+    /**
+     * Decline an invitation
+     * @param {string} token - Raw token from the email
+     * @param {Object} user - Signed-in user
+     * @returns {Object} Invitation
+     */
+    async decline(token, user) {
+        const invitation = await this.findForUser(token, user);
+
+        invitation.status = 'declined';
+        invitation.user = user._id;
+        invitation.respondedAt = new Date();
+        await invitation.save();
+
+        return invitation;
+    }
+
+    /**
+     * Change the role or revenue share of a collaborator
+     * @param {Object} course - Course document
+     * @param {string} userId - Collaborator's user ID
+     * @param {Object} data - { role, revenueShare }
+     * @returns {Object} Updated collaborator
+     */
+    async update(course, userId, data) {
+        const collaborator = course.collaborators.find(c => c.user.toString() === userId.toString());
+        if (!collaborator) {
+            throw Object.assign(new Error('Collaborator not found'), { statusCode: 404 });
+        }
+
+        if (data.revenueShare !== undefined && data.revenueShare !== collaborator.revenueShare) {
+            const shareError = await this.checkRevenueShare(course, data.revenueShare, { userId });
+            if (shareError) {
+                throw Object.assign(new Error(shareError), { statusCode: 400 });
+            }
+            if (data.revenueShare > 0) {
+                const user = await User.findById(userId).select('role roles');
+                if (!user || !await this.permissionService.hasPermission(user, 'payout.request')) {
+                    throw Object.assign(new Error('A revenue share needs an instructor account'), { statusCode: 400 });
+                }
+            }
+            collaborator.revenueShare = data.revenueShare;
+        }
+        if (data.role !== undefined) {
+            collaborator.role = data.role;
+        }
+
+        await course.save();
+        return collaborator;
+    }
+
+    /**
+     * Take a collaborator off the course. Past sales keep their split.
+     * @param {Object} course - Course document
+     * @param {string} userId - Collaborator's user ID
+     */
+    async remove(course, userId) {
+        const result = await Course.updateOne(
+            { _id: course._id },
+            { $pull: { collaborators: { user: userId } } }
+        );
+        if (!result.modifiedCount) {
+            throw Object.assign(new Error('Collaborator not found'), { statusCode: 404 });
+        }
+    }
+}
+
+module.exports = CollaboratorService;
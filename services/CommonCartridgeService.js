@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+const UPLOADS_DIR = path.resolve('uploads');
+const UPLOADS_PREFIX = '/uploads/';
+
+// IMS Common Cartridge 1.3 namespaces and resource types
+const CC_NAMESPACE = 'http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1';
+const LOM_NAMESPACE = 'http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest';
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/ims_qtiasiv1p2';
+const WEBLINK_NAMESPACE = 'http://www.imsglobal.org/xsd/imsccv1p3/imswl_v1p3';
+const SCHEMA_LOCATION = [
+    CC_NAMESPACE, 'http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_imscp_v1p2_v1p0.xsd',
+    LOM_NAMESPACE, 'http://www.imsglobal.org/profile/cc/ccv1p3/LOM/ccv1p3_lommanifest_v1p0.xsd'
+].join(' ');
+
+const RESOURCE_TYPES = {
+    webcontent: 'webcontent',
+    weblink: 'imswl_xmlv1p3',
+    assessment: 'imsqti_xmlv1p2/imscc_xmlv1p3/assessment'
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Local file behind an /uploads/ URL, or null when it points outside the uploads folder
+const uploadPath = (url) => {
+    const file = path.resolve(UPLOADS_DIR, decodeURIComponent(url.slice(UPLOADS_PREFIX.length).split(/[?#]/)[0]));
+    return file.startsWith(UPLOADS_DIR + path.sep) ? file : null;
+};
+
+const isWebUrl = (url) => /^https?:\/\//i.test(url || '');
+
+const cartridgeError = (message, errors) => Object.assign(new Error(message), { statusCode: 500, errors });
+
+class CommonCartridgeService {
+    constructor() {
+        this.parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '',
+            isArray: (name) => ['organization', 'item', 'resource', 'file', 'dependency'].includes(name)
+        });
+    }
+
+    /**
+     * Build an IMS Common Cartridge 1.3 package: sections become modules, note
+     * lectures web content, quizzes QTI assessments and resources links or files
+     * @param {Object} course - Course document
+     * @returns {Object} { buffer, filename, skipped, missingAssets }
+     */
+    async exportCourse(course) {
+        const files = new Map();
+        const resources = [];
+        const skipped = [];
+        const missingAssets = [];
+        const assetResources = new Map();
+
+        // One webcontent resource per uploaded file, shared by every page and item using it
+        const addAsset = async (url) => {
+            if (assetResources.has(url)) return assetResources.get(url);
+
+            const file = uploadPath(url);
+            if (!file || !fs.existsSync(file)) {
+                missingAssets.push(url);
+                assetResources.set(url, null);
+                return null;
+            }
+
+            const href = `web_resources/${url.slice(UPLOADS_PREFIX.length).split(/[?#]/)[0]}`;
+            files.set(href, await fs.promises.readFile(file));
+            const resource = { identifier: `RES_FILE_${assetResources.size + 1}`, type: RESOURCE_TYPES.webcontent, href, files: [href] };
+            resources.push(resource);
+            assetResources.set(url, resource);
+            return resource;
+        };
+
+        // A course resource or note attachment: a copied file or a web link
+        const linkItem = async (link, identifier) => {
+            if (link.url?.startsWith(UPLOADS_PREFIX)) {
+                const resource = await addAsset(link.url);
+                return resource && { identifier: `I_${identifier}`, title: link.name || path.basename(link.url), resource };
+            }
+            if (isWebUrl(link.url)) {
+                return { identifier: `I_${identifier}`, title: link.name || link.url, resource: this.addWebLink(files, resources, identifier, link.name || link.url, link.url) };
+            }
+            return null;
+        };
+
+        const modules = [];
+        for (const section of course.sections || []) {
+            const items = [];
+
+            for (const lecture of section.lectures || []) {
+                const id = String(lecture._id);
+                let resource = null;
+
+                if (lecture.type === 'note') {
+                    resource = await this.addNotePage(files, resources, lecture, addAsset);
+                } else if (lecture.type === 'quiz') {
+                    if (lecture.quiz?.questions?.length) {
+                        resource = this.addAssessment(files, resources, lecture);
+                    } else {
+                        skipped.push({ lecture: id, title: lecture.title, reason: 'Quiz has no questions' });
+                    }
+                } else if (lecture.type === 'video') {
+                    const url = lecture.video?.playerUrl || lecture.video?.embedUrl;
+                    if (isWebUrl(url)) {
+                        resource = this.addWebLink(files, resources, id, lecture.title, url);
+                    } else {
+                        // Not uploaded yet: the description is all there is
+                        resource = await this.addNotePage(files, resources, lecture, addAsset);
+                    }
+                } else {
+                    skipped.push({ lecture: id, title: lecture.title, reason: `${lecture.type} lectures cannot be exported` });
+                }
+
+                if (resource) items.push({ identifier: `I_${id}`, title: lecture.title, resource });
+
+                const links = [...(lecture.note?.attachments || []), ...(lecture.resources || [])];
+                for (const [index, link] of links.entries()) {
+                    const item = await linkItem(link, `${id}_${index + 1}`);
+                    if (item) items.push(item);
+                }
+            }
+
+            modules.push({ identifier: `I_${section._id}`, title: section.title, items });
+        }
+
+        const manifest = this.buildManifest(course, modules, resources);
+        files.set('imsmanifest.xml', Buffer.from(manifest));
+
+        const errors = this.validate(files);
+        if (errors.length) {
+            throw cartridgeError('The generated cartridge is not valid', errors);
+        }
+
+        const zip = new AdmZip();
+        files.forEach((data, name) => zip.addFile(name, data));
+
+        return {
+            buffer: zip.toBuffer(),
+            filename: `${course.slug || course._id}.imscc`,
+            skipped,
+            missingAssets
+        };
+    }
+
+    /**
+     * HTML page for a note lecture (or a lecture without anything better to show);
+     * uploaded images and files it links to are copied alongside
+     * @param {Map} files - Package files being built
+     * @param {Object[]} resources - Manifest resources being built
+     * @param {Object} lecture - Lecture subdocument
+     * @param {Function} addAsset - Copies an /uploads/ file into the package
+     * @returns {Object} Resource
+     */
+    async addNotePage(files, resources, lecture, addAsset) {
+        const id = String(lecture._id);
+        const href = `${id}/index.html`;
+        let body = lecture.note?.content || `<p>${escapeXml(lecture.description)}</p>`;
+
+        const dependencies = [];
+        const urls = [...new Set(body.match(/\/uploads\/[^"'\s)<>]+/g) || [])];
+        for (const url of urls) {
+            const asset = await addAsset(url);
+            if (!asset) continue;
+            dependencies.push(asset.identifier);
+            body = body.split(url).join(`../${asset.href}`);
+        }
+
+        files.set(href, Buffer.from(
+            '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+            `<title>${escapeXml(lecture.title)}</title>\n</head>\n<body>\n` +
+            `<h1>${escapeXml(lecture.title)}</h1>\n${body}\n</body>\n</html>\n`
+        ));
+
+        const resource = { identifier: `RES_${id}`, type: RESOURCE_TYPES.webcontent, href, files: [href], dependencies };
+        resources.push(resource);
+        return resource;
+    }
+
+    /**
+     * CC web link descriptor
+     * @param {Map} files - Package files being built
+     * @param {Object[]} resources - Manifest resources being built
+     * @param {string} id - Identifier suffix
+     * @param {string} title - Link title
+     * @param {string} url - Target URL
+     * @returns {Object} Resource
+     */
+    addWebLink(files, resources, id, title, url) {
+        const href = `${id}/weblink.xml`;
+        files.set(href, Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<webLink xmlns="${WEBLINK_NAMESPACE}">\n` +
+            `  <title>${escapeXml(title)}</title>\n` +
+            `  <url href="${escapeXml(url)}" target="_blank"/>\n` +
+            '</webLink>\n'
+        ));
+
+        const resource = { identifier: `RES_${id}`, type: RESOURCE_TYPES.weblink, files: [href] };
+        resources.push(resource);
+        return resource;
+    }
+
+    /**
+     * QTI 1.2 assessment in the CC profile. Single-answer questions are
+     * cc.multiple_choice, multi-answer ones cc.multiple_response.
+     * @param {Map} files - Package files being built
+     * @param {Object[]} resources - Manifest resources being built
+     * @param {Object} lecture - Quiz lecture
+     * @returns {Object} Resource
+     */
+    addAssessment(files, resources, lecture) {
+        const id = String(lecture._id);
+        const href = `${id}/assessment.xml`;
+        const quiz = lecture.quiz;
+
+        const metadata = (fields) => '<qtimetadata>' + Object.entries(fields).map(([label, entry]) =>
+            `<qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${escapeXml(entry)}</fieldentry></qtimetadatafield>`
+        ).join('') + '</qtimetadata>';
+
+        const items = quiz.questions.map((question, index) => {
+            const ident = `Q_${id}_${index + 1}`;
+            const multiple = question.type === 'multiple';
+            const labels = question.options.map((option, optionIndex) => `${ident}_${optionIndex + 1}`);
+            const correct = labels.filter((label, optionIndex) => (question.correctAnswers || []).includes(optionIndex));
+
+            const condition = multiple
+                ? '<and>' + labels.map(label => correct.includes(label)
+                    ? `<varequal respident="response1">${label}</varequal>`
+                    : `<not><varequal respident="response1">${label}</varequal></not>`).join('') + '</and>'
+                : `<varequal respident="response1">${correct[0] || ''}</varequal>`;
+
+            const feedback = question.explanation
+                ? `<itemfeedback ident="general_fb"><flow_mat><material><mattext texttype="text/plain">${escapeXml(question.explanation)}</mattext></material></flow_mat></itemfeedback>`
+                : '';
+
+            return `<item ident="${ident}" title="${escapeXml(`Question ${index + 1}`)}">` +
+                `<itemmetadata>${metadata({
+                    cc_profile: multiple ? 'cc.multiple_response.v0p1' : 'cc.multiple_choice.v0p1',
+                    cc_weighting: 1
+                })}</itemmetadata>` +
+                '<presentation>' +
+                `<material><mattext texttype="text/plain">${escapeXml(question.question)}</mattext></material>` +
+                `<response_lid ident="response1" rcardinality="${multiple ? 'Multiple' : 'Single'}"><render_choice>` +
+                question.options.map((option, optionIndex) =>
+                    `<response_label ident="${labels[optionIndex]}"><material><mattext texttype="text/plain">${escapeXml(option)}</mattext></material></response_label>`
+                ).join('') +
+                '</render_choice></response_lid></presentation>' +
+                '<resprocessing><outcomes><decvar varname="SCORE" vartype="Decimal" minvalue="0" maxvalue="100"/></outcomes>' +
+                `<respcondition continue="No"><conditionvar>${condition}</conditionvar>` +
+                `<setvar action="Set" varname="SCORE">100</setvar>${feedback ? '<displayfeedback feedbacktype="Response" linkrefid="general_fb"/>' : ''}</respcondition>` +
+                '</resprocessing>' +
+                feedback +
+                '</item>';
+        });
+
+        files.set(href, Buffer.from(
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<questestinterop xmlns="${QTI_NAMESPACE}">` +
+            `<assessment ident="A_${id}" title="${escapeXml(lecture.title)}">` +
+            metadata({
+                cc_profile: 'cc.exam.v0p1',
+                qmd_assessmenttype: 'Examination',
+                qmd_scoretype: 'Percentage',
+                cc_maxattempts: 'unlimited',
+                ...(quiz.timeLimit ? { qmd_timelimit: quiz.timeLimit } : {})
+            }) +
+            `<section ident="root_section">${items.join('')}</section>` +
+            '</assessment></questestinterop>\n'
+        ));
+
+        const resource = { identifier: `RES_${id}`, type: RESOURCE_TYPES.assessment, files: [href] };
+        resources.push(resource);
+        return resource;
+    }
+
+    /**
+     * imsmanifest.xml with the course metadata, one rooted organization and the resources
+     * @param {Object} course - Course document
+     * @param {Object[]} modules - [{ identifier, title, items }]
+     * @param {Object[]} resources - Manifest resources
+     * @returns {string} Manifest XML
+     */
+    buildManifest(course, modules, resources) {
+        const itemXml = (item) => `<item identifier="${item.identifier}" identifierref="${item.resource.identifier}">` +
+            `<title>${escapeXml(item.title)}</title></item>`;
+
+        const organization = '<organization identifier="ORG_1" structure="rooted-hierarchy"><item identifier="ROOT">' +
+            modules.map(module => `<item identifier="${module.identifier}"><title>${escapeXml(module.title)}</title>` +
+                module.items.map(itemXml).join('') + '</item>').join('') +
+            '</item></organization>';
+
+        const resourceXml = resources.map(resource =>
+            `<resource identifier="${resource.identifier}" type="${resource.type}"${resource.href ? ` href="${escapeXml(resource.href)}"` : ''}>` +
+            resource.files.map(file => `<file href="${escapeXml(file)}"/>`).join('') +
+            (resource.dependencies || []).map(dependency => `<dependency identifierref="${dependency}"/>`).join('') +
+            '</resource>'
+        ).join('');
+
+        const language = escapeXml(course.language || 'en');
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<manifest identifier="M_${course._id}" xmlns="${CC_NAMESPACE}" xmlns:lomimscc="${LOM_NAMESPACE}" ` +
+            `xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${SCHEMA_LOCATION}">` +
+            '<metadata><schema>IMS Common Cartridge</schema><schemaversion>1.3.0</schemaversion>' +
+            '<lomimscc:lom><lomimscc:general>' +
+            `<lomimscc:title><lomimscc:string language="${language}">${escapeXml(course.title)}</lomimscc:string></lomimscc:title>` +
+            `<lomimscc:description><lomimscc:string language="${language}">${escapeXml(course.shortDescription || course.description)}</lomimscc:string></lomimscc:description>` +
+            '</lomimscc:general></lomimscc:lom></metadata>' +
+            `<organizations>${organization}</organizations>` +
+            `<resources>${resourceXml}</resources>` +
+            '</manifest>\n';
+    }
+
+    /**
+     * Check a cartridge against the CC manifest structure: well-formed XML, CC 1.3
+     * metadata, a single rooted organization, unique identifiers, items pointing at
+     * existing resources and every referenced file present
+     * @param {Map<string, Buffer>} files - Package path -> contents
+     * @returns {string[]} Problems found, empty when valid
+     */
+    validate(files) {
+        const errors = [];
+
+        files.forEach((data, name) => {
+            if (!name.endsWith('.xml')) return;
+            const result = XMLValidator.validate(data.toString('utf8'));
+            if (result !== true) errors.push(`${name}: ${result.err.msg} (line ${result.err.line})`);
+        });
+        if (errors.length || !files.has('imsmanifest.xml')) {
+            return errors.length ? errors : ['imsmanifest.xml is missing'];
+        }
+
+        const manifest = this.parser.parse(files.get('imsmanifest.xml').toString('utf8')).manifest;
+        if (!manifest || manifest.xmlns !== CC_NAMESPACE) {
+            return ['The manifest does not use the Common Cartridge 1.3 namespace'];
+        }
+        if (manifest.metadata?.schema !== 'IMS Common Cartridge' || String(manifest.metadata?.schemaversion) !== '1.3.0') {
+            errors.push('Manifest metadata must declare IMS Common Cartridge 1.3.0');
+        }
+
+        const identifiers = new Set();
+        const checkIdentifier = (identifier, what) => {
+            if (!identifier || !/^[A-Za-z_][\w.-]*$/.test(identifier)) errors.push(`${what} has an invalid identifier "${identifier}"`);
+            else if (identifiers.has(identifier)) errors.push(`Identifier ${identifier} is used more than once`);
+            identifiers.add(identifier);
+        };
+        checkIdentifier(manifest.identifier, 'The manifest');
+
+        const resources = manifest.resources?.resource || [];
+        const resourceIds = new Set();
+        resources.forEach(resource => {
+            checkIdentifier(resource.identifier, 'A resource');
+            resourceIds.add(resource.identifier);
+            if (!Object.values(RESOURCE_TYPES).includes(resource.type)) {
+                errors.push(`Resource ${resource.identifier} has an unsupported type ${resource.type}`);
+            }
+
+            const resourceFiles = (resource.file || []).map(file => file.href);
+            if (!resourceFiles.length) errors.push(`Resource ${resource.identifier} lists no files`);
+            resourceFiles.filter(href => !files.has(href)).forEach(href => errors.push(`File ${href} of resource ${resource.identifier} is missing`));
+
+            if (resource.type === RESOURCE_TYPES.webcontent) {
+                if (!resource.href || !resourceFiles.includes(resource.href)) {
+                    errors.push(`Web content ${resource.identifier} must launch one of its files`);
+                }
+            } else if (resource.href || resourceFiles.length !== 1) {
+                errors.push(`Resource ${resource.identifier} must have exactly one descriptor file and no href`);
+            }
+        });
+        resources.forEach(resource => (resource.dependency || [])
+            .filter(dependency => !resourceIds.has(dependency.identifierref))
+            .forEach(dependency => errors.push(`Resource ${resource.identifier} depends on missing ${dependency.identifierref}`)));
+
+        const organizations = manifest.organizations?.organization || [];
+        if (organizations.length !== 1) {
+            errors.push('The manifest must have exactly one organization');
+        }
+        const organization = organizations[0];
+        if (organization) {
+            checkIdentifier(organization.identifier, 'The organization');
+            if (organization.structure !== 'rooted-hierarchy') {
+                errors.push('The organization must be a rooted-hierarchy');
+            }
+            if ((organization.item || []).length !== 1) {
+                errors.push('The organization must have a single root item');
+            }
+
+            const visit = (items, depth) => (items || []).forEach(item => {
+                checkIdentifier(item.identifier, 'An item');
+                if (item.identifierref) {
+                    if (!resourceIds.has(item.identifierref)) errors.push(`Item ${item.identifier} points at missing ${item.identifierref}`);
+                    if (item.item) errors.push(`Item ${item.identifier} links a resource and cannot have children`);
+                }
+                if (depth > 0 && !item.title) errors.push(`Item ${item.identifier} has no title`);
+                visit(item.item, depth + 1);
+            });
+            visit(organization.item, 0);
+        }
+
+        return errors;
+    }
+}
+
+module.exports = CommonCartridgeService;
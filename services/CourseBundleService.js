@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const Course = require('../models/Course');
+const Category = require('../models/Category');
+const CourseCloneService = require('./CourseCloneService');
+
+const BUNDLE_FORMAT = 'elearning-course-bundle';
+const SCHEMA_VERSION = 1;
+// Older bundle versions this build can still read
+const SUPPORTED_VERSIONS = [1];
+
+const UPLOADS_DIR = path.resolve('uploads');
+const UPLOADS_PREFIX = '/uploads/';
+
+// Files a bundle may bring into uploads/, which is served as-is: course media
+// and lecture documents. Anything a browser would run (html, svg, js, ...) is refused.
+const ASSET_EXTENSIONS = new Set([
+    '.jpg', '.jpeg', '.png', '.gif', '.webp',
+    '.mp4', '.webm', '.mov', '.m4v',
+    '.mp3', '.m4a', '.wav', '.ogg',
+    '.pdf', '.txt', '.csv', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp'
+]);
+
+// Course fields carried in a bundle; category and prerequisites are written as
+// references and matched again on import
+const BUNDLE_FIELDS = [
+    'title', 'description', 'shortDescription', 'level', 'language', 'price', 'originalPrice', 'currency',
+    'pricePoints', 'thumbnail', 'banner', 'demoVideo', 'certificate', 'sections', 'whatYouWillLearn',
+    'requirements', 'cohortBased', 'tags', 'metaDescription', 'metaKeywords'
+];
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const bundleError = (message, extra = {}) => Object.assign(new Error(message), { statusCode: 400, ...extra });
+
+// Every /uploads/... URL in a value, e.g. thumbnails and note attachments
+const collectUploadUrls = (value, urls = new Set()) => {
+    if (typeof value === 'string') {
+        if (value.startsWith(UPLOADS_PREFIX)) urls.add(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectUploadUrls(item, urls));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectUploadUrls(item, urls));
+    }
+    return urls;
+};
+
+const replaceUrls = (value, urlMap) => {
+    if (typeof value === 'string') return urlMap.get(value) ?? value;
+    if (Array.isArray(value)) return value.map(item => replaceUrls(item, urlMap));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceUrls(item, urlMap)]));
+    }
+    return value;
+};
+
+// Local file behind an /uploads/ URL, or null when it points outside the uploads folder
+const uploadPath = (url) => {
+    const file = path.resolve(UPLOADS_DIR, decodeURIComponent(url.slice(UPLOADS_PREFIX.length)));
+    return file.startsWith(UPLOADS_DIR + path.sep) ? file : null;
+};
+
+class CourseBundleService {
+    constructor() {
+        this.courseCloneService = new CourseCloneService();
+        this.maxBytes = parseInt(process.env.COURSE_BUNDLE_MAX_MB || '256', 10) * 1024 * 1024;
+    }
+
+    /**
+     * Build a bundle: manifest.json, course.json and the files from uploads/ the
+     * course uses (demo videos only when asked for)
+     * @param {Object} course - Course document
+     * @param {Object} options - { includeDemoVideo }
+     * @returns {Object} { buffer, filename, manifest }
+     */
+    async exportCourse(course, options = {}) {
+        await course.populate([
+            { path: 'category', select: 'name' },
+            { path: 'prerequisites.course', select: 'title slug' }
+        ]);
+
+        const data = course.toObject({ virtuals: false });
+        const content = {};
+        BUNDLE_FIELDS.forEach(field => {
+            if (data[field] !== undefined) content[field] = data[field];
+        });
+        if (!options.includeDemoVideo) delete content.demoVideo;
+
+        const courseJson = JSON.parse(JSON.stringify({
+            ...content,
+            _id: course._id,
+            slug: course.slug,
+            category: course.category ? { _id: course.category._id, name: course.category.name } : null,
+            prerequisites: (course.prerequisites || [])
+                .filter(prerequisite => prerequisite.course)
+                .map(prerequisite => ({
+                    course: { _id: prerequisite.course._id, slug: prerequisite.course.slug, title: prerequisite.course.title },
+                    minimumGrade: prerequisite.minimumGrade
+                }))
+        }));
+
+        const zip = new AdmZip();
+        const files = [];
+        const addFile = (name, buffer) => {
+            zip.addFile(name, buffer);
+            files.push({ path: name, size: buffer.length, sha256: sha256(buffer) });
+        };
+
+        addFile('course.json', Buffer.from(JSON.stringify(courseJson, null, 2)));
+
+        // Left out like missing files: files an import would refuse
+        const missingAssets = [];
+        for (const url of collectUploadUrls(courseJson)) {
+            const file = uploadPath(url);
+            if (!file || !ASSET_EXTENSIONS.has(path.extname(file).toLowerCase()) || !fs.existsSync(file)) {
+                missingAssets.push(url);
+                continue;
+            }
+            addFile(`assets/${url.slice(UPLOADS_PREFIX.length)}`, await fs.promises.readFile(file));
+        }
+
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            source: { courseId: course._id, slug: course.slug, title: course.title },
+            files,
+            missingAssets
+        };
+        zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+        return {
+            buffer: zip.toBuffer(),
+            filename: `${course.slug || course._id}-v${SCHEMA_VERSION}.zip`,
+            manifest
+        };
+    }
+
+    /**
+     * Open a bundle and check its version and checksums
+     * @param {Buffer|string} zipFile - Uploaded zip, or the path it was saved to
+     * @returns {Object} { manifest, course, assets: Map<url, Buffer> }
+     */
+    readBundle(zipFile) {
+        let zip;
+        try {
+            zip = new AdmZip(zipFile);
+        } catch (error) {
+            throw bundleError('The file is not a valid zip archive');
+        }
+
+        const entries = new Map(zip.getEntries().filter(entry => !entry.isDirectory).map(entry => [entry.entryName, entry]));
+        const totalSize = [...entries.values()].reduce((sum, entry) => sum + entry.header.size, 0);
+        if (totalSize > this.maxBytes) {
+            throw bundleError('The bundle is too large');
+        }
+
+        const manifestEntry = entries.get('manifest.json');
+        if (!manifestEntry) {
+            throw bundleError('manifest.json is missing');
+        }
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+        } catch (error) {
+            throw bundleError('manifest.json is not valid JSON');
+        }
+        if (manifest.format !== BUNDLE_FORMAT) {
+            throw bundleError('This is not a course bundle');
+        }
+        if (!SUPPORTED_VERSIONS.includes(manifest.schemaVersion)) {
+            throw bundleError(`Unsupported bundle version ${manifest.schemaVersion} (supported: ${SUPPORTED_VERSIONS.join(', ')})`);
+        }
+
+        // Only files listed in the manifest are read, and each has to match its checksum
+        const corrupted = [];
+        const contents = new Map();
+        (manifest.files || []).forEach(file => {
+            const entry = entries.get(file.path);
+            const data = entry && entry.getData();
+            if (!data || sha256(data) !== file.sha256) {
+                corrupted.push(file.path);
+                return;
+            }
+            contents.set(file.path, data);
+        });
+        if (corrupted.length) {
+            throw bundleError('Some files are missing or do not match their checksum', { files: corrupted });
+        }
+
+        if (!contents.has('course.json')) {
+            throw bundleError('course.json is missing');
+        }
+        let course;
+        try {
+            course = JSON.parse(contents.get('course.json').toString('utf8'));
+        } catch (error) {
+            throw bundleError('course.json is not valid JSON');
+        }
+        if (typeof course.title !== 'string' || !course.title.trim() || !Array.isArray(course.sections || [])) {
+            throw bundleError('course.json does not describe a course');
+        }
+
+        const assets = new Map();
+        const refused = [];
+        contents.forEach((data, name) => {
+            if (!name.startsWith('assets/')) return;
+            if (!ASSET_EXTENSIONS.has(path.extname(name).toLowerCase())) {
+                refused.push(name);
+                return;
+            }
+            assets.set(UPLOADS_PREFIX + name.slice('assets/'.length), data);
+        });
+        if (refused.length) {
+            throw bundleError('Some assets are not media or document files', { files: refused });
+        }
+
+        return { manifest, course, assets };
+    }
+
+    /**
+     * Work out how bundle references map onto this site
+     * @param {Object} data - course.json contents
+     * @param {Object} options - { categoryId }
+     * @returns {Object} { category, prerequisites, slug, conflicts }
+     */
+    async resolveConflicts(data, options = {}) {
+        const conflicts = [];
+
+        // Category: the one asked for, else the same ID, else the same name
+        let category = null;
+        if (options.categoryId) {
+            category = await Category.findById(options.categoryId).select('name');
+            if (!category) throw bundleError('Invalid category');
+        } else if (data.category) {
+            category = await Category.findById(data.category._id).select('name').catch(() => null) ||
+                await Category.findOne({ name: String(data.category.name || '').toLowerCase() }).select('name');
+            if (!category) {
+                conflicts.push({
+                    type: 'category',
+                    value: data.category.name,
+                    resolution: 'unset',
+                    message: `No category named "${data.category.name}"; choose one before publishing`
+                });
+            }
+        }
+
+        // Prerequisites are matched by slug; the others are dropped
+        const prerequisites = [];
+        for (const prerequisite of data.prerequisites || []) {
+            const course = await Course.findOne({ slug: prerequisite.course?.slug }).select('_id');
+            if (course) {
+                prerequisites.push({ course: course._id, minimumGrade: prerequisite.minimumGrade });
+            } else {
+                conflicts.push({
+                    type: 'prerequisite',
+                    value: prerequisite.course?.slug,
+                    resolution: 'dropped',
+                    message: `Prerequisite course "${prerequisite.course?.title}" does not exist here`
+                });
+            }
+        }
+
+        const slug = await this.courseCloneService.uniqueSlug(data.slug || data.title);
+        if (data.slug && slug !== data.slug) {
+            conflicts.push({
+                type: 'slug',
+                value: data.slug,
+                resolution: 'renamed',
+                newValue: slug,
+                message: `Slug "${data.slug}" is taken; the course gets "${slug}"`
+            });
+        }
+
+        return { category, prerequisites, slug, conflicts };
+    }
+
+    /**
+     * Create a draft course from a bundle. IDs of sections and lectures are
+     * regenerated and files are copied into uploads/ under new names.
+     * @param {Buffer|string} zipFile - Uploaded zip, or the path it was saved to
+     * @param {Object} user - New owner
+     * @param {Object} options - { categoryId, keepVideos, dryRun }
+     * @returns {Object} { course, conflicts, manifest, assetsImported, videosCleared }
+     */
+    async importBundle(zipFile, user, options = {}) {
+        const { manifest, course: data, assets } = this.readBundle(zipFile);
+        const { category, prerequisites, slug, conflicts } = await this.resolveConflicts(data, options);
+
+        // api.video IDs only play on the account they were uploaded to
+        const videosCleared = options.keepVideos ? 0 : (data.sections || [])
+            .reduce((sum, section) => sum + (section.lectures || [])
+                .filter(lecture => lecture.type === 'video' && lecture.video?.apiVideoId).length, 0);
+
+        if (options.dryRun) {
+            return { course: null, conflicts, manifest, assetsImported: assets.size, videosCleared };
+        }
+
+        const urlMap = new Map();
+        for (const [url, file] of assets) {
+            const folder = path.dirname(url.slice(UPLOADS_PREFIX.length));
+            const safeFolder = /^[\w-]+(\/[\w-]+)*$/.test(folder) ? folder : 'misc';
+            const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(url)}`;
+
+            await fs.promises.mkdir(path.join(UPLOADS_DIR, safeFolder), { recursive: true });
+            await fs.promises.writeFile(path.join(UPLOADS_DIR, safeFolder, filename), file);
+            urlMap.set(url, `${UPLOADS_PREFIX}${safeFolder}/${filename}`);
+        }
+
+        const content = this.courseCloneService.copyContent(
+            replaceUrls(data, urlMap),
+            BUNDLE_FIELDS,
+            { includeVideos: !!options.keepVideos }
+        );
+
+        // Course images keep their file name as public ID
+        ['thumbnail', 'banner', 'demoVideo'].forEach(field => {
+            if (content[field]?.url?.startsWith(UPLOADS_PREFIX)) content[field].publicId = path.basename(content[field].url);
+        });
+
+        const course = new Course({
+            ...content,
+            category: category?._id,
+            prerequisites,
+            slug,
+            instructor: user._id,
+            status: 'draft',
+            isPublished: false
+        });
+        try {
+            await course.save();
+        } catch (error) {
+            await Promise.all([...urlMap.values()].map(url => fs.promises.unlink(uploadPath(url)).catch(() => {})));
+            throw error;
+        }
+
+        return { course, conflicts, manifest, assetsImported: urlMap.size, videosCleared };
+    }
+}
+
+module.exports = CourseBundleService;
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+
+// Fields a clone takes over from its source. Collaborators, reviews, enrollments
+// and publishing state stay with the original.
+const CLONE_FIELDS = [
+    'description', 'shortDescription', 'category', 'level', 'language', 'price', 'originalPrice', 'currency',
+    'pricePoints', 'thumbnail', 'banner', 'demoVideo', 'certificate', 'sections', 'whatYouWillLearn',
+    'requirements', 'cohortBased', 'prerequisites', 'tags', 'metaDescription', 'metaKeywords'
+];
+
+// What a template carries; title, description, category and price come from the new course
+const TEMPLATE_FIELDS = ['level', 'language', 'certificate', 'sections', 'whatYouWillLearn', 'requirements', 'tags'];
+
+const EMPTY_VIDEO = {
+    apiVideoId: null,
+    embedUrl: null,
+    playerUrl: null,
+    thumbnailUrl: null,
+    hlsUrl: null,
+    mp4Url: null,
+    duration: 0,
+    isProcessing: false
+};
+
+// Remove subdocument IDs and timestamps so the copy gets its own
+const stripIds = (value) => {
+    if (Array.isArray(value)) return value.map(stripIds);
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.entries(value).forEach(([key, inner]) => {
+        if (!['_id', 'createdAt', 'updatedAt', '__v'].includes(key)) copy[key] = stripIds(inner);
+    });
+    return copy;
+};
+
+const slugify = (text) => text.toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .trim();
+
+class CourseCloneService {
+    /**
+     * Copy course content into plain data for a new course. Lectures get new
+     * IDs and release rules waiting on a lecture follow it to its copy.
+     * @param {Object} data - Plain course data (course.toObject() or template content)
+     * @param {string[]} fields - Fields to copy
+     * @param {Object} options - { includeVideos }
+     * @returns {Object} Course data
+     */
+    copyContent(data, fields, options = {}) {
+        const { includeVideos = true } = options;
+        const plain = JSON.parse(JSON.stringify(data));
+        const lectureIds = new Map();
+
+        const content = {};
+        fields.forEach(field => {
+            if (plain[field] !== undefined && field !== 'sections') content[field] = stripIds(plain[field]);
+        });
+        if (!plain.sections) return content;
+
+        content.sections = plain.sections.map(section => ({
+            ...stripIds({ ...section, lectures: undefined }),
+            lectures: (section.lectures || []).map(lecture => {
+                const _id = new mongoose.Types.ObjectId();
+                if (lecture._id) lectureIds.set(String(lecture._id), _id);
+
+                const copy = { _id, ...stripIds(lecture) };
+                if (!includeVideos && copy.type === 'video') {
+                    copy.video = { ...EMPTY_VIDEO };
+                    copy.duration = 0;
+                }
+                return copy;
+            })
+        }));
+
+        // A rule waiting on a lecture that was not copied would never release
+        const remapRelease = (item) => {
+            if (item.release?.type !== 'after_lecture') return;
+            const afterLecture = lectureIds.get(String(item.release.afterLecture));
+            item.release = afterLecture ? { ...item.release, afterLecture } : { type: 'immediate' };
+        };
+        content.sections.forEach(section => {
+            remapRelease(section);
+            section.lectures.forEach(remapRelease);
+        });
+
+        return content;
+    }
+
+    /**
+     * Content a new course starts with when created from a template
+     * @param {Object} template - CourseTemplate document
+     * @returns {Object} Course data
+     */
+    templateContent(template) {
+        return this.copyContent(template.content || {}, TEMPLATE_FIELDS);
+    }
+
+    /**
+     * Content saved in a template made from a course (without its videos)
+     * @param {Object} course - Course document
+     * @returns {Object} Template content
+     */
+    buildTemplateContent(course) {
+        const content = this.copyContent(course.toObject({ depopulate: true, virtuals: false }), TEMPLATE_FIELDS, {
+            includeVideos: false
+        });
+        // The signature belongs to whoever teaches the new course
+        if (content.certificate) delete content.certificate.signedBy;
+        return content;
+    }
+
+    /**
+     * A slug based on the text that no course uses yet
+     * @param {string} text - Title or slug to start from
+     * @returns {string} Slug
+     */
+    async uniqueSlug(text) {
+        const base = slugify(text) || 'course';
+        let slug = base;
+        for (let n = 2; await Course.exists({ slug }); n++) {
+            slug = `${base}-${n}`;
+        }
+        return slug;
+    }
+
+    /**
+     * Deep-copy a course into a new draft owned by the user
+     * @param {Object} source - Course document
+     * @param {Object} user - New owner
+     * @param {Object} options - { title, includeVideos = true, resetStats = true, regenerateSlug = true }
+     * @returns {Object} New course
+     */
+    async cloneCourse(source, user, options = {}) {
+        const { includeVideos = true, resetStats = true, regenerateSlug = true } = options;
+        const title = options.title || `${source.title} (Copy)`;
+
+        const course = new Course({
+            ...this.copyContent(source.toObject({ depopulate: true, virtuals: false }), CLONE_FIELDS, { includeVideos }),
+            title,
+            instructor: user._id,
+            clonedFrom: source._id,
+            status: 'draft',
+            isPublished: false
+        });
+
+        // Keeping stats is meant for a new edition replacing the original
+        if (!resetStats) {
+            course.enrolledStudents = source.enrolledStudents;
+            course.ratings = source.ratings;
+        }
+
+        // Without a new slug the copy is named after the original's, e.g. my-course-2
+        course.slug = await this.uniqueSlug(regenerateSlug ? title : (source.slug || source.title));
+
+        await course.save();
+        return course;
+    }
+}
+
+module.exports = CourseCloneService;
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRateTable = require('../models/ExchangeRateTable');
+const { formatPrice } = require('../utils/helpers');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'exchange-rates.json');
+const CACHE_TTL_MS = 60 * 1000;
+
+// Shared by every CurrencyService instance so admin updates apply everywhere
+let cachedTable = null;
+let cachedAt = 0;
+
+class CurrencyService {
+    /**
+     * Read the exchange-rate table from the local file
+     * @returns {Object} { baseCurrency, rates, rounding }
+     */
+    loadFileTable() {
+        const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return this.normalizeTable(data, 'file');
+    }
+
+    /**
+     * Current exchange-rate table (admin-managed if set, otherwise the local file)
+     * @returns {Object} { baseCurrency, rates, rounding, source }
+     */
+    async getTable() {
+        if (cachedTable && Date.now() - cachedAt < CACHE_TTL_MS) {
+            return cachedTable;
+        }
+
+        const stored = await ExchangeRateTable.findOne({ key: 'default' });
+        cachedTable = stored && stored.rates.size > 0
+            ? this.normalizeTable({
+                baseCurrency: stored.baseCurrency,
+                rates: Object.fromEntries(stored.rates),
+                rounding: stored.rounding
+            }, stored.source)
+            : this.loadFileTable();
+        cachedAt = Date.now();
+
+        return cachedTable;
+    }
+
+    clearCache() {
+        cachedTable = null;
+        cachedAt = 0;
+    }
+
+    /**
+     * Validate and normalize a rate table
+     * @param {Object} data - { baseCurrency, rates, rounding }
+     * @param {string} source - 'admin' or 'file'
+     * @returns {Object} Normalized table
+     * @throws {Error} If the table is invalid
+     */
+    normalizeTable(data, source = 'admin') {
+        const baseCurrency = String(data.baseCurrency || 'USD').toUpperCase();
+        const rates = {};
+
+        Object.entries(data.rates || {}).forEach(([code, rate]) => {
+            const currency = code.toUpperCase();
+            if (!this.isValidCurrencyCode(currency)) {
+                throw Object.assign(new Error(`Unknown currency code: ${code}`), { statusCode: 400 });
+            }
+            if (typeof rate !== 'number' || !(rate > 0)) {
+                throw Object.assign(new Error(`Rate for ${code} must be a positive number`), { statusCode: 400 });
+            }
+            rates[currency] = rate;
+        });
+
+        rates[baseCurrency] = 1;
+
+        const mode = data.rounding?.mode || 'nearest';
+        if (!['nearest', 'charm'].includes(mode)) {
+            throw Object.assign(new Error('Rounding mode must be nearest or charm'), { statusCode: 400 });
+        }
+
+        return { baseCurrency, rates, rounding: { mode }, source };
+    }
+
+    isValidCurrencyCode(code) {
+        if (!/^[A-Z]{3}$/.test(code)) return false;
+        try {
+            new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async getSupportedCurrencies() {
+        const table = await this.getTable();
+        return Object.keys(table.rates).sort();
+    }
+
+    async isSupported(currency) {
+        if (!currency) return false;
+        const table = await this.getTable();
+        return table.rates[currency.toUpperCase()] !== undefined;
+    }
+
+    /**
+     * Currency the client asked for (?currency=, X-Currency header, then profile setting)
+     * @param {Object} req - Express request
+     * @returns {string|null} Currency code or null for "course's own currency"
+     */
+    getRequestedCurrency(req) {
+        const requested = req.query.currency || req.headers['x-currency'] || req.user?.profile?.currency;
+        return requested ? String(requested).toUpperCase() : null;
+    }
+
+    // Number of decimals used by a currency (JPY: 0, USD: 2, ...)
+    getMinorUnits(currency) {
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency })
+                .resolvedOptions().maximumFractionDigits;
+        } catch (error) {
+            return 2;
+        }
+    }
+
+    /**
+     * Round an amount to the currency's minor unit (used for totals and discounts)
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {number} Rounded amount
+     */
+    roundAmount(amount, currency = 'USD') {
+        const factor = Math.pow(10, this.getMinorUnits(currency));
+        return Math.round((amount + Number.EPSILON) * factor) / factor;
+    }
+
+    /**
+     * Round a converted list price using the table's rounding mode
+     * @param {number} amount - Converted amount
+     * @param {string} currency - Currency code
+     * @param {string} mode - 'nearest' or 'charm'
+     * @returns {number} Rounded price
+     */
+    roundPrice(amount, currency, mode = 'nearest') {
+        const minorUnits = this.getMinorUnits(currency);
+        if (mode === 'charm' && minorUnits > 0 && amount >= 1) {
+            // 12.30 -> 12.99, 13.00 -> 12.99
+            return this.roundAmount(Math.ceil(amount - 0.01 + Number.EPSILON) - 0.01, currency);
+        }
+        return this.roundAmount(amount, currency);
+    }
+
+    /**
+     * Convert an amount between currencies (unrounded)
+     * @param {number} amount - Amount in `from`
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @returns {number} Amount in `to`
+     */
+    async convert(amount, from, to) {
+        if (from === to) return amount;
+
+        const table = await this.getTable();
+        const fromRate = table.rates[from];
+        const toRate = table.rates[to];
+
+        if (fromRate === undefined || toRate === undefined) {
+            throw Object.assign(new Error(`No exchange rate between ${from} and ${to}`), { statusCode: 400 });
+        }
+
+        return amount / fromRate * toRate;
+    }
+
+    /**
+     * List price of a course in a currency: explicit price point, the course's
+     * own price, or a converted and rounded price
+     * @param {Object} course - Course document
+     * @param {string} currency - Target currency
+     * @returns {Object} { amount, source: 'price_point'|'base'|'converted' }
+     */
+    async getCoursePrice(course, currency) {
+        const baseCurrency = course.currency || 'USD';
+        const basePrice = course.price || 0;
+
+        const pricePoint = (course.pricePoints || []).find(point => point.currency === currency);
+        if (pricePoint) {
+            return { amount: pricePoint.amount, source: 'price_point' };
+        }
+
+        if (currency === baseCurrency) {
+            return { amount: basePrice, source: 'base' };
+        }
+
+        // Free stays free in every currency
+        if (basePrice <= 0) {
+            return { amount: 0, source: 'converted' };
+        }
+
+        const table = await this.getTable();
+        const converted = await this.convert(basePrice, baseCurrency, currency);
+        return { amount: this.roundPrice(converted, currency, table.rounding.mode), source: 'converted' };
+    }
+
+    /**
+     * Format an amount for display
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @param {string} locale - BCP 47 locale
+     * @returns {string} Formatted price
+     */
+    format(amount, currency, locale = 'en-US') {
+        try {
+            return formatPrice(amount, currency, locale);
+        } catch (error) {
+            // Unknown locale from the client
+            return formatPrice(amount, currency);
+        }
+    }
+
+    // Locale for price display (?locale= or the first Accept-Language entry)
+    getRequestedLocale(req) {
+        const requested = req.query.locale || (req.headers['accept-language'] || '').split(',')[0].split(';')[0].trim();
+        return requested || 'en-US';
+    }
+}
+
+module.exports = CurrencyService;
@@ -0,0 +1,190 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lecture fields still shown while a lecture is locked
+const LOCKED_LECTURE_FIELDS = ['_id', 'title', 'description', 'order', 'type', 'duration', 'isPreview'];
+
+class DripService {
+    /**
+     * Release state of every section and lecture for a learner
+     * @param {Object} course - Course document
+     * @param {Object} enrollment - Learner's enrollment (null if not enrolled)
+     * @param {Date} now - Point in time to evaluate at
+     * @returns {Object[]} [{ sectionId, locked, unlockAt, lockReason, lectures: [{ lectureId, locked, unlockAt, lockReason, waitingFor }] }]
+     */
+    getSchedule(course, enrollment, now = new Date()) {
+        return (course.sections || []).map(section => {
+            const sectionLock = this.evaluateRule(section.release, course, enrollment, now);
+
+            return {
+                sectionId: section._id,
+                ...sectionLock,
+                lectures: (section.lectures || []).map(lecture => {
+                    // Previews are open to everyone, enrolled or not
+                    if (lecture.isPreview) {
+                        return { lectureId: lecture._id, ...this.unlocked() };
+                    }
+                    const lectureLock = this.evaluateRule(lecture.release, course, enrollment, now);
+                    return { lectureId: lecture._id, ...this.combine(sectionLock, lectureLock) };
+                })
+            };
+        });
+    }
+
+    /**
+     * Release state of a single lecture
+     * @param {Object} course - Course document
+     * @param {Object} enrollment - Learner's enrollment
+     * @param {number} sectionIndex - Section index
+     * @param {number} lessonIndex - Lecture index within the section
+     * @returns {Object} { locked, unlockAt, lockReason, waitingFor }
+     */
+    getLectureLock(course, enrollment, sectionIndex, lessonIndex) {
+        const schedule = this.getSchedule(course, enrollment);
+        return schedule[sectionIndex]?.lectures[lessonIndex] || this.unlocked();
+    }
+
+    /**
+     * Evaluate one release rule
+     * @returns {Object} { locked, unlockAt, lockReason, waitingFor }
+     */
+    evaluateRule(rule, course, enrollment, now) {
+        if (!rule || !rule.type || rule.type === 'immediate') {
+            return this.unlocked();
+        }
+
+        if (rule.type === 'fixed_date') {
+            if (!rule.date || new Date(rule.date) <= now) return this.unlocked();
+            return { locked: true, unlockAt: new Date(rule.date), lockReason: 'fixed_date', waitingFor: null };
+        }
+
+        if (rule.type === 'days_after_enrollment') {
+            if (!enrollment) {
+                return { locked: true, unlockAt: null, lockReason: 'enrollment_required', waitingFor: null };
+            }
+            const unlockAt = new Date(new Date(enrollment.enrolledAt).getTime() + (rule.days || 0) * DAY_MS);
+            if (unlockAt <= now) return this.unlocked();
+            return { locked: true, unlockAt, lockReason: 'days_after_enrollment', waitingFor: null };
+        }
+
+        if (rule.type === 'after_lecture') {
+            const position = this.findLecture(course, rule.afterLecture);
+            // A removed lecture can't hold anything back
+            if (!position) return this.unlocked();
+
+            const completed = (enrollment?.progress?.completedLessons || []).some(lesson =>
+                lesson.sectionIndex === position.sectionIndex && lesson.lessonIndex === position.lessonIndex);
+            if (completed) return this.unlocked();
+            return {
+                locked: true,
+                unlockAt: null,
+                lockReason: 'after_lecture',
+                waitingFor: { lectureId: position.lecture._id, title: position.lecture.title }
+            };
+        }
+
+        return this.unlocked();
+    }
+
+    /**
+     * Combine a section lock with a lecture lock; the lecture opens once both open
+     * @returns {Object} { locked, unlockAt, lockReason, waitingFor }
+     */
+    combine(sectionLock, lectureLock) {
+        const locks = [lectureLock, sectionLock].filter(lock => lock.locked);
+        if (locks.length === 0) return this.unlocked();
+
+        // Only a known date if every lock is date based
+        const unlockAt = locks.every(lock => lock.unlockAt)
+            ? new Date(Math.max(...locks.map(lock => lock.unlockAt.getTime())))
+            : null;
+
+        return {
+            locked: true,
+            unlockAt,
+            lockReason: locks[0].lockReason,
+            waitingFor: locks.find(lock => lock.waitingFor)?.waitingFor || null
+        };
+    }
+
+    /**
+     * Strip the content of locked lectures from a course returned to a learner
+     * @param {Object} courseData - Plain course object (toJSON output)
+     * @param {Object[]} schedule - Output of getSchedule
+     * @returns {Object} Course with lock metadata on every section and lecture
+     */
+    applyToCourse(courseData, schedule) {
+        courseData.sections = (courseData.sections || []).map((section, sectionIndex) => {
+            const sectionState = schedule[sectionIndex];
+            return {
+                ...section,
+                locked: sectionState.locked,
+                unlockAt: sectionState.unlockAt,
+                lockReason: sectionState.lockReason,
+                lectures: (section.lectures || []).map((lecture, lessonIndex) => {
+                    const state = sectionState.lectures[lessonIndex];
+                    const visible = state.locked
+                        ? Object.fromEntries(LOCKED_LECTURE_FIELDS.filter(field => field in lecture).map(field => [field, lecture[field]]))
+                        : lecture;
+                    return {
+                        ...visible,
+                        locked: state.locked,
+                        unlockAt: state.unlockAt,
+                        lockReason: state.lockReason,
+                        waitingFor: state.waitingFor
+                    };
+                })
+            };
+        });
+        return courseData;
+    }
+
+    /**
+     * Check a set of release rules before saving them
+     * @param {Object} course - Course document
+     * @param {Object} rule - Release rule
+     * @param {Object} position - { sectionIndex, lessonIndex } the rule is for (lessonIndex undefined for sections)
+     * @returns {string|null} Error message
+     */
+    validateRule(course, rule, position) {
+        if (!rule || rule.type === 'immediate') return null;
+
+        if (rule.type === 'days_after_enrollment' && !(rule.days >= 0)) {
+            return 'days is required for days_after_enrollment rules';
+        }
+        if (rule.type === 'fixed_date' && (!rule.date || isNaN(new Date(rule.date).getTime()))) {
+            return 'A valid date is required for fixed_date rules';
+        }
+        if (rule.type === 'after_lecture') {
+            const target = this.findLecture(course, rule.afterLecture);
+            if (!target) {
+                return 'afterLecture must be a lecture of this course';
+            }
+            // Only earlier lectures, so rules can't wait on each other
+            const isEarlier = target.sectionIndex < position.sectionIndex ||
+                (position.lessonIndex !== undefined && target.sectionIndex === position.sectionIndex &&
+                    target.lessonIndex < position.lessonIndex);
+            if (!isEarlier) {
+                return 'afterLecture must come before the section or lecture it unlocks';
+            }
+        }
+        return null;
+    }
+
+    findLecture(course, lectureId) {
+        if (!lectureId) return null;
+        for (let sectionIndex = 0; sectionIndex < (course.sections || []).length; sectionIndex++) {
+            const lectures = course.sections[sectionIndex].lectures || [];
+            const lessonIndex = lectures.findIndex(lecture => lecture._id.toString() === lectureId.toString());
+            if (lessonIndex !== -1) {
+                return { sectionIndex, lessonIndex, lecture: lectures[lessonIndex] };
+            }
+        }
+        return null;
+    }
+
+    unlocked() {
+        return { locked: false, unlockAt: null, lockReason: null, waitingFor: null };
+    }
+}
+
+module.exports = DripService;
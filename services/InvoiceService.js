@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const CurrencyService = require('./CurrencyService');
+
+const INVOICEABLE_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+class InvoiceService {
+    constructor() {
+        this.prefix = process.env.INVOICE_PREFIX || 'INV';
+        this.taxName = process.env.INVOICE_TAX_NAME || 'VAT';
+        this.taxRate = parseFloat(process.env.INVOICE_TAX_RATE || '0');
+        this.currencyService = new CurrencyService();
+    }
+
+    getSeller() {
+        return {
+            name: process.env.INVOICE_SELLER_NAME || 'AIQ Learning',
+            email: process.env.INVOICE_SELLER_EMAIL || process.env.EMAIL_FROM || 'billing@elearning.com',
+            address: process.env.INVOICE_SELLER_ADDRESS || '',
+            taxId: process.env.INVOICE_SELLER_TAX_ID || ''
+        };
+    }
+
+    /**
+     * Get the invoice for a paid order, issuing it on first use
+     * @param {string} orderId - Order ID
+     * @returns {Object} Invoice document
+     */
+    async issueForOrder(orderId) {
+        const existing = await Invoice.findOne({ order: orderId });
+        if (existing) return existing;
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            throw Object.assign(new Error('Order not found'), { statusCode: 404 });
+        }
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            throw Object.assign(new Error(`No invoice is available for a ${order.status} order`), { statusCode: 400 });
+        }
+
+        const user = await User.findById(order.user);
+        const issuedAt = new Date();
+
+        const round = amount => this.currencyService.roundAmount(amount, order.currency);
+        const lines = order.items.map(item => {
+            const unitPrice = item.originalPrice ?? item.price;
+            return {
+                course: item.course,
+                description: item.title,
+                quantity: 1,
+                unitPrice,
+                discount: round(unitPrice - item.amount),
+                total: item.amount,
+                taxAmount: this.taxFromGross(item.amount, order.currency)
+            };
+        });
+        const taxTotal = round(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+        const session = await mongoose.startSession();
+        try {
+            let invoice;
+            // Number and invoice are written together so an aborted issue leaves no gap
+            await session.withTransaction(async () => {
+                const year = issuedAt.getUTCFullYear();
+                const seq = await Counter.next(`invoice-${year}`, session);
+
+                invoice = new Invoice({
+                    invoiceNumber: `${this.prefix}-${year}-${String(seq).padStart(6, '0')}`,
+                    order: order._id,
+                    user: order.user,
+                    issuedAt,
+                    seller: this.getSeller(),
+                    buyer: {
+                        name: user?.name,
+                        email: user?.email,
+                        ...(user?.billing ? {
+                            company: user.billing.company,
+                            taxId: user.billing.taxId,
+                            address: user.billing.address,
+                            city: user.billing.city,
+                            postalCode: user.billing.postalCode,
+                            country: user.billing.country || user.profile?.country
+                        } : {})
+                    },
+                    lines,
+                    currency: order.currency,
+                    subtotal: order.subtotal,
+                    discountTotal: order.discountTotal,
+                    taxLines: this.taxRate > 0 ? [{ name: this.taxName, rate: this.taxRate, amount: taxTotal }] : [],
+                    taxTotal,
+                    total: order.total,
+                    couponCode: order.coupon?.code
+                });
+                await invoice.save({ session });
+            });
+            return invoice;
+        } catch (error) {
+            // Another request issued it first
+            if (error.code === 11000) {
+                return Invoice.findOne({ order: orderId });
+            }
+            throw error;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Render an invoice as a PDF
+     * @param {Object} invoice - Invoice document
+     * @returns {Promise<Buffer>} PDF bytes
+     */
+    renderPdf(invoice) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50 });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const money = amount => this.formatMoney(amount, invoice.currency);
+            const left = 50;
+            const right = 545;
+
+            // Seller and title
+            doc.fontSize(20).font('Helvetica-Bold').text(invoice.seller.name, left, 50);
+            doc.fontSize(9).font('Helvetica');
+            [invoice.seller.address, invoice.seller.email, invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`]
+                .filter(Boolean)
+                .forEach(line => doc.text(line));
+
+            doc.fontSize(16).font('Helvetica-Bold').text('INVOICE', 350, 50, { width: right - 350, align: 'right' });
+            doc.fontSize(9).font('Helvetica')
+                .text(`Invoice no: ${invoice.invoiceNumber}`, 350, 75, { width: right - 350, align: 'right' })
+                .text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`, { width: right - 350, align: 'right' })
+                .text(`Currency: ${invoice.currency}`, { width: right - 350, align: 'right' });
+
+            // Buyer
+            doc.moveDown(3);
+            const buyerTop = Math.max(doc.y, 140);
+            doc.fontSize(10).font('Helvetica-Bold').text('Bill to', left, buyerTop);
+            doc.fontSize(9).font('Helvetica');
+            const buyer = invoice.buyer || {};
+            [
+                buyer.company,
+                buyer.name,
+                buyer.email,
+                buyer.address,
+                [buyer.postalCode, buyer.city].filter(Boolean).join(' '),
+                buyer.country,
+                buyer.taxId && `Tax ID: ${buyer.taxId}`
+            ].filter(Boolean).forEach(line => doc.text(line));
+
+            // Line items
+            const columns = [
+                { label: 'Description', x: left, width: 245, align: 'left' },
+                { label: 'Unit price', x: 300, width: 80, align: 'right' },
+                { label: 'Discount', x: 385, width: 75, align: 'right' },
+                { label: 'Amount', x: 465, width: 80, align: 'right' }
+            ];
+            let y = doc.y + 25;
+
+            doc.fontSize(9).font('Helvetica-Bold');
+            columns.forEach(col => doc.text(col.label, col.x, y, { width: col.width, align: col.align }));
+            y += 15;
+            doc.moveTo(left, y).lineTo(right, y).stroke();
+            y += 8;
+
+            doc.font('Helvetica');
+            invoice.lines.forEach(line => {
+                const values = [
+                    line.quantity > 1 ? `${line.description} x${line.quantity}` : line.description,
+                    money(line.unitPrice),
+                    line.discount > 0 ? `-${money(line.discount)}` : '',
+                    money(line.total)
+                ];
+                const rowHeight = Math.max(doc.heightOfString(values[0], { width: columns[0].width }), 12);
+
+                if (y + rowHeight > doc.page.height - 150) {
+                    doc.addPage();
+                    y = 50;
+                }
+
+                columns.forEach((col, index) => doc.text(values[index], col.x, y, { width: col.width, align: col.align }));
+                y += rowHeight + 6;
+            });
+
+            doc.moveTo(left, y).lineTo(right, y).stroke();
+            y += 10;
+
+            // Totals
+            const totalRow = (label, value, bold = false) => {
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+                    .text(label, 300, y, { width: 160, align: 'right' })
+                    .text(value, 465, y, { width: 80, align: 'right' });
+                y += 15;
+            };
+
+            totalRow('Subtotal', money(invoice.subtotal));
+            if (invoice.discountTotal > 0) {
+                totalRow(invoice.couponCode ? `Discounts (coupon ${invoice.couponCode})` : 'Discounts', `-${money(invoice.discountTotal)}`);
+            }
+            invoice.taxLines.forEach(tax => {
+                totalRow(`Includes ${tax.name} ${tax.rate}%`, money(tax.amount));
+            });
+            totalRow('Total paid', money(invoice.total), true);
+
+            doc.fontSize(8).font('Helvetica').fillColor('#666666')
+                .text(`Thank you for learning with ${invoice.seller.name}.`, left, doc.page.height - 80, {
+                    width: right - left,
+                    align: 'center'
+                });
+
+            doc.end();
+        });
+    }
+
+    /**
+     * Email an invoice PDF to the buyer
+     * @param {Object} invoice - Invoice document
+     * @returns {boolean} Whether the email was sent
+     */
+    async sendInvoice(invoice) {
+        const user = await User.findById(invoice.user);
+        if (!user) return false;
+
+        const pdf = await this.renderPdf(invoice);
+        const sent = await emailService.sendInvoiceEmail(user, invoice, pdf);
+
+        if (sent) {
+            invoice.lastEmailedAt = new Date();
+            await invoice.save();
+        }
+        return sent;
+    }
+
+    // Tax contained in a tax-inclusive amount
+    taxFromGross(amount, currency) {
+        if (this.taxRate <= 0) return 0;
+        return this.currencyService.roundAmount(amount - amount / (1 + this.taxRate / 100), currency);
+    }
+
+    formatMoney(amount, currency) {
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    }
+}
+
+module.exports = InvoiceService;
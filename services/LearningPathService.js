@@ -0,0 +1,129 @@
+const LearningPath = require('../models/LearningPath');
+const PathEnrollment = require('../models/PathEnrollment');
+const Enrollment = require('../models/Enrollment');
+const CertificateService = require('./CertificateService');
+
+class LearningPathService {
+    constructor() {
+        this.certificateService = new CertificateService();
+    }
+
+    /**
+     * Start a learning path. Bundles have to be bought unless the learner
+     * already has every course on the path.
+     * @param {Object} user - Enrolling user
+     * @param {Object} learningPath - LearningPath document
+     * @returns {Object} { pathEnrollment, reactivated }
+     */
+    async enroll(user, learningPath) {
+        if (!learningPath.isPublished || !learningPath.isActive) {
+            throw Object.assign(new Error('Learning path is not available'), { statusCode: 400 });
+        }
+
+        const existing = await PathEnrollment.findOne({ user: user._id, learningPath: learningPath._id });
+        if (existing?.isActive) {
+            throw Object.assign(new Error('Already enrolled in this learning path'), { statusCode: 400 });
+        }
+
+        if (learningPath.price > 0) {
+            const courseIds = learningPath.courses.map(item => item.course._id || item.course);
+            const owned = await Enrollment.countDocuments({ user: user._id, course: { $in: courseIds }, isActive: true });
+            if (owned < courseIds.length) {
+                throw Object.assign(new Error('This learning path has to be purchased'), { statusCode: 402 });
+            }
+        }
+
+        if (existing) {
+            existing.isActive = true;
+            await existing.save();
+            return { pathEnrollment: existing, reactivated: true };
+        }
+
+        const pathEnrollment = await PathEnrollment.create({
+            user: user._id,
+            learningPath: learningPath._id,
+            source: 'free'
+        });
+        return { pathEnrollment, reactivated: false };
+    }
+
+    /**
+     * Find a sequenced path that keeps a course locked for the user
+     * @param {string} userId - User ID
+     * @param {string} courseId - Course ID
+     * @returns {Object|null} { learningPath, blockingCourse } or null when the course is open
+     */
+    async checkSequence(userId, courseId) {
+        const learningPaths = await this.findEnrolledPaths(userId, { 'courses.course': courseId, enforceSequence: true });
+
+        for (const learningPath of learningPaths) {
+            const progress = await learningPath.getProgressForUser(userId);
+            const entry = progress.courses.find(item => item.course._id.toString() === courseId.toString());
+            if (!entry?.locked) continue;
+
+            const blocking = progress.courses.find(item => !item.isOptional && !item.completed);
+            return {
+                learningPath: { _id: learningPath._id, title: learningPath.title },
+                blockingCourse: { _id: blocking.course._id, title: blocking.course.title }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Record path completion (and issue path certificates) after the user
+     * completes a course (errors are logged, not thrown)
+     * @param {string} userId - User ID
+     * @param {string} courseId - Completed course ID
+     * @returns {Object[]} Newly issued certificates
+     */
+    async handleCourseCompleted(userId, courseId) {
+        const issued = [];
+        try {
+            const learningPaths = await this.findEnrolledPaths(userId, { 'courses.course': courseId }, { completedAt: null });
+
+            for (const learningPath of learningPaths) {
+                const progress = await learningPath.getProgressForUser(userId);
+                if (!progress.completed) continue;
+
+                if (learningPath.certificate.enabled) {
+                    const result = await this.certificateService.generatePathCertificate(userId, learningPath._id);
+                    if (result.success) {
+                        issued.push(result.certificate);
+                        continue;
+                    }
+                }
+
+                await PathEnrollment.updateOne(
+                    { user: userId, learningPath: learningPath._id, completedAt: null },
+                    { $set: { completedAt: progress.completedAt || new Date() } }
+                );
+            }
+        } catch (error) {
+            console.error('Learning path completion error:', error);
+        }
+        return issued;
+    }
+
+    /**
+     * Active learning paths the user is enrolled in
+     * @param {string} userId - User ID
+     * @param {Object} pathFilter - Extra LearningPath filter
+     * @param {Object} enrollmentFilter - Extra PathEnrollment filter
+     * @returns {Object[]} LearningPath documents with course titles
+     */
+    async findEnrolledPaths(userId, pathFilter = {}, enrollmentFilter = {}) {
+        const pathEnrollments = await PathEnrollment.find({ user: userId, isActive: true, ...enrollmentFilter })
+            .select('learningPath');
+        if (pathEnrollments.length === 0) return [];
+
+        return LearningPath.find({
+            ...pathFilter,
+            _id: { $in: pathEnrollments.map(item => item.learningPath) },
+            isActive: true
+        }).populate('courses.course', 'title');
+    }
+}
+
+module.exports = LearningPathService;
@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const RevenueShareRule = require('../models/RevenueShareRule');
+const Payout = require('../models/Payout');
+const Course = require('../models/Course');
+const CurrencyService = require('./CurrencyService');
+
+// Share percentages keep two decimals whatever the currency
+const roundPercent = (percent) => Math.round(percent * 100) / 100;
+
+class LedgerService {
+    constructor() {
+        this.defaultShare = parseFloat(process.env.INSTRUCTOR_REVENUE_SHARE || '70');
+        // Instructor funds stay pending for as long as a learner can ask for a refund
+        this.holdDays = parseInt(process.env.INSTRUCTOR_PAYOUT_HOLD_DAYS || process.env.REFUND_WINDOW_DAYS || '30', 10);
+        this.currencyService = new CurrencyService();
+    }
+
+    /**
+     * Resolve the instructor share for a course (course > instructor > default rule)
+     * @param {string} courseId - Course ID
+     * @param {string} instructorId - Instructor ID
+     * @param {Object} session - Optional mongoose session
+     * @returns {number} Instructor percentage
+     */
+    async getInstructorShare(courseId, instructorId, session = null) {
+        const rules = await RevenueShareRule.find({
+            isActive: true,
+            $or: [
+                { scope: 'course', course: courseId },
+                { scope: 'instructor', instructor: instructorId },
+                { scope: 'default' }
+            ]
+        }).sort({ updatedAt: -1 }).session(session);
+
+        const rule = rules.find(r => r.scope === 'course') ||
+            rules.find(r => r.scope === 'instructor') ||
+            rules.find(r => r.scope === 'default');
+
+        return rule ? rule.instructorPercent : this.defaultShare;
+    }
+
+    /**
+     * Split a paid order between platform and instructors (idempotent). The
+     * instructor share of a course is divided between its owner and the
+     * collaborators given a revenue share; the owner keeps the remainder.
+     * @param {Object} order - Paid order document
+     * @param {Object} session - Optional mongoose session
+     * @returns {Object|null} Ledger transaction
+     */
+    async recordSale(order, session = null) {
+        if (order.total <= 0) return null;
+
+        const idempotencyKey = `sale:${order._id}`;
+        const existing = await LedgerTransaction.findOne({ idempotencyKey }).session(session);
+        if (existing) return existing;
+
+        const round = amount => this.currencyService.roundAmount(amount, order.currency);
+        const paidAt = order.payment.paidAt || new Date();
+        const availableAt = new Date(paidAt.getTime() + this.holdDays * 24 * 60 * 60 * 1000);
+        const entries = [{ account: 'platform_cash', debit: order.total }];
+
+        const courses = await Course.find({ _id: { $in: order.items.map(item => item.course).filter(Boolean) } })
+            .select('collaborators')
+            .session(session);
+
+        for (const item of order.items) {
+            if (item.amount <= 0) continue;
+
+            if (!item.instructor) {
+                entries.push({ account: 'platform_revenue', course: item.course, orderItem: item._id, credit: item.amount });
+                continue;
+            }
+
+            const sharePercent = await this.getInstructorShare(item.course, item.instructor, session);
+            const instructorAmount = round(item.amount * sharePercent / 100);
+
+            const course = courses.find(c => c._id.toString() === item.course?.toString());
+            const collaborators = (course?.collaborators || []).filter(c => c.revenueShare > 0);
+            let ownerAmount = instructorAmount;
+            let ownerPercent = sharePercent;
+
+            for (const collaborator of collaborators) {
+                // Rounding never takes more than is left
+                const amount = Math.min(round(instructorAmount * collaborator.revenueShare / 100), ownerAmount);
+                const percent = roundPercent(sharePercent * collaborator.revenueShare / 100);
+                ownerAmount = round(ownerAmount - amount);
+                ownerPercent = roundPercent(ownerPercent - percent);
+
+                entries.push({
+                    account: 'instructor_payable',
+                    instructor: collaborator.user,
+                    course: item.course,
+                    orderItem: item._id,
+                    credit: amount,
+                    sharePercent: percent,
+                    availableAt
+                });
+            }
+
+            entries.push({
+                account: 'instructor_payable',
+                instructor: item.instructor,
+                course: item.course,
+                orderItem: item._id,
+                credit: ownerAmount,
+                sharePercent: ownerPercent,
+                availableAt
+            });
+            entries.push({
+                account: 'platform_revenue',
+                course: item.course,
+                orderItem: item._id,
+                credit: round(item.amount - instructorAmount),
+                sharePercent
+            });
+        }
+
+        const transaction = new LedgerTransaction({
+            type: 'sale',
+            idempotencyKey,
+            currency: order.currency,
+            order: order._id,
+            description: `Order ${order.orderNumber}`,
+            entries,
+            occurredAt: paidAt
+        });
+        await transaction.save({ session });
+
+        return transaction;
+    }
+
+    /**
+     * Reverse the sale entries of refunded order items (idempotent)
+     * @param {Object} refund - Approved refund document
+     * @param {Object} order - Order document
+     * @param {Object} session - Optional mongoose session
+     * @returns {Object|null} Ledger transaction
+     */
+    async recordRefund(refund, order, session = null) {
+        if (refund.amount <= 0) return null;
+
+        const idempotencyKey = `refund:${refund._id}`;
+        const existing = await LedgerTransaction.findOne({ idempotencyKey }).session(session);
+        if (existing) return existing;
+
+        const sale = await LedgerTransaction.findOne({ idempotencyKey: `sale:${order._id}` }).session(session);
+        if (!sale) return null;
+
+        const round = amount => this.currencyService.roundAmount(amount, refund.currency);
+        const entries = [{ account: 'platform_cash', credit: refund.amount }];
+
+        refund.items.forEach(item => {
+            if (item.amount <= 0) return;
+
+            // The owner's entry plus one per collaborator with a revenue share
+            const instructorEntries = sale.entries.filter(entry =>
+                entry.account === 'instructor_payable' && entry.orderItem?.toString() === item.orderItem.toString());
+            let instructorAmount = 0;
+
+            instructorEntries.forEach(instructorEntry => {
+                instructorAmount = round(instructorAmount + instructorEntry.credit);
+                // Same availableAt as the sale, so refunds inside the hold period reduce pending funds
+                entries.push({
+                    account: 'instructor_payable',
+                    instructor: instructorEntry.instructor,
+                    course: item.course,
+                    orderItem: item.orderItem,
+                    debit: instructorEntry.credit,
+                    sharePercent: instructorEntry.sharePercent,
+                    availableAt: instructorEntry.availableAt
+                });
+            });
+            entries.push({
+                account: 'platform_revenue',
+                course: item.course,
+                orderItem: item.orderItem,
+                debit: round(item.amount - instructorAmount)
+            });
+        });
+
+        const transaction = new LedgerTransaction({
+            type: 'refund',
+            idempotencyKey,
+            currency: refund.currency,
+            order: order._id,
+            refund: refund._id,
+            description: `Refund for order ${order.orderNumber}`,
+            entries,
+            occurredAt: refund.review?.reviewedAt || new Date()
+        });
+        await transaction.save({ session });
+
+        return transaction;
+    }
+
+    /**
+     * Record money paid out to an instructor (idempotent)
+     * @param {Object} payout - Payout document
+     * @param {Object} session - Optional mongoose session
+     * @returns {Object} Ledger transaction
+     */
+    async recordPayout(payout, session = null) {
+        const idempotencyKey = `payout:${payout._id}`;
+        const existing = await LedgerTransaction.findOne({ idempotencyKey }).session(session);
+        if (existing) return existing;
+
+        const now = new Date();
+        const transaction = new LedgerTransaction({
+            type: 'payout',
+            idempotencyKey,
+            currency: payout.currency,
+            payout: payout._id,
+            description: `Payout to instructor${payout.reference ? ` (${payout.reference})` : ''}`,
+            entries: [
+                { account: 'instructor_payable', instructor: payout.instructor, debit: payout.amount, availableAt: now },
+                { account: 'platform_cash', credit: payout.amount }
+            ],
+            occurredAt: now
+        });
+        await transaction.save({ session });
+
+        return transaction;
+    }
+
+    /**
+     * Instructor balances per currency
+     * @param {string} instructorId - Instructor ID
+     * @param {Object} session - Optional mongoose session
+     * @returns {Object[]} [{ currency, pending, available, reserved, withdrawable, lifetimeEarnings, refunded, paidOut }]
+     */
+    async getInstructorBalances(instructorId, session = null) {
+        const instructor = new mongoose.Types.ObjectId(instructorId);
+        const now = new Date();
+        const net = { $subtract: ['$entries.credit', '$entries.debit'] };
+
+        const totals = await LedgerTransaction.aggregate([
+            { $match: { 'entries.instructor': instructor } },
+            { $unwind: '$entries' },
+            { $match: { 'entries.account': 'instructor_payable', 'entries.instructor': instructor } },
+            {
+                $group: {
+                    _id: '$currency',
+                    pending: { $sum: { $cond: [{ $gt: ['$entries.availableAt', now] }, net, 0] } },
+                    available: { $sum: { $cond: [{ $gt: ['$entries.availableAt', now] }, 0, net] } },
+                    lifetimeEarnings: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$entries.credit', 0] } },
+                    refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$entries.debit', 0] } },
+                    paidOut: { $sum: { $cond: [{ $eq: ['$type', 'payout'] }, '$entries.debit', 0] } }
+                }
+            }
+        ]).session(session);
+
+        // Requested payouts are reserved until an admin settles them
+        const reservedTotals = await Payout.aggregate([
+            { $match: { instructor, status: 'requested' } },
+            { $group: { _id: '$currency', reserved: { $sum: '$amount' } } }
+        ]).session(session);
+
+        const currencies = new Set([...totals.map(t => t._id), ...reservedTotals.map(r => r._id)]);
+
+        return [...currencies].map(currency => {
+            const total = totals.find(t => t._id === currency) || {};
+            const reserved = (reservedTotals.find(r => r._id === currency) || {}).reserved || 0;
+            const round = amount => this.currencyService.roundAmount(amount, currency);
+            const available = round(total.available || 0);
+
+            return {
+                currency,
+                pending: round(total.pending || 0),
+                available,
+                reserved: round(reserved),
+                withdrawable: round(Math.max(available - reserved, 0)),
+                balance: round((total.pending || 0) + (total.available || 0)),
+                lifetimeEarnings: round(total.lifetimeEarnings || 0),
+                refunded: round(total.refunded || 0),
+                paidOut: round(total.paidOut || 0)
+            };
+        });
+    }
+
+    /**
+     * Monthly statements for an instructor
+     * @param {string} instructorId - Instructor ID
+     * @param {Object} options - { year }
+     * @returns {Object[]} [{ month, currency, sales, salesCount, refunds, payouts, net, closingBalance }]
+     */
+    async getMonthlyStatements(instructorId, options = {}) {
+        const instructor = new mongoose.Types.ObjectId(instructorId);
+
+        const months = await LedgerTransaction.aggregate([
+            { $match: { 'entries.instructor': instructor } },
+            { $unwind: '$entries' },
+            { $match: { 'entries.account': 'instructor_payable', 'entries.instructor': instructor } },
+            {
+                $group: {
+                    _id: {
+                        month: { $dateToString: { format: '%Y-%m', date: '$occurredAt' } },
+                        currency: '$currency'
+                    },
+                    sales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$entries.credit', 0] } },
+                    salesCount: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, 1, 0] } },
+                    refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$entries.debit', 0] } },
+                    payouts: { $sum: { $cond: [{ $eq: ['$type', 'payout'] }, '$entries.debit', 0] } },
+                    adjustments: {
+                        $sum: {
+                            $cond: [{ $eq: ['$type', 'adjustment'] }, { $subtract: ['$entries.credit', '$entries.debit'] }, 0]
+                        }
+                    }
+                }
+            },
+            { $sort: { '_id.month': 1 } }
+        ]);
+
+        // Running balance per currency, computed over the full history
+        const running = {};
+        const statements = months.map(({ _id, sales, salesCount, refunds, payouts, adjustments }) => {
+            const net = sales - refunds + adjustments;
+            running[_id.currency] = (running[_id.currency] || 0) + net - payouts;
+            const round = amount => this.currencyService.roundAmount(amount, _id.currency);
+
+            return {
+                month: _id.month,
+                currency: _id.currency,
+                sales: round(sales),
+                salesCount,
+                refunds: round(refunds),
+                adjustments: round(adjustments),
+                net: round(net),
+                payouts: round(payouts),
+                closingBalance: round(running[_id.currency])
+            };
+        });
+
+        return options.year
+            ? statements.filter(statement => statement.month.startsWith(`${options.year}-`))
+            : statements;
+    }
+
+    /**
+     * Ledger lines for one instructor in a month
+     * @param {string} instructorId - Instructor ID
+     * @param {string} month - YYYY-MM
+     * @returns {Object[]} Instructor entries with their transaction context
+     */
+    async getStatementLines(instructorId, month) {
+        const instructor = new mongoose.Types.ObjectId(instructorId);
+        const [year, monthIndex] = month.split('-').map(Number);
+        const start = new Date(Date.UTC(year, monthIndex - 1, 1));
+        const end = new Date(Date.UTC(year, monthIndex, 1));
+
+        const transactions = await LedgerTransaction.find({
+            'entries.instructor': instructor,
+            occurredAt: { $gte: start, $lt: end }
+        })
+            .populate('order', 'orderNumber')
+            .populate('entries.course', 'title')
+            .sort({ occurredAt: 1 });
+
+        return transactions.flatMap(transaction => transaction.entries
+            .filter(entry => entry.account === 'instructor_payable' && entry.instructor?.toString() === instructorId.toString())
+            .map(entry => ({
+                type: transaction.type,
+                occurredAt: transaction.occurredAt,
+                currency: transaction.currency,
+                order: transaction.order,
+                course: entry.course,
+                amount: this.currencyService.roundAmount(entry.credit - entry.debit, transaction.currency),
+                sharePercent: entry.sharePercent,
+                availableAt: entry.availableAt,
+                description: transaction.description
+            })));
+    }
+}
+
+module.exports = LedgerService;
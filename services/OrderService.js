@@ -0,0 +1,434 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const PathEnrollment = require('../models/PathEnrollment');
+const PricingService = require('./PricingService');
+const LedgerService = require('./LedgerService');
+const InvoiceService = require('./InvoiceService');
+const RedemptionService = require('./RedemptionService');
+const PrerequisiteService = require('./PrerequisiteService');
+const { getPaymentProvider } = require('./payments');
+
+class OrderService {
+    constructor() {
+        this.pricingService = new PricingService();
+        this.ledgerService = new LedgerService();
+        this.invoiceService = new InvoiceService();
+        this.redemptionService = new RedemptionService();
+        this.prerequisiteService = new PrerequisiteService();
+    }
+
+    /**
+     * Split the requested cart courses into free and priced items
+     * @param {string} userId - User ID
+     * @param {string[]} courseIds - Optional subset of the cart to check out
+     * @returns {Object} { freeCourses, paidCourses, alreadyEnrolled, unavailable, prerequisitesMissing }
+     */
+    async prepareCart(userId, courseIds = null) {
+        const user = await User.findById(userId);
+        const cartIds = (user.learner?.cart || []).map(id => id.toString());
+        const requestedIds = courseIds ? courseIds.filter(id => cartIds.includes(id.toString())) : cartIds;
+
+        const courses = await Course.find({ _id: { $in: requestedIds } });
+        const activeEnrollments = await Enrollment.find({
+            user: userId,
+            course: { $in: requestedIds },
+            isActive: true
+        }).select('course');
+        const enrolledIds = activeEnrollments.map(e => e.course.toString());
+
+        const result = { freeCourses: [], paidCourses: [], alreadyEnrolled: [], unavailable: [], prerequisitesMissing: [] };
+        const pricedCourses = await this.pricingService.priceCourses(courses);
+
+        requestedIds.forEach(id => {
+            const priced = pricedCourses.find(item => item.course._id.toString() === id.toString());
+            const course = priced?.course;
+            if (!course || !course.isPublished || !course.isActive) {
+                result.unavailable.push(id);
+            } else if (enrolledIds.includes(id.toString())) {
+                result.alreadyEnrolled.push(course);
+            } else if (priced.price <= 0) {
+                // Free, or free for the duration of a sale
+                result.freeCourses.push(course);
+            } else {
+                result.paidCourses.push(course);
+            }
+        });
+
+        // Courses the learner can't take yet stay in the cart
+        for (const key of ['freeCourses', 'paidCourses']) {
+            const allowed = [];
+            for (const course of result[key]) {
+                const prerequisites = await this.prerequisiteService.check(userId, course);
+                if (prerequisites.met) {
+                    allowed.push(course);
+                } else {
+                    result.prerequisitesMissing.push({ course: course._id, missing: prerequisites.missing });
+                }
+            }
+            result[key] = allowed;
+        }
+
+        return result;
+    }
+
+    /**
+     * Create a pending order for priced courses and start the payment
+     * @param {string} userId - User ID
+     * @param {Object[]} courses - Course documents
+     * @param {Object} options - { couponCode, currency, kind, gift }
+     * @returns {Object} Saved order (already fulfilled if nothing is left to pay or the provider captured immediately)
+     */
+    async createOrder(userId, courses, options = {}) {
+        // Promotions, coupon and exchange rates are re-applied here, whatever the cart showed earlier
+        const pricing = await this.pricingService.priceCart(userId, courses, options.couponCode, {
+            currency: options.currency
+        });
+        if (pricing.couponError) {
+            throw Object.assign(new Error(pricing.couponError), { statusCode: 400 });
+        }
+        const { currency } = pricing;
+
+        const items = pricing.items.map(item => ({
+            course: item.course._id,
+            title: item.course.title,
+            instructor: item.course.instructor,
+            originalPrice: item.listPrice,
+            price: item.price,
+            promotion: item.promotion ? item.promotion._id : undefined,
+            couponDiscount: item.couponDiscount,
+            amount: this.pricingService.currencyService.roundAmount(item.price - item.couponDiscount, currency)
+        }));
+
+        // Only paid orders need a provider (none may be configured)
+        const provider = pricing.total > 0 ? getPaymentProvider() : null;
+        const order = new Order({
+            user: userId,
+            items,
+            subtotal: pricing.subtotal,
+            discountTotal: pricing.discountTotal,
+            total: pricing.total,
+            currency,
+            coupon: pricing.coupon ? {
+                couponId: pricing.coupon.couponId,
+                code: pricing.coupon.code,
+                discount: pricing.coupon.discount
+            } : undefined,
+            kind: options.kind || 'self',
+            gift: options.gift,
+            payment: { provider: provider ? provider.name : 'none' }
+        });
+        order.setStatus('pending', order.kind === 'self' ? 'Order created from cart' : `${order.kind} order created`);
+
+        // Hold one of the coupon's redemptions while the order is pending
+        if (order.coupon?.couponId) {
+            await this.reserveCoupon(order);
+        }
+
+        try {
+            await order.save();
+        } catch (error) {
+            if (order.coupon?.reserved) {
+                await Coupon.updateOne({ _id: order.coupon.couponId }, { $inc: { redemptionCount: -1 } });
+            }
+            throw error;
+        }
+
+        return this.startPayment(order, provider);
+    }
+
+    /**
+     * Create a pending order for a learning path at its bundle price
+     * @param {string} userId - User ID
+     * @param {Object} learningPath - LearningPath with courses.course populated
+     * @param {Object} options - { currency }
+     * @returns {Object} Saved order
+     */
+    async createBundleOrder(userId, learningPath, options = {}) {
+        const pricing = await this.pricingService.priceLearningPath(learningPath, { currency: options.currency });
+        const { currency } = pricing;
+
+        const items = pricing.items.map(item => ({
+            course: item.course._id,
+            title: item.course.title,
+            instructor: item.course.instructor,
+            originalPrice: item.listPrice,
+            price: item.price,
+            learningPath: learningPath._id,
+            couponDiscount: 0,
+            amount: item.price
+        }));
+
+        // Only paid orders need a provider (none may be configured)
+        const provider = pricing.total > 0 ? getPaymentProvider() : null;
+        const order = new Order({
+            user: userId,
+            items,
+            subtotal: pricing.subtotal,
+            discountTotal: pricing.discountTotal,
+            total: pricing.total,
+            currency,
+            payment: { provider: provider ? provider.name : 'none' }
+        });
+        order.setStatus('pending', `Order created for learning path "${learningPath.title}"`);
+        await order.save();
+
+        return this.startPayment(order, provider);
+    }
+
+    /**
+     * Take one redemption of the order's coupon, atomically so parallel
+     * checkouts cannot go past maxRedemptions
+     * @param {Object} order - Unsaved order with coupon.couponId
+     */
+    async reserveCoupon(order) {
+        const coupon = await Coupon.findOneAndUpdate(
+            {
+                _id: order.coupon.couponId,
+                $or: [
+                    { maxRedemptions: null },
+                    { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+                ]
+            },
+            { $inc: { redemptionCount: 1 } }
+        );
+        if (!coupon) {
+            throw Object.assign(new Error('Coupon is invalid or expired'), { statusCode: 400 });
+        }
+        order.coupon.reserved = true;
+    }
+
+    /**
+     * Give back the redemption a pending order held, once it is canceled or
+     * fails (does nothing if it was already given back)
+     * @param {Object} order - Order
+     */
+    async releaseCoupon(order) {
+        if (!order.coupon?.couponId) return;
+
+        const released = await Order.updateOne(
+            { _id: order._id, 'coupon.reserved': true },
+            { $set: { 'coupon.reserved': false } }
+        );
+        if (!released.modifiedCount) return;
+
+        order.coupon.reserved = false;
+        await Coupon.updateOne(
+            { _id: order.coupon.couponId, redemptionCount: { $gt: 0 } },
+            { $inc: { redemptionCount: -1 } }
+        );
+    }
+
+    /**
+     * Start the payment for a saved pending order
+     * @param {Object} order - Pending order
+     * @param {Object} provider - Payment provider
+     * @returns {Object} Order, fulfilled if nothing is left to pay or the provider captured immediately
+     */
+    async startPayment(order, provider) {
+        if (order.total <= 0) {
+            return this.markPaid(order._id, 'Fully discounted, no payment required');
+        }
+
+        const payment = await provider.createPayment(order);
+        order.payment.providerPaymentId = payment.providerPaymentId;
+        order.payment.clientData = payment.clientData;
+        await order.save();
+
+        if (payment.status === 'succeeded') {
+            return this.markPaid(order._id, 'Payment captured at checkout');
+        }
+        if (payment.status === 'failed') {
+            return this.markFailed(order._id, payment.failureReason || 'Payment declined');
+        }
+
+        return order;
+    }
+
+    /**
+     * Mark an order paid and enroll the buyer in every item, or issue
+     * redemption codes for gift/team orders (idempotent)
+     * @param {string} orderId - Order ID
+     * @param {string} note - History note
+     * @returns {Object} Updated order
+     */
+    async markPaid(orderId, note = 'Payment confirmed') {
+        const session = await mongoose.startSession();
+        let order;
+        let justPaid = false;
+        let canceled = false;
+        try {
+            await session.withTransaction(async () => {
+                justPaid = false;
+                order = await Order.findById(orderId).session(session);
+                // Already settled (a late duplicate confirmation must not undo a refund)
+                if (!order || ['paid', 'partially_refunded', 'refunded'].includes(order.status)) return;
+
+                // The buyer or an admin gave up on the order: nothing is fulfilled
+                // and the money goes back (below)
+                canceled = order.status === 'canceled';
+                if (canceled) return;
+
+                // A captured payment wins over a failure recorded before it arrived
+                order.setStatus('paid', note);
+                order.payment.paidAt = new Date();
+                // The coupon redemption was reserved at checkout, unless the failure gave it back
+                const retakeCoupon = !!order.coupon?.couponId && !order.coupon.reserved;
+                if (retakeCoupon) order.coupon.reserved = true;
+                await order.save({ session });
+
+                if (order.kind === 'self') {
+                    for (const item of order.items) {
+                        await Enrollment.enrollUser(order.user, item.course, {
+                            source: 'purchase',
+                            order: order._id,
+                            session
+                        });
+                    }
+
+                    // Bundles also start (or reactivate) the learning path
+                    const pathIds = new Set(order.items.filter(item => item.learningPath).map(item => item.learningPath.toString()));
+                    for (const pathId of pathIds) {
+                        await PathEnrollment.findOneAndUpdate(
+                            { user: order.user, learningPath: pathId },
+                            {
+                                $set: { source: 'purchase', order: order._id, isActive: true },
+                                $setOnInsert: { enrolledAt: new Date() }
+                            },
+                            { upsert: true, session }
+                        );
+                    }
+                } else {
+                    await this.redemptionService.issueForOrder(order, session);
+                }
+
+                // Split the revenue between platform and instructors
+                await this.ledgerService.recordSale(order, session);
+
+                if (retakeCoupon) {
+                    await Coupon.findByIdAndUpdate(order.coupon.couponId, {
+                        $inc: { redemptionCount: 1 }
+                    }, { session });
+                }
+
+                // Purchased courses (and a used coupon) leave the cart
+                if (order.kind === 'self') {
+                    const cartUpdate = {
+                        $pull: { 'learner.cart': { $in: order.items.map(item => item.course) } }
+                    };
+                    if (order.coupon?.code) {
+                        cartUpdate.$unset = { 'learner.cartCoupon': '' };
+                    }
+                    await User.findByIdAndUpdate(order.user, cartUpdate, { session });
+                }
+                justPaid = true;
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (canceled) {
+            return this.refundCanceledPayment(order, note);
+        }
+
+        // Receipt goes out in the background; checkout and webhooks don't wait for PDF/SMTP
+        if (justPaid) {
+            this.sendReceipt(order._id);
+            if (order.kind !== 'self') {
+                this.redemptionService.sendOrderCodes(order._id);
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Refund a payment captured after its order was canceled. The order stays
+     * canceled; a duplicate confirmation does not refund twice.
+     * @param {Object} order - Canceled order
+     * @param {string} note - Note of the confirmation that arrived
+     * @returns {Object} Updated order
+     */
+    async refundCanceledPayment(order, note) {
+        const claimed = await Order.findOneAndUpdate(
+            { _id: order._id, status: 'canceled', 'payment.autoRefundedAt': null },
+            { $set: { 'payment.autoRefundedAt': new Date() } },
+            { new: true }
+        );
+        if (!claimed) return Order.findById(order._id);
+
+        try {
+            const result = await getPaymentProvider(claimed.payment.provider).refundPayment(claimed, claimed.total);
+            if (result.status === 'failed') {
+                throw new Error(result.failureReason || 'Refund declined');
+            }
+            claimed.payment.autoRefundId = result.providerRefundId;
+            claimed.history.push({ status: 'canceled', note: `${note} after cancellation; payment refunded automatically` });
+        } catch (error) {
+            console.error(`Refund canceled order ${claimed.orderNumber} error:`, error);
+            claimed.history.push({ status: 'canceled', note: `${note} after cancellation; automatic refund failed (${error.message}), refund it manually` });
+        }
+
+        await claimed.save();
+        return claimed;
+    }
+
+    /**
+     * Issue the invoice for a paid order and email it (errors are logged, not thrown)
+     * @param {string} orderId - Order ID
+     */
+    async sendReceipt(orderId) {
+        try {
+            const invoice = await this.invoiceService.issueForOrder(orderId);
+            await this.invoiceService.sendInvoice(invoice);
+        } catch (error) {
+            console.error('Send receipt error:', error);
+        }
+    }
+
+    /**
+     * Mark a pending order as failed
+     * @param {string} orderId - Order ID
+     * @param {string} reason - Failure reason from the provider
+     * @returns {Object} Updated order
+     */
+    async markFailed(orderId, reason = 'Payment failed') {
+        const order = await Order.findById(orderId);
+        if (!order || order.status !== 'pending') return order;
+
+        order.setStatus('failed', reason);
+        order.payment.failureReason = reason;
+        await order.save();
+
+        await this.releaseCoupon(order);
+        return order;
+    }
+
+    /**
+     * Apply a verified provider webhook event
+     * @param {string} providerName - Provider the event came from
+     * @param {Object} event - { type, providerPaymentId, reason }
+     * @returns {Object|null} Affected order
+     */
+    async handlePaymentEvent(providerName, event) {
+        const order = await Order.findOne({
+            'payment.provider': providerName,
+            'payment.providerPaymentId': event.providerPaymentId
+        });
+
+        if (!order) return null;
+
+        if (event.type === 'payment.succeeded') {
+            return this.markPaid(order._id, `Payment confirmed by ${providerName} webhook`);
+        }
+        if (event.type === 'payment.failed') {
+            return this.markFailed(order._id, event.reason || 'Payment failed');
+        }
+
+        return order;
+    }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const SeatPool = require('../models/SeatPool');
+const SeatAssignment = require('../models/SeatAssignment');
+const Enrollment = require('../models/Enrollment');
+const Subscription = require('../models/Subscription');
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const Plan = require('../models/Plan');
+const SubscriptionService = require('./SubscriptionService');
+const PrerequisiteService = require('./PrerequisiteService');
+const CohortService = require('./CohortService');
+
+class OrganizationService {
+    constructor() {
+        this.subscriptionService = new SubscriptionService();
+        this.prerequisiteService = new PrerequisiteService();
+        this.cohortService = new CohortService();
+    }
+
+    /**
+     * Add a newly registered user to the organization that owns their email
+     * domain. The membership stays pending until the address is verified.
+     * @param {Object} user - User document
+     * @returns {Object|null} Membership, or null when no organization matches
+     */
+    async joinByDomain(user) {
+        const organization = await Organization.findByEmailDomain(user.email);
+        if (!organization) return null;
+
+        // Keeps an earlier membership as it is (a removed member is not re-added)
+        return OrganizationMember.findOneAndUpdate(
+            { organization: organization._id, user: user._id },
+            {
+                $setOnInsert: {
+                    role: 'member',
+                    status: user.isEmailVerified ? 'active' : 'pending',
+                    joinedVia: 'domain',
+                    joinedAt: new Date()
+                }
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Activate domain memberships once the user has verified their email
+     * @param {string} userId - User ID
+     * @returns {number} Memberships activated
+     */
+    async activatePending(userId) {
+        const result = await OrganizationMember.updateMany(
+            { user: userId, status: 'pending' },
+            { $set: { status: 'active', joinedAt: new Date() } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Add a user to an organization, or change the role of a current member
+     * @param {Object} organization - Organization document
+     * @param {Object} user - User document
+     * @param {string} role - 'member' or 'admin'
+     * @returns {Object} Membership
+     */
+    async addMember(organization, user, role = 'member') {
+        return OrganizationMember.findOneAndUpdate(
+            { organization: organization._id, user: user._id },
+            {
+                $set: { role, status: 'active', joinedVia: 'admin', joinedAt: new Date() },
+                $unset: { removedAt: '' }
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+    }
+
+    /**
+     * Remove a member and reclaim every seat they hold
+     * @param {Object} organization - Organization document
+     * @param {string} userId - User ID
+     * @param {string} removedBy - Acting user ID
+     * @returns {Object} { membership, seatsReclaimed }
+     */
+    async removeMember(organization, userId, removedBy) {
+        const membership = await OrganizationMember.findOne({
+            organization: organization._id,
+            user: userId,
+            status: { $ne: 'removed' }
+        });
+        if (!membership) {
+            throw Object.assign(new Error('Member not found'), { statusCode: 404 });
+        }
+
+        const assignments = await SeatAssignment.find({ organization: organization._id, user: userId, status: 'active' });
+        for (const assignment of assignments) {
+            await this.reclaimSeat(assignment, removedBy);
+        }
+
+        membership.status = 'removed';
+        membership.removedAt = new Date();
+        await membership.save();
+
+        return { membership, seatsReclaimed: assignments.length };
+    }
+
+    /**
+     * Whether the user administers the organization
+     * @param {string} organizationId - Organization ID
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    async isOrganizationAdmin(organizationId, userId) {
+        return !!await OrganizationMember.exists({
+            organization: organizationId,
+            user: userId,
+            role: 'admin',
+            status: 'active'
+        });
+    }
+
+    /**
+     * Check a seat pool before it is created or changed
+     * @param {Object} pool - SeatPool document (unsaved changes applied)
+     * @returns {string|null} Error message
+     */
+    async checkPool(pool) {
+        if (pool.kind === 'course') {
+            const course = await Course.findById(pool.course).select('isPublished');
+            if (!course || !course.isPublished) return 'Course not found or not published';
+        } else {
+            const plan = await Plan.findById(pool.plan).select('isActive');
+            if (!plan) return 'Plan not found';
+        }
+        if (pool.seats < pool.assignedCount) {
+            return `Seats cannot be lower than the ${pool.assignedCount} already assigned`;
+        }
+        if (pool.isNew && pool.expiresAt && pool.expiresAt <= new Date()) {
+            return 'Expiry date must be in the future';
+        }
+        return null;
+    }
+
+    /**
+     * Save seat pool changes; plan seats already handed out follow a new expiry date
+     * @param {Object} pool - SeatPool document with changes applied
+     * @returns {Object} Saved pool
+     */
+    async updatePool(pool) {
+        const expiryChanged = pool.kind === 'plan' && pool.isModified('expiresAt');
+        await pool.save();
+
+        if (expiryChanged) {
+            const assignments = await SeatAssignment.find({ pool: pool._id, status: 'active' }).select('subscription');
+            await Subscription.updateMany(
+                {
+                    _id: { $in: assignments.map(a => a.subscription).filter(Boolean) },
+                    status: { $in: Subscription.ACCESS_STATUSES }
+                },
+                { $set: { currentPeriodEnd: pool.expiresAt } }
+            );
+        }
+        return pool;
+    }
+
+    /**
+     * Give a member one seat of a pool: an enrollment for course seats, a
+     * subscription ending with the pool for plan seats
+     * @param {Object} pool - SeatPool document
+     * @param {string} userId - Member's user ID
+     * @param {string} assignedBy - Acting user ID
+     * @returns {Object} Saved assignment
+     */
+    async assignSeat(pool, userId, assignedBy) {
+        if (!pool.isAssignable()) {
+            throw Object.assign(new Error('This seat pool has expired or is inactive'), { statusCode: 400 });
+        }
+
+        const isMember = await OrganizationMember.exists({ organization: pool.organization, user: userId, status: 'active' });
+        if (!isMember) {
+            throw Object.assign(new Error('User is not an active member of this organization'), { statusCode: 400 });
+        }
+
+        if (await SeatAssignment.exists({ pool: pool._id, user: userId, status: 'active' })) {
+            throw Object.assign(new Error('Member already has a seat in this pool'), { statusCode: 400 });
+        }
+
+        let course = null;
+        let plan = null;
+        if (pool.kind === 'course') {
+            course = await Course.findById(pool.course);
+            if (!course) {
+                throw Object.assign(new Error('Course not found'), { statusCode: 404 });
+            }
+            // Don't spend a seat on someone who already has access
+            if (await Enrollment.exists({ user: userId, course: course._id, isActive: true })) {
+                throw Object.assign(new Error('Member is already enrolled in this course'), { statusCode: 400 });
+            }
+            const prerequisites = await this.prerequisiteService.check(userId, course);
+            if (!prerequisites.met) {
+                throw Object.assign(new Error('Member has not completed the prerequisite courses'), {
+                    statusCode: 403,
+                    missing: prerequisites.missing
+                });
+            }
+        } else {
+            plan = await Plan.findById(pool.plan);
+            if (!plan) {
+                throw Object.assign(new Error('Plan not found'), { statusCode: 404 });
+            }
+            if (await Subscription.exists({ user: userId, status: { $in: Subscription.LIVE_STATUSES } })) {
+                throw Object.assign(new Error('Member already has an active subscription'), { statusCode: 400 });
+            }
+        }
+
+        const session = await mongoose.startSession();
+        let assignment = null;
+        try {
+            await session.withTransaction(async () => {
+                assignment = null;
+                const claimed = await SeatPool.findOneAndUpdate(
+                    { _id: pool._id, isActive: true, $expr: { $lt: ['$assignedCount', '$seats'] } },
+                    { $inc: { assignedCount: 1 } },
+                    { new: true, session }
+                );
+                if (!claimed) return;
+
+                [assignment] = await SeatAssignment.create([{
+                    pool: pool._id,
+                    organization: pool.organization,
+                    user: userId,
+                    assignedBy
+                }], { session });
+
+                if (course) {
+                    const { enrollment } = await Enrollment.enrollUser(userId, course._id, {
+                        source: 'organization',
+                        organization: pool.organization,
+                        seatAssignment: assignment._id,
+                        session
+                    });
+                    assignment.enrollment = enrollment._id;
+                } else {
+                    const now = new Date();
+                    const subscription = new Subscription({
+                        user: userId,
+                        plan: plan._id,
+                        status: 'active',
+                        price: 0,
+                        currency: plan.currency,
+                        interval: plan.interval,
+                        provider: 'organization',
+                        organization: pool.organization,
+                        seatAssignment: assignment._id,
+                        currentPeriodStart: now,
+                        currentPeriodEnd: pool.expiresAt,
+                        // The renewal job ends it when the pool expires
+                        cancelAtPeriodEnd: true
+                    });
+                    subscription.history.push({ status: 'active', note: 'Organization seat assigned', at: now });
+                    await subscription.save({ session });
+                    assignment.subscription = subscription._id;
+                }
+
+                await assignment.save({ session });
+                pool.assignedCount = claimed.assignedCount;
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                // Either index: one seat per pool, one live subscription per user
+                const message = error.keyPattern?.pool
+                    ? 'Member already has a seat in this pool'
+                    : 'Member already has an active subscription';
+                throw Object.assign(new Error(message), { statusCode: 400 });
+            }
+            throw error;
+        } finally {
+            await session.endSession();
+        }
+
+        if (!assignment) {
+            throw Object.assign(new Error('No seats left in this pool'), { statusCode: 409 });
+        }
+        return assignment;
+    }
+
+    /**
+     * Take a seat back: the enrollment or subscription it granted ends (progress
+     * is kept) and the seat can be assigned again
+     * @param {Object} assignment - SeatAssignment document
+     * @param {string} reclaimedBy - Acting user ID
+     * @returns {Object} Updated assignment
+     */
+    async reclaimSeat(assignment, reclaimedBy) {
+        const session = await mongoose.startSession();
+        let reclaimed = null;
+        let freedCohorts = [];
+        try {
+            await session.withTransaction(async () => {
+                freedCohorts = [];
+                reclaimed = await SeatAssignment.findOneAndUpdate(
+                    { _id: assignment._id, status: 'active' },
+                    { $set: { status: 'reclaimed', reclaimedAt: new Date(), reclaimedBy } },
+                    { new: true, session }
+                );
+                if (!reclaimed) return;
+
+                await SeatPool.updateOne(
+                    { _id: reclaimed.pool, assignedCount: { $gt: 0 } },
+                    { $inc: { assignedCount: -1 } },
+                    { session }
+                );
+
+                if (reclaimed.enrollment) {
+                    const { cohorts } = await Enrollment.lapseSeat(reclaimed._id, { session });
+                    freedCohorts.push(...cohorts);
+                }
+                if (reclaimed.subscription) {
+                    const subscription = await Subscription.findById(reclaimed.subscription).session(session);
+                    if (subscription && subscription.hasAccess()) {
+                        await this.subscriptionService.endSubscription(subscription, 'Organization seat reclaimed', { session, freedCohorts });
+                    }
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (!reclaimed) {
+            throw Object.assign(new Error('Seat is not assigned'), { statusCode: 400 });
+        }
+        await this.cohortService.promoteFreedSeats(freedCohorts);
+        return reclaimed;
+    }
+
+    /**
+     * Course progress of the organization's members, limited to the access the
+     * organization paid for
+     * @param {Object} organization - Organization document
+     * @param {Object} options - { course, page, limit }
+     * @returns {Object} { summary, rows, totalPages, currentPage, totalRows }
+     */
+    async getProgressReport(organization, options = {}) {
+        const { course, page = 1, limit = 50 } = options;
+        const filter = await this.memberEnrollmentFilter(organization, course);
+
+        const [enrollments, total, stats] = await Promise.all([
+            Enrollment.find(filter)
+                .populate('user', 'name email')
+                .populate('course', 'title')
+                .select('user course enrolledAt completedAt isActive source progress.overallProgress progress.completedLessons progress.totalTimeSpent')
+                .sort({ enrolledAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Enrollment.countDocuments(filter),
+            Enrollment.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: null,
+                        enrollments: { $sum: 1 },
+                        active: { $sum: { $cond: ['$isActive', 1, 0] } },
+                        completed: { $sum: { $cond: [{ $ifNull: ['$completedAt', false] }, 1, 0] } },
+                        averageProgress: { $avg: '$progress.overallProgress' }
+                    }
+                }
+            ])
+        ]);
+
+        const totals = stats[0] || { enrollments: 0, active: 0, completed: 0, averageProgress: 0 };
+        return {
+            summary: {
+                members: filter.user.$in.length,
+                enrollments: totals.enrollments,
+                active: totals.active,
+                completed: totals.completed,
+                completionRate: totals.enrollments > 0 ? Math.round(totals.completed / totals.enrollments * 100) : 0,
+                averageProgress: Math.round(totals.averageProgress || 0)
+            },
+            rows: enrollments.map(enrollment => ({
+                user: enrollment.user,
+                course: enrollment.course,
+                source: enrollment.source,
+                enrolledAt: enrollment.enrolledAt,
+                isActive: enrollment.isActive,
+                overallProgress: enrollment.progress?.overallProgress || 0,
+                completedLessons: enrollment.progress?.completedLessons?.length || 0,
+                totalTimeSpent: enrollment.progress?.totalTimeSpent || 0,
+                completedAt: enrollment.completedAt || null
+            })),
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalRows: total
+        };
+    }
+
+    /**
+     * Certificates the organization's members earned in courses the
+     * organization gave them access to
+     * @param {Object} organization - Organization document
+     * @param {Object} options - { course, page, limit }
+     * @returns {Object} { certificates, totalPages, currentPage, totalCertificates }
+     */
+    async getCertificateReport(organization, options = {}) {
+        const { course, page = 1, limit = 50 } = options;
+        const enrollments = await Enrollment.find(await this.memberEnrollmentFilter(organization, course))
+            .select('user course');
+
+        if (enrollments.length === 0) {
+            return { certificates: [], totalPages: 0, currentPage: parseInt(page), totalCertificates: 0 };
+        }
+
+        const filter = {
+            isRevoked: { $ne: true },
+            $or: enrollments.map(e => ({ user: e.user, course: e.course }))
+        };
+
+        const [certificates, total] = await Promise.all([
+            Certificate.find(filter)
+                .populate('user', 'name email')
+                .populate('course', 'title')
+                .select('user course certificateId issuedAt completedAt grade')
+                .sort({ issuedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit)),
+            Certificate.countDocuments(filter)
+        ]);
+
+        return {
+            certificates,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            totalCertificates: total
+        };
+    }
+
+    // Enrollments of active members that the organization granted (seat or plan seat)
+    async memberEnrollmentFilter(organization, courseId) {
+        const members = await OrganizationMember.find({ organization: organization._id, status: 'active' }).select('user');
+        const filter = {
+            organization: organization._id,
+            user: { $in: members.map(m => m.user) }
+        };
+        // Cast here: the filter is also used in an aggregation
+        if (courseId) filter.course = new mongoose.Types.ObjectId(courseId);
+        return filter;
+    }
+}
+
+module.exports = OrganizationService;
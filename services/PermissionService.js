@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+
+// Role permissions are read on most requests, so keep them for a short while
+const CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_SECONDS || '60', 10) * 1000;
+const roleCache = new Map();
+
+class PermissionService {
+    /**
+     * Permissions of one role: the saved role, else the built-in defaults
+     * @param {string} name - Role name
+     * @returns {string[]} Permissions
+     */
+    async getRolePermissions(name) {
+        const cached = roleCache.get(name);
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+            return cached.permissions;
+        }
+
+        const role = await Role.findOne({ name }).select('permissions').lean();
+        const permissions = role ? role.permissions : (Role.SYSTEM_ROLES[name]?.permissions || []);
+        roleCache.set(name, { permissions, loadedAt: Date.now() });
+        return permissions;
+    }
+
+    /**
+     * Everything the user may do, from their base role and any extra roles
+     * @param {Object} user - User document
+     * @returns {Set<string>} Permissions
+     */
+    async getPermissions(user) {
+        const names = [...new Set([user.role, ...(user.roles || [])])];
+        const lists = await Promise.all(names.map(name => this.getRolePermissions(name)));
+        return new Set(lists.flat());
+    }
+
+    /**
+     * Whether the user holds a permission exactly as named
+     * @param {Object} user - User document
+     * @param {string} permission - Permission name
+     * @returns {boolean}
+     */
+    async hasPermission(user, permission) {
+        if (!user) return false;
+        const permissions = await this.getPermissions(user);
+        return permissions.has('*') || permissions.has(permission);
+    }
+
+    /**
+     * Whether the user holds a permission for own resources or for all of them.
+     * Route guards use this; handlers then check the resource with can().
+     * @param {Object} user - User document
+     * @param {string} permission - Permission name (without _any)
+     * @returns {boolean}
+     */
+    async hasAnyScope(user, permission) {
+        if (!user) return false;
+        const permissions = await this.getPermissions(user);
+        if (permissions.has('*') || permissions.has(permission) || permissions.has(`${permission}_any`)) {
+            return true;
+        }
+
+        // Collaborators get their course permissions whatever their own role is
+        const roles = this.getCollaboratorRolesGranting(permission);
+        if (!roles.length) return false;
+        // Course requires this service, so look the model up lazily
+        return !!await mongoose.model('Course').exists({
+            collaborators: { $elemMatch: { user: user._id, role: { $in: roles } } }
+        });
+    }
+
+    /**
+     * Resource-level check: `permission_any` allows every resource, `permission`
+     * only the user's own (see isOwner). Collaborators of a course also get
+     * what their collaborator role grants on it.
+     * @param {Object} user - User document
+     * @param {string} permission - Permission name (without _any)
+     * @param {Object} resource - Document being acted on
+     * @returns {boolean}
+     */
+    async can(user, permission, resource) {
+        if (!user) return false;
+        const permissions = await this.getPermissions(user);
+        if (permissions.has('*') || permissions.has(`${permission}_any`)) return true;
+        if (permissions.has(permission) && this.isOwner(user, resource)) return true;
+
+        const role = this.getCollaboratorRole(user, resource);
+        return !!role && Role.COLLABORATOR_ROLES[role].permissions.includes(permission);
+    }
+
+    /**
+     * Whether the user owns a resource: the instructor of a course, whoever
+     * created a coupon, path, ..., or the user a record belongs to
+     * @param {Object} user - User document
+     * @param {Object} resource - Document (owner fields may be populated)
+     * @returns {boolean}
+     */
+    isOwner(user, resource) {
+        if (!resource) return false;
+        const owner = resource.instructor ?? resource.createdBy ?? resource.user;
+        if (!owner) return false;
+        return (owner._id || owner).toString() === user._id.toString();
+    }
+
+    /**
+     * The user's collaborator role on a course (collaborators have to be loaded)
+     * @param {Object} user - User document
+     * @param {Object} course - Course document
+     * @returns {string|null} co_instructor, ta or null
+     */
+    getCollaboratorRole(user, course) {
+        const collaborator = (course?.collaborators || []).find(c =>
+            (c.user?._id || c.user)?.toString() === user._id.toString());
+        return collaborator ? collaborator.role : null;
+    }
+
+    /**
+     * Collaborator roles that come with a permission
+     * @param {string} permission - Permission name
+     * @returns {string[]} Role names
+     */
+    getCollaboratorRolesGranting(permission) {
+        return Object.entries(Role.COLLABORATOR_ROLES)
+            .filter(([, role]) => role.permissions.includes(permission))
+            .map(([name]) => name);
+    }
+
+    /**
+     * Drop cached permissions after a role changes
+     * @param {string} name - Role name (all roles when omitted)
+     */
+    invalidate(name) {
+        if (name) {
+            roleCache.delete(name);
+        } else {
+            roleCache.clear();
+        }
+    }
+}
+
+module.exports = PermissionService;
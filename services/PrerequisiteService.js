@@ -0,0 +1,105 @@
+const Course = require('../models/Course');
+const Certificate = require('../models/Certificate');
+const Enrollment = require('../models/Enrollment');
+const PrerequisiteOverride = require('../models/PrerequisiteOverride');
+
+// Lowest to highest
+const GRADES = ['Pass', 'C', 'C+', 'B', 'B+', 'A', 'A+'];
+
+class PrerequisiteService {
+    /**
+     * Check whether a user meets a course's prerequisites
+     * @param {string} userId - User ID
+     * @param {Object} course - Course document
+     * @returns {Object} { met, overridden, missing: [{ course, minimumGrade, reason, grade }] }
+     */
+    async check(userId, course) {
+        const prerequisites = course.prerequisites || [];
+        if (prerequisites.length === 0) {
+            return { met: true, overridden: false, missing: [] };
+        }
+
+        const override = await PrerequisiteOverride.exists({ course: course._id, user: userId });
+        if (override) {
+            return { met: true, overridden: true, missing: [] };
+        }
+
+        const courseIds = prerequisites.map(item => item.course);
+        const [courses, certificates, completedEnrollments] = await Promise.all([
+            Course.find({ _id: { $in: courseIds } }).select('title'),
+            Certificate.find({ user: userId, course: { $in: courseIds }, isRevoked: { $ne: true } }).select('course grade'),
+            Enrollment.find({ user: userId, course: { $in: courseIds }, completedAt: { $ne: null } }).select('course')
+        ]);
+
+        const missing = [];
+        for (const prerequisite of prerequisites) {
+            const courseId = prerequisite.course.toString();
+            const certificate = certificates.find(c => c.course.toString() === courseId);
+            const completed = !!certificate || completedEnrollments.some(e => e.course.toString() === courseId);
+            const prerequisiteCourse = courses.find(c => c._id.toString() === courseId);
+
+            const entry = {
+                course: { _id: prerequisite.course, title: prerequisiteCourse?.title },
+                minimumGrade: prerequisite.minimumGrade || null
+            };
+
+            if (!completed) {
+                missing.push({ ...entry, reason: 'not_completed' });
+            } else if (prerequisite.minimumGrade && !this.meetsGrade(certificate?.grade, prerequisite.minimumGrade)) {
+                missing.push({ ...entry, reason: 'grade_too_low', grade: certificate?.grade || null });
+            }
+        }
+
+        return { met: missing.length === 0, overridden: false, missing };
+    }
+
+    /**
+     * Validate a prerequisite list for a course: known courses, no self
+     * reference, no duplicates and no cycles
+     * @param {Object} course - Course the prerequisites are for
+     * @param {Object[]} prerequisites - [{ course, minimumGrade }]
+     * @returns {string|null} Error message
+     */
+    async validate(course, prerequisites) {
+        const courseIds = prerequisites.map(item => item.course.toString());
+        if (courseIds.includes(course._id.toString())) {
+            return 'A course cannot be its own prerequisite';
+        }
+        if (new Set(courseIds).size !== courseIds.length) {
+            return 'Duplicate prerequisite course';
+        }
+
+        const found = await Course.countDocuments({ _id: { $in: courseIds }, isActive: true });
+        if (found !== courseIds.length) {
+            return 'One or more prerequisite courses were not found';
+        }
+
+        // Walk the prerequisite graph; reaching this course again means a cycle
+        const visited = new Set();
+        let frontier = courseIds;
+        while (frontier.length > 0) {
+            const next = await Course.find({ _id: { $in: frontier } }).select('title prerequisites.course');
+            frontier = [];
+            for (const node of next) {
+                visited.add(node._id.toString());
+                for (const item of node.prerequisites || []) {
+                    const id = item.course.toString();
+                    if (id === course._id.toString()) {
+                        return `"${node.title}" already requires this course, which would create a cycle`;
+                    }
+                    if (!visited.has(id)) frontier.push(id);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    meetsGrade(grade, minimumGrade) {
+        return GRADES.indexOf(grade) >= GRADES.indexOf(minimumGrade);
+    }
+}
+
+PrerequisiteService.GRADES = GRADES;
+
+module.exports = PrerequisiteService;
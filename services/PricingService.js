@@ -0,0 +1,274 @@
+const Coupon = require('../models/Coupon');
+const Course = require('../models/Course');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const CurrencyService = require('./CurrencyService');
+const PermissionService = require('./PermissionService');
+
+class PricingService {
+    constructor() {
+        this.currencyService = new CurrencyService();
+        this.permissionService = new PermissionService();
+    }
+
+    /**
+     * Apply running promotions to courses
+     * @param {Object[]} courses - Course documents
+     * @param {Object} options - { at: point in time, currency: price in this currency (default: each course's own) }
+     * @returns {Object[]} [{ course, currency, listPrice, price, priceSource, promotion }]
+     */
+    async priceCourses(courses, options = {}) {
+        const { at = new Date(), currency = null } = options;
+        const promotions = await Promotion.findRunning(at);
+        const results = [];
+
+        for (const course of courses) {
+            const courseCurrency = course.currency || 'USD';
+            const targetCurrency = currency || courseCurrency;
+            const { amount: listPrice, source } = await this.currencyService.getCoursePrice(course, targetCurrency);
+            let best = { price: listPrice, promotion: null };
+
+            const applicable = promotions.filter(promo =>
+                promo.scope === 'site' || promo.courses.some(id => id.toString() === course._id.toString()));
+
+            for (const promo of applicable) {
+                // Fixed promotion amounts are in the course's own currency
+                const value = promo.discountType === 'fixed'
+                    ? await this.currencyService.convert(promo.value, courseCurrency, targetCurrency)
+                    : promo.value;
+                const price = this.applyDiscount(listPrice, promo.discountType, value, targetCurrency);
+                if (price < best.price) {
+                    best = { price, promotion: promo };
+                }
+            }
+
+            results.push({
+                course,
+                currency: targetCurrency,
+                listPrice,
+                price: best.price,
+                priceSource: source,
+                promotion: best.promotion ? {
+                    _id: best.promotion._id,
+                    name: best.promotion.name,
+                    endsAt: best.promotion.endsAt
+                } : null
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Currency a cart is charged in: the requested one, the courses' shared
+     * currency, or the exchange-rate base currency for mixed carts
+     * @param {Object[]} courses - Course documents
+     * @param {string} requested - Requested currency (optional)
+     * @returns {string} Currency code
+     */
+    async resolveCartCurrency(courses, requested = null) {
+        if (requested) return requested;
+
+        const currencies = new Set(courses.map(course => course.currency || 'USD'));
+        if (currencies.size === 1) return [...currencies][0];
+
+        const table = await this.currencyService.getTable();
+        return table.baseCurrency;
+    }
+
+    /**
+     * Check a coupon code for a user and a set of priced items
+     * @param {string} code - Coupon code
+     * @param {string} userId - User ID
+     * @param {Object[]} pricedItems - Output of priceCourses (all in one currency)
+     * @returns {Object} { valid, error, coupon, eligibleItems }
+     */
+    async validateCoupon(code, userId, pricedItems) {
+        const coupon = await Coupon.findOne({ code: String(code).toUpperCase().trim() });
+
+        if (!coupon || !coupon.isRedeemable()) {
+            return { valid: false, error: 'Coupon is invalid or expired' };
+        }
+
+        const eligibleItems = pricedItems.filter(item => item.price > 0 && coupon.appliesToCourse(item.course._id));
+        if (eligibleItems.length === 0) {
+            return { valid: false, error: 'Coupon does not apply to any course in your cart' };
+        }
+
+        if (coupon.discountType === 'fixed' && !(await this.currencyService.isSupported(coupon.currency))) {
+            return { valid: false, error: `Coupon currency ${coupon.currency} is not supported` };
+        }
+
+        // Pending orders count too, so a code cannot be spread over parallel checkouts
+        const userRedemptions = await Order.countDocuments({
+            user: userId,
+            'coupon.couponId': coupon._id,
+            status: { $in: ['pending', 'paid'] }
+        });
+
+        if (userRedemptions >= coupon.perUserLimit) {
+            return { valid: false, error: 'You have already used this coupon' };
+        }
+
+        return { valid: true, coupon, eligibleItems };
+    }
+
+    /**
+     * Price a cart: promotions first, then an optional coupon
+     * @param {string} userId - User ID
+     * @param {Object[]} courses - Course documents
+     * @param {string} couponCode - Optional coupon code
+     * @param {Object} options - { currency }
+     * @returns {Object} { currency, items, subtotal, discountTotal, total, coupon, couponError }
+     */
+    async priceCart(userId, courses, couponCode = null, options = {}) {
+        const currency = await this.resolveCartCurrency(courses, options.currency);
+        const round = amount => this.currencyService.roundAmount(amount, currency);
+
+        const pricedItems = await this.priceCourses(courses, { currency });
+        const items = pricedItems.map(item => ({ ...item, couponDiscount: 0 }));
+
+        let coupon = null;
+        let couponError = null;
+
+        if (couponCode) {
+            const validation = await this.validateCoupon(couponCode, userId, pricedItems);
+
+            if (validation.valid) {
+                coupon = validation.coupon;
+                const eligibleIds = validation.eligibleItems.map(item => item.course._id.toString());
+                const eligible = items.filter(item => eligibleIds.includes(item.course._id.toString()));
+
+                if (coupon.discountType === 'percent') {
+                    eligible.forEach(item => {
+                        item.couponDiscount = round(item.price * Math.min(coupon.value, 100) / 100);
+                    });
+                } else {
+                    // Spread a fixed discount (converted to the cart currency) across eligible items in proportion to their price
+                    const couponValue = await this.currencyService.convert(coupon.value, coupon.currency, currency);
+                    const eligibleTotal = eligible.reduce((sum, item) => sum + item.price, 0);
+                    const discount = round(Math.min(couponValue, eligibleTotal));
+                    let allocated = 0;
+
+                    eligible.forEach((item, index) => {
+                        const share = index === eligible.length - 1
+                            ? round(discount - allocated)
+                            : round(discount * item.price / eligibleTotal);
+                        item.couponDiscount = Math.min(share, item.price);
+                        allocated += item.couponDiscount;
+                    });
+                }
+            } else {
+                couponError = validation.error;
+            }
+        }
+
+        const subtotal = round(items.reduce((sum, item) => sum + item.listPrice, 0));
+        const total = round(items.reduce((sum, item) => sum + item.price - item.couponDiscount, 0));
+
+        return {
+            currency,
+            items,
+            subtotal,
+            discountTotal: round(subtotal - total),
+            total,
+            coupon: coupon ? {
+                couponId: coupon._id,
+                code: coupon.code,
+                discountType: coupon.discountType,
+                value: coupon.value,
+                currency: coupon.discountType === 'fixed' ? coupon.currency : undefined,
+                discount: round(items.reduce((sum, item) => sum + item.couponDiscount, 0))
+            } : null,
+            couponError
+        };
+    }
+
+    /**
+     * Price a learning path as a bundle. The bundle price is split across the
+     * courses in proportion to their list prices; promotions and coupons don't
+     * stack with bundle pricing.
+     * @param {Object} learningPath - LearningPath with courses.course populated
+     * @param {Object} options - { currency }
+     * @returns {Object} { currency, items, subtotal, discountTotal, total }
+     */
+    async priceLearningPath(learningPath, options = {}) {
+        const courses = learningPath.courses.map(item => item.course);
+        const currency = options.currency || learningPath.currency;
+        const round = amount => this.currencyService.roundAmount(amount, currency);
+
+        const table = await this.currencyService.getTable();
+        const total = learningPath.currency === currency
+            ? learningPath.price
+            : this.currencyService.roundPrice(
+                await this.currencyService.convert(learningPath.price, learningPath.currency, currency),
+                currency,
+                table.rounding.mode
+            );
+
+        const items = [];
+        for (const course of courses) {
+            const { amount: listPrice } = await this.currencyService.getCoursePrice(course, currency);
+            items.push({ course, currency, listPrice, price: 0 });
+        }
+
+        const subtotal = round(items.reduce((sum, item) => sum + item.listPrice, 0));
+        let allocated = 0;
+        items.forEach((item, index) => {
+            item.price = index === items.length - 1
+                ? round(total - allocated)
+                : round(subtotal > 0 ? total * item.listPrice / subtotal : total / items.length);
+            allocated = round(allocated + item.price);
+        });
+
+        return {
+            currency,
+            items,
+            subtotal,
+            discountTotal: round(Math.max(subtotal - total, 0)),
+            total
+        };
+    }
+
+    /**
+     * Check who may target which courses with a coupon or promotion
+     * @param {Object} user - Creating/updating user
+     * @param {string} scope - 'site' or 'course'
+     * @param {string[]} courseIds - Targeted course IDs
+     * @param {string} permission - 'coupon.manage' or 'promotion.manage'
+     * @returns {string|null} Error message, or null when allowed
+     */
+    async checkDiscountScope(user, scope, courseIds = [], permission = 'coupon.manage') {
+        if (scope === 'site') {
+            return await this.permissionService.hasPermission(user, `${permission}_any`)
+                ? null
+                : 'Only admins can create site-wide discounts';
+        }
+
+        if (courseIds.length === 0) {
+            return 'At least one course is required for a course discount';
+        }
+
+        const courses = await Course.find({ _id: { $in: courseIds } }).select('instructor');
+        if (courses.length !== new Set(courseIds.map(String)).size) {
+            return 'One or more courses were not found';
+        }
+
+        for (const course of courses) {
+            if (!await this.permissionService.can(user, permission, course)) {
+                return 'You can only create discounts for your own courses';
+            }
+        }
+
+        return null;
+    }
+
+    applyDiscount(price, discountType, value, currency = 'USD') {
+        const discounted = discountType === 'percent'
+            ? price - (price * Math.min(value, 100) / 100)
+            : price - value;
+        return this.currencyService.roundAmount(Math.max(discounted, 0), currency);
+    }
+}
+
+module.exports = PricingService;
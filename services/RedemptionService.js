@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RedemptionBatch = require('../models/RedemptionBatch');
+const RedemptionCode = require('../models/RedemptionCode');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const PrerequisiteService = require('./PrerequisiteService');
+
+// No 0/O or 1/I/L, so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+class RedemptionService {
+    constructor() {
+        this.maxBatchSize = parseInt(process.env.REDEMPTION_MAX_BATCH_SIZE || '500', 10);
+        this.prerequisiteService = new PrerequisiteService();
+    }
+
+    // XXXX-XXXX-XXXX
+    generateCode() {
+        const bytes = crypto.randomBytes(12);
+        const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return chars.match(/.{4}/g).join('-');
+    }
+
+    /**
+     * Create a batch and its codes
+     * @param {Object} data - { kind, course, quantity, name, createdBy, order, orderItems, gift, expiresAt }
+     * @param {Object} session - Optional mongoose session
+     * @returns {Object} { batch, codes }
+     */
+    async createBatch(data, session = null) {
+        const { orderItems = [] } = data;
+        const quantity = orderItems.length || data.quantity;
+
+        if (!(quantity >= 1) || quantity > this.maxBatchSize) {
+            throw Object.assign(new Error(`Quantity must be between 1 and ${this.maxBatchSize}`), { statusCode: 400 });
+        }
+
+        const batch = new RedemptionBatch({
+            name: data.name,
+            kind: data.kind,
+            course: data.course,
+            quantity,
+            order: data.order,
+            gift: data.gift,
+            expiresAt: data.expiresAt,
+            createdBy: data.createdBy
+        });
+        await batch.save({ session });
+
+        const codes = Array.from({ length: quantity }, (value, index) => ({
+            code: this.generateCode(),
+            batch: batch._id,
+            course: data.course,
+            order: data.order,
+            orderItem: orderItems[index],
+            expiresAt: data.expiresAt
+        }));
+        const saved = await RedemptionCode.insertMany(codes, { session });
+
+        return { batch, codes: saved };
+    }
+
+    /**
+     * Turn a paid gift/team order into redemption codes, one per order item
+     * (idempotent, runs inside the markPaid transaction)
+     * @param {Object} order - Paid order document
+     * @param {Object} session - Mongoose session
+     * @returns {Object[]} Created batches
+     */
+    async issueForOrder(order, session = null) {
+        if (await RedemptionBatch.exists({ order: order._id }).session(session)) {
+            return [];
+        }
+
+        const buyer = await User.findById(order.user).select('name').session(session);
+        const itemsByCourse = new Map();
+        order.items.forEach(item => {
+            const key = item.course.toString();
+            if (!itemsByCourse.has(key)) itemsByCourse.set(key, []);
+            itemsByCourse.get(key).push(item);
+        });
+
+        const batches = [];
+        for (const [courseId, items] of itemsByCourse) {
+            const { batch } = await this.createBatch({
+                kind: order.kind,
+                name: `${order.kind === 'gift' ? 'Gift' : 'Team purchase'} ${order.orderNumber}`,
+                course: courseId,
+                order: order._id,
+                orderItems: items.map(item => item._id),
+                createdBy: order.user,
+                gift: order.kind === 'gift' ? {
+                    recipientEmail: order.gift.recipientEmail,
+                    recipientName: order.gift.recipientName,
+                    senderName: buyer?.name,
+                    message: order.gift.message
+                } : undefined
+            }, session);
+            batches.push(batch);
+        }
+
+        return batches;
+    }
+
+    /**
+     * Email the codes of a paid gift/team order: gift links to the recipient,
+     * code lists to the buyer (errors are logged, not thrown)
+     * @param {string} orderId - Order ID
+     */
+    async sendOrderCodes(orderId) {
+        try {
+            const order = await Order.findById(orderId);
+            const buyer = await User.findById(order.user);
+            const batches = await RedemptionBatch.find({ order: orderId });
+
+            for (const batch of batches) {
+                const course = await Course.findById(batch.course).select('title');
+                const codes = await RedemptionCode.find({ batch: batch._id, status: 'active' });
+                if (!course || codes.length === 0) continue;
+
+                if (batch.kind === 'gift') {
+                    if (batch.gift.emailedAt) continue;
+                    const sent = await emailService.sendGiftEmail(batch, course, codes[0]);
+                    if (sent) {
+                        batch.gift.emailedAt = new Date();
+                        await batch.save();
+                    }
+                } else if (buyer) {
+                    await emailService.sendRedemptionCodesEmail(buyer, batch, course, codes);
+                }
+            }
+        } catch (error) {
+            console.error('Send redemption codes error:', error);
+        }
+    }
+
+    /**
+     * Public details for a claim link
+     * @param {string} code - Redemption code
+     * @returns {Object} { code, status, redeemable, expiresAt, course, gift }
+     */
+    async preview(code) {
+        const redemptionCode = await RedemptionCode.findOne({ code: this.normalizeCode(code) })
+            .populate('course', 'title thumbnail description level')
+            .populate('batch', 'kind gift.recipientName gift.senderName gift.message');
+
+        if (!redemptionCode) {
+            throw Object.assign(new Error('Redemption code not found'), { statusCode: 404 });
+        }
+
+        const batch = redemptionCode.batch;
+        return {
+            code: redemptionCode.code,
+            status: redemptionCode.status,
+            redeemable: redemptionCode.isRedeemable(),
+            expiresAt: redemptionCode.expiresAt,
+            course: redemptionCode.course,
+            gift: batch?.kind === 'gift' ? {
+                recipientName: batch.gift.recipientName,
+                senderName: batch.gift.senderName,
+                message: batch.gift.message
+            } : null
+        };
+    }
+
+    /**
+     * Redeem a code: mark it used and enroll the user in its course
+     * @param {Object} user - Redeeming user
+     * @param {string} code - Redemption code
+     * @returns {Object} { enrollment, reactivated, code }
+     */
+    async redeem(user, code) {
+        const normalized = this.normalizeCode(code);
+        const redemptionCode = await RedemptionCode.findOne({ code: normalized });
+
+        if (!redemptionCode) {
+            throw Object.assign(new Error('Redemption code not found'), { statusCode: 404 });
+        }
+        if (!redemptionCode.isRedeemable()) {
+            const messages = {
+                active: 'This code has expired',
+                redeemed: 'This code has already been redeemed',
+                revoked: 'This code has been revoked'
+            };
+            throw Object.assign(new Error(messages[redemptionCode.status]), { statusCode: 400 });
+        }
+
+        const course = await Course.findById(redemptionCode.course);
+        if (!course || !course.isPublished || !course.isActive) {
+            throw Object.assign(new Error('The course for this code is no longer available'), { statusCode: 400 });
+        }
+
+        // Don't burn a code on a course the user can already take
+        const enrolled = await Enrollment.exists({ user: user._id, course: course._id, isActive: true });
+        if (enrolled) {
+            throw Object.assign(new Error('You are already enrolled in this course'), { statusCode: 400 });
+        }
+
+        const prerequisites = await this.prerequisiteService.check(user._id, course);
+        if (!prerequisites.met) {
+            throw Object.assign(new Error('Complete the prerequisite courses before redeeming this code'), {
+                statusCode: 403,
+                missing: prerequisites.missing
+            });
+        }
+
+        const session = await mongoose.startSession();
+        let result;
+        try {
+            await session.withTransaction(async () => {
+                const now = new Date();
+                // Claim the code atomically so two people can't redeem it at once
+                const claimed = await RedemptionCode.findOneAndUpdate(
+                    { _id: redemptionCode._id, status: 'active' },
+                    { $set: { status: 'redeemed', redeemedBy: user._id, redeemedAt: now } },
+                    { new: true, session }
+                );
+                if (!claimed) {
+                    throw Object.assign(new Error('This code has already been redeemed'), { statusCode: 400 });
+                }
+
+                const { enrollment, reactivated } = await Enrollment.enrollUser(user._id, course._id, {
+                    source: 'redemption',
+                    session
+                });
+
+                claimed.enrollment = enrollment._id;
+                await claimed.save({ session });
+
+                result = { enrollment, reactivated, code: claimed };
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        return result;
+    }
+
+    /**
+     * Revoke the unused codes of a batch or of refunded order items
+     * @param {Object} filter - RedemptionCode filter (e.g. { batch } or { order, orderItem })
+     * @param {string} reason - Revocation reason
+     * @param {Object} session - Optional mongoose session
+     * @returns {number} Number of codes revoked
+     */
+    async revokeCodes(filter, reason, session = null) {
+        const result = await RedemptionCode.updateMany(
+            { ...filter, status: 'active' },
+            { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } },
+            { session }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Code counts per status for a set of batches
+     * @param {string[]} batchIds - Batch IDs
+     * @returns {Object} Map of batch ID to { active, redeemed, revoked, expired }
+     */
+    async getUsage(batchIds) {
+        const isExpired = {
+            $and: [
+                { $eq: ['$status', 'active'] },
+                { $eq: [{ $type: '$expiresAt' }, 'date'] },
+                { $lte: ['$expiresAt', new Date()] }
+            ]
+        };
+        const rows = await RedemptionCode.aggregate([
+            { $match: { batch: { $in: batchIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+            {
+                $group: {
+                    _id: '$batch',
+                    active: {
+                        $sum: { $cond: [{ $and: [{ $eq: ['$status', 'active'] }, { $not: [isExpired] }] }, 1, 0] }
+                    },
+                    expired: { $sum: { $cond: [isExpired, 1, 0] } },
+                    redeemed: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, 1, 0] } },
+                    revoked: { $sum: { $cond: [{ $eq: ['$status', 'revoked'] }, 1, 0] } }
+                }
+            }
+        ]);
+
+        const usage = {};
+        rows.forEach(row => {
+            usage[row._id.toString()] = {
+                active: row.active,
+                redeemed: row.redeemed,
+                revoked: row.revoked,
+                expired: row.expired
+            };
+        });
+        return usage;
+    }
+
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+}
+
+module.exports = RedemptionService;
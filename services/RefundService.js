@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Progress = require('../models/Progress');
+const Enrollment = require('../models/Enrollment');
+const RedemptionCode = require('../models/RedemptionCode');
+const PathEnrollment = require('../models/PathEnrollment');
+require('../models/Certificate');
+const LedgerService = require('./LedgerService');
+const RedemptionService = require('./RedemptionService');
+const CohortService = require('./CohortService');
+const CurrencyService = require('./CurrencyService');
+const { getPaymentProvider } = require('./payments');
+
+class RefundService {
+    constructor() {
+        this.windowDays = parseInt(process.env.REFUND_WINDOW_DAYS || '30', 10);
+        // Refunds are only allowed while course progress stays below this percentage
+        this.maxProgress = parseFloat(process.env.REFUND_MAX_PROGRESS || '30');
+        this.ledgerService = new LedgerService();
+        this.redemptionService = new RedemptionService();
+        this.cohortService = new CohortService();
+        this.currencyService = new CurrencyService();
+    }
+
+    /**
+     * Check whether (part of) an order can be refunded
+     * @param {Object} order - Order document
+     * @param {string[]} courseIds - Optional subset of the order's courses
+     * @returns {Object} { eligible, reason, items, amount, windowEndsAt }
+     */
+    async checkEligibility(order, courseIds = null) {
+        if (!['paid', 'partially_refunded'].includes(order.status)) {
+            return { eligible: false, reason: `Cannot refund a ${order.status} order` };
+        }
+
+        const paidAt = order.payment.paidAt || order.createdAt;
+        const windowEndsAt = new Date(paidAt.getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+        if (windowEndsAt < new Date()) {
+            return { eligible: false, reason: `Refunds are only available within ${this.windowDays} days of purchase`, windowEndsAt };
+        }
+
+        let items = order.items.filter(item => !item.refundedAt);
+        if (courseIds) {
+            const requested = courseIds.map(id => id.toString());
+            items = items.filter(item => requested.includes(item.course.toString()));
+            if (items.length !== new Set(requested).size) {
+                return { eligible: false, reason: 'One or more courses are not refundable on this order', windowEndsAt };
+            }
+        }
+
+        if (items.length === 0) {
+            return { eligible: false, reason: 'Nothing left to refund on this order', windowEndsAt };
+        }
+
+        // One open request per order item
+        const openRefund = await Refund.exists({
+            order: order._id,
+            status: { $in: ['requested', 'processing', 'failed'] },
+            'items.orderItem': { $in: items.map(item => item._id) }
+        });
+        if (openRefund) {
+            return { eligible: false, reason: 'A refund request is already open for this order', windowEndsAt };
+        }
+
+        // Gift and team orders: only codes nobody has redeemed yet can be refunded
+        if (order.kind && order.kind !== 'self') {
+            const redeemedItem = await this.findRedeemedItem(order, items.map(item => item._id));
+            if (redeemedItem) {
+                return {
+                    eligible: false,
+                    reason: `The code for "${redeemedItem.title}" has already been redeemed`,
+                    windowEndsAt
+                };
+            }
+
+            const refundItems = items.map(item => ({
+                course: item.course,
+                orderItem: item._id,
+                amount: item.amount,
+                completionPercentage: 0
+            }));
+            return {
+                eligible: true,
+                items: refundItems,
+                amount: this.currencyService.roundAmount(refundItems.reduce((sum, item) => sum + item.amount, 0), order.currency),
+                windowEndsAt
+            };
+        }
+
+        const progressRecords = await Progress.find({
+            user: order.user,
+            course: { $in: items.map(item => item.course) }
+        }).select('course completionPercentage');
+
+        const refundItems = items.map(item => {
+            const progress = progressRecords.find(p => p.course.toString() === item.course.toString());
+            return {
+                course: item.course,
+                orderItem: item._id,
+                amount: item.amount,
+                completionPercentage: progress ? progress.completionPercentage : 0
+            };
+        });
+
+        const tooFar = refundItems.find(item => item.completionPercentage >= this.maxProgress);
+        if (tooFar) {
+            const title = order.items.id(tooFar.orderItem).title;
+            return {
+                eligible: false,
+                reason: `"${title}" is ${tooFar.completionPercentage}% complete; refunds require less than ${this.maxProgress}% progress`,
+                windowEndsAt
+            };
+        }
+
+        return {
+            eligible: true,
+            items: refundItems,
+            amount: this.currencyService.roundAmount(refundItems.reduce((sum, item) => sum + item.amount, 0), order.currency),
+            windowEndsAt
+        };
+    }
+
+    /**
+     * Open a refund request for the learner
+     * @param {Object} user - Requesting user
+     * @param {string} orderId - Order ID
+     * @param {Object} options - { courseIds, reason }
+     * @returns {Object} Saved refund request
+     */
+    async requestRefund(user, orderId, options = {}) {
+        const order = await Order.findById(orderId);
+        if (!order || order.user.toString() !== user._id.toString()) {
+            throw Object.assign(new Error('Order not found'), { statusCode: 404 });
+        }
+
+        const eligibility = await this.checkEligibility(order, options.courseIds);
+        if (!eligibility.eligible) {
+            throw Object.assign(new Error(eligibility.reason), { statusCode: 400 });
+        }
+
+        const refund = new Refund({
+            order: order._id,
+            user: user._id,
+            items: eligibility.items,
+            amount: eligibility.amount,
+            currency: order.currency,
+            reason: options.reason,
+            provider: order.payment.provider
+        });
+        refund.record('requested', user._id, options.reason);
+        await refund.save();
+
+        return refund;
+    }
+
+    /**
+     * Approve a refund: refund the payment, then revoke access to the courses
+     * @param {string} refundId - Refund ID
+     * @param {Object} admin - Reviewing admin
+     * @param {string} note - Review note
+     * @returns {Object} Updated refund
+     */
+    async approve(refundId, admin, note = '') {
+        // Claim the request so two reviewers approving at once cannot both refund
+        // the money (failed provider refunds can be retried)
+        const refund = await Refund.findOneAndUpdate(
+            { _id: refundId, status: { $in: ['requested', 'failed'] } },
+            { $set: { status: 'processing' } }
+        );
+        if (!refund) {
+            const current = await Refund.findById(refundId).select('status');
+            if (!current) {
+                throw Object.assign(new Error('Refund request not found'), { statusCode: 404 });
+            }
+            throw Object.assign(new Error(`Refund request is already ${current.status}`), { statusCode: 400 });
+        }
+        // findOneAndUpdate returns the document as it was before the claim
+        const previousStatus = refund.status;
+        refund.status = 'processing';
+
+        try {
+            await this.refundPayment(refund, admin);
+        } catch (error) {
+            // Money already returned: a retry only needs to revoke access
+            await Refund.updateOne(
+                { _id: refundId, status: 'processing' },
+                { $set: { status: refund.providerRefundId ? 'failed' : previousStatus } }
+            );
+            throw error;
+        }
+
+        const session = await mongoose.startSession();
+        let freedCohorts = [];
+        try {
+            await session.withTransaction(async () => {
+                freedCohorts = [];
+                const txRefund = await Refund.findById(refundId).session(session);
+                if (txRefund.status === 'approved') return;
+                const txOrder = await Order.findById(refund.order).session(session);
+
+                for (const item of txRefund.items) {
+                    const orderItem = txOrder.items.id(item.orderItem);
+                    orderItem.refund = txRefund._id;
+                    orderItem.refundedAt = new Date();
+
+                    // Gift and team orders hand out codes instead of enrolling the buyer
+                    if (txOrder.kind && txOrder.kind !== 'self') {
+                        const revoked = await this.redemptionService.revokeCodes(
+                            { order: txOrder._id, orderItem: item.orderItem }, 'refund', session);
+                        if (revoked > 0) {
+                            txRefund.record('code_revoked', admin._id, `Course ${item.course}`);
+                        }
+                        continue;
+                    }
+
+                    const result = await Enrollment.revokeUser(txRefund.user, item.course, {
+                        reason: 'refund',
+                        revokedBy: admin._id,
+                        session
+                    });
+                    if (result.revoked) {
+                        txRefund.record('enrollment_revoked', admin._id, `Course ${item.course}`);
+                    }
+                    if (result.certificatesRevoked > 0) {
+                        txRefund.record('certificate_revoked', admin._id, `Course ${item.course}`);
+                    }
+                    if (result.cohort) {
+                        freedCohorts.push(result.cohort);
+                    }
+                }
+
+                // A bundle refunded in full no longer counts as bought
+                const pathIds = new Set(txOrder.items.filter(item => item.learningPath).map(item => item.learningPath.toString()));
+                for (const pathId of pathIds) {
+                    const pathItems = txOrder.items.filter(item => item.learningPath?.toString() === pathId);
+                    if (pathItems.every(item => item.refundedAt)) {
+                        await PathEnrollment.updateOne(
+                            { user: txRefund.user, learningPath: pathId, order: txOrder._id },
+                            { $set: { isActive: false } },
+                            { session }
+                        );
+                    }
+                }
+
+                // Take the refunded amount back from platform revenue and instructor earnings
+                await this.ledgerService.recordRefund(txRefund, txOrder, session);
+
+                const fullyRefunded = txOrder.items.every(item => item.refundedAt);
+                txOrder.setStatus(fullyRefunded ? 'refunded' : 'partially_refunded',
+                    `Refund ${txRefund._id} approved (${txRefund.amount} ${txRefund.currency})`);
+                await txOrder.save({ session });
+
+                txRefund.status = 'approved';
+                txRefund.review = { reviewedBy: admin._id, reviewedAt: new Date(), note };
+                txRefund.record('approved', admin._id, note);
+                await txRefund.save({ session });
+            });
+        } catch (error) {
+            // The payment was refunded (or there was none): retrying only revokes access
+            await Refund.updateOne({ _id: refundId, status: 'processing' }, { $set: { status: 'failed' } });
+            throw error;
+        } finally {
+            await session.endSession();
+        }
+
+        await this.cohortService.promoteFreedSeats(freedCohorts);
+        return Refund.findById(refundId);
+    }
+
+    /**
+     * Return the money for a claimed refund, after checking the request still
+     * qualifies (progress or redeemed codes may have changed since it was made).
+     * Free orders and retries whose money already went back skip the provider.
+     * @param {Object} refund - Refund in processing
+     * @param {Object} admin - Reviewing admin
+     */
+    async refundPayment(refund, admin) {
+        if (refund.providerRefundId) return;
+
+        const order = await Order.findById(refund.order);
+        const problem = await this.recheckEligibility(order, refund);
+        if (problem) {
+            refund.record('ineligible', admin._id, problem);
+            await refund.save();
+            throw Object.assign(new Error(problem), { statusCode: 400 });
+        }
+
+        if (!(refund.amount > 0) || order.payment.provider === 'none') return;
+
+        let result;
+        try {
+            result = await getPaymentProvider(order.payment.provider).refundPayment(order, refund.amount);
+        } catch (error) {
+            result = { status: 'failed', failureReason: error.message };
+        }
+
+        if (result.status !== 'succeeded') {
+            refund.status = 'failed';
+            refund.record('provider_failed', admin._id, result.failureReason || 'Provider refund failed');
+            await refund.save();
+            throw Object.assign(new Error('Payment provider could not process the refund'), { statusCode: 502 });
+        }
+
+        refund.providerRefundId = result.providerRefundId;
+        refund.record('provider_refunded', admin._id, `${refund.amount} ${refund.currency} returned via ${order.payment.provider}`);
+        await refund.save();
+    }
+
+    /**
+     * Re-apply the eligibility rules to the items of a request at approval time
+     * @param {Object} order - Order document
+     * @param {Object} refund - Refund request
+     * @returns {string|null} Why it no longer qualifies, or null
+     */
+    async recheckEligibility(order, refund) {
+        if (!['paid', 'partially_refunded'].includes(order.status)) {
+            return `Cannot refund a ${order.status} order`;
+        }
+
+        const orderItemIds = refund.items.map(item => item.orderItem);
+        const alreadyRefunded = orderItemIds.map(id => order.items.id(id)).find(item => !item || item.refundedAt);
+        if (alreadyRefunded) {
+            return 'A course in this request has already been refunded';
+        }
+
+        if (order.kind && order.kind !== 'self') {
+            const redeemedItem = await this.findRedeemedItem(order, orderItemIds);
+            return redeemedItem ? `The code for "${redeemedItem.title}" has been redeemed since the request` : null;
+        }
+
+        const progressRecords = await Progress.find({
+            user: order.user,
+            course: { $in: refund.items.map(item => item.course) }
+        }).select('course completionPercentage');
+
+        const tooFar = progressRecords.find(progress => progress.completionPercentage >= this.maxProgress);
+        if (tooFar) {
+            const item = refund.items.find(refundItem => refundItem.course.toString() === tooFar.course.toString());
+            return `"${order.items.id(item.orderItem).title}" is ${tooFar.completionPercentage}% complete since the request; refunds require less than ${this.maxProgress}% progress`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Deny a refund request
+     * @param {string} refundId - Refund ID
+     * @param {Object} admin - Reviewing admin
+     * @param {string} note - Reason shown to the learner
+     * @returns {Object} Updated refund
+     */
+    async deny(refundId, admin, note) {
+        const refund = await Refund.findById(refundId);
+        if (!refund) {
+            throw Object.assign(new Error('Refund request not found'), { statusCode: 404 });
+        }
+        // Only while nobody is approving it
+        const claimed = await Refund.updateOne({ _id: refundId, status: 'requested' }, { $set: { status: 'denied' } });
+        if (!claimed.modifiedCount) {
+            throw Object.assign(new Error(`Refund request is already ${refund.status === 'requested' ? 'being processed' : refund.status}`), { statusCode: 400 });
+        }
+
+        refund.status = 'denied';
+        refund.review = { reviewedBy: admin._id, reviewedAt: new Date(), note };
+        refund.record('denied', admin._id, note);
+        await refund.save();
+
+        return refund;
+    }
+
+    /**
+     * Withdraw a pending request (learner)
+     * @param {string} refundId - Refund ID
+     * @param {Object} user - Requesting user
+     * @returns {Object} Updated refund
+     */
+    async withdraw(refundId, user) {
+        const refund = await Refund.findById(refundId);
+        if (!refund || refund.user.toString() !== user._id.toString()) {
+            throw Object.assign(new Error('Refund request not found'), { statusCode: 404 });
+        }
+        const claimed = await Refund.updateOne({ _id: refundId, status: 'requested' }, { $set: { status: 'withdrawn' } });
+        if (!claimed.modifiedCount) {
+            throw Object.assign(new Error(`Refund request is already ${refund.status === 'requested' ? 'being processed' : refund.status}`), { statusCode: 400 });
+        }
+
+        refund.status = 'withdrawn';
+        refund.record('withdrawn', user._id);
+        await refund.save();
+
+        return refund;
+    }
+
+    /**
+     * First order item (of the given ones) whose redemption code was redeemed
+     * @param {Object} order - Gift/team order document
+     * @param {string[]} orderItemIds - Order item IDs
+     * @returns {Object|null} Order item
+     */
+    async findRedeemedItem(order, orderItemIds) {
+        const redeemed = await RedemptionCode.findOne({
+            order: order._id,
+            orderItem: { $in: orderItemIds },
+            status: 'redeemed'
+        }).select('orderItem');
+
+        return redeemed ? order.items.id(redeemed.orderItem) : null;
+    }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,197 @@
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const Counter = require('../models/Counter');
+
+// Course fields kept in revisions. Prices in other currencies, prerequisites,
+// collaborators and publishing state are managed on their own and not rolled back.
+const CONTENT_FIELDS = [
+    'title', 'description', 'shortDescription', 'category', 'level', 'language', 'price', 'originalPrice',
+    'thumbnail', 'banner', 'demoVideo', 'certificate', 'whatYouWillLearn', 'requirements', 'tags',
+    'metaDescription', 'metaKeywords', 'sections'
+];
+
+// Bookkeeping that changes without anyone editing the content
+const IGNORED_KEYS = ['_id', 'createdAt', 'updatedAt'];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class RevisionService {
+    /**
+     * Plain copy of the content fields of a course
+     * @param {Object} course - Course document
+     * @returns {Object} Snapshot
+     */
+    snapshot(course) {
+        const data = course.toObject({ depopulate: true, virtuals: false });
+        const snapshot = {};
+        CONTENT_FIELDS.forEach(field => {
+            if (data[field] !== undefined) snapshot[field] = data[field];
+        });
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+
+    /**
+     * Record the course as it is now, unless nothing changed since the last revision
+     * @param {Object} course - Saved course document
+     * @param {string} authorId - User who made the change
+     * @param {string} source - Kind of edit (see CourseRevision.source)
+     * @param {Object} options - { restoredFrom }
+     * @returns {Object|null} New revision, or null when the content is unchanged
+     */
+    async record(course, authorId, source, options = {}) {
+        const snapshot = this.snapshot(course);
+        const latest = await CourseRevision.findOne({ course: course._id }).sort({ number: -1 }).select('snapshot');
+
+        const changes = latest ? this.diff(latest.snapshot, snapshot) : [];
+        if (latest && !changes.length) return null;
+
+        return CourseRevision.create({
+            course: course._id,
+            number: await Counter.next(`course-revision-${course._id}`),
+            author: authorId,
+            source,
+            changedFields: [...new Set(changes.map(change => change.field))],
+            restoredFrom: options.restoredFrom,
+            snapshot
+        });
+    }
+
+    /**
+     * Changes between two snapshots. Sections and lectures are matched by ID,
+     * so moving or renaming one shows as a change rather than remove + add.
+     * @param {Object} before - Older snapshot
+     * @param {Object} after - Newer snapshot
+     * @returns {Object[]} [{ field, type: added|removed|changed, sectionId, lectureId, title, fields, before, after }]
+     */
+    diff(before, after) {
+        const changes = [];
+
+        CONTENT_FIELDS.filter(field => field !== 'sections').forEach(field => {
+            if (!same(before[field], after[field])) {
+                changes.push({ field, type: 'changed', before: before[field], after: after[field] });
+            }
+        });
+
+        this.diffList(before.sections || [], after.sections || [], 'lectures').forEach(sectionChange => {
+            const { item, previous, type, fields } = sectionChange;
+            const sectionId = (item || previous)._id;
+
+            if (type !== 'changed' || fields.length) {
+                changes.push({
+                    field: 'sections',
+                    type,
+                    sectionId,
+                    title: (item || previous).title,
+                    ...this.describeFields(fields, previous, item)
+                });
+            }
+
+            if (type !== 'changed') return;
+            this.diffList(previous.lectures || [], item.lectures || []).forEach(lectureChange => {
+                changes.push({
+                    field: 'lectures',
+                    type: lectureChange.type,
+                    sectionId,
+                    lectureId: (lectureChange.item || lectureChange.previous)._id,
+                    title: (lectureChange.item || lectureChange.previous).title,
+                    ...this.describeFields(lectureChange.fields, lectureChange.previous, lectureChange.item)
+                });
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Match two lists of subdocuments by ID
+     * @param {Object[]} before - Older items
+     * @param {Object[]} after - Newer items
+     * @param {string} nested - Key compared separately by the caller (left out of fields)
+     * @returns {Object[]} [{ type, previous, item, fields }]
+     */
+    diffList(before, after, nested) {
+        const result = [];
+        const previousById = new Map(before.map(item => [String(item._id), item]));
+
+        after.forEach(item => {
+            const previous = previousById.get(String(item._id));
+            if (!previous) {
+                result.push({ type: 'added', item, fields: [] });
+                return;
+            }
+            previousById.delete(String(item._id));
+
+            const keys = new Set([...Object.keys(previous), ...Object.keys(item)]);
+            const fields = [...keys].filter(key =>
+                !IGNORED_KEYS.includes(key) && key !== nested && !same(previous[key], item[key]));
+            if (fields.length || nested) {
+                result.push({ type: 'changed', previous, item, fields });
+            }
+        });
+
+        previousById.forEach(previous => result.push({ type: 'removed', previous, fields: [] }));
+        return result;
+    }
+
+    /**
+     * Before/after values of the changed fields of a section or lecture
+     */
+    describeFields(fields, previous, item) {
+        if (!fields.length) return {};
+        return {
+            fields,
+            before: Object.fromEntries(fields.map(key => [key, previous[key]])),
+            after: Object.fromEntries(fields.map(key => [key, item[key]]))
+        };
+    }
+
+    /**
+     * Put the content of a revision back and record that as a new revision
+     * @param {Object} course - Course document
+     * @param {Object} revision - Revision to go back to
+     * @param {string} authorId - User restoring it
+     * @returns {Object} { course, revision, videosToUpload }
+     */
+    async restore(course, revision, authorId) {
+        // Videos are deleted from api.video along with their lecture, so only
+        // videos the course still uses are safe to point at again
+        const currentVideos = new Set();
+        course.sections.forEach(section => section.lectures.forEach(lecture => {
+            if (lecture.video?.apiVideoId) currentVideos.add(lecture.video.apiVideoId);
+        }));
+
+        const snapshot = JSON.parse(JSON.stringify(revision.snapshot));
+        const videosToUpload = [];
+        (snapshot.sections || []).forEach(section => (section.lectures || []).forEach(lecture => {
+            if (lecture.video?.apiVideoId && !currentVideos.has(lecture.video.apiVideoId)) {
+                videosToUpload.push({ sectionId: section._id, lectureId: lecture._id, title: lecture.title });
+                delete lecture.video;
+            }
+        }));
+
+        CONTENT_FIELDS.forEach(field => {
+            course.set(field, snapshot[field] !== undefined ? snapshot[field] : undefined);
+        });
+
+        // Published courses need these; an old draft revision may not have them
+        const error = course.validateSync();
+        if (error) {
+            throw Object.assign(new Error(`Revision ${revision.number} cannot be restored: ${error.message}`), { statusCode: 400 });
+        }
+
+        // A slug taken since then stays with the course that has it now
+        if (snapshot.title !== undefined) {
+            const slug = course.title.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-').trim();
+            if (slug !== course.slug && !await Course.exists({ slug, _id: { $ne: course._id } })) {
+                course.slug = slug;
+            }
+        }
+
+        await course.save();
+        const restored = await this.record(course, authorId, 'restore', { restoredFrom: revision._id });
+
+        return { course, revision: restored, videosToUpload };
+    }
+}
+
+module.exports = RevisionService;
@@ -0,0 +1,641 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const Enrollment = require('../models/Enrollment');
+const Progress = require('../models/Progress');
+const ScormPackage = require('../models/ScormPackage');
+const ScormAttempt = require('../models/ScormAttempt');
+const CertificateService = require('./CertificateService');
+const LearningPathService = require('./LearningPathService');
+
+// Outside the statically served uploads folder: package files are only
+// reachable through the launch-token route in routes/scorm.js
+const SCORM_DIR = 'storage/scorm';
+const LAUNCH_TOKEN_TTL = process.env.SCORM_LAUNCH_TTL || '8h';
+
+const scormError = (message, statusCode = 400, extra = {}) => Object.assign(new Error(message), { statusCode, ...extra });
+
+// Manifest elements that may repeat; the parser returns them as arrays
+const REPEATED_ELEMENTS = ['organization', 'item', 'resource', 'file', 'dependency'];
+
+const DECIMAL = /^-?\d+(\.\d+)?$/;
+const TIMESPAN_12 = /^(\d{2,4}):(\d{2}):(\d{2}(?:\.\d{1,2})?)$/;
+const DURATION_2004 = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d{1,2})?)S)?)?$/;
+
+// Error codes returned to the SCO's SetValue / LMSSetValue
+const ERRORS = {
+    '1.2': { undefined: '401', readOnly: '403', type: '405', range: '405' },
+    '2004': { undefined: '401', readOnly: '404', type: '406', range: '407' }
+};
+
+const oneOf = (...values) => (value) => values.includes(value) ? null : 'type';
+const maxLength = (length) => (value) => value.length <= length ? null : 'type';
+const decimalIn = (min, max) => (value) => {
+    if (value === '') return null;
+    if (!DECIMAL.test(value)) return 'type';
+    const number = parseFloat(value);
+    return (min !== undefined && number < min) || (max !== undefined && number > max) ? 'range' : null;
+};
+
+// Writable run-time elements per version. Interactions, objectives and comments
+// are kept as written; the LMS does not interpret them.
+const DATA_MODEL = {
+    '1.2': [
+        ['cmi.core.lesson_status', oneOf('passed', 'completed', 'failed', 'incomplete', 'browsed')],
+        ['cmi.core.lesson_location', maxLength(255)],
+        ['cmi.core.exit', oneOf('time-out', 'suspend', 'logout', '')],
+        ['cmi.core.session_time', (value) => TIMESPAN_12.test(value) ? null : 'type'],
+        ['cmi.core.score.raw', decimalIn(0, 100)],
+        ['cmi.core.score.min', decimalIn(0, 100)],
+        ['cmi.core.score.max', decimalIn(0, 100)],
+        ['cmi.suspend_data', maxLength(4096)],
+        ['cmi.comments', maxLength(4096)],
+        [/^cmi\.student_preference\.(audio|language|speed|text)$/, maxLength(255)],
+        [/^cmi\.objectives\.\d+\.(id|score\.raw|score\.min|score\.max|status)$/, maxLength(4096)],
+        [/^cmi\.interactions\.\d+\.[a-z_.\d]+$/, maxLength(4096)]
+    ],
+    '2004': [
+        ['cmi.completion_status', oneOf('completed', 'incomplete', 'not attempted', 'unknown')],
+        ['cmi.success_status', oneOf('passed', 'failed', 'unknown')],
+        ['cmi.location', maxLength(1000)],
+        ['cmi.exit', oneOf('time-out', 'suspend', 'logout', 'normal', '')],
+        ['cmi.session_time', (value) => DURATION_2004.test(value) && !/^PT?$/.test(value) && !value.endsWith('T') ? null : 'type'],
+        ['cmi.score.scaled', decimalIn(-1, 1)],
+        ['cmi.score.raw', decimalIn()],
+        ['cmi.score.min', decimalIn()],
+        ['cmi.score.max', decimalIn()],
+        ['cmi.progress_measure', decimalIn(0, 1)],
+        ['cmi.suspend_data', maxLength(64000)],
+        [/^cmi\.learner_preference\.(audio_level|language|delivery_speed|audio_captioning)$/, maxLength(250)],
+        [/^cmi\.comments_from_learner\.\d+\.(comment|location|timestamp)$/, maxLength(4000)],
+        [/^cmi\.objectives\.\d+\.[a-z_.\d]+$/, maxLength(4000)],
+        [/^cmi\.interactions\.\d+\.[a-z_.\d]+$/, maxLength(4000)]
+    ]
+};
+
+// Elements the LMS supplies; the SCO can read but not write them
+const READ_ONLY = {
+    '1.2': [
+        'cmi.core.student_id', 'cmi.core.student_name', 'cmi.core.credit', 'cmi.core.entry',
+        'cmi.core.total_time', 'cmi.core.lesson_mode', 'cmi.launch_data', 'cmi.student_data.mastery_score'
+    ],
+    '2004': [
+        'cmi.learner_id', 'cmi.learner_name', 'cmi.credit', 'cmi.entry', 'cmi.total_time', 'cmi.mode',
+        'cmi.launch_data', 'cmi.scaled_passing_score', 'cmi.completion_threshold', 'cmi.max_time_allowed'
+    ]
+};
+
+const asText = (value) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return asText(value['#text']);
+    return String(value).trim();
+};
+
+// Join manifest xml:base values and an href into a path inside the package
+const joinHref = (...parts) => parts
+    .filter(Boolean)
+    .reduce((base, part) => /^[a-z]+:\/\//i.test(part) ? part : path.posix.join(base, part), '');
+
+const parseNumber = (value) => value !== undefined && value !== '' && DECIMAL.test(value) ? parseFloat(value) : undefined;
+
+class ScormService {
+    constructor() {
+        this.certificateService = new CertificateService();
+        this.learningPathService = new LearningPathService();
+        this.maxBytes = parseInt(process.env.SCORM_PACKAGE_MAX_MB || '512', 10) * 1024 * 1024;
+        this.parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '',
+            removeNSPrefix: true,
+            parseTagValue: false,
+            parseAttributeValue: false,
+            isArray: (name) => REPEATED_ELEMENTS.includes(name)
+        });
+    }
+
+    /**
+     * Read imsmanifest.xml: version, default organization and its launchable items
+     * @param {string} xml - Manifest contents
+     * @returns {Object} { version, identifier, title, launchPath, scos, masteryScore }
+     */
+    parseManifest(xml) {
+        let manifest;
+        try {
+            manifest = this.parser.parse(xml).manifest;
+        } catch (error) {
+            throw scormError('imsmanifest.xml is not valid XML');
+        }
+        if (!manifest) {
+            throw scormError('imsmanifest.xml has no manifest element');
+        }
+
+        const schemaVersion = asText(manifest.metadata?.schemaversion);
+        let version;
+        if (schemaVersion === '1.2') version = '1.2';
+        else if (/2004|CAM 1\.3/i.test(schemaVersion)) version = '2004';
+        else version = /adlcp_v1p3|imsss/.test(xml) ? '2004' : '1.2';
+
+        const resources = manifest.resources?.resource || [];
+        const resourceBase = joinHref(manifest.base, manifest.resources?.base);
+
+        const organizations = manifest.organizations?.organization || [];
+        const organization = organizations.find(org => org.identifier === manifest.organizations.default) || organizations[0];
+
+        const scos = [];
+        let masteryScore;
+        const visit = (items) => (items || []).forEach(item => {
+            const resource = item.identifierref && resources.find(res => res.identifier === item.identifierref);
+            if (resource?.href) {
+                scos.push({
+                    identifier: item.identifier,
+                    title: asText(item.title),
+                    href: joinHref(resourceBase, resource.base, resource.href) + asText(item.parameters)
+                });
+
+                if (masteryScore === undefined) {
+                    const measure = item.sequencing?.objectives?.primaryObjective?.minNormalizedMeasure;
+                    masteryScore = version === '1.2'
+                        ? parseNumber(asText(item.masteryscore))
+                        : (parseNumber(asText(measure)) !== undefined ? parseNumber(asText(measure)) * 100 : undefined);
+                }
+            }
+            visit(item.item);
+        });
+        visit(organization?.item);
+
+        // Packages without an organization are launched from their first resource
+        if (!scos.length) {
+            const resource = resources.find(res => res.href);
+            if (resource) {
+                scos.push({ identifier: resource.identifier, title: '', href: joinHref(resourceBase, resource.base, resource.href) });
+            }
+        }
+        if (!scos.length) {
+            throw scormError('The manifest has no launchable item');
+        }
+
+        return {
+            version,
+            identifier: manifest.identifier,
+            title: asText(organization?.title) || scos[0].title,
+            launchPath: scos[0].href,
+            scos,
+            masteryScore
+        };
+    }
+
+    /**
+     * Unpack a SCORM zip into storage/scorm/<id> and store its manifest details
+     * @param {string} zipPath - Uploaded file
+     * @param {Object} course - Course the package is uploaded to
+     * @param {Object} user - Uploader
+     * @param {string} originalName - File name as uploaded
+     * @returns {Object} ScormPackage document
+     */
+    async extractPackage(zipPath, course, user, originalName) {
+        let zip;
+        try {
+            zip = new AdmZip(zipPath);
+        } catch (error) {
+            throw scormError('The file is not a valid zip archive');
+        }
+
+        const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+        const size = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+        if (size > this.maxBytes) {
+            throw scormError('The SCORM package is too large');
+        }
+
+        const manifestEntry = entries.find(entry => entry.entryName === 'imsmanifest.xml');
+        if (!manifestEntry) {
+            throw scormError('imsmanifest.xml was not found at the root of the package');
+        }
+        const details = this.parseManifest(manifestEntry.getData().toString('utf8'));
+
+        const names = new Set(entries.map(entry => entry.entryName));
+        const launchFile = decodeURIComponent(details.launchPath.split(/[?#]/)[0]);
+        if (!/^[a-z]+:\/\//i.test(launchFile) && !names.has(launchFile)) {
+            throw scormError(`The launch file ${launchFile} is missing from the package`);
+        }
+
+        const packageId = new mongoose.Types.ObjectId();
+        const storagePath = `${SCORM_DIR}/${packageId}`;
+        const targetDir = path.resolve(storagePath);
+
+        // Every entry has to stay inside the package folder
+        const targets = entries.map(entry => {
+            const target = path.resolve(targetDir, entry.entryName);
+            if (!target.startsWith(targetDir + path.sep)) {
+                throw scormError(`The package contains an unsafe path: ${entry.entryName}`);
+            }
+            return [entry, target];
+        });
+
+        try {
+            for (const [entry, target] of targets) {
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                await fs.promises.writeFile(target, entry.getData());
+            }
+
+            return await ScormPackage.create({
+                _id: packageId,
+                course: course._id,
+                uploadedBy: user._id,
+                ...details,
+                storagePath,
+                size,
+                originalName
+            });
+        } catch (error) {
+            await fs.promises.rm(targetDir, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete packages no course lecture or revision refers to any more
+     * @param {string[]} packageIds - Candidates
+     * @returns {number} Packages removed
+     */
+    async removeUnused(packageIds) {
+        let removed = 0;
+        for (const packageId of new Set(packageIds.map(String))) {
+            const inUse = await Course.exists({ 'sections.lectures.scorm.package': packageId }) ||
+                await CourseRevision.exists({ 'snapshot.sections.lectures.scorm.package': packageId });
+            if (inUse) continue;
+
+            const scormPackage = await ScormPackage.findByIdAndDelete(packageId);
+            if (!scormPackage) continue;
+
+            await ScormAttempt.deleteMany({ package: scormPackage._id });
+            await fs.promises.rm(path.resolve(scormPackage.storagePath), { recursive: true, force: true });
+            removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Token that lets the player frame load a package's files; it sits in the
+     * URL path so relative links inside the SCO keep working
+     * @param {Object} scormPackage - ScormPackage document
+     * @returns {string} Signed token
+     */
+    signLaunchToken(scormPackage) {
+        return jwt.sign(
+            { purpose: 'scorm_content', packageId: scormPackage._id },
+            process.env.JWT_SECRET || 'your-secret-key',
+            { expiresIn: LAUNCH_TOKEN_TTL }
+        );
+    }
+
+    /**
+     * Decode a launch token
+     * @param {string} token
+     * @returns {string|null} Package ID or null if invalid/expired
+     */
+    verifyLaunchToken(token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+            return decoded.purpose === 'scorm_content' ? decoded.packageId : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Find a SCORM lecture in a course
+     * @param {Object} course - Course document
+     * @param {string} lectureId - Lecture ID
+     * @returns {Object|null} { lecture, sectionIndex, lectureIndex }
+     */
+    findLecture(course, lectureId) {
+        for (let sectionIndex = 0; sectionIndex < course.sections.length; sectionIndex++) {
+            const lectures = course.sections[sectionIndex].lectures || [];
+            const lectureIndex = lectures.findIndex(lecture => lecture._id.toString() === String(lectureId));
+            if (lectureIndex !== -1) {
+                const lecture = lectures[lectureIndex];
+                return lecture.type === 'scorm' && lecture.scorm?.package ? { lecture, sectionIndex, lectureIndex } : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Seconds in a 1.2 timespan (HHHH:MM:SS.SS) or 2004 duration (P1DT2H3M4.5S)
+     * @param {string} value
+     * @returns {number} Seconds
+     */
+    parseTime(value) {
+        const timespan = TIMESPAN_12.exec(value || '');
+        if (timespan) {
+            return parseInt(timespan[1], 10) * 3600 + parseInt(timespan[2], 10) * 60 + parseFloat(timespan[3]);
+        }
+        const duration = DURATION_2004.exec(value || '');
+        if (duration) {
+            const [, years, months, days, hours, minutes, seconds] = duration.map(part => parseFloat(part || 0));
+            return (((years * 365 + months * 30 + days) * 24 + hours) * 60 + minutes) * 60 + seconds;
+        }
+        return 0;
+    }
+
+    /**
+     * Seconds written the way the version expects
+     * @param {number} seconds
+     * @param {string} version - '1.2' or '2004'
+     * @returns {string} Timespan or duration
+     */
+    formatTime(seconds, version) {
+        const total = Math.max(0, Math.round(seconds * 100) / 100);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = Math.round((total % 60) * 100) / 100;
+
+        if (version === '1.2') {
+            const pad = (number) => String(number).padStart(2, '0');
+            const secondsText = rest.toFixed(2).padStart(5, '0');
+            return `${String(Math.min(hours, 9999)).padStart(4, '0')}:${pad(minutes)}:${secondsText}`;
+        }
+        return `PT${hours}H${minutes}M${rest}S`;
+    }
+
+    /**
+     * Values the SCO sees when it initializes: what it stored plus the LMS-supplied elements
+     * @param {Object|null} attempt - ScormAttempt, or null for an untracked preview
+     * @param {Object} scormPackage - ScormPackage document
+     * @param {Object} user - Learner
+     * @returns {Object} Element name -> value
+     */
+    initialValues(attempt, scormPackage, user) {
+        const version = scormPackage.version;
+        const stored = attempt ? Object.fromEntries(attempt.cmi.map(entry => [entry.element, entry.value])) : {};
+        const preview = !attempt;
+
+        const exitElement = version === '1.2' ? 'cmi.core.exit' : 'cmi.exit';
+        let entry = '';
+        if (!attempt || attempt.sessionCount === 0) entry = 'ab-initio';
+        else if (stored[exitElement] === 'suspend') entry = 'resume';
+
+        // A new session starts without the previous session's exit and time
+        delete stored[exitElement];
+        delete stored[version === '1.2' ? 'cmi.core.session_time' : 'cmi.session_time'];
+
+        const mastery = scormPackage.masteryScore;
+        if (version === '1.2') {
+            return {
+                ...stored,
+                'cmi.core.student_id': String(user._id),
+                'cmi.core.student_name': user.name || '',
+                'cmi.core.lesson_status': attempt?.lessonStatus || 'not attempted',
+                'cmi.core.credit': preview ? 'no-credit' : 'credit',
+                'cmi.core.entry': entry,
+                'cmi.core.lesson_mode': preview ? 'browse' : 'normal',
+                'cmi.core.total_time': this.formatTime(attempt?.totalTime || 0, version),
+                'cmi.launch_data': '',
+                'cmi.student_data.mastery_score': mastery !== undefined && mastery !== null ? String(mastery) : ''
+            };
+        }
+        return {
+            ...stored,
+            'cmi.learner_id': String(user._id),
+            'cmi.learner_name': user.name || '',
+            'cmi.completion_status': attempt?.completionStatus || 'unknown',
+            'cmi.success_status': attempt?.successStatus || 'unknown',
+            'cmi.credit': preview ? 'no-credit' : 'credit',
+            'cmi.entry': entry,
+            'cmi.mode': preview ? 'browse' : 'normal',
+            'cmi.total_time': this.formatTime(attempt?.totalTime || 0, version),
+            'cmi.launch_data': '',
+            'cmi.scaled_passing_score': mastery !== undefined && mastery !== null ? String(mastery / 100) : ''
+        };
+    }
+
+    /**
+     * Check values a SCO wants to store
+     * @param {string} version - '1.2' or '2004'
+     * @param {Object} values - Element name -> value
+     * @returns {Object[]} [{ element, errorCode, message }], empty when all are valid
+     */
+    validateValues(version, values) {
+        const codes = ERRORS[version];
+        const errors = [];
+
+        Object.entries(values || {}).forEach(([element, rawValue]) => {
+            if (READ_ONLY[version].includes(element)) {
+                errors.push({ element, errorCode: codes.readOnly, message: 'Element is read only' });
+                return;
+            }
+
+            const rule = DATA_MODEL[version].find(([name]) => typeof name === 'string' ? name === element : name.test(element));
+            if (!rule) {
+                errors.push({ element, errorCode: codes.undefined, message: 'Element is not supported' });
+                return;
+            }
+            if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+                errors.push({ element, errorCode: codes.type, message: 'Value must be a string' });
+                return;
+            }
+
+            const problem = rule[1](String(rawValue));
+            if (problem) {
+                errors.push({
+                    element,
+                    errorCode: codes[problem],
+                    message: problem === 'range' ? 'Value out of range' : 'Incorrect data type'
+                });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Whether the SCO counts as done for course progress
+     * @param {Object} attempt - ScormAttempt
+     * @returns {boolean}
+     */
+    isComplete(attempt) {
+        if (attempt.version === '1.2') {
+            return ['completed', 'passed'].includes(attempt.lessonStatus);
+        }
+        return (attempt.completionStatus === 'completed' || attempt.successStatus === 'passed') &&
+            attempt.successStatus !== 'failed';
+    }
+
+    /**
+     * Score as a percentage for quiz scores, or null when the SCO reported none
+     * @param {Object} attempt - ScormAttempt
+     * @returns {number|null}
+     */
+    scorePercentage(attempt) {
+        const { raw, min, max, scaled } = attempt.score || {};
+        let percentage = null;
+        if (typeof scaled === 'number') {
+            percentage = scaled * 100;
+        } else if (typeof raw === 'number') {
+            const low = typeof min === 'number' ? min : 0;
+            const high = typeof max === 'number' ? max : 100;
+            percentage = high > low ? ((raw - low) / (high - low)) * 100 : raw;
+        }
+        return percentage === null ? null : Math.round(Math.min(100, Math.max(0, percentage)));
+    }
+
+    /**
+     * Start or resume the learner's attempt on a SCORM lecture
+     * @param {Object} user - Learner
+     * @param {Object} course - Course document
+     * @param {Object} lecture - SCORM lecture
+     * @param {Object} scormPackage - ScormPackage document
+     * @returns {Object} { attempt, values } with the values the SCO initializes with
+     */
+    async startSession(user, course, lecture, scormPackage) {
+        const attempt = await ScormAttempt.findOneAndUpdate(
+            { user: user._id, course: course._id, lecture: lecture._id },
+            {
+                $setOnInsert: {
+                    package: scormPackage._id,
+                    version: scormPackage.version
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        const values = this.initialValues(attempt, scormPackage, user);
+
+        // Exit and session time describe the previous session only
+        const prefix = attempt.version === '1.2' ? 'cmi.core.' : 'cmi.';
+        if (attempt.unsetValues(`${prefix}exit`, `${prefix}session_time`)) {
+            await attempt.save();
+        }
+
+        return { attempt, values };
+    }
+
+    /**
+     * Store values from the SCO (LMSCommit / Commit). Finishing the session
+     * (LMSFinish / Terminate) adds its session time to the total.
+     * @param {Object} attempt - ScormAttempt document
+     * @param {Object} values - Element name -> value
+     * @param {Object} options - { finish }
+     * @returns {Object} { attempt, completed } where completed is true when this commit finished the lecture
+     */
+    async commit(attempt, values = {}, options = {}) {
+        const errors = this.validateValues(attempt.version, values);
+        if (errors.length) {
+            throw scormError('Some values were rejected', 400, { elements: errors });
+        }
+
+        Object.entries(values).forEach(([element, value]) => attempt.setValue(element, String(value)));
+        const cmi = (element) => attempt.getValue(element);
+        const wasComplete = !!attempt.completedAt;
+
+        if (attempt.version === '1.2') {
+            if (cmi('cmi.core.lesson_status')) attempt.lessonStatus = cmi('cmi.core.lesson_status');
+            attempt.score = {
+                raw: parseNumber(cmi('cmi.core.score.raw')),
+                min: parseNumber(cmi('cmi.core.score.min')),
+                max: parseNumber(cmi('cmi.core.score.max'))
+            };
+        } else {
+            if (cmi('cmi.completion_status')) attempt.completionStatus = cmi('cmi.completion_status');
+            if (cmi('cmi.success_status')) attempt.successStatus = cmi('cmi.success_status');
+            attempt.score = {
+                raw: parseNumber(cmi('cmi.score.raw')),
+                min: parseNumber(cmi('cmi.score.min')),
+                max: parseNumber(cmi('cmi.score.max')),
+                scaled: parseNumber(cmi('cmi.score.scaled'))
+            };
+        }
+        attempt.suspendData = cmi('cmi.suspend_data') || '';
+
+        // With a mastery score the LMS decides pass/fail from the reported score
+        const scormPackage = await ScormPackage.findById(attempt.package).select('masteryScore');
+        const mastery = scormPackage?.masteryScore;
+        if (typeof mastery === 'number') {
+            if (attempt.version === '1.2' && typeof attempt.score.raw === 'number' &&
+                attempt.lessonStatus !== 'browsed') {
+                attempt.lessonStatus = attempt.score.raw >= mastery ? 'passed' : 'failed';
+            } else if (attempt.version === '2004' && typeof attempt.score.scaled === 'number') {
+                attempt.successStatus = attempt.score.scaled * 100 >= mastery ? 'passed' : 'failed';
+            }
+        }
+
+        let sessionSeconds = 0;
+        if (options.finish) {
+            const sessionElement = attempt.version === '1.2' ? 'cmi.core.session_time' : 'cmi.session_time';
+            sessionSeconds = this.parseTime(cmi(sessionElement));
+            attempt.totalTime += sessionSeconds;
+            attempt.sessionCount += 1;
+            attempt.unsetValues(sessionElement);
+        }
+
+        const complete = this.isComplete(attempt);
+        if (complete && !wasComplete) attempt.completedAt = new Date();
+        attempt.lastCommittedAt = new Date();
+        await attempt.save();
+
+        await this.recordProgress(attempt, { newlyCompleted: complete && !wasComplete, sessionSeconds });
+
+        return { attempt, completed: complete && !wasComplete };
+    }
+
+    /**
+     * Map an attempt onto course progress: the score into Progress.quizScores,
+     * completion into Progress.completedLessons and the enrollment
+     * @param {Object} attempt - Saved ScormAttempt
+     * @param {Object} options - { newlyCompleted, sessionSeconds }
+     */
+    async recordProgress(attempt, options = {}) {
+        const score = this.scorePercentage(attempt);
+        if (score === null && !options.newlyCompleted && !options.sessionSeconds) return;
+
+        const course = await Course.findById(attempt.course);
+        const found = course && this.findLecture(course, attempt.lecture);
+        if (!found) return;
+        const { sectionIndex, lectureIndex } = found;
+
+        let progress = await Progress.findOne({ user: attempt.user, course: attempt.course });
+        if (!progress) {
+            progress = new Progress({ user: attempt.user, course: attempt.course });
+        }
+        if (score !== null) {
+            await progress.addQuizScore(sectionIndex, lectureIndex, String(attempt.lecture), score, []);
+        }
+        // Time from earlier sessions is counted when the lecture completes, later sessions as they finish
+        if (options.newlyCompleted) {
+            await progress.completeLesson(sectionIndex, lectureIndex, Math.round(attempt.totalTime));
+        } else if (options.sessionSeconds && attempt.completedAt) {
+            await progress.completeLesson(sectionIndex, lectureIndex, Math.round(options.sessionSeconds));
+        }
+
+        const enrollment = await Enrollment.findOne({ user: attempt.user, course: attempt.course, isActive: true });
+        if (!enrollment) return;
+
+        if (options.sessionSeconds) {
+            enrollment.progress.totalTimeSpent += Math.round(options.sessionSeconds);
+        }
+        if (options.newlyCompleted) {
+            const alreadyCompleted = enrollment.progress.completedLessons.some(
+                lesson => lesson.sectionIndex === sectionIndex && lesson.lessonIndex === lectureIndex
+            );
+            if (!alreadyCompleted) {
+                enrollment.progress.completedLessons.push({ sectionIndex, lessonIndex: lectureIndex, completedAt: new Date() });
+            }
+            enrollment.progress.lastAccessedLesson = { sectionIndex, lessonIndex: lectureIndex };
+            await enrollment.calculateProgress();
+        }
+        await enrollment.save();
+
+        if (options.newlyCompleted && enrollment.progress.overallProgress === 100 && enrollment.completedAt) {
+            await this.certificateService.issueForCompletedEnrollment(enrollment);
+
+            // May complete a learning path; runs in the background
+            this.learningPathService.handleCourseCompleted(attempt.user, attempt.course);
+        }
+    }
+}
+
+module.exports = ScormService;
@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const Enrollment = require('../models/Enrollment');
+const { getPaymentProvider } = require('./payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A renewal run that hasn't finished within this time is considered dead
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+class SubscriptionService {
+    constructor() {
+        // Renewal charges tried before a past_due subscription is canceled
+        this.maxRenewalAttempts = parseInt(process.env.SUBSCRIPTION_RENEWAL_ATTEMPTS || '3', 10);
+        this.retryHours = parseFloat(process.env.SUBSCRIPTION_RETRY_HOURS || '24');
+    }
+
+    /**
+     * Start a subscription: a trial when the plan has one (first subscription
+     * only), otherwise the first period is charged right away. The
+     * subscription is stored before anything is charged, so two signups at
+     * once cannot both go through (one live subscription per user).
+     * @param {Object} user - User document
+     * @param {string} planId - Plan ID
+     * @returns {Object} Saved subscription
+     */
+    async subscribe(user, planId) {
+        const plan = await Plan.findById(planId);
+        if (!plan || !plan.isActive) {
+            throw Object.assign(new Error('Plan not found'), { statusCode: 404 });
+        }
+
+        const provider = getPaymentProvider();
+        const now = new Date();
+
+        // A signup that died mid-charge would otherwise block the user for good
+        await Subscription.updateMany(
+            { user: user._id, status: 'pending', createdAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } },
+            {
+                $set: { status: 'failed', endedAt: now },
+                $push: { history: { status: 'failed', note: 'Signup did not complete; check the provider for a charge', at: now } }
+            }
+        );
+
+        const current = await Subscription.exists({ user: user._id, status: { $in: Subscription.LIVE_STATUSES } });
+        if (current) {
+            throw Object.assign(new Error('You already have an active subscription'), { statusCode: 400 });
+        }
+
+        const subscription = new Subscription({
+            user: user._id,
+            plan: plan._id,
+            price: plan.price,
+            currency: plan.currency,
+            interval: plan.interval,
+            provider: provider.name,
+            startedAt: now,
+            currentPeriodStart: now
+        });
+
+        const hadTrial = await Subscription.exists({ user: user._id, trialEndsAt: { $exists: true } });
+        if (plan.trialDays > 0 && !hadTrial) {
+            subscription.trialEndsAt = new Date(now.getTime() + plan.trialDays * DAY_MS);
+            subscription.currentPeriodEnd = subscription.trialEndsAt;
+            // Paid periods start when the trial ends
+            subscription.billingAnchorDay = subscription.trialEndsAt.getUTCDate();
+            subscription.setStatus('trialing', `${plan.trialDays}-day trial started`);
+            await this.saveNew(subscription);
+            return subscription;
+        }
+
+        subscription.billingAnchorDay = now.getUTCDate();
+        subscription.setStatus('pending', 'Charging the first period');
+        await this.saveNew(subscription);
+
+        const periodEnd = this.addInterval(now, plan.interval, subscription.billingAnchorDay);
+        const result = await this.charge(subscription, now, periodEnd);
+        if (result.status !== 'succeeded') {
+            const reason = result.failureReason || 'declined';
+            subscription.endedAt = new Date();
+            subscription.setStatus('failed', `First payment failed: ${reason}`);
+            await subscription.save();
+            throw Object.assign(new Error(`Payment failed: ${reason}`), { statusCode: 402 });
+        }
+
+        subscription.currentPeriodEnd = periodEnd;
+        subscription.setStatus('active', 'Subscription started');
+        await subscription.save();
+        return subscription;
+    }
+
+    /**
+     * Insert a new subscription; the unique live-subscription index turns a
+     * concurrent signup into a 400
+     * @param {Object} subscription - New Subscription document
+     * @returns {Object} Saved subscription
+     */
+    async saveNew(subscription) {
+        try {
+            return await subscription.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw Object.assign(new Error('You already have an active subscription'), { statusCode: 400 });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Charge one billing period through the subscription's payment provider
+     * and record the attempt on the subscription (not saved)
+     * @param {Object} subscription - Subscription document
+     * @param {Date} periodStart - Start of the period being paid for
+     * @param {Date} periodEnd - End of the period being paid for
+     * @returns {Object} { status, providerPaymentId, failureReason }
+     */
+    async charge(subscription, periodStart, periodEnd) {
+        const provider = getPaymentProvider(subscription.provider);
+        let result;
+        try {
+            result = await provider.chargeSubscription(subscription, {
+                amount: subscription.price,
+                currency: subscription.currency,
+                description: `Subscription ${periodStart.toISOString().slice(0, 10)} to ${periodEnd.toISOString().slice(0, 10)}`,
+                idempotencyKey: `${subscription._id}:${periodEnd.toISOString()}:${subscription.failedAttempts}`
+            });
+        } catch (error) {
+            console.error('Subscription charge error:', error);
+            result = { status: 'failed', failureReason: 'Payment provider error' };
+        }
+
+        subscription.payments.push({
+            amount: subscription.price,
+            currency: subscription.currency,
+            provider: provider.name,
+            providerPaymentId: result.providerPaymentId,
+            status: result.status === 'succeeded' ? 'succeeded' : 'failed',
+            failureReason: result.failureReason,
+            periodStart,
+            periodEnd
+        });
+
+        return result;
+    }
+
+    /**
+     * Cancel a subscription at the end of the current period, or right away
+     * @param {Object} subscription - Subscription document
+     * @param {Object} options - { immediately, reason }
+     * @returns {Object} Updated subscription
+     */
+    async cancel(subscription, options = {}) {
+        const { immediately = false, reason } = options;
+
+        if (subscription.isManagedByOrganization()) {
+            throw Object.assign(new Error('This subscription is managed by your organization'), { statusCode: 400 });
+        }
+        if (!subscription.hasAccess()) {
+            throw Object.assign(new Error('Subscription is already canceled'), { statusCode: 400 });
+        }
+
+        subscription.canceledAt = new Date();
+        subscription.cancelReason = reason;
+
+        // Nothing has been paid for the rest of a past_due period
+        if (immediately || subscription.status === 'past_due') {
+            return this.endSubscription(subscription, reason || 'Canceled');
+        }
+
+        subscription.cancelAtPeriodEnd = true;
+        subscription.history.push({ status: subscription.status, note: 'Set to cancel at period end', at: new Date() });
+        await subscription.save();
+        return subscription;
+    }
+
+    /**
+     * Undo a pending cancel-at-period-end
+     * @param {Object} subscription - Subscription document
+     * @returns {Object} Updated subscription
+     */
+    async resume(subscription) {
+        if (subscription.isManagedByOrganization()) {
+            throw Object.assign(new Error('This subscription is managed by your organization'), { statusCode: 400 });
+        }
+        if (!subscription.hasAccess() || !subscription.cancelAtPeriodEnd) {
+            throw Object.assign(new Error('Subscription is not set to cancel'), { statusCode: 400 });
+        }
+
+        subscription.cancelAtPeriodEnd = false;
+        subscription.canceledAt = undefined;
+        subscription.cancelReason = undefined;
+        subscription.history.push({ status: subscription.status, note: 'Cancellation withdrawn', at: new Date() });
+        await subscription.save();
+        return subscription;
+    }
+
+    /**
+     * Cancel a subscription now and lapse the enrollments it granted
+     * @param {Object} subscription - Subscription document
+     * @param {string} note - History note
+     * @param {Object} options - { session, freedCohorts }: inside a caller's
+     *   transaction, cohorts where seats were freed are pushed onto freedCohorts
+     *   for the caller to promote after committing
+     * @returns {Object} Updated subscription
+     */
+    async endSubscription(subscription, note, options = {}) {
+        let freedCohorts = [];
+        const end = async (session) => {
+            subscription.setStatus('canceled', note);
+            subscription.endedAt = new Date();
+            subscription.cancelAtPeriodEnd = false;
+            subscription.nextRetryAt = undefined;
+            subscription.processingAt = undefined;
+            await subscription.save({ session });
+
+            ({ cohorts: freedCohorts } = await Enrollment.lapseSubscription(subscription._id, { session }));
+        };
+
+        // Join the caller's transaction when there is one
+        if (options.session) {
+            await end(options.session);
+            if (options.freedCohorts) options.freedCohorts.push(...freedCohorts);
+            return subscription;
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(() => end(session));
+        } finally {
+            await session.endSession();
+        }
+
+        // Required here: CohortService itself depends on this service
+        const CohortService = require('./CohortService');
+        await new CohortService().promoteFreedSeats(freedCohorts);
+        return subscription;
+    }
+
+    /**
+     * Move a due subscription forward: end it, renew it, or retry a failed renewal
+     * @param {Object} subscription - Subscription document
+     * @param {Date} now - Current time
+     * @returns {string} Outcome: 'canceled', 'renewed', 'past_due' or 'skipped'
+     */
+    async renew(subscription, now = new Date()) {
+        if (!subscription.hasAccess()) return 'skipped';
+
+        if (subscription.cancelAtPeriodEnd) {
+            await this.endSubscription(subscription, 'Canceled at period end');
+            return 'canceled';
+        }
+
+        // The period being paid for starts where the unpaid one ended
+        const periodStart = subscription.currentPeriodEnd;
+        const periodEnd = this.addInterval(periodStart, subscription.interval, subscription.billingAnchorDay);
+        const result = await this.charge(subscription, periodStart, periodEnd);
+
+        if (result.status === 'succeeded') {
+            const wasTrial = subscription.status === 'trialing';
+            subscription.currentPeriodStart = periodStart;
+            subscription.currentPeriodEnd = periodEnd;
+            subscription.failedAttempts = 0;
+            subscription.nextRetryAt = undefined;
+            subscription.processingAt = undefined;
+            subscription.setStatus('active', wasTrial ? 'Trial converted' : 'Renewed');
+            await subscription.save();
+            return 'renewed';
+        }
+
+        subscription.failedAttempts += 1;
+        const reason = result.failureReason || 'Payment failed';
+
+        if (subscription.failedAttempts >= this.maxRenewalAttempts) {
+            await this.endSubscription(subscription, `Renewal failed ${subscription.failedAttempts} times: ${reason}`);
+            return 'canceled';
+        }
+
+        subscription.nextRetryAt = new Date(now.getTime() + this.retryHours * 60 * 60 * 1000);
+        subscription.processingAt = undefined;
+        subscription.setStatus('past_due', `Renewal attempt ${subscription.failedAttempts} failed: ${reason}`);
+        await subscription.save();
+        return 'past_due';
+    }
+
+    /**
+     * Renew, retry or end every subscription that is due. Safe to run from
+     * several processes: each subscription is claimed before it is charged.
+     * @param {Date} now - Current time
+     * @returns {Object} Counts per outcome
+     */
+    async processDueRenewals(now = new Date()) {
+        const summary = { processed: 0, renewed: 0, past_due: 0, canceled: 0, errors: 0 };
+
+        const due = await Subscription.find({
+            $or: [
+                { status: { $in: ['trialing', 'active'] }, currentPeriodEnd: { $lte: now } },
+                { status: 'past_due', nextRetryAt: { $lte: now } }
+            ]
+        }).select('_id');
+
+        for (const { _id } of due) {
+            const subscription = await Subscription.findOneAndUpdate({
+                _id,
+                $or: [
+                    { processingAt: { $exists: false } },
+                    { processingAt: null },
+                    { processingAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+                ]
+            }, { $set: { processingAt: now } }, { new: true });
+            if (!subscription) continue;
+
+            try {
+                const outcome = await this.renew(subscription, now);
+                summary.processed += 1;
+                if (summary[outcome] !== undefined) summary[outcome] += 1;
+            } catch (error) {
+                console.error(`Renewal error for subscription ${_id}:`, error);
+                summary.errors += 1;
+                await Subscription.updateOne({ _id }, { $unset: { processingAt: '' } });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * The user's subscription covering a course, if any
+     * @param {string} userId - User ID
+     * @param {Object} course - Course document
+     * @returns {Object|null} Subscription with plan populated
+     */
+    async getCoveringSubscription(userId, course) {
+        return Subscription.findCovering(userId, course);
+    }
+
+    // The anchor day next month/year, clamped to the month's last day (Jan 31 -> Feb 28).
+    // Without an anchor the date's own day is used.
+    addInterval(date, interval, anchorDay = new Date(date).getUTCDate()) {
+        const next = new Date(date);
+        const day = anchorDay;
+        next.setUTCDate(1);
+        if (interval === 'year') {
+            next.setUTCFullYear(next.getUTCFullYear() + 1);
+        } else {
+            next.setUTCMonth(next.getUTCMonth() + 1);
+        }
+        const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+        next.setUTCDate(Math.min(day, lastDay));
+        return next;
+    }
+}
+
+module.exports = SubscriptionService;
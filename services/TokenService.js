@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+class TokenService {
+    /**
+     * Hash a refresh token secret for storage/comparison
+     * @param {string} secret - Raw token secret
+     * @returns {string} Hex digest
+     */
+    hashToken(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * Sign a short-lived access token bound to a session
+     * @param {Object} user - User document
+     * @param {Object} session - Session document
+     * @returns {string} Signed JWT
+     */
+    signAccessToken(user, session) {
+        return jwt.sign(
+            { userId: user._id, role: user.role, sessionId: session._id },
+            process.env.JWT_SECRET || 'your-secret-key',
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
+    }
+
+    /**
+     * Extract device and IP details from the request
+     * @param {Object} req - Express request
+     * @returns {Object} Client info
+     */
+    getClientInfo(req) {
+        const userAgent = req.headers['user-agent'] || 'unknown';
+        return {
+            device: {
+                userAgent,
+                name: req.body?.deviceName || this.describeUserAgent(userAgent)
+            },
+            ipAddress: req.ip
+        };
+    }
+
+    /**
+     * Very small user-agent summary for session lists
+     * @param {string} userAgent
+     * @returns {string} e.g. "Chrome on Windows"
+     */
+    describeUserAgent(userAgent) {
+        const browsers = [['Edg/', 'Edge'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+        const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+        const browser = browsers.find(([marker]) => userAgent.includes(marker));
+        const system = systems.find(([marker]) => userAgent.includes(marker));
+
+        if (!browser && !system) return 'Unknown device';
+        return `${browser ? browser[1] : 'Browser'} on ${system ? system[1] : 'unknown OS'}`;
+    }
+
+    /**
+     * Create a new session and issue an access/refresh token pair
+     * @param {Object} user - User document
+     * @param {Object} req - Express request
+     * @param {Object} options - { twoFactorSetupRequired }
+     * @returns {Object} { accessToken, refreshToken, expiresIn, session }
+     */
+    async createSession(user, req, options = {}) {
+        const secret = crypto.randomBytes(48).toString('hex');
+        const clientInfo = this.getClientInfo(req);
+
+        const session = new Session({
+            user: user._id,
+            refreshTokenHash: this.hashToken(secret),
+            device: clientInfo.device,
+            ipAddress: clientInfo.ipAddress,
+            lastSeenAt: new Date(),
+            twoFactorSetupRequired: !!options.twoFactorSetupRequired,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+        await session.save();
+
+        return {
+            accessToken: this.signAccessToken(user, session),
+            refreshToken: `${session._id}.${secret}`,
+            expiresIn: ACCESS_TOKEN_TTL,
+            session
+        };
+    }
+
+    /**
+     * Rotate a refresh token. Reusing an already rotated token revokes the whole session.
+     * @param {string} refreshToken - Token in "<sessionId>.<secret>" form
+     * @param {Object} req - Express request
+     * @returns {Object} { success, accessToken, refreshToken, expiresIn, user } or { success: false, error }
+     */
+    async rotateRefreshToken(refreshToken, req) {
+        const [sessionId, secret] = (refreshToken || '').split('.');
+        if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+            return { success: false, error: 'Invalid refresh token' };
+        }
+
+        const session = await Session.findById(sessionId).populate('user');
+        if (!session || !session.isValid()) {
+            return { success: false, error: 'Session expired or revoked' };
+        }
+
+        const presentedHash = this.hashToken(secret);
+
+        if (session.previousTokenHashes.includes(presentedHash)) {
+            await session.revoke('token_reuse');
+            console.warn(`🚨 Refresh token reuse detected for session ${session._id}, session revoked`);
+            return { success: false, error: 'Refresh token reuse detected. Please log in again.' };
+        }
+
+        if (presentedHash !== session.refreshTokenHash) {
+            return { success: false, error: 'Invalid refresh token' };
+        }
+
+        const user = session.user;
+        if (!user || !user.isActive) {
+            await session.revoke('account_deactivated');
+            return { success: false, error: 'Account is deactivated' };
+        }
+
+        const newSecret = crypto.randomBytes(48).toString('hex');
+        const clientInfo = this.getClientInfo(req);
+
+        // Swap the hash only if it is still the presented one, so of two
+        // requests racing with the same token exactly one gets a new pair
+        const rotated = await Session.findOneAndUpdate(
+            {
+                _id: session._id,
+                refreshTokenHash: presentedHash,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            {
+                $set: {
+                    refreshTokenHash: this.hashToken(newSecret),
+                    ipAddress: clientInfo.ipAddress,
+                    lastSeenAt: new Date()
+                },
+                $push: {
+                    previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+                }
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            // Rotated (or revoked) by another request in the meantime: the token was used twice
+            await Session.updateOne(
+                { _id: session._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+            );
+            console.warn(`🚨 Refresh token reuse detected for session ${session._id}, session revoked`);
+            return { success: false, error: 'Refresh token reuse detected. Please log in again.' };
+        }
+
+        return {
+            success: true,
+            accessToken: this.signAccessToken(user, rotated),
+            refreshToken: `${rotated._id}.${newSecret}`,
+            expiresIn: ACCESS_TOKEN_TTL,
+            user
+        };
+    }
+}
+
+module.exports = TokenService;
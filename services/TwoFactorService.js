@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const totp = require('../utils/totp');
+
+const CHALLENGE_TTL = '5m';
+// Codes that can be tried against one challenge before the password is asked for again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const ELIGIBLE_ROLES = ['instructor', 'admin'];
+
+class TwoFactorService {
+    /**
+     * Check whether a role may enroll in 2FA
+     * @param {string} role
+     * @returns {boolean}
+     */
+    isEligibleRole(role) {
+        return ELIGIBLE_ROLES.includes(role);
+    }
+
+    /**
+     * Check whether the security policy forces 2FA for a role
+     * @param {string} role
+     * @returns {boolean}
+     */
+    async isRequiredForRole(role) {
+        const policy = await SecurityPolicy.getPolicy();
+        return (policy.twoFactor?.requiredRoles || []).includes(role);
+    }
+
+    /**
+     * Load a user with the hidden 2FA fields
+     * @param {string} userId
+     * @returns {Object} User document
+     */
+    findUserWithSecrets(userId) {
+        return User.findById(userId)
+            .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedCounter');
+    }
+
+    /**
+     * Short-lived token proving the password step of a two-step login
+     * succeeded. It replaces any challenge the user still had open.
+     * @param {Object} user
+     * @returns {string} Signed challenge token
+     */
+    async createChallenge(user) {
+        const challengeId = crypto.randomBytes(16).toString('hex');
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 } }
+        );
+
+        return jwt.sign(
+            { userId: user._id, purpose: '2fa_challenge', jti: challengeId },
+            process.env.JWT_SECRET || 'your-secret-key',
+            { expiresIn: CHALLENGE_TTL }
+        );
+    }
+
+    /**
+     * Decode a challenge token
+     * @param {string} challengeToken
+     * @returns {Object|null} { userId, challengeId } or null if invalid/expired
+     */
+    verifyChallenge(challengeToken) {
+        try {
+            const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key');
+            return decoded.purpose === '2fa_challenge' && decoded.jti
+                ? { userId: decoded.userId, challengeId: decoded.jti }
+                : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Use up one attempt on a challenge before checking a code, so parallel
+     * guesses count too
+     * @param {Object} challenge - Output of verifyChallenge
+     * @returns {boolean} False once the challenge was replaced, completed or tried too often
+     */
+    async claimChallengeAttempt({ userId, challengeId }) {
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                'twoFactor.challengeId': challengeId,
+                'twoFactor.challengeAttempts': { $lt: MAX_CHALLENGE_ATTEMPTS }
+            },
+            { $inc: { 'twoFactor.challengeAttempts': 1 } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Close a challenge after a successful login
+     * @param {string} userId
+     */
+    async completeChallenge(userId) {
+        await User.updateOne(
+            { _id: userId },
+            { $unset: { 'twoFactor.challengeId': '', 'twoFactor.challengeAttempts': '' } }
+        );
+    }
+
+    /**
+     * Start enrollment: store a pending secret and return the provisioning details
+     * @param {Object} user - User document loaded with findUserWithSecrets
+     * @returns {Object} { secret, otpauthUri }
+     */
+    async startEnrollment(user) {
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = totp.encryptSecret(secret);
+        await user.save();
+
+        return {
+            secret,
+            otpauthUri: totp.buildOtpauthUri(secret, user.email)
+        };
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param {Object} user - User document loaded with findUserWithSecrets
+     * @param {string} code
+     * @returns {Object} { success, recoveryCodes } or { success: false, error }
+     */
+    async confirmEnrollment(user, code) {
+        if (!user.twoFactor.pendingSecret) {
+            return { success: false, error: 'Two-factor setup has not been started' };
+        }
+
+        const secret = totp.decryptSecret(user.twoFactor.pendingSecret);
+        const counter = totp.verifyTOTP(secret, code);
+        if (counter === null) {
+            return { success: false, error: 'Invalid verification code' };
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedCounter = counter;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.recoveryCodes = recoveryCodes.map(rc => ({ codeHash: this.hashRecoveryCode(rc) }));
+        await user.save();
+
+        // Sessions that were limited to 2FA setup get full access now
+        await Session.updateMany(
+            { user: user._id, twoFactorSetupRequired: true },
+            { twoFactorSetupRequired: false }
+        );
+
+        return { success: true, recoveryCodes };
+    }
+
+    /**
+     * Verify a TOTP code or a recovery code for an enrolled user
+     * @param {Object} user - User document loaded with findUserWithSecrets
+     * @param {Object} input - { code } or { recoveryCode }
+     * @returns {Object} { valid, method, remainingRecoveryCodes }
+     */
+    async verify(user, { code, recoveryCode }) {
+        if (!user.twoFactor.enabled || !user.twoFactor.secret) {
+            return { valid: false };
+        }
+
+        if (code) {
+            const secret = totp.decryptSecret(user.twoFactor.secret);
+            const counter = totp.verifyTOTP(secret, code);
+
+            if (counter === null || (user.twoFactor.lastUsedCounter !== undefined && counter <= user.twoFactor.lastUsedCounter)) {
+                return { valid: false };
+            }
+
+            user.twoFactor.lastUsedCounter = counter;
+            await user.save();
+            return { valid: true, method: 'totp' };
+        }
+
+        if (recoveryCode) {
+            const codeHash = this.hashRecoveryCode(recoveryCode);
+            const entry = user.twoFactor.recoveryCodes.find(rc => rc.codeHash === codeHash && !rc.usedAt);
+            if (!entry) {
+                return { valid: false };
+            }
+
+            entry.usedAt = new Date();
+            await user.save();
+            return {
+                valid: true,
+                method: 'recovery_code',
+                remainingRecoveryCodes: user.twoFactor.recoveryCodes.filter(rc => !rc.usedAt).length
+            };
+        }
+
+        return { valid: false };
+    }
+
+    /**
+     * Replace the user's recovery codes
+     * @param {Object} user - User document loaded with findUserWithSecrets
+     * @returns {string[]} New plain-text codes (shown once)
+     */
+    async regenerateRecoveryCodes(user) {
+        const recoveryCodes = this.generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = recoveryCodes.map(rc => ({ codeHash: this.hashRecoveryCode(rc) }));
+        await user.save();
+        return recoveryCodes;
+    }
+
+    /**
+     * Turn 2FA off and clear all secrets
+     * @param {Object} user - User document loaded with findUserWithSecrets
+     */
+    async disable(user) {
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = [];
+        user.twoFactor.lastUsedCounter = undefined;
+        user.twoFactor.enabledAt = undefined;
+        await user.save();
+    }
+
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+}
+
+module.exports = TwoFactorService;
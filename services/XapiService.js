@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const XapiStatement = require('../models/XapiStatement');
+
+const XAPI_VERSION = '1.0.3';
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_QUERY_LIMIT = 500;
+
+const VERBS = {
+    launched: { id: 'http://adlnet.gov/expapi/verbs/launched', display: { 'en-US': 'launched' } },
+    progressed: { id: 'http://adlnet.gov/expapi/verbs/progressed', display: { 'en-US': 'progressed' } },
+    completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+    passed: { id: 'http://adlnet.gov/expapi/verbs/passed', display: { 'en-US': 'passed' } },
+    failed: { id: 'http://adlnet.gov/expapi/verbs/failed', display: { 'en-US': 'failed' } },
+    scored: { id: 'http://adlnet.gov/expapi/verbs/scored', display: { 'en-US': 'scored' } },
+    voided: { id: 'http://adlnet.gov/expapi/verbs/voided', display: { 'en-US': 'voided' } }
+};
+
+const ACTIVITY_TYPES = {
+    course: 'http://adlnet.gov/expapi/activities/course',
+    lesson: 'http://adlnet.gov/expapi/activities/lesson',
+    assessment: 'http://adlnet.gov/expapi/activities/assessment'
+};
+
+const PROGRESS_EXTENSION = 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IRI = /^[a-z][a-z\d+.-]*:\S+$/i;
+
+const xapiError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Canonical key for an agent, used to match ?agent= queries
+const actorKey = (actor) => {
+    if (!actor) return null;
+    if (actor.mbox) return `mbox:${actor.mbox}`;
+    if (actor.mbox_sha1sum) return `sha1:${actor.mbox_sha1sum}`;
+    if (actor.openid) return `openid:${actor.openid}`;
+    if (actor.account?.homePage && actor.account?.name) return `account:${actor.account.homePage}|${actor.account.name}`;
+    return null;
+};
+
+// Same content, ignoring what the LRS adds on storage (a missing timestamp is filled in)
+const sameStatement = (a, b) => {
+    const strip = ({ stored, authority, version, timestamp, ...rest }) => rest;
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+};
+
+class XapiService {
+    constructor() {
+        this.endpoint = (process.env.XAPI_LRS_ENDPOINT || '').replace(/\/+$/, '');
+        this.username = process.env.XAPI_LRS_USERNAME || '';
+        this.password = process.env.XAPI_LRS_PASSWORD || '';
+        this.maxAttempts = parseInt(process.env.XAPI_MAX_ATTEMPTS || '10', 10);
+        this.baseUrl = (process.env.XAPI_ACTIVITY_BASE || process.env.FRONTEND_URL || 'http://localhost:9002').replace(/\/+$/, '');
+    }
+
+    /**
+     * Whether statements are forwarded to an external LRS
+     * @returns {boolean}
+     */
+    isForwarding() {
+        return !!this.endpoint;
+    }
+
+    /**
+     * Actor for a user: an account on this site, so emails stay out of the LRS
+     * @param {Object} user - User document
+     * @returns {Object} xAPI Agent
+     */
+    actor(user) {
+        return {
+            objectType: 'Agent',
+            name: user.name,
+            account: { homePage: this.baseUrl, name: String(user._id) }
+        };
+    }
+
+    /**
+     * Course activity
+     * @param {Object} course - Course document (or { _id, title })
+     * @returns {Object} xAPI Activity
+     */
+    courseActivity(course) {
+        return {
+            objectType: 'Activity',
+            id: `${this.baseUrl}/courses/${course._id}`,
+            definition: {
+                type: ACTIVITY_TYPES.course,
+                ...(course.title ? { name: { 'en-US': course.title } } : {})
+            }
+        };
+    }
+
+    /**
+     * Lecture activity; quizzes are assessments
+     * @param {Object} course - Course document
+     * @param {Object} lecture - Lecture subdocument
+     * @returns {Object} xAPI Activity
+     */
+    lectureActivity(course, lecture) {
+        return {
+            objectType: 'Activity',
+            id: `${this.baseUrl}/courses/${course._id}/lectures/${lecture._id}`,
+            definition: {
+                type: lecture.type === 'quiz' ? ACTIVITY_TYPES.assessment : ACTIVITY_TYPES.lesson,
+                name: { 'en-US': lecture.title }
+            }
+        };
+    }
+
+    /**
+     * Progress as an xAPI result
+     * @param {number} percentage - 0-100
+     * @returns {Object} Result
+     */
+    progressResult(percentage) {
+        return {
+            completion: percentage >= 100,
+            extensions: { [PROGRESS_EXTENSION]: Math.round(percentage) }
+        };
+    }
+
+    /**
+     * Score out of 100 as an xAPI result
+     * @param {number} score - 0-100
+     * @param {Object} extra - e.g. { success, duration }
+     * @returns {Object} Result
+     */
+    scoreResult(score, extra = {}) {
+        return {
+            score: { scaled: Math.round(score) / 100, raw: Math.round(score), min: 0, max: 100 },
+            ...extra
+        };
+    }
+
+    /**
+     * Record a statement about a user and queue it for the external LRS
+     * @param {string} verb - Key of VERBS, e.g. completed
+     * @param {Object} user - User document
+     * @param {Object} object - Activity
+     * @param {Object} options - { result, course } where course becomes the parent activity
+     * @returns {Object} Stored XapiStatement
+     */
+    async emit(verb, user, object, options = {}) {
+        const statement = {
+            id: crypto.randomUUID(),
+            actor: this.actor(user),
+            verb: VERBS[verb],
+            object,
+            ...(options.result ? { result: options.result } : {}),
+            context: {
+                platform: process.env.XAPI_PLATFORM || 'E-Learning Platform',
+                language: 'en-US',
+                ...(options.course && object.id !== this.courseActivity(options.course).id
+                    ? { contextActivities: { parent: [this.courseActivity(options.course)] } }
+                    : {})
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        const stored = await this.save(statement, {
+            source: 'emitted',
+            user: user._id,
+            forward: this.isForwarding() ? { status: 'pending', nextAttemptAt: new Date() } : { status: 'skipped' }
+        });
+
+        // Deliver right away when possible; processQueue retries what fails
+        if (this.isForwarding()) {
+            this.deliver(stored._id).catch(error => console.error('Forward xAPI statement error:', error));
+        }
+        return stored;
+    }
+
+    /**
+     * Fire-and-forget emit for routes: a failure is logged and never fails the request
+     * @param {...*} args - Same as emit
+     */
+    track(...args) {
+        this.emit(...args).catch(error => console.error('Emit xAPI statement error:', error));
+    }
+
+    /**
+     * Check a statement received on the store endpoint
+     * @param {Object} statement
+     * @returns {string|null} Problem, or null when it can be stored
+     */
+    validateStatement(statement) {
+        if (!statement || typeof statement !== 'object' || Array.isArray(statement)) return 'Statement must be an object';
+        if (statement.id !== undefined && !UUID.test(statement.id)) return 'Statement id must be a UUID';
+
+        const actor = statement.actor;
+        if (!actor || typeof actor !== 'object') return 'Statement actor is required';
+        if (actor.objectType === 'Group') {
+            if (!actorKey(actor) && !Array.isArray(actor.member)) return 'A group needs an identifier or members';
+        } else if (!actorKey(actor)) {
+            return 'Actor needs an mbox, mbox_sha1sum, openid or account';
+        }
+        if (actor.mbox && !/^mailto:/.test(actor.mbox)) return 'Actor mbox must be a mailto: IRI';
+
+        if (!statement.verb || !IRI.test(statement.verb.id || '')) return 'Statement verb id must be an IRI';
+
+        const object = statement.object;
+        if (!object || typeof object !== 'object') return 'Statement object is required';
+        const objectType = object.objectType || 'Activity';
+        if (objectType === 'Activity' && !IRI.test(object.id || '')) return 'Activity id must be an IRI';
+        if (objectType === 'StatementRef' && !UUID.test(object.id || '')) return 'StatementRef id must be a UUID';
+        if (statement.verb.id === VERBS.voided.id && objectType !== 'StatementRef') return 'Voiding statements must reference a statement';
+
+        const scaled = statement.result?.score?.scaled;
+        if (scaled !== undefined && (typeof scaled !== 'number' || scaled < -1 || scaled > 1)) return 'Scaled score must be between -1 and 1';
+        if (statement.timestamp !== undefined && isNaN(Date.parse(statement.timestamp))) return 'Timestamp must be an ISO 8601 date';
+        if (statement.context?.registration !== undefined && !UUID.test(statement.context.registration)) return 'Registration must be a UUID';
+
+        return null;
+    }
+
+    /**
+     * Store statements posted to the LRS endpoint (all or none)
+     * @param {Object[]} statements - Statements as received
+     * @param {Object} authority - Agent that sent them
+     * @returns {string[]} Statement IDs in order
+     */
+    async storeStatements(statements, authority) {
+        statements.forEach((statement, index) => {
+            const problem = this.validateStatement(statement);
+            if (problem) throw xapiError(statements.length > 1 ? `Statement ${index + 1}: ${problem}` : problem);
+        });
+
+        const withIds = statements.map(statement => ({ ...statement, id: statement.id || crypto.randomUUID() }));
+        const ids = withIds.map(statement => statement.id);
+        if (new Set(ids).size !== ids.length) {
+            throw xapiError('Statement ids in a batch must be unique');
+        }
+
+        // Re-sending a stored statement is fine; changing it is a conflict
+        const existing = await XapiStatement.find({ statementId: { $in: ids } }).select('statementId statement');
+        const existingById = new Map(existing.map(doc => [doc.statementId, doc.statement]));
+        for (const statement of withIds) {
+            const stored = existingById.get(statement.id);
+            if (stored && !sameStatement(stored, statement)) {
+                throw xapiError(`Statement ${statement.id} already exists with different content`, 409);
+            }
+        }
+
+        // A voided statement must exist and cannot itself be a voiding statement
+        const voidTargets = withIds.filter(statement => statement.verb.id === VERBS.voided.id).map(statement => statement.object.id);
+        if (voidTargets.length) {
+            const targets = await XapiStatement.find({ statementId: { $in: voidTargets } }).select('statementId verb');
+            if (targets.length !== new Set(voidTargets).size) throw xapiError('A voided statement does not exist');
+            if (targets.some(target => target.verb === VERBS.voided.id)) throw xapiError('Voiding statements cannot be voided');
+        }
+
+        for (const statement of withIds) {
+            if (existingById.has(statement.id)) continue;
+            await this.save({ ...statement, authority }, { source: 'received' });
+        }
+        if (voidTargets.length) {
+            await XapiStatement.updateMany({ statementId: { $in: voidTargets } }, { $set: { voided: true } });
+        }
+
+        return ids;
+    }
+
+    /**
+     * Save a statement with the properties the LRS sets
+     * @param {Object} statement - Valid statement with an id
+     * @param {Object} fields - Extra document fields (source, user, forward)
+     * @returns {Object} XapiStatement
+     */
+    async save(statement, fields) {
+        const stored = new Date();
+        const full = {
+            ...statement,
+            timestamp: statement.timestamp || stored.toISOString(),
+            stored: stored.toISOString(),
+            version: statement.version || XAPI_VERSION,
+            authority: statement.authority || {
+                objectType: 'Agent',
+                name: process.env.XAPI_PLATFORM || 'E-Learning Platform',
+                account: { homePage: this.baseUrl, name: 'lrs' }
+            }
+        };
+
+        return XapiStatement.create({
+            statementId: full.id,
+            statement: full,
+            actorKey: actorKey(full.actor),
+            verb: full.verb.id,
+            activity: (full.object.objectType || 'Activity') === 'Activity' ? full.object.id : undefined,
+            registration: full.context?.registration,
+            timestamp: new Date(full.timestamp),
+            stored,
+            ...fields
+        });
+    }
+
+    /**
+     * Query the store the way GET /statements does
+     * @param {Object} query - statementId, voidedStatementId, agent, verb, activity,
+     *                         registration, since, until, limit, ascending, offset
+     * @returns {Object} { statements, more } or { statement } for a single ID
+     */
+    async query(query = {}) {
+        if (query.statementId || query.voidedStatementId) {
+            const voided = !!query.voidedStatementId;
+            const doc = await XapiStatement.findOne({
+                statementId: query.statementId || query.voidedStatementId,
+                voided
+            }).select('statement');
+            if (!doc) throw xapiError('Statement not found', 404);
+            return { statement: doc.statement };
+        }
+
+        const filter = { voided: false };
+        if (query.agent) {
+            let agent;
+            try {
+                agent = JSON.parse(query.agent);
+            } catch (error) {
+                throw xapiError('agent must be a JSON agent');
+            }
+            filter.actorKey = actorKey(agent);
+            if (!filter.actorKey) throw xapiError('agent must have an identifier');
+        }
+        if (query.verb) filter.verb = query.verb;
+        if (query.activity) filter.activity = query.activity;
+        if (query.registration) filter.registration = query.registration;
+        if (query.since || query.until) {
+            filter.stored = {};
+            if (query.since) filter.stored.$gt = new Date(query.since);
+            if (query.until) filter.stored.$lte = new Date(query.until);
+            if (Object.values(filter.stored).some(date => isNaN(date))) throw xapiError('since and until must be ISO 8601 dates');
+        }
+
+        const limit = Math.min(parseInt(query.limit, 10) || MAX_QUERY_LIMIT, MAX_QUERY_LIMIT);
+        const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+        const ascending = query.ascending === 'true';
+
+        const docs = await XapiStatement.find(filter)
+            .select('statement')
+            .sort({ stored: ascending ? 1 : -1, _id: ascending ? 1 : -1 })
+            .skip(offset)
+            .limit(limit + 1);
+
+        let more = '';
+        if (docs.length > limit) {
+            const params = new URLSearchParams({ ...query, offset: String(offset + limit) });
+            more = `/api/xapi/statements?${params.toString()}`;
+        }
+
+        return { statements: docs.slice(0, limit).map(doc => doc.statement), more };
+    }
+
+    /**
+     * Send one queued statement to the external LRS. The statement is claimed
+     * first so overlapping runs don't send it twice at the same time.
+     * @param {string} id - XapiStatement _id
+     * @param {Date} now - Current time
+     * @returns {string|null} New forward status, or null when it was not due
+     */
+    async deliver(id, now = new Date()) {
+        const doc = await XapiStatement.findOneAndUpdate({
+            _id: id,
+            'forward.status': 'pending',
+            'forward.nextAttemptAt': { $lte: now },
+            $or: [
+                { 'forward.processingAt': null },
+                { 'forward.processingAt': { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+            ]
+        }, { $set: { 'forward.processingAt': now } }, { new: true });
+        if (!doc) return null;
+
+        const update = { 'forward.processingAt': null };
+        try {
+            // PUT with the statement ID is idempotent: a retry of a delivered statement gets 409
+            await axios.put(`${this.endpoint}/statements`, doc.statement, {
+                params: { statementId: doc.statementId },
+                headers: { 'X-Experience-API-Version': XAPI_VERSION, 'Content-Type': 'application/json' },
+                auth: this.username ? { username: this.username, password: this.password } : undefined,
+                timeout: 10000,
+                validateStatus: (status) => (status >= 200 && status < 300) || status === 409
+            });
+            Object.assign(update, { 'forward.status': 'sent', 'forward.sentAt': new Date(), 'forward.lastError': null });
+        } catch (error) {
+            const attempts = doc.forward.attempts + 1;
+            const delayMinutes = Math.min(2 ** attempts, 24 * 60);
+            Object.assign(update, {
+                'forward.attempts': attempts,
+                'forward.lastError': error.response ? `HTTP ${error.response.status}` : error.message,
+                'forward.status': attempts >= this.maxAttempts ? 'failed' : 'pending',
+                'forward.nextAttemptAt': new Date(now.getTime() + delayMinutes * 60 * 1000)
+            });
+        }
+
+        await XapiStatement.updateOne({ _id: doc._id }, { $set: update });
+        return update['forward.status'];
+    }
+
+    /**
+     * Forward every due statement. Safe to run from several processes.
+     * @param {Object} options - { limit, retryFailed }
+     * @returns {Object} Counts per outcome
+     */
+    async processQueue(options = {}) {
+        const summary = { processed: 0, sent: 0, pending: 0, failed: 0 };
+        if (!this.isForwarding()) return summary;
+
+        const now = new Date();
+        if (options.retryFailed) {
+            await XapiStatement.updateMany(
+                { 'forward.status': 'failed' },
+                { $set: { 'forward.status': 'pending', 'forward.attempts': 0, 'forward.nextAttemptAt': now } }
+            );
+        }
+
+        const due = await XapiStatement.find({ 'forward.status': 'pending', 'forward.nextAttemptAt': { $lte: now } })
+            .select('_id')
+            .sort({ stored: 1 })
+            .limit(options.limit || 1000);
+
+        for (const { _id } of due) {
+            const status = await this.deliver(_id, now);
+            if (!status) continue;
+            summary.processed += 1;
+            summary[status] += 1;
+        }
+        return summary;
+    }
+
+    /**
+     * Statements per forward status
+     * @returns {Object} e.g. { pending: 3, sent: 120 }
+     */
+    async queueStats() {
+        const counts = await XapiStatement.aggregate([{ $group: { _id: '$forward.status', count: { $sum: 1 } } }]);
+        return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    }
+}
+
+XapiService.VERSION = XAPI_VERSION;
+
+module.exports = XapiService;
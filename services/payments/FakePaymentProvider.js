@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+/**
+ * Local provider for development and tests. Payments stay pending until a
+ * signed webhook is posted to /api/checkout/webhook/fake, or complete
+ * immediately when FAKE_PAYMENT_AUTO_CAPTURE=true. Subscription charges
+ * succeed unless FAKE_SUBSCRIPTION_DECLINE=true. Webhooks are signed with
+ * PAYMENT_WEBHOOK_SECRET. Not registered in production.
+ */
+class FakePaymentProvider extends PaymentProvider {
+    constructor() {
+        super('fake');
+        if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+            throw new Error('PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider');
+        }
+        this.webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+    }
+
+    async createPayment(order) {
+        const providerPaymentId = `fake_pay_${crypto.randomBytes(12).toString('hex')}`;
+        const autoCapture = process.env.FAKE_PAYMENT_AUTO_CAPTURE === 'true';
+
+        return {
+            providerPaymentId,
+            status: autoCapture ? 'succeeded' : 'pending',
+            clientData: {
+                amount: order.total,
+                currency: order.currency,
+                webhookUrl: '/api/checkout/webhook/fake',
+                instructions: 'POST { "type": "payment.succeeded", "paymentId": "<providerPaymentId>" } signed with x-fake-signature'
+            }
+        };
+    }
+
+    async refundPayment(order, amount) {
+        return {
+            providerRefundId: `fake_ref_${crypto.randomBytes(12).toString('hex')}`,
+            status: 'succeeded'
+        };
+    }
+
+    async chargeSubscription(subscription, charge) {
+        if (process.env.FAKE_SUBSCRIPTION_DECLINE === 'true') {
+            return {
+                providerPaymentId: null,
+                status: 'failed',
+                failureReason: 'Card declined'
+            };
+        }
+
+        return {
+            providerPaymentId: `fake_sub_${crypto.randomBytes(12).toString('hex')}`,
+            status: 'succeeded'
+        };
+    }
+
+    /**
+     * Sign a webhook body the same way parseWebhook verifies it
+     * @param {string} body - Raw JSON body
+     * @returns {string} Hex HMAC-SHA256 signature
+     */
+    sign(body) {
+        return crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+    }
+
+    parseWebhook(req) {
+        const signature = req.headers['x-fake-signature'] || '';
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+        const expected = this.sign(rawBody);
+
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        const { type, paymentId, reason } = req.body;
+        if (!['payment.succeeded', 'payment.failed'].includes(type) || !paymentId) {
+            throw new Error('Unsupported webhook payload');
+        }
+
+        return { type, providerPaymentId: paymentId, reason };
+    }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,52 @@
+/**
+ * Base class for payment providers. A provider turns an Order into a payment
+ * the learner can complete and reports the outcome back through a webhook.
+ * Implementations must override every method below.
+ */
+class PaymentProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Create a payment for an order
+     * @param {Object} order - Order document
+     * @returns {Object} { providerPaymentId, status: 'pending'|'succeeded'|'failed', clientData }
+     */
+    async createPayment(order) {
+        throw new Error(`${this.name}: createPayment not implemented`);
+    }
+
+    /**
+     * Refund (part of) a captured payment
+     * @param {Object} order - Paid order document
+     * @param {number} amount - Amount to refund in the order currency
+     * @returns {Object} { providerRefundId, status: 'succeeded'|'failed', failureReason }
+     */
+    async refundPayment(order, amount) {
+        throw new Error(`${this.name}: refundPayment not implemented`);
+    }
+
+    /**
+     * Charge a subscription for a billing period (signup or renewal) without
+     * the learner present
+     * @param {Object} subscription - Subscription document
+     * @param {Object} charge - { amount, currency, description, idempotencyKey }
+     * @returns {Object} { providerPaymentId, status: 'succeeded'|'failed', failureReason }
+     */
+    async chargeSubscription(subscription, charge) {
+        throw new Error(`${this.name}: chargeSubscription not implemented`);
+    }
+
+    /**
+     * Verify and parse an incoming webhook request
+     * @param {Object} req - Express request (req.rawBody holds the unparsed body)
+     * @returns {Object} { type: 'payment.succeeded'|'payment.failed', providerPaymentId, reason }
+     * @throws {Error} If the signature is invalid
+     */
+    parseWebhook(req) {
+        throw new Error(`${this.name}: parseWebhook not implemented`);
+    }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,49 @@
+const FakePaymentProvider = require('./FakePaymentProvider');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Register real providers here (e.g. stripe: StripePaymentProvider).
+// The fake provider marks orders paid on any webhook signed with the shared
+// secret, so it is never available in production.
+const getProviders = () => ({
+    ...(isProduction() ? {} : { fake: FakePaymentProvider })
+});
+
+const instances = {};
+
+// No usable provider: paid checkout answers 503 instead of failing obscurely
+const unavailable = (message) => Object.assign(new Error(message), { statusCode: 503 });
+
+/**
+ * Name of the provider new payments go through: PAYMENT_PROVIDER env; outside
+ * production it defaults to 'fake'
+ * @returns {string}
+ */
+const getDefaultProviderName = () => {
+    if (process.env.PAYMENT_PROVIDER) return process.env.PAYMENT_PROVIDER;
+    if (isProduction()) {
+        throw unavailable('Payments are not available: no payment provider is configured');
+    }
+    return 'fake';
+};
+
+/**
+ * Get a payment provider instance
+ * @param {string} name - Provider name, defaults to getDefaultProviderName()
+ * @returns {PaymentProvider}
+ */
+const getPaymentProvider = (name = getDefaultProviderName()) => {
+    const Provider = getProviders()[name];
+    if (!Provider) {
+        throw unavailable(`Payments are not available: unknown payment provider "${name}"`);
+    }
+
+    if (!instances[name]) {
+        instances[name] = new Provider();
+    }
+    return instances[name];
+};
+
+const hasPaymentProvider = (name) => Object.prototype.hasOwnProperty.call(getProviders(), name);
+
+module.exports = { getPaymentProvider, hasPaymentProvider, getDefaultProviderName };
@@ -0,0 +1,59 @@
+const express = require('express');
+
+/**
+ * Mount a router on a throwaway app listening on a random local port
+ * @param {string} mountPath - e.g. /api/auth
+ * @param {Object} router - Express router under test
+ * @returns {Object} { url, close }
+ */
+const startApp = async (mountPath, router) => {
+    const app = express();
+    // Same body parsing as server.js, including the raw body webhooks are signed over
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(mountPath, router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+/**
+ * Stand-in for a Mongoose query resolving to result: awaitable, and the
+ * builder calls the code chains (select, session, populate, ...) return it
+ * @param {*} result
+ * @returns {Promise}
+ */
+const query = (result) => {
+    const chain = Promise.resolve(result);
+    for (const method of ['select', 'session', 'populate', 'sort', 'skip', 'limit', 'lean']) {
+        chain[method] = () => chain;
+    }
+    return chain;
+};
+
+/**
+ * POST a JSON body and return the status and parsed response
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} headers
+ * @returns {Object} { status, body }
+ */
+const postJson = async (url, body, headers = {}) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+module.exports = { startApp, query, postJson };
@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const OrderService = require('../services/OrderService');
+const LedgerService = require('../services/LedgerService');
+const FakePaymentProvider = require('../services/payments/FakePaymentProvider');
+const { getPaymentProvider } = require('../services/payments');
+const checkoutRoutes = require('../routes/checkout');
+const { startApp, query, postJson } = require('./helpers');
+
+const PAYMENT_ID = 'fake_pay_test';
+
+describe('payment webhook', () => {
+    let app;
+    let order;
+
+    before(async () => {
+        app = await startApp('/api/checkout', checkoutRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        order = new Order({
+            orderNumber: 'ORD-TEST-1',
+            user: new mongoose.Types.ObjectId(),
+            items: [
+                { course: new mongoose.Types.ObjectId(), title: 'Course A', price: 40, amount: 40 },
+                { course: new mongoose.Types.ObjectId(), title: 'Course B', price: 20, amount: 20 }
+            ],
+            subtotal: 60,
+            total: 60,
+            payment: { provider: 'fake', providerPaymentId: PAYMENT_ID }
+        });
+        order.setStatus('pending', 'Order created from cart');
+
+        mock.method(mongoose, 'startSession', async () => ({
+            withTransaction: async (fn) => fn(),
+            endSession: async () => {}
+        }));
+        mock.method(Order, 'findOne', (filter) => query(filter['payment.providerPaymentId'] === PAYMENT_ID ? order : null));
+        mock.method(Order, 'findById', () => query(order));
+        mock.method(Order.prototype, 'save', async function() { return this; });
+        mock.method(Enrollment, 'enrollUser', async () => ({ enrollment: {}, created: true, reactivated: false }));
+        mock.method(LedgerService.prototype, 'recordSale', async () => {});
+        mock.method(User, 'findByIdAndUpdate', async () => null);
+        mock.method(OrderService.prototype, 'sendReceipt', async () => {});
+        // The route logs every webhook it applies or rejects
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const send = (payload, signature) => {
+        const body = JSON.stringify(payload);
+        return postJson(`${app.url}/webhook/fake`, body, {
+            'x-fake-signature': signature ?? getPaymentProvider('fake').sign(body)
+        });
+    };
+
+    it('rejects an unsigned or wrongly signed webhook', async () => {
+        const payload = { type: 'payment.succeeded', paymentId: PAYMENT_ID };
+
+        const unsigned = await send(payload, '');
+        const forged = await send(payload, new FakePaymentProvider().sign('{}'));
+
+        assert.equal(unsigned.status, 400);
+        assert.equal(forged.status, 400);
+        assert.equal(Order.findOne.mock.callCount(), 0);
+        assert.equal(order.status, 'pending');
+    });
+
+    it('rejects a body changed after signing', async () => {
+        const signature = getPaymentProvider('fake').sign(JSON.stringify({ type: 'payment.failed', paymentId: PAYMENT_ID }));
+
+        const { status } = await send({ type: 'payment.succeeded', paymentId: PAYMENT_ID }, signature);
+
+        assert.equal(status, 400);
+        assert.equal(order.status, 'pending');
+    });
+
+    it('pays the order once however often the webhook is replayed', async () => {
+        const payload = { type: 'payment.succeeded', paymentId: PAYMENT_ID };
+
+        const first = await send(payload);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.orderStatus, 'paid');
+        assert.equal(Enrollment.enrollUser.mock.callCount(), 2);
+        assert.equal(LedgerService.prototype.recordSale.mock.callCount(), 1);
+        assert.equal(OrderService.prototype.sendReceipt.mock.callCount(), 1);
+
+        for (let i = 0; i < 3; i++) {
+            const replay = await send(payload);
+            assert.equal(replay.status, 200);
+            assert.equal(replay.body.orderStatus, 'paid');
+        }
+        assert.equal(Enrollment.enrollUser.mock.callCount(), 2);
+        assert.equal(LedgerService.prototype.recordSale.mock.callCount(), 1);
+        assert.equal(OrderService.prototype.sendReceipt.mock.callCount(), 1);
+        assert.equal(order.history.filter(entry => entry.status === 'paid').length, 1);
+    });
+
+    it('does not let a late failure undo a payment', async () => {
+        await send({ type: 'payment.succeeded', paymentId: PAYMENT_ID });
+
+        const { status, body } = await send({ type: 'payment.failed', paymentId: PAYMENT_ID, reason: 'Card declined' });
+
+        assert.equal(status, 200);
+        assert.equal(body.orderStatus, 'paid');
+    });
+
+    it('refunds a payment confirmed after the order was canceled, once', async () => {
+        order.setStatus('canceled', 'Canceled by customer');
+        let claims = 0;
+        mock.method(Order, 'findOneAndUpdate', () => {
+            claims += 1;
+            if (claims > 1) return query(null);
+            order.payment.autoRefundedAt = new Date();
+            return query(order);
+        });
+        mock.method(FakePaymentProvider.prototype, 'refundPayment', async () => ({ providerRefundId: 'fake_ref_test', status: 'succeeded' }));
+        const payload = { type: 'payment.succeeded', paymentId: PAYMENT_ID };
+
+        const first = await send(payload);
+        const replay = await send(payload);
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.orderStatus, 'canceled');
+        assert.equal(replay.body.orderStatus, 'canceled');
+        assert.equal(FakePaymentProvider.prototype.refundPayment.mock.callCount(), 1);
+        assert.equal(FakePaymentProvider.prototype.refundPayment.mock.calls[0].arguments[1], 60);
+        assert.equal(order.payment.autoRefundId, 'fake_ref_test');
+        assert.equal(Enrollment.enrollUser.mock.callCount(), 0);
+        assert.equal(LedgerService.prototype.recordSale.mock.callCount(), 0);
+    });
+
+    it('answers 404 for a payment it does not know', async () => {
+        const { status } = await send({ type: 'payment.succeeded', paymentId: 'fake_pay_unknown' });
+
+        assert.equal(status, 404);
+    });
+
+    it('reports payments as unavailable in production without a provider', () => {
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        try {
+            assert.throws(() => getPaymentProvider(), { statusCode: 503 });
+            assert.throws(() => getPaymentProvider('fake'), { statusCode: 503 });
+        } finally {
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = nodeEnv;
+        }
+    });
+
+    it('does not accept fake webhooks in production', async () => {
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        try {
+            const { status } = await send({ type: 'payment.succeeded', paymentId: PAYMENT_ID }, new FakePaymentProvider().sign('{}'));
+            assert.equal(status, 404);
+            assert.equal(order.status, 'pending');
+        } finally {
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = nodeEnv;
+        }
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Progress = require('../models/Progress');
+const Enrollment = require('../models/Enrollment');
+const RefundService = require('../services/RefundService');
+const LedgerService = require('../services/LedgerService');
+const CohortService = require('../services/CohortService');
+const FakePaymentProvider = require('../services/payments/FakePaymentProvider');
+const { query } = require('./helpers');
+
+describe('refund approval', () => {
+    const refundService = new RefundService();
+    const admin = { _id: new mongoose.Types.ObjectId() };
+    let order;
+    let refund;
+    let progress;
+
+    beforeEach(() => {
+        const courseId = new mongoose.Types.ObjectId();
+        order = new Order({
+            orderNumber: 'ORD-TEST-2',
+            user: new mongoose.Types.ObjectId(),
+            items: [{ course: courseId, title: 'Course A', price: 40, amount: 40 }],
+            subtotal: 40,
+            total: 40,
+            status: 'paid',
+            payment: { provider: 'fake', providerPaymentId: 'fake_pay_test', paidAt: new Date() }
+        });
+        refund = new Refund({
+            order: order._id,
+            user: order.user,
+            items: [{ course: courseId, orderItem: order.items[0]._id, amount: 40 }],
+            amount: 40,
+            reason: 'Not what I expected',
+            provider: 'fake'
+        });
+        progress = [];
+
+        // The store holds one refund; the claim is atomic on its status
+        mock.method(Refund, 'findOneAndUpdate', (filter, update) => {
+            if (!filter.status.$in.includes(refund.status)) return query(null);
+            const before = Refund.hydrate(refund.toObject());
+            refund.status = update.$set.status;
+            return query(before);
+        });
+        mock.method(Refund, 'findById', () => query(refund));
+        mock.method(Refund, 'updateOne', async (filter, update) => {
+            if (filter.status && filter.status !== refund.status) return { modifiedCount: 0 };
+            refund.status = update.$set.status;
+            return { modifiedCount: 1 };
+        });
+        mock.method(Refund.prototype, 'save', async function() {
+            if (this !== refund) refund.set(this.toObject());
+            return this;
+        });
+        mock.method(Order, 'findById', () => query(order));
+        mock.method(Order.prototype, 'save', async function() { return this; });
+        mock.method(Progress, 'find', () => query(progress));
+        mock.method(mongoose, 'startSession', async () => ({
+            withTransaction: async (fn) => fn(),
+            endSession: async () => {}
+        }));
+        mock.method(Enrollment, 'revokeUser', async () => ({ revoked: true, certificatesRevoked: 0 }));
+        mock.method(LedgerService.prototype, 'recordRefund', async () => {});
+        mock.method(CohortService.prototype, 'promoteWaitlist', async () => 1);
+        mock.method(FakePaymentProvider.prototype, 'refundPayment', async () => ({ providerRefundId: 'fake_ref_test', status: 'succeeded' }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('refunds the money once when two reviewers approve at the same time', async () => {
+        const results = await Promise.allSettled([
+            refundService.approve(refund._id, admin),
+            refundService.approve(refund._id, admin)
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 400);
+        assert.equal(FakePaymentProvider.prototype.refundPayment.mock.callCount(), 1);
+        assert.equal(Enrollment.revokeUser.mock.callCount(), 1);
+        assert.equal(refund.status, 'approved');
+        assert.equal(order.status, 'refunded');
+    });
+
+    it('re-checks progress made since the request', async () => {
+        progress = [{ course: refund.items[0].course, completionPercentage: 80 }];
+
+        await assert.rejects(refundService.approve(refund._id, admin), { statusCode: 400, message: /80% complete/ });
+
+        assert.equal(FakePaymentProvider.prototype.refundPayment.mock.callCount(), 0);
+        assert.equal(Enrollment.revokeUser.mock.callCount(), 0);
+        // Back to the reviewers, who can deny it
+        assert.equal(refund.status, 'requested');
+    });
+
+    it('leaves a provider failure open for a retry', async () => {
+        FakePaymentProvider.prototype.refundPayment.mock.mockImplementationOnce(async () => ({ status: 'failed', failureReason: 'Declined' }));
+
+        await assert.rejects(refundService.approve(refund._id, admin), { statusCode: 502 });
+        assert.equal(refund.status, 'failed');
+
+        await refundService.approve(refund._id, admin);
+        assert.equal(refund.status, 'approved');
+        assert.equal(FakePaymentProvider.prototype.refundPayment.mock.callCount(), 2);
+    });
+
+    it('hands a freed cohort seat to the waitlist after committing', async () => {
+        const cohortId = new mongoose.Types.ObjectId();
+        Enrollment.revokeUser.mock.mockImplementation(async () => ({ revoked: true, certificatesRevoked: 0, cohort: cohortId }));
+
+        await refundService.approve(refund._id, admin);
+
+        assert.equal(CohortService.prototype.promoteWaitlist.mock.callCount(), 1);
+        assert.equal(CohortService.prototype.promoteWaitlist.mock.calls[0].arguments[0], String(cohortId));
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const SubscriptionService = require('../services/SubscriptionService');
+const FakePaymentProvider = require('../services/payments/FakePaymentProvider');
+const { query } = require('./helpers');
+
+describe('subscription signup', () => {
+    const subscriptionService = new SubscriptionService();
+    const user = { _id: new mongoose.Types.ObjectId() };
+    let plan;
+    let stored;
+
+    beforeEach(() => {
+        plan = new Plan({ name: 'Monthly', interval: 'month', price: 15, currency: 'USD', trialDays: 0, isActive: true });
+        stored = new Map();
+
+        const isLive = (doc) => Subscription.LIVE_STATUSES.includes(doc.status);
+
+        mock.method(Plan, 'findById', () => query(plan));
+        mock.method(Subscription, 'updateMany', async () => ({ modifiedCount: 0 }));
+        mock.method(Subscription, 'exists', async (filter) => {
+            if (filter.trialEndsAt) return null;
+            return [...stored.values()].some(isLive) ? { _id: 'live' } : null;
+        });
+        // Stands in for the unique partial index on live subscriptions
+        mock.method(Subscription.prototype, 'save', async function() {
+            const clash = [...stored.values()].some(doc => doc !== this && isLive(doc));
+            if (isLive(this) && clash) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            stored.set(String(this._id), this);
+            return this;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('holds a pending place while the first period is charged', async () => {
+        let statusWhileCharging;
+        mock.method(FakePaymentProvider.prototype, 'chargeSubscription', async (subscription) => {
+            statusWhileCharging = stored.get(String(subscription._id))?.status;
+            return { providerPaymentId: 'fake_sub_test', status: 'succeeded' };
+        });
+
+        const subscription = await subscriptionService.subscribe(user, plan._id);
+
+        assert.equal(statusWhileCharging, 'pending');
+        assert.equal(subscription.status, 'active');
+        assert.deepEqual(subscription.history.map(entry => entry.status), ['pending', 'active']);
+    });
+
+    it('charges once when the same user signs up twice at the same time', async () => {
+        mock.method(FakePaymentProvider.prototype, 'chargeSubscription', async () => ({ providerPaymentId: 'fake_sub_test', status: 'succeeded' }));
+        // Both requests get past the lookup before either has saved
+        Subscription.exists.mock.mockImplementation(async () => null);
+
+        const results = await Promise.allSettled([
+            subscriptionService.subscribe(user, plan._id),
+            subscriptionService.subscribe(user, plan._id)
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 400);
+        assert.equal(FakePaymentProvider.prototype.chargeSubscription.mock.callCount(), 1);
+    });
+
+    it('marks a declined first payment failed so the user can try again', async () => {
+        mock.method(FakePaymentProvider.prototype, 'chargeSubscription', async () => ({ status: 'failed', failureReason: 'Card declined' }));
+
+        await assert.rejects(subscriptionService.subscribe(user, plan._id), { statusCode: 402 });
+
+        const [failed] = stored.values();
+        assert.equal(failed.status, 'failed');
+        assert.ok(failed.endedAt);
+
+        FakePaymentProvider.prototype.chargeSubscription.mock.mockImplementation(async () => ({ providerPaymentId: 'fake_sub_test', status: 'succeeded' }));
+        const subscription = await subscriptionService.subscribe(user, plan._id);
+        assert.equal(subscription.status, 'active');
+    });
+});
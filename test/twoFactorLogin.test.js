@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const TwoFactorService = require('../services/TwoFactorService');
+const totp = require('../utils/totp');
+const authRoutes = require('../routes/auth');
+const { startApp, query, postJson } = require('./helpers');
+
+const PASSWORD = 'correct-horse';
+
+describe('TOTP', () => {
+    // RFC 6238 appendix B, SHA1 seed "12345678901234567890" (last 6 of the 8 digits)
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    it('matches the RFC 6238 test vectors', () => {
+        assert.equal(totp.generateTOTP(secret, 59 * 1000), '287082');
+        assert.equal(totp.generateTOTP(secret, 1111111109 * 1000), '081804');
+        assert.equal(totp.generateTOTP(secret, 1234567890 * 1000), '005924');
+        assert.equal(totp.generateTOTP(secret, 2000000000 * 1000), '279037');
+    });
+
+    it('accepts the neighbouring time steps only', () => {
+        const now = Date.now();
+        assert.notEqual(totp.verifyTOTP(secret, totp.generateTOTP(secret, now - 30 * 1000)), null);
+        assert.equal(totp.verifyTOTP(secret, totp.generateTOTP(secret, now - 5 * 60 * 1000)), null);
+        assert.equal(totp.verifyTOTP(secret, 'abcdef'), null);
+    });
+
+    it('round-trips encrypted secrets', () => {
+        const plain = totp.generateSecret();
+        const encrypted = totp.encryptSecret(plain);
+        assert.notEqual(encrypted, plain);
+        assert.equal(totp.decryptSecret(encrypted), plain);
+    });
+});
+
+describe('two-step login', () => {
+    const twoFactorService = new TwoFactorService();
+    let app;
+    let user;
+    let secret;
+    let recoveryCodes;
+
+    before(async () => {
+        app = await startApp('/api/auth', authRoutes);
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        secret = totp.generateSecret();
+        recoveryCodes = twoFactorService.generateRecoveryCodes();
+        user = new User({
+            name: 'Ada Admin',
+            email: 'ada@example.com',
+            password: bcrypt.hashSync(PASSWORD, 4),
+            role: 'admin',
+            isVerified: true,
+            twoFactor: {
+                enabled: true,
+                enabledAt: new Date(),
+                secret: totp.encryptSecret(secret),
+                recoveryCodes: recoveryCodes.map(code => ({ codeHash: twoFactorService.hashRecoveryCode(code) }))
+            }
+        });
+
+        mock.method(User, 'findOne', () => query(user));
+        mock.method(User, 'findById', () => query(user));
+        mock.method(User.prototype, 'save', async function() { return this; });
+        // The open challenge lives on the user; claims only match while it has attempts left
+        mock.method(User, 'updateOne', async (filter, update) => {
+            const { twoFactor } = user;
+            if (filter['twoFactor.challengeId'] !== undefined && (
+                twoFactor.challengeId !== filter['twoFactor.challengeId'] ||
+                twoFactor.challengeAttempts >= filter['twoFactor.challengeAttempts'].$lt)) {
+                return { modifiedCount: 0 };
+            }
+            if (update.$set) Object.assign(twoFactor, { challengeId: update.$set['twoFactor.challengeId'], challengeAttempts: 0 });
+            if (update.$inc) twoFactor.challengeAttempts += 1;
+            if (update.$unset) Object.assign(twoFactor, { challengeId: undefined, challengeAttempts: undefined });
+            return { modifiedCount: 1 };
+        });
+        mock.method(SecurityPolicy, 'getPolicy', async () => ({ twoFactor: { requiredRoles: [] } }));
+        mock.method(Session.prototype, 'save', async function() { return this; });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const passwordStep = () => postJson(`${app.url}/login`, { email: user.email, password: PASSWORD });
+
+    it('asks for a code instead of issuing tokens after the password', async () => {
+        const { status, body } = await passwordStep();
+
+        assert.equal(status, 200);
+        assert.equal(body.twoFactorRequired, true);
+        assert.ok(body.challengeToken);
+        assert.equal(body.token, undefined);
+        assert.equal(body.refreshToken, undefined);
+        assert.equal(Session.prototype.save.mock.callCount(), 0);
+    });
+
+    it('rejects a wrong password before any challenge', async () => {
+        const { status, body } = await postJson(`${app.url}/login`, { email: user.email, password: 'wrong' });
+
+        assert.equal(status, 401);
+        assert.equal(body.challengeToken, undefined);
+    });
+
+    it('logs in with a valid code and refuses the same code again', async () => {
+        const { body: challenge } = await passwordStep();
+        const code = totp.generateTOTP(secret);
+
+        const first = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, code });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.token);
+        assert.ok(first.body.refreshToken);
+        assert.equal(first.body.user.twoFactor.secret, undefined);
+        assert.equal(Session.prototype.save.mock.callCount(), 1);
+
+        const decoded = jwt.verify(first.body.token, process.env.JWT_SECRET || 'your-secret-key');
+        assert.equal(decoded.userId, String(user._id));
+
+        // A code is good for one login only
+        const replay = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, code });
+        assert.equal(replay.status, 401);
+        assert.equal(Session.prototype.save.mock.callCount(), 1);
+    });
+
+    it('refuses a wrong code', async () => {
+        const { body: challenge } = await passwordStep();
+        const wrong = String((Number(totp.generateTOTP(secret)) + 1) % 1000000).padStart(6, '0');
+
+        const { status, body } = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, code: wrong });
+
+        assert.equal(status, 401);
+        assert.equal(body.token, undefined);
+    });
+
+    it('gives up on a challenge after five wrong codes', async () => {
+        const { body: challenge } = await passwordStep();
+        const code = totp.generateTOTP(secret);
+        const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+        const guesses = await Promise.all(Array.from({ length: 7 }, () =>
+            postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, code: wrong })));
+        assert.equal(guesses.filter(guess => guess.body.message === 'Invalid verification code').length, 5);
+        assert.ok(guesses.every(guess => guess.status === 401));
+
+        // Even the right code needs a new password step now
+        const late = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, code });
+        assert.equal(late.status, 401);
+        assert.equal(Session.prototype.save.mock.callCount(), 0);
+
+        const { body: fresh } = await passwordStep();
+        const retry = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: fresh.challengeToken, code });
+        assert.equal(retry.status, 200);
+    });
+
+    it('only honours the latest challenge', async () => {
+        const { body: first } = await passwordStep();
+        await passwordStep();
+
+        const { status } = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: first.challengeToken, code: totp.generateTOTP(secret) });
+
+        assert.equal(status, 401);
+    });
+
+    it('accepts each recovery code once', async () => {
+        const { body: challenge } = await passwordStep();
+        const recoveryCode = recoveryCodes[0].toLowerCase();
+
+        const first = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, recoveryCode });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.token);
+        assert.equal(first.body.remainingRecoveryCodes, recoveryCodes.length - 1);
+
+        const again = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: challenge.challengeToken, recoveryCode });
+        assert.equal(again.status, 401);
+    });
+
+    it('only accepts challenge tokens from the password step', async () => {
+        const accessToken = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'your-secret-key', { expiresIn: '5m' });
+
+        const { status } = await postJson(`${app.url}/2fa/verify-login`, { challengeToken: accessToken, code: totp.generateTOTP(secret) });
+
+        assert.equal(status, 401);
+        assert.equal(Session.prototype.save.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,216 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const XapiStatement = require('../models/XapiStatement');
+const XapiService = require('../services/XapiService');
+const { query } = require('./helpers');
+
+const LRS_USERNAME = 'lrs-key';
+const LRS_PASSWORD = 'lrs-secret';
+
+// Statements as the queue sees them, keyed by _id
+const createStore = () => {
+    const docs = new Map();
+
+    const setPath = (doc, path, value) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((target, key) => target[key], doc)[last] = value;
+    };
+
+    mock.method(XapiStatement, 'create', async (fields) => {
+        const doc = {
+            _id: new mongoose.Types.ObjectId(),
+            ...fields,
+            forward: { attempts: 0, processingAt: null, ...fields.forward }
+        };
+        docs.set(String(doc._id), doc);
+        return doc;
+    });
+
+    // Claim: only a pending, due statement nobody is sending
+    mock.method(XapiStatement, 'findOneAndUpdate', (filter, update) => {
+        const doc = docs.get(String(filter._id));
+        const due = doc && doc.forward.status === 'pending' &&
+            doc.forward.nextAttemptAt <= filter['forward.nextAttemptAt'].$lte &&
+            !doc.forward.processingAt;
+        if (!due) return query(null);
+        setPath(doc, 'forward.processingAt', update.$set['forward.processingAt']);
+        return query(doc);
+    });
+
+    mock.method(XapiStatement, 'updateOne', async (filter, update) => {
+        const doc = docs.get(String(filter._id));
+        Object.entries(update.$set).forEach(([path, value]) => setPath(doc, path, value));
+        return { modifiedCount: 1 };
+    });
+
+    mock.method(XapiStatement, 'find', (filter) => query([...docs.values()].filter(doc =>
+        doc.forward.status === filter['forward.status'] && doc.forward.nextAttemptAt <= filter['forward.nextAttemptAt'].$lte
+    )));
+
+    return docs;
+};
+
+describe('xAPI statement forwarding', () => {
+    let lrs;
+    let received;
+    let respondWith;
+    let docs;
+    let xapiService;
+
+    const learner = { _id: new mongoose.Types.ObjectId(), name: 'Lee Learner' };
+    const course = { _id: new mongoose.Types.ObjectId(), title: 'Statistics 101' };
+    const lecture = { _id: new mongoose.Types.ObjectId(), title: 'Week 1 quiz', type: 'quiz' };
+
+    // A stand-in LRS recording each request
+    before(async () => {
+        lrs = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ method: req.method, url: new URL(req.url, 'http://lrs'), headers: req.headers, body: JSON.parse(body) });
+                res.statusCode = respondWith(received.length);
+                res.end();
+            });
+        });
+        await new Promise(resolve => lrs.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => new Promise(resolve => lrs.close(resolve)));
+
+    beforeEach(() => {
+        received = [];
+        respondWith = () => 204;
+        docs = createStore();
+
+        process.env.XAPI_LRS_ENDPOINT = `http://127.0.0.1:${lrs.address().port}/xapi/`;
+        process.env.XAPI_LRS_USERNAME = LRS_USERNAME;
+        process.env.XAPI_LRS_PASSWORD = LRS_PASSWORD;
+        process.env.XAPI_MAX_ATTEMPTS = '3';
+        process.env.XAPI_ACTIVITY_BASE = 'https://learn.example.com';
+        xapiService = new XapiService();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        ['XAPI_LRS_ENDPOINT', 'XAPI_LRS_USERNAME', 'XAPI_LRS_PASSWORD', 'XAPI_MAX_ATTEMPTS', 'XAPI_ACTIVITY_BASE']
+            .forEach(name => delete process.env[name]);
+    });
+
+    // Queue a statement without the immediate delivery emit starts
+    const queue = (verb = 'completed') => {
+        mock.method(xapiService, 'deliver', async () => null);
+        const stored = xapiService.emit(verb, learner, xapiService.lectureActivity(course, lecture), { course });
+        return stored.finally(() => xapiService.deliver.mock.restore());
+    };
+
+    it('stores emitted statements with an account actor and the course as parent', async () => {
+        const stored = await queue('passed');
+        const { statement } = stored;
+
+        assert.equal(stored.source, 'emitted');
+        assert.equal(stored.forward.status, 'pending');
+        assert.equal(stored.verb, 'http://adlnet.gov/expapi/verbs/passed');
+        assert.equal(stored.activity, `https://learn.example.com/courses/${course._id}/lectures/${lecture._id}`);
+        assert.deepEqual(statement.actor.account, { homePage: 'https://learn.example.com', name: String(learner._id) });
+        assert.equal(statement.object.definition.type, 'http://adlnet.gov/expapi/activities/assessment');
+        assert.equal(statement.context.contextActivities.parent[0].id, `https://learn.example.com/courses/${course._id}`);
+        assert.equal(statement.version, XapiService.VERSION);
+        assert.ok(statement.timestamp && statement.stored);
+    });
+
+    it('does not queue anything when no LRS is configured', async () => {
+        delete process.env.XAPI_LRS_ENDPOINT;
+        xapiService = new XapiService();
+
+        const stored = await xapiService.emit('launched', learner, xapiService.courseActivity(course));
+
+        assert.equal(stored.forward.status, 'skipped');
+        assert.equal(XapiStatement.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('PUTs the statement under its id with the version header and credentials', async () => {
+        const stored = await queue();
+
+        const status = await xapiService.deliver(stored._id);
+
+        assert.equal(status, 'sent');
+        assert.equal(received.length, 1);
+        const [request] = received;
+        assert.equal(request.method, 'PUT');
+        assert.equal(request.url.pathname, '/xapi/statements');
+        assert.equal(request.url.searchParams.get('statementId'), stored.statementId);
+        assert.equal(request.headers['x-experience-api-version'], XapiService.VERSION);
+        assert.equal(request.headers.authorization, `Basic ${Buffer.from(`${LRS_USERNAME}:${LRS_PASSWORD}`).toString('base64')}`);
+        assert.deepEqual(request.body, stored.statement);
+        assert.equal(stored.forward.status, 'sent');
+        assert.ok(stored.forward.sentAt);
+        assert.equal(stored.forward.processingAt, null);
+    });
+
+    it('delivers right away when a statement is emitted', async () => {
+        const stored = await xapiService.emit('completed', learner, xapiService.courseActivity(course));
+
+        await new Promise(resolve => {
+            const wait = () => (stored.forward.status === 'sent' ? resolve() : setTimeout(wait, 10));
+            wait();
+        });
+        assert.equal(received.length, 1);
+        assert.equal(received[0].body.id, stored.statementId);
+    });
+
+    it('counts 409 Conflict as delivered, since the LRS already has the statement', async () => {
+        respondWith = () => 409;
+        const stored = await queue();
+
+        assert.equal(await xapiService.deliver(stored._id), 'sent');
+    });
+
+    it('backs off after a failed delivery and gives up after the last attempt', async () => {
+        respondWith = () => 503;
+        const stored = await queue();
+        const now = new Date();
+
+        assert.equal(await xapiService.deliver(stored._id, now), 'pending');
+        assert.equal(stored.forward.attempts, 1);
+        assert.equal(stored.forward.lastError, 'HTTP 503');
+        assert.equal(stored.forward.nextAttemptAt.getTime(), now.getTime() + 2 * 60 * 1000);
+
+        // Not due again until the back-off has passed
+        assert.equal(await xapiService.deliver(stored._id, now), null);
+        assert.equal(received.length, 1);
+
+        const later = new Date(now.getTime() + 60 * 60 * 1000);
+        assert.equal(await xapiService.deliver(stored._id, later), 'pending');
+        assert.equal(stored.forward.attempts, 2);
+        assert.equal(stored.forward.nextAttemptAt.getTime(), later.getTime() + 4 * 60 * 1000);
+
+        assert.equal(await xapiService.deliver(stored._id, new Date(later.getTime() + 60 * 60 * 1000)), 'failed');
+        assert.equal(stored.forward.attempts, 3);
+        assert.equal(received.length, 3);
+    });
+
+    it('records network errors as failed attempts', async () => {
+        process.env.XAPI_LRS_ENDPOINT = 'http://127.0.0.1:1/xapi';
+        xapiService = new XapiService();
+        const stored = await queue();
+
+        assert.equal(await xapiService.deliver(stored._id), 'pending');
+        assert.equal(stored.forward.attempts, 1);
+        assert.match(stored.forward.lastError, /ECONNREFUSED/);
+    });
+
+    it('forwards every due statement from the queue', async () => {
+        respondWith = (count) => (count === 2 ? 500 : 200);
+        const statements = [await queue(), await queue(), await queue()];
+        statements[2].forward.nextAttemptAt = new Date(Date.now() + 60 * 60 * 1000);
+
+        const summary = await xapiService.processQueue();
+
+        assert.deepEqual(summary, { processed: 2, sent: 1, pending: 1, failed: 0 });
+        assert.deepEqual(statements.map(doc => doc.forward.status), ['sent', 'pending', 'pending']);
+        assert.equal(received.length, 2);
+    });
+});
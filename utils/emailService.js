@@ -8,8 +8,23 @@ class EmailService {
 
     setupTransporter() {
         // Configure your email service here
+        // SMTP_HOST points at any SMTP server (e.g. a local MailHog/smtp4dev instance in development and tests)
+        if (process.env.SMTP_HOST) {
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT || '587'),
+                secure: process.env.SMTP_SECURE === 'true',
+                ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+                auth: process.env.EMAIL_USER ? {
+                    user: process.env.EMAIL_USER,
+                    pass: process.env.EMAIL_PASS
+                } : undefined
+            });
+            return;
+        }
+
         // For development, you can use services like SendGrid, Mailgun, or Gmail
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
             service: 'gmail', // Change as needed
             auth: {
                 user: process.env.EMAIL_USER,
@@ -18,6 +33,10 @@ class EmailService {
         });
     }
 
+    getFrontendUrl() {
+        return process.env.FRONTEND_URL || 'http://localhost:9002';
+    }
+
     async sendWelcomeEmail(user) {
         const mailOptions = {
             from: process.env.EMAIL_FROM || 'noreply@elearning.com',
@@ -84,6 +103,200 @@ class EmailService {
             console.error('Error sending certificate email:', error);
         }
     }
+
+    async sendVerificationEmail(user, token) {
+        const verifyUrl = `${this.getFrontendUrl()}/verify-email?token=${token}`;
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: user.email,
+            subject: 'Verify your email address',
+            html: `
+                <h1>Hi ${user.name},</h1>
+                <p>Please confirm your email address to start enrolling in courses.</p>
+                <p><a href="${verifyUrl}">Verify my email</a></p>
+                <p>This link expires in 24 hours. If you did not create an account, you can ignore this email.</p>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Verification email sent to:', user.email);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+        }
+    }
+
+    async sendPasswordResetEmail(user, token) {
+        const resetUrl = `${this.getFrontendUrl()}/reset-password?token=${token}`;
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: user.email,
+            subject: 'Reset your password',
+            html: `
+                <h1>Hi ${user.name},</h1>
+                <p>We received a request to reset your password.</p>
+                <p><a href="${resetUrl}">Choose a new password</a></p>
+                <p>This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.</p>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Password reset email sent to:', user.email);
+        } catch (error) {
+            console.error('Error sending password reset email:', error);
+        }
+    }
+
+    async sendInvoiceEmail(user, invoice, pdfBuffer) {
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: invoice.buyer.email || user.email,
+            subject: `Your receipt ${invoice.invoiceNumber}`,
+            html: `
+                <h1>Thank you for your purchase, ${user.name}!</h1>
+                <p>Your invoice <strong>${invoice.invoiceNumber}</strong> for ${invoice.total.toFixed(2)} ${invoice.currency} is attached.</p>
+                <p>You can download it again at any time from your order history.</p>
+            `,
+            attachments: [{
+                filename: `${invoice.invoiceNumber}.pdf`,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }]
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Invoice email sent to:', mailOptions.to);
+            return true;
+        } catch (error) {
+            console.error('Error sending invoice email:', error);
+            return false;
+        }
+    }
+
+    async sendGiftEmail(batch, course, code) {
+        const claimUrl = `${this.getFrontendUrl()}/redeem?code=${code.code}`;
+        const recipientName = batch.gift.recipientName || 'there';
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: batch.gift.recipientEmail,
+            subject: `${batch.gift.senderName} sent you a course: ${course.title}`,
+            html: `
+                <h1>Hi ${recipientName},</h1>
+                <p><strong>${batch.gift.senderName}</strong> gave you the course <strong>${course.title}</strong>.</p>
+                ${batch.gift.message ? `<blockquote>${batch.gift.message}</blockquote>` : ''}
+                <p><a href="${claimUrl}">Claim your course</a></p>
+                <p>Or redeem this code after signing in: <strong>${code.code}</strong></p>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Gift email sent to:', mailOptions.to);
+            return true;
+        } catch (error) {
+            console.error('Error sending gift email:', error);
+            return false;
+        }
+    }
+
+    async sendRedemptionCodesEmail(user, batch, course, codes) {
+        const redeemUrl = `${this.getFrontendUrl()}/redeem`;
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: user.email,
+            subject: `Your ${codes.length} redemption codes for ${course.title}`,
+            html: `
+                <h1>Hi ${user.name},</h1>
+                <p>Here are your codes for <strong>${course.title}</strong>. Each code enrolls one person and can be used once.</p>
+                <ul>${codes.map(code => `<li><code>${code.code}</code></li>`).join('')}</ul>
+                <p>Share a code with each team member; they can redeem it at <a href="${redeemUrl}">${redeemUrl}</a>.</p>
+                ${batch.expiresAt ? `<p>Codes expire on ${batch.expiresAt.toISOString().slice(0, 10)}.</p>` : ''}
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Redemption codes email sent to:', user.email);
+            return true;
+        } catch (error) {
+            console.error('Error sending redemption codes email:', error);
+            return false;
+        }
+    }
+
+    async sendCohortSeatEmail(user, cohort, course) {
+        const courseUrl = `${this.getFrontendUrl()}/courses/${course._id}`;
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: user.email,
+            subject: `A seat opened up: ${course.title} (${cohort.name})`,
+            html: `
+                <h1>Hi ${user.name},</h1>
+                <p>A seat opened up in <strong>${cohort.name}</strong> of <strong>${course.title}</strong> and it is now yours.</p>
+                <p>The cohort runs from ${cohort.startsAt.toLocaleDateString('en-US', { timeZone: cohort.timezone })}
+                to ${cohort.endsAt.toLocaleDateString('en-US', { timeZone: cohort.timezone })} (${cohort.timezone}).</p>
+                <p><a href="${courseUrl}">Go to the course</a></p>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Cohort seat email sent to:', user.email);
+            return true;
+        } catch (error) {
+            console.error('Error sending cohort seat email:', error);
+            return false;
+        }
+    }
+
+    async sendCohortAnnouncementEmail(user, cohort, course, announcement) {
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: user.email,
+            subject: `[${course?.title || cohort.name}] ${announcement.title}`,
+            html: `
+                <h1>${announcement.title}</h1>
+                <p>${cohort.name}${course ? ` &middot; ${course.title}` : ''}</p>
+                <div>${announcement.body}</div>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            return true;
+        } catch (error) {
+            console.error('Error sending cohort announcement email:', error);
+            return false;
+        }
+    }
+
+    async sendCourseInvitationEmail(invitation, course, inviter, token) {
+        const invitationUrl = `${this.getFrontendUrl()}/course-invitations/${token}`;
+        const roleName = invitation.role === 'ta' ? 'teaching assistant' : 'co-instructor';
+        const mailOptions = {
+            from: process.env.EMAIL_FROM || 'noreply@elearning.com',
+            to: invitation.email,
+            subject: `${inviter.name} invited you to teach ${course.title}`,
+            html: `
+                <h1>Hi there,</h1>
+                <p><strong>${inviter.name}</strong> invited you to join <strong>${course.title}</strong> as a ${roleName}.</p>
+                ${invitation.revenueShare > 0 ? `<p>You would receive ${invitation.revenueShare}% of the instructor earnings of the course.</p>` : ''}
+                <p><a href="${invitationUrl}">Accept or decline the invitation</a></p>
+                <p>The invitation expires on ${invitation.expiresAt.toLocaleDateString()}.</p>
+            `
+        };
+
+        try {
+            await this.transporter.sendMail(mailOptions);
+            console.log('Course invitation email sent to:', invitation.email);
+            return true;
+        } catch (error) {
+            console.error('Error sending course invitation email:', error);
+            return false;
+        }
+    }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -81,8 +81,8 @@ const isValidEmail = (email) => {
 };
 
 // Format price
-const formatPrice = (price, currency = 'USD') => {
-    return new Intl.NumberFormat('en-US', {
+const formatPrice = (price, currency = 'USD', locale = 'en-US') => {
+    return new Intl.NumberFormat(locale, {
         style: 'currency',
         currency: currency
     }).format(price);
@@ -27,7 +27,8 @@ const seedData = async () => {
             email: 'admin@elearning.com',
             password: adminPassword,
             role: 'admin',
-            isVerified: true
+            isVerified: true,
+            isEmailVerified: true
         });
         await admin.save();
         console.log('✓ Admin user created');
@@ -72,6 +73,7 @@ const seedData = async () => {
             password: instructorPassword,
             role: 'instructor',
             isVerified: true,
+            isEmailVerified: true,
             instructor: {
                 expertise: ['JavaScript', 'React', 'Node.js', 'Web Development'],
                 experience: 'Senior Full Stack Developer with 8+ years of experience in building scalable web applications. Previously worked at major tech companies including Google and Microsoft.',
@@ -112,6 +114,7 @@ const seedData = async () => {
                 password: learnerPassword,
                 role: 'learner',
                 isVerified: true,
+                isEmailVerified: true,
                 profile: {
                     bio: `I'm a passionate learner interested in technology and personal development.`,
                     country: ['USA', 'Canada', 'UK', 'Australia', 'India'][i - 1]
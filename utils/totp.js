@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP helpers (HMAC-SHA1, 30 second steps, 6 digits - what authenticator apps expect)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Encode a buffer as RFC 4648 base32 without padding
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+// Decode an RFC 4648 base32 string (padding and spaces ignored)
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret (160 bits as recommended by RFC 4226)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value for a given counter (RFC 4226)
+const generateHOTP = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+// Time step counter for a timestamp
+const getCounter = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+// Current TOTP code for a secret
+const generateTOTP = (secret, timestamp = Date.now()) => generateHOTP(secret, getCounter(timestamp));
+
+/**
+ * Verify a TOTP code allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {number} window - Number of steps to accept before/after the current one
+ * @returns {number|null} Matched counter (store it to prevent replay), or null
+ */
+const verifyTOTP = (secret, token, window = 1) => {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const current = getCounter();
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = generateHOTP(secret, current + offset);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+};
+
+// otpauth:// URI for QR codes in authenticator apps
+const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'AIQ Learning') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// AES-256-GCM so TOTP secrets are not readable from a database dump
+const getEncryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHOTP,
+    generateTOTP,
+    verifyTOTP,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret
+};